@@ -14,6 +14,7 @@ import TicketDetailPage from './pages/TicketDetailPage';
 import CreateTicketPage from './pages/CreateTicketPage';
 import ReportsPage from './pages/ReportsPage';
 import SettingsPage from './pages/SettingsPage';
+import TrashPage from './pages/TrashPage';
 
 const App = () => (
   <AuthProvider>
@@ -52,6 +53,14 @@ const App = () => (
             </AuthGuard>
           }
         />
+        <Route
+          path="tickets/trash"
+          element={
+            <AuthGuard requiredRoles={['Admin']}>
+              <TrashPage />
+            </AuthGuard>
+          }
+        />
         <Route
           path="tickets/:id"
           element={
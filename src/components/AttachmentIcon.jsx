@@ -0,0 +1,35 @@
+import React from 'react'
+import {
+  FileImage,
+  FileText,
+  FileCode,
+  FileSpreadsheet,
+  FileArchive,
+  Presentation,
+  File
+} from 'lucide-react'
+
+const KIND_ICONS = {
+  image: { icon: FileImage, color: 'text-purple-500' },
+  pdf: { icon: FileText, color: 'text-red-500' },
+  text: { icon: FileCode, color: 'text-gray-500' },
+  document: { icon: FileText, color: 'text-blue-500' },
+  spreadsheet: { icon: FileSpreadsheet, color: 'text-green-600' },
+  presentation: { icon: Presentation, color: 'text-orange-500' },
+  archive: { icon: FileArchive, color: 'text-yellow-600' },
+  file: { icon: File, color: 'text-gray-400' }
+}
+
+/**
+ * AttachmentIcon renders the icon for an attachment kind (see getAttachmentKind).
+ *
+ * Props:
+ * - kind (string): Attachment kind, e.g. 'pdf' or 'archive'.
+ * - className (string): Size classes for the icon.
+ */
+const AttachmentIcon = ({ kind, className = 'h-5 w-5' }) => {
+  const { icon: Icon, color } = KIND_ICONS[kind] || KIND_ICONS.file
+  return <Icon className={`${className} ${color}`} />
+}
+
+export default AttachmentIcon
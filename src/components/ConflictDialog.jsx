@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from 'react'
+import { AlertTriangle } from 'lucide-react'
+
+const normalize = (value) => (value === null || value === undefined ? '' : String(value))
+
+/**
+ * ConflictDialog lets the user merge their edit with a newer version of the ticket,
+ * choosing "theirs" or "mine" for every field where the two differ. Fields only
+ * one side changed default to that side; fields both changed default to mine.
+ *
+ * Props:
+ * - fields (array): [{ key, label, format? }] edit form fields to compare; format(value) renders a value.
+ * - original (object): Form values as they were when the edit started.
+ * - theirs (object): Form values of the ticket as it is now.
+ * - mine (object): Form values the user tried to save.
+ * - onResolve (fn): Called with the merged form values.
+ * - onCancel (fn): Called when the user discards the merge.
+ */
+const ConflictDialog = ({ fields, original, theirs, mine, onResolve, onCancel }) => {
+  const rows = useMemo(() => fields
+    .filter(({ key }) => normalize(theirs[key]) !== normalize(mine[key]))
+    .map((field) => ({
+      ...field,
+      theyChanged: normalize(theirs[field.key]) !== normalize(original[field.key]),
+      iChanged: normalize(mine[field.key]) !== normalize(original[field.key])
+    })), [fields, original, theirs, mine])
+
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(rows.map(row => [row.key, row.iChanged ? 'mine' : 'theirs']))
+  )
+
+  const handleResolve = () => {
+    const merged = { ...mine }
+    rows.forEach(({ key }) => {
+      merged[key] = choices[key] === 'theirs' ? theirs[key] : mine[key]
+    })
+    onResolve(merged)
+  }
+
+  const renderValue = (field, value) => {
+    const text = field.format ? field.format(value) : normalize(value)
+    return text ? <span className="break-words whitespace-pre-wrap">{text}</span> : <span className="italic text-gray-400">empty</span>
+  }
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-3xl max-h-screen overflow-y-auto">
+        <div className="flex items-start space-x-3 mb-4">
+          <AlertTriangle className="h-6 w-6 text-yellow-500 flex-shrink-0" />
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">This ticket was changed by someone else</h3>
+            <p className="text-sm text-gray-500">
+              Choose which value to keep for each field. The merged values go back into the edit form for you to review and save.
+            </p>
+          </div>
+        </div>
+
+        {rows.length === 0 ? (
+          <p className="text-sm text-gray-600 py-4">
+            The other changes don't touch any of the fields you edited. Your edit can be saved as is.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {rows.map((row) => (
+              <div key={row.key} className="border border-gray-200 rounded-lg p-3">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm font-medium text-gray-900">{row.label}</span>
+                  {row.theyChanged && row.iChanged && (
+                    <span className="badge badge-warning">Both changed</span>
+                  )}
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  {['theirs', 'mine'].map((side) => (
+                    <label
+                      key={side}
+                      className={`flex items-start space-x-2 p-2 rounded border cursor-pointer text-sm ${
+                        choices[row.key] === side ? 'border-primary-500 bg-primary-50' : 'border-gray-200'
+                      }`}
+                    >
+                      <input
+                        type="radio"
+                        name={`conflict-${row.key}`}
+                        className="mt-0.5"
+                        checked={choices[row.key] === side}
+                        onChange={() => setChoices(prev => ({ ...prev, [row.key]: side }))}
+                      />
+                      <div className="min-w-0">
+                        <div className="text-xs font-medium text-gray-500 uppercase">
+                          {side === 'theirs' ? 'Theirs (current)' : 'Mine'}
+                        </div>
+                        <div className="text-gray-800">
+                          {renderValue(row, side === 'theirs' ? theirs[row.key] : mine[row.key])}
+                        </div>
+                      </div>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button type="button" onClick={onCancel} className="btn-secondary">
+            Discard my changes
+          </button>
+          <button type="button" onClick={handleResolve} className="btn-primary">
+            Use merged values
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ConflictDialog
@@ -0,0 +1,25 @@
+import React from 'react'
+import { Siren } from 'lucide-react'
+
+/**
+ * EscalationBadge marks a ticket an escalation rule flagged, until someone
+ * changes its status, assignee or priority.
+ *
+ * Props:
+ * - ticket (object): Ticket with its escalated_at column.
+ */
+const EscalationBadge = ({ ticket }) => {
+  if (!ticket?.escalated_at) return null
+
+  return (
+    <span
+      className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap bg-orange-100 text-orange-800"
+      title={`Escalated ${new Date(ticket.escalated_at).toLocaleString()}`}
+    >
+      <Siren className="h-3 w-3 mr-1" />
+      Escalated
+    </span>
+  )
+}
+
+export default EscalationBadge
@@ -0,0 +1,33 @@
+import React from 'react'
+import { SEARCH_HIGHLIGHT_START, SEARCH_HIGHLIGHT_END } from '../lib/supabase.js'
+
+/**
+ * Highlight renders a search snippet, wrapping the marked matches in <mark>.
+ * Snippets come from the search_tickets RPC, which delimits matches with
+ * control characters instead of HTML so ticket content is never injected as markup.
+ *
+ * Props:
+ * - text (string): Snippet containing SEARCH_HIGHLIGHT_START/END markers.
+ * - className (string): Optional class for the wrapping span.
+ */
+const Highlight = ({ text, className = '' }) => {
+  if (!text) return null
+
+  const parts = text.split(new RegExp(`(${SEARCH_HIGHLIGHT_START}[^${SEARCH_HIGHLIGHT_END}]*${SEARCH_HIGHLIGHT_END})`))
+
+  return (
+    <span className={className}>
+      {parts.map((part, index) =>
+        part.startsWith(SEARCH_HIGHLIGHT_START) ? (
+          <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+            {part.slice(1, -1)}
+          </mark>
+        ) : (
+          <React.Fragment key={index}>{part}</React.Fragment>
+        )
+      )}
+    </span>
+  )
+}
+
+export default Highlight
@@ -1,6 +1,8 @@
-import React, { useState } from 'react'
+import React, { useEffect, useState } from 'react'
 import { Outlet, Link, useLocation, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
+import { startOutboxSync } from '../lib/outbox.js'
+import useOutbox from '../hooks/useOutbox'
 import logo from '../assets/logo.png';
 import {
   Home,
@@ -11,7 +13,10 @@ import {
   Menu,
   X,
   Bell,
-  User
+  User,
+  Trash2,
+  WifiOff,
+  RefreshCw
 } from 'lucide-react'
 
 const Layout = () => {
@@ -20,6 +25,13 @@ const Layout = () => {
   const { user, profile, signOut } = useAuth()
   const location = useLocation()
   const navigate = useNavigate()
+  const { unsyncedCount, syncing, online, sync } = useOutbox()
+
+  // Replay changes queued while offline for the signed-in user
+  useEffect(() => {
+    if (!profile?.id) return undefined
+    return startOutboxSync(profile.id)
+  }, [profile?.id])
 
   const handleSignOut = async () => {
     if (isSigningOut) return; // Prevent multiple clicks
@@ -50,6 +62,7 @@ const Layout = () => {
     { name: 'Dashboard', href: '/dashboard', icon: Home, roles: ['Admin', 'HIS', 'User', 'Viewer'] },
     { name: 'Tickets', href: '/tickets', icon: Ticket, roles: ['Admin', 'HIS', 'User'] },
     { name: 'Reports', href: '/reports', icon: BarChart3, roles: ['Admin', 'HIS', 'Viewer'] },
+    { name: 'Trash', href: '/tickets/trash', icon: Trash2, roles: ['Admin'] },
     { name: 'Settings', href: '/settings', icon: Settings, roles: ['Admin', 'HIS', 'User', 'Viewer'] }
   ]
 
@@ -57,8 +70,13 @@ const Layout = () => {
     item.roles.includes(profile?.role)
   )
 
+  const matchesPath = (href) => location.pathname === href || location.pathname.startsWith(href + '/')
+
+  // The most specific entry wins, e.g. Trash rather than Tickets on /tickets/trash
   const isCurrentPage = (href) => {
-    return location.pathname === href || location.pathname.startsWith(href + '/')
+    return matchesPath(href) && !navigation.some(item =>
+      item.href.startsWith(href + '/') && matchesPath(item.href)
+    )
   }
 
   return (
@@ -119,6 +137,25 @@ const Layout = () => {
               </div>
               
               <div className="flex items-center space-x-4">
+                {/* Offline state and changes waiting to sync */}
+                {!online && (
+                  <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                    <WifiOff className="h-3 w-3 mr-1" />
+                    Offline
+                  </span>
+                )}
+                {unsyncedCount > 0 && (
+                  <button
+                    onClick={() => sync()}
+                    disabled={!online || syncing}
+                    className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800 hover:bg-yellow-200 disabled:opacity-75"
+                    title="Changes saved on this device that have not reached the server yet"
+                  >
+                    <RefreshCw className={`h-3 w-3 mr-1 ${syncing ? 'animate-spin' : ''}`} />
+                    {unsyncedCount} pending
+                  </button>
+                )}
+
                 {/* Notifications */}
                 <button className="p-2 text-gray-400 hover:text-gray-500 relative">
                   <Bell className="h-5 w-5" />
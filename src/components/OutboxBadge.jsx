@@ -0,0 +1,36 @@
+import React from 'react'
+import { AlertTriangle, CheckCircle, Clock, GitMerge, RefreshCw } from 'lucide-react'
+import { OUTBOX_STATUS } from '../lib/outbox.js'
+
+const BADGES = {
+  [OUTBOX_STATUS.PENDING]: { label: 'Pending sync', icon: Clock, className: 'bg-yellow-100 text-yellow-800' },
+  [OUTBOX_STATUS.SYNCING]: { label: 'Syncing', icon: RefreshCw, className: 'bg-blue-100 text-blue-800' },
+  [OUTBOX_STATUS.SYNCED]: { label: 'Synced', icon: CheckCircle, className: 'bg-green-100 text-green-800' },
+  [OUTBOX_STATUS.FAILED]: { label: 'Sync failed', icon: AlertTriangle, className: 'bg-red-100 text-red-800' },
+  [OUTBOX_STATUS.CONFLICT]: { label: 'Conflict', icon: GitMerge, className: 'bg-orange-100 text-orange-800' }
+}
+
+/**
+ * OutboxBadge shows where an offline change stands (see lib/outbox).
+ *
+ * Props:
+ * - status (string): An OUTBOX_STATUS value.
+ * - title (string): Tooltip, e.g. the sync error.
+ */
+const OutboxBadge = ({ status, title }) => {
+  const badge = BADGES[status]
+  if (!badge) return null
+
+  const Icon = badge.icon
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${badge.className}`}
+      title={title || badge.label}
+    >
+      <Icon className={`h-3 w-3 mr-1 ${status === OUTBOX_STATUS.SYNCING ? 'animate-spin' : ''}`} />
+      {badge.label}
+    </span>
+  )
+}
+
+export default OutboxBadge
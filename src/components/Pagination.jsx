@@ -0,0 +1,77 @@
+import React from 'react'
+import { ChevronLeft, ChevronRight } from 'lucide-react'
+
+/**
+ * Pagination renders "Showing x-y of n" with page size and previous/next controls.
+ *
+ * Props:
+ * - page (number): Current 1-based page.
+ * - pageSize (number): Rows per page.
+ * - total (number): Total number of rows across all pages.
+ * - onPageChange (fn): Called with the new page number.
+ * - onPageSizeChange (fn, optional): Called with the new page size; hides the selector when omitted.
+ * - pageSizeOptions (array): Page sizes offered in the selector.
+ * - disabled (bool): Disables all controls (e.g. while a page is loading).
+ */
+const Pagination = ({
+  page,
+  pageSize,
+  total,
+  onPageChange,
+  onPageSizeChange,
+  pageSizeOptions = [10, 25, 50, 100],
+  disabled = false
+}) => {
+  const pageCount = Math.max(1, Math.ceil(total / pageSize))
+  const from = total === 0 ? 0 : (page - 1) * pageSize + 1
+  const to = Math.min(page * pageSize, total)
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 px-6 py-3 border-t border-gray-200">
+      <div className="text-sm text-gray-500">
+        Showing {from}-{to} of {total}
+      </div>
+
+      <div className="flex items-center space-x-3">
+        {onPageSizeChange && (
+          <select
+            className="text-sm border border-gray-300 rounded px-2 py-1"
+            value={pageSize}
+            onChange={(e) => onPageSizeChange(parseInt(e.target.value))}
+            disabled={disabled}
+          >
+            {pageSizeOptions.map(size => (
+              <option key={size} value={size}>
+                {size} / page
+              </option>
+            ))}
+          </select>
+        )}
+
+        <button
+          type="button"
+          className="p-1 rounded border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={() => onPageChange(page - 1)}
+          disabled={disabled || page <= 1}
+          title="Previous page"
+        >
+          <ChevronLeft className="h-4 w-4" />
+        </button>
+        <span className="text-sm text-gray-700">
+          Page {page} of {pageCount}
+        </span>
+        <button
+          type="button"
+          className="p-1 rounded border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          onClick={() => onPageChange(page + 1)}
+          disabled={disabled || page >= pageCount}
+          title="Next page"
+        >
+          <ChevronRight className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default Pagination
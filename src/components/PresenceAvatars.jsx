@@ -0,0 +1,68 @@
+import React from 'react'
+
+const COLORS = [
+  'bg-blue-500',
+  'bg-green-500',
+  'bg-purple-500',
+  'bg-pink-500',
+  'bg-indigo-500',
+  'bg-teal-500',
+  'bg-orange-500'
+]
+
+const SIZES = {
+  md: 'h-8 w-8 text-xs',
+  sm: 'h-6 w-6 text-[10px]'
+}
+
+const getInitials = (name = '') =>
+  name
+    .split(/[\s@.]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join('') || '?'
+
+// Same colour for the same user everywhere
+const getColor = (userId = '') =>
+  COLORS[[...userId].reduce((sum, char) => sum + char.charCodeAt(0), 0) % COLORS.length]
+
+/**
+ * PresenceAvatars shows the initials of the other users who have a ticket
+ * open (see useTicketPresence), overlapping, with a "+N" for the rest.
+ *
+ * Props:
+ * - viewers (array): Presence entries with user_id, full_name and typing.
+ * - max (number): Avatars shown before collapsing into "+N".
+ * - size ('md' | 'sm'): Avatar size.
+ */
+const PresenceAvatars = ({ viewers = [], max = 4, size = 'md' }) => {
+  if (viewers.length === 0) return null
+
+  const shown = viewers.slice(0, max)
+  const hidden = viewers.length - shown.length
+
+  return (
+    <div className="flex -space-x-2">
+      {shown.map((viewer) => (
+        <span
+          key={viewer.user_id}
+          className={`${SIZES[size]} ${getColor(viewer.user_id)} inline-flex items-center justify-center rounded-full ring-2 ring-white text-white font-medium`}
+          title={`${viewer.full_name || 'Someone'} ${viewer.typing ? 'is typing…' : 'is viewing'}`}
+        >
+          {getInitials(viewer.full_name)}
+        </span>
+      ))}
+      {hidden > 0 && (
+        <span
+          className={`${SIZES[size]} inline-flex items-center justify-center rounded-full ring-2 ring-white bg-gray-200 text-gray-700 font-medium`}
+          title={viewers.slice(max).map((viewer) => viewer.full_name).join(', ')}
+        >
+          +{hidden}
+        </span>
+      )}
+    </div>
+  )
+}
+
+export default PresenceAvatars
@@ -0,0 +1,130 @@
+import React from 'react'
+import { AlertCircle, CheckCircle, Pause, Play, RotateCcw, X } from 'lucide-react'
+import AttachmentIcon from './AttachmentIcon'
+import { formatFileSize } from '../lib/attachments.js'
+
+/**
+ * ScreenshotPreview shows a selected attachment while it uploads and once it
+ * is staged: a thumbnail (or type icon), the upload progress and a remove button.
+ *
+ * Props:
+ * - screenshot (object): Entry from useAttachmentUploads (name, size, originalSize, kind, previewUrl, uploading, paused, uploaded).
+ * - progress (number): Upload percentage, -1 when the upload failed.
+ * - onRemove (function): Called with the entry id.
+ * - onPause / onResume (function): Called with the entry id; the buttons show while the file uploads.
+ * - onRetry (function): Called with the entry id after a failed upload.
+ * - disabled (boolean): Hides the remove action while a submit is in flight.
+ * - size ('md' | 'sm'): Thumbnail size; 'sm' for the comment box.
+ */
+const ScreenshotPreview = ({
+  screenshot,
+  progress,
+  onRemove,
+  onPause,
+  onResume,
+  onRetry,
+  disabled = false,
+  size = 'md'
+}) => {
+  const hasError = progress === -1
+  const compressed = screenshot.originalSize && screenshot.originalSize !== screenshot.size
+  const thumbSize = size === 'sm' ? 'w-14 h-14' : 'w-20 h-20'
+
+  return (
+    <div className="relative group bg-gray-50 rounded-lg p-2 border border-gray-200">
+      <div className={`aspect-square ${thumbSize} rounded-md overflow-hidden bg-gray-100 flex items-center justify-center`}>
+        {screenshot.previewUrl ? (
+          <img
+            src={screenshot.previewUrl}
+            alt={screenshot.name}
+            className="w-full h-full object-cover"
+            onError={(e) => {
+              e.target.style.display = 'none'
+            }}
+          />
+        ) : (
+          <AttachmentIcon kind={screenshot.kind} className="h-8 w-8" />
+        )}
+      </div>
+
+      {/* Progress indicator, with pause/resume while the upload runs */}
+      {progress !== undefined && progress >= 0 && progress < 100 && (
+        <div className="absolute inset-0 bg-black bg-opacity-50 rounded-lg flex flex-col items-center justify-center space-y-1">
+          <div className="text-white text-xs font-medium">
+            {screenshot.paused ? 'Paused' : `${progress}%`}
+          </div>
+          {screenshot.uploading && onPause && onResume && (
+            <button
+              type="button"
+              onClick={() => (screenshot.paused ? onResume(screenshot.id) : onPause(screenshot.id))}
+              className="bg-white bg-opacity-90 rounded-full p-1 text-gray-700 hover:bg-opacity-100"
+              title={screenshot.paused ? 'Resume upload' : 'Pause upload'}
+            >
+              {screenshot.paused ? <Play className="h-3 w-3" /> : <Pause className="h-3 w-3" />}
+            </button>
+          )}
+          <div className="w-3/4 h-1 bg-white bg-opacity-30 rounded">
+            <div className="h-1 bg-white rounded" style={{ width: `${progress}%` }} />
+          </div>
+        </div>
+      )}
+
+      {/* Error indicator, with a retry that resumes the upload */}
+      {hasError && (
+        <div className="absolute inset-0 bg-red-500 bg-opacity-75 rounded-lg flex flex-col items-center justify-center space-y-1">
+          <AlertCircle className="h-4 w-4 text-white" />
+          {onRetry && !screenshot.uploading && (
+            <button
+              type="button"
+              onClick={() => onRetry(screenshot.id)}
+              className="flex items-center text-xs text-white underline"
+              title="Retry upload"
+            >
+              <RotateCcw className="h-3 w-3 mr-1" />
+              Retry
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Success indicator */}
+      {screenshot.uploaded && (
+        <div className="absolute top-1 left-1">
+          <CheckCircle className="h-4 w-4 text-green-500 bg-white rounded-full" />
+        </div>
+      )}
+
+      {/* Remove button */}
+      <button
+        type="button"
+        onClick={() => onRemove(screenshot.id)}
+        className="absolute -top-1 -right-1 bg-red-500 text-white rounded-full p-1 opacity-0 group-hover:opacity-100 transition-opacity"
+        disabled={disabled}
+      >
+        <X className="h-3 w-3" />
+      </button>
+
+      {/* File name */}
+      <div
+        className={`mt-1 text-xs text-gray-600 truncate ${size === 'sm' ? 'max-w-[3.5rem]' : ''}`}
+        title={screenshot.name}
+      >
+        {screenshot.name}
+      </div>
+
+      {/* File size, with the original size when the image was compressed */}
+      <div className="text-xs text-gray-400">
+        {compressed ? (
+          <span title={`Compressed from ${formatFileSize(screenshot.originalSize)}`}>
+            <span className="line-through">{formatFileSize(screenshot.originalSize)}</span>{' '}
+            <span className="text-green-600">{formatFileSize(screenshot.size)}</span>
+          </span>
+        ) : (
+          formatFileSize(screenshot.size)
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ScreenshotPreview
@@ -0,0 +1,65 @@
+import React, { useEffect, useState } from 'react'
+import { AlertTriangle, CheckCircle, Clock, XCircle } from 'lucide-react'
+import { SLA_STATUS, formatSlaDuration, getCurrentSlaTarget, getSlaTarget } from '../lib/sla.js'
+import useBaseCalendars from '../hooks/useBaseCalendars'
+
+// Countdowns are accurate to the minute
+const TICK_MS = 30 * 1000
+
+const STYLES = {
+  [SLA_STATUS.ON_TRACK]: { icon: Clock, className: 'bg-gray-100 text-gray-700' },
+  [SLA_STATUS.DUE_SOON]: { icon: Clock, className: 'bg-yellow-100 text-yellow-800' },
+  [SLA_STATUS.BREACHED]: { icon: AlertTriangle, className: 'bg-red-100 text-red-800' },
+  [SLA_STATUS.MET]: { icon: CheckCircle, className: 'bg-green-100 text-green-800' },
+  [SLA_STATUS.MISSED]: { icon: XCircle, className: 'bg-red-50 text-red-700' }
+}
+
+const describe = (target) => {
+  switch (target.status) {
+    case SLA_STATUS.BREACHED:
+      return `overdue ${formatSlaDuration(target.remaining)}`
+    case SLA_STATUS.MET:
+      return 'met'
+    case SLA_STATUS.MISSED:
+      return `missed by ${formatSlaDuration(target.late)}`
+    default:
+      return `${formatSlaDuration(target.remaining)} left`
+  }
+}
+
+/**
+ * SlaBadge counts down to a ticket's SLA deadline (see lib/sla), in working
+ * hours at the ticket's base.
+ *
+ * Props:
+ * - ticket (object): Ticket with its SLA columns.
+ * - kind ('first_response'|'resolution'): Target to show; defaults to the one
+ *   that matters now.
+ * - hideMet (boolean): Render nothing once the target was met, for lists.
+ */
+const SlaBadge = ({ ticket, kind, hideMet = false }) => {
+  const [now, setNow] = useState(Date.now())
+  const { getCalendar } = useBaseCalendars()
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS)
+    return () => clearInterval(timer)
+  }, [])
+
+  const calendar = getCalendar(ticket?.base_id)
+  const target = kind ? getSlaTarget(ticket, kind, now, calendar) : getCurrentSlaTarget(ticket, now, calendar)
+  if (!target || (hideMet && target.status === SLA_STATUS.MET)) return null
+
+  const { icon: Icon, className } = STYLES[target.status]
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${className}`}
+      title={`${target.label} due ${new Date(target.dueAt).toLocaleString()}`}
+    >
+      <Icon className="h-3 w-3 mr-1" />
+      {target.label}: {describe(target)}
+    </span>
+  )
+}
+
+export default SlaBadge
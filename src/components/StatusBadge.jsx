@@ -0,0 +1,22 @@
+import React from 'react'
+import useTicketStatuses from '../hooks/useTicketStatuses'
+import { getStatusStyle } from '../lib/ticketStatuses.js'
+
+/**
+ * StatusBadge shows a ticket status in the color an Admin gave it (see
+ * lib/ticketStatuses).
+ *
+ * Props:
+ * - status (string): Status name.
+ */
+const StatusBadge = ({ status }) => {
+  const { getStatus } = useTicketStatuses()
+
+  return (
+    <span className="badge" style={getStatusStyle(getStatus(status))}>
+      {status || 'Unknown'}
+    </span>
+  )
+}
+
+export default StatusBadge
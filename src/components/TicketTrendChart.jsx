@@ -0,0 +1,43 @@
+import React from 'react'
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts'
+
+const formatDay = (day) =>
+  new Date(`${day}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+
+/**
+ * TicketTrendChart draws tickets created and resolved per day.
+ *
+ * Props:
+ * - data (array): The `daily` series from db.getTicketStats ([{ day, created, resolved }]).
+ * - height (number): Chart height in pixels.
+ */
+const TicketTrendChart = ({ data = [], height = 300 }) => {
+  if (data.length === 0) {
+    return <p className="text-gray-500 text-center py-8">No data for this period.</p>
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="day" tickFormatter={formatDay} minTickGap={16} />
+        <YAxis allowDecimals={false} />
+        <Tooltip labelFormatter={formatDay} />
+        <Legend />
+        <Line type="monotone" dataKey="created" name="Created" stroke="#3B82F6" dot={false} />
+        <Line type="monotone" dataKey="resolved" name="Resolved" stroke="#22C55E" dot={false} />
+      </LineChart>
+    </ResponsiveContainer>
+  )
+}
+
+export default TicketTrendChart
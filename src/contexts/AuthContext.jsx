@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useEffect, useRef, useState } from 'react'
 import { supabase, db } from '../lib/supabase'
+import { clearOfflineData } from '../lib/pwa'
 
 const AuthContext = createContext({})
 
@@ -49,6 +50,9 @@ export const AuthProvider = ({ children }) => {
       
       // Clear session storage as well
       sessionStorage.clear()
+
+      // Tickets cached for offline reading belong to this user
+      clearOfflineData()
     } catch (error) {
       console.warn('⚠️ Could not clear storage completely:', error)
     }
@@ -0,0 +1,430 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { db } from '../lib/supabase.js';
+import { UploadAbortedError } from '../lib/resumableUpload.js';
+import {
+  MAX_ATTACHMENT_SIZE,
+  computeChecksum,
+  getAttachmentKind,
+  getAttachmentMimeType,
+  getFileExtension,
+} from '../lib/attachments.js';
+import {
+  IMAGE_COMPRESSION,
+  MAX_IMAGE_INPUT_SIZE,
+  compressImage,
+  isCompressibleImage,
+} from '../lib/imageCompression.js';
+
+const createFileId = () =>
+  `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const toMegabytes = (bytes) => `${Math.round(bytes / 1024 / 1024)}MB`;
+
+// File validation helper. Images that will be compressed only need to fit the
+// attachment limit after compression, so the original may be larger.
+export const validateAttachmentFile = (file, { compressImages = true } = {}) => {
+  const errors = [];
+  const mimeType = getAttachmentMimeType(file.type, file.name);
+
+  if (!mimeType) {
+    errors.push(
+      `${file.name}: Unsupported file type. Use images, PDF, text/log, Office or ZIP files.`
+    );
+  }
+
+  const maxSize =
+    compressImages && isCompressibleImage(mimeType)
+      ? MAX_IMAGE_INPUT_SIZE
+      : MAX_ATTACHMENT_SIZE;
+  if (file.size > maxSize) {
+    errors.push(`${file.name}: File too large. Maximum size is ${toMegabytes(maxSize)}.`);
+  }
+
+  return errors;
+};
+
+// Resized, metadata-free copy of an image; other files pass through as-is
+const prepareFile = async (file, compression) => {
+  const mimeType = getAttachmentMimeType(file.type, file.name);
+  if (!compression || !isCompressibleImage(mimeType)) return file;
+
+  return compressImage(file, { ...compression, type: mimeType });
+};
+
+// Pasted screenshots all arrive as "image.png"; give them distinct names
+const nameClipboardFile = (file, index) => {
+  const extension = getFileExtension(file.name) || file.type.split('/').pop();
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return new File([file], `pasted_${stamp}_${index + 1}.${extension}`, {
+    type: file.type,
+  });
+};
+
+/**
+ * Attachments for a ticket or comment that is still being written: validation,
+ * drag and drop, clipboard paste, previews and per-file upload progress. Used
+ * by the create ticket form and the comment box on the ticket detail page.
+ *
+ * Images are resized and re-encoded when added (see lib/imageCompression),
+ * which also strips their EXIF data. Pass compression: false to upload
+ * originals, or { maxDimension, quality } to override the defaults. Entries
+ * keep the original size in originalSize; processing is true while images
+ * are being compressed.
+ *
+ * Files are staged as soon as they are added: uploaded one at a time to the
+ * user's uploads folder and recorded as attachments without a ticket. The
+ * page then creates the ticket or comment together with stagedAttachmentIds
+ * in one call (db.createTicketWithAttachments, db.addTicketCommentWithAttachments)
+ * and calls clearCommittedFiles. Uploads are resumable: uploadProgress holds
+ * the percentage of bytes the server has confirmed (-1 after a failure),
+ * pauseUpload/resumeUpload control the file in flight and retryUpload picks
+ * a failed file up where it stopped. Removing a staged file discards it on
+ * the server; anything left behind is removed by the cleanup-attachments job.
+ */
+export const useAttachmentUploads = ({
+  maxFiles = 5,
+  compression = IMAGE_COMPRESSION,
+} = {}) => {
+  const [files, setFiles] = useState([]);
+  const [processing, setProcessing] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState({});
+  const [dragActive, setDragActive] = useState(false);
+  // Bumped when a staging upload settles, to start the next one
+  const [queueTick, setQueueTick] = useState(0);
+  const fileInputRef = useRef(null);
+  const activeUploadRef = useRef(null);
+  const { user } = useAuth();
+
+  // Latest files, so object URLs can be revoked when the component unmounts
+  const filesRef = useRef(files);
+  filesRef.current = files;
+
+  // Resumable upload and storage path per file id, kept until it is staged
+  const uploadsRef = useRef({});
+
+  useEffect(() => {
+    return () => {
+      filesRef.current.forEach((file) => {
+        if (file.previewUrl) URL.revokeObjectURL(file.previewUrl);
+      });
+      Object.values(uploadsRef.current).forEach(({ upload }) => upload.abort());
+    };
+  }, []);
+
+  const setFileState = useCallback((fileId, changes) => {
+    setFiles((prev) =>
+      prev.map((f) => (f.id === fileId ? { ...f, ...changes } : f))
+    );
+  }, []);
+
+  const addFiles = useCallback(
+    async (selected) => {
+      const fileArray = Array.from(selected);
+      const totalFiles = files.length + fileArray.length;
+
+      if (totalFiles > maxFiles) {
+        toast.error(
+          `Maximum ${maxFiles} attachments allowed. You're trying to add ${fileArray.length} more to existing ${files.length}.`
+        );
+        return;
+      }
+
+      const validationErrors = fileArray.flatMap((file) =>
+        validateAttachmentFile(file, { compressImages: Boolean(compression) })
+      );
+      if (validationErrors.length > 0) {
+        toast.error(validationErrors.join('\n'));
+        return;
+      }
+
+      setProcessing(true);
+      const added = [];
+
+      try {
+        for (const original of fileArray) {
+          let file;
+          try {
+            file = await prepareFile(original, compression);
+          } catch (error) {
+            // Never fall back to the original: it would keep its EXIF data
+            console.error(`Failed to compress ${original.name}:`, error);
+            toast.error(`${original.name}: Could not process this image.`);
+            continue;
+          }
+
+          if (file.size > MAX_ATTACHMENT_SIZE) {
+            toast.error(
+              `${original.name}: File too large even after compression. Maximum size is ${toMegabytes(MAX_ATTACHMENT_SIZE)}.`
+            );
+            continue;
+          }
+
+          const kind = getAttachmentKind(file.type, file.name);
+
+          added.push({
+            id: createFileId(),
+            file,
+            kind,
+            // Images get a thumbnail; other files show a type icon
+            previewUrl: kind === 'image' ? URL.createObjectURL(file) : null,
+            name: file.name,
+            size: file.size,
+            originalSize: original.size,
+            uploaded: false,
+            uploading: false,
+            paused: false,
+            failed: false,
+            path: null,
+            attachmentId: null,
+          });
+        }
+      } finally {
+        setProcessing(false);
+      }
+
+      if (added.length > 0) {
+        setFiles((prev) => [...prev, ...added]);
+      }
+    },
+    [files.length, maxFiles, compression]
+  );
+
+  // Removes a file from the list; a staged file is discarded on the server
+  const removeFile = useCallback((fileId) => {
+    uploadsRef.current[fileId]?.upload.abort();
+    delete uploadsRef.current[fileId];
+
+    const removed = filesRef.current.find((f) => f.id === fileId);
+    if (removed?.attachmentId) {
+      db.discardStagedAttachment(removed.attachmentId, removed.path);
+    }
+
+    setFiles((prev) => {
+      const match = prev.find((f) => f.id === fileId);
+      if (match?.previewUrl) {
+        URL.revokeObjectURL(match.previewUrl);
+      }
+      return prev.filter((f) => f.id !== fileId);
+    });
+  }, []);
+
+  // Forgets the list; with discard, staged files are removed on the server
+  const resetFiles = useCallback((discard) => {
+    Object.values(uploadsRef.current).forEach(({ upload }) => upload.abort());
+    uploadsRef.current = {};
+
+    filesRef.current.forEach((f) => {
+      if (discard && f.attachmentId) {
+        db.discardStagedAttachment(f.attachmentId, f.path);
+      }
+      if (f.previewUrl) URL.revokeObjectURL(f.previewUrl);
+    });
+    setFiles([]);
+    setUploadProgress({});
+  }, []);
+
+  const clearFiles = useCallback(() => resetFiles(true), [resetFiles]);
+
+  // After the ticket or comment was created with the staged files
+  const clearCommittedFiles = useCallback(() => resetFiles(false), [resetFiles]);
+
+  // Drag and drop handlers
+  const handleDragEnter = useCallback((e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(true);
+  }, []);
+
+  const handleDragLeave = useCallback((e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setDragActive(false);
+    }
+  }, []);
+
+  const handleDragOver = useCallback((e) => {
+    e.preventDefault();
+    e.stopPropagation();
+  }, []);
+
+  const handleDrop = useCallback(
+    (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      setDragActive(false);
+
+      if (e.dataTransfer.files?.length > 0) {
+        addFiles(e.dataTransfer.files);
+      }
+    },
+    [addFiles]
+  );
+
+  // File input handler
+  const handleFileInput = useCallback(
+    (e) => {
+      if (e.target.files?.length > 0) {
+        addFiles(e.target.files);
+      }
+      // Reset input to allow re-selecting same files
+      e.target.value = '';
+    },
+    [addFiles]
+  );
+
+  // Files pasted into a text field; plain text pastes are left alone
+  const handlePaste = useCallback(
+    (e) => {
+      const pasted = Array.from(e.clipboardData?.files || []);
+      if (pasted.length === 0) return;
+
+      e.preventDefault();
+      addFiles(pasted.map(nameClipboardFile));
+    },
+    [addFiles]
+  );
+
+  const stageFile = useCallback(
+    async (item) => {
+      try {
+        const mimeType = getAttachmentMimeType(item.file.type, item.file.name);
+
+        // A file that failed before resumes its existing upload
+        let pending = uploadsRef.current[item.id];
+        if (!pending) {
+          const extension = getFileExtension(item.file.name);
+          const path = `uploads/${user.id}/${createFileId()}${extension ? `.${extension}` : ''}`;
+
+          pending = {
+            path,
+            upload: db.createTicketAttachmentUpload(path, item.file, {
+              contentType: mimeType,
+              onProgress: (bytesUploaded, bytesTotal) => {
+                const percent = bytesTotal
+                  ? Math.floor((bytesUploaded / bytesTotal) * 100)
+                  : 100;
+                setUploadProgress((prev) => ({ ...prev, [item.id]: percent }));
+              },
+            }),
+          };
+          uploadsRef.current[item.id] = pending;
+          setUploadProgress((prev) => ({ ...prev, [item.id]: 0 }));
+        }
+
+        const { path, upload } = pending;
+        setFileState(item.id, { uploading: true, failed: false });
+
+        const checksum = await computeChecksum(item.file);
+        await upload.start();
+
+        // Staged: recorded without a ticket until the form is submitted
+        const attachment = await db.recordTicketAttachment({
+          ticket_id: null,
+          storage_path: path,
+          file_name: item.file.name,
+          mime_type: mimeType,
+          size_bytes: item.file.size,
+          checksum,
+        });
+
+        delete uploadsRef.current[item.id];
+        setUploadProgress((prev) => ({ ...prev, [item.id]: 100 }));
+        setFileState(item.id, {
+          uploading: false,
+          uploaded: true,
+          path,
+          attachmentId: attachment.id,
+        });
+      } catch (error) {
+        // Removed by the user mid-upload
+        if (error instanceof UploadAbortedError) return;
+
+        console.error(`Failed to upload ${item.name}:`, error);
+        setUploadProgress((prev) => ({ ...prev, [item.id]: -1 })); // Error state
+        setFileState(item.id, { uploading: false, failed: true });
+        toast.error(`Failed to upload ${item.name}`);
+      }
+    },
+    [user?.id, setFileState]
+  );
+
+  // Stage queued files one at a time, so a slow link is not split between them
+  useEffect(() => {
+    if (activeUploadRef.current || !user?.id) return;
+
+    const next = files.find((f) => !f.uploaded && !f.uploading && !f.failed);
+    if (!next) return;
+
+    activeUploadRef.current = next.id;
+    stageFile(next).finally(() => {
+      activeUploadRef.current = null;
+      setQueueTick((tick) => tick + 1);
+    });
+  }, [files, queueTick, user?.id, stageFile]);
+
+  const retryUpload = useCallback(
+    (fileId) => {
+      setUploadProgress((prev) => ({ ...prev, [fileId]: 0 }));
+      setFileState(fileId, { failed: false });
+    },
+    [setFileState]
+  );
+
+  const pauseUpload = useCallback(
+    (fileId) => {
+      uploadsRef.current[fileId]?.upload.pause();
+      setFileState(fileId, { paused: true });
+    },
+    [setFileState]
+  );
+
+  const resumeUpload = useCallback(
+    (fileId) => {
+      uploadsRef.current[fileId]?.upload.resume();
+      setFileState(fileId, { paused: false });
+    },
+    [setFileState]
+  );
+
+  const { stagedAttachmentIds, stagedPaths, pendingCount, failedCount } = useMemo(
+    () => ({
+      stagedAttachmentIds: files.filter((f) => f.uploaded).map((f) => f.attachmentId),
+      stagedPaths: files.filter((f) => f.uploaded).map((f) => f.path),
+      pendingCount: files.filter((f) => !f.uploaded && !f.failed).length,
+      failedCount: files.filter((f) => f.failed).length,
+    }),
+    [files]
+  );
+
+  return {
+    files,
+    processing,
+    uploadProgress,
+    dragActive,
+    fileInputRef,
+    addFiles,
+    removeFile,
+    clearFiles,
+    clearCommittedFiles,
+    pauseUpload,
+    resumeUpload,
+    retryUpload,
+    stagedAttachmentIds,
+    stagedPaths,
+    pendingCount,
+    failedCount,
+    handleFileInput,
+    handlePaste,
+    dragHandlers: {
+      onDragEnter: handleDragEnter,
+      onDragLeave: handleDragLeave,
+      onDragOver: handleDragOver,
+      onDrop: handleDrop,
+    },
+  };
+};
+
+export default useAttachmentUploads;
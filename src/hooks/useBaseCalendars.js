@@ -0,0 +1,25 @@
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { db } from '../lib/supabase.js';
+
+/**
+ * Business-hours calendars of all bases (see lib/businessHours), shared
+ * through the query cache. getCalendar(baseId) is null for bases without a
+ * calendar, which count calendar time.
+ */
+export const useBaseCalendars = () => {
+  const { data: bases = [], isLoading } = useQuery({
+    queryKey: ['baseCalendars'],
+    queryFn: () => db.getBaseCalendars(),
+  });
+
+  const byBase = useMemo(() => new Map(bases.map((base) => [base.id, base.calendar])), [bases]);
+
+  return {
+    bases,
+    isLoading,
+    getCalendar: (baseId) => byBase.get(baseId) || null,
+  };
+};
+
+export default useBaseCalendars;
@@ -0,0 +1,64 @@
+import { useEffect, useMemo, useState } from 'react';
+import {
+  OUTBOX_STATUS,
+  discardOutboxEntry,
+  isOffline,
+  retryOutboxEntry,
+  subscribeToOutbox,
+  syncOutbox,
+} from '../lib/outbox.js';
+
+/**
+ * Live view of the offline outbox (see lib/outbox). When ticketId is passed,
+ * only the entries for that ticket (none while it is still null). online
+ * follows the browser's connection state.
+ */
+export const useOutbox = ({ ticketId } = {}) => {
+  const [entries, setEntries] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [online, setOnline] = useState(!isOffline());
+
+  useEffect(
+    () =>
+      subscribeToOutbox((next, state) => {
+        setEntries(next);
+        setSyncing(state.syncing);
+      }),
+    []
+  );
+
+  useEffect(() => {
+    const update = () => setOnline(!isOffline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  const visible = useMemo(
+    () =>
+      ticketId === undefined
+        ? entries
+        : entries.filter((entry) => entry.ticketId === ticketId),
+    [entries, ticketId]
+  );
+
+  const unsyncedCount = useMemo(
+    () => visible.filter((entry) => entry.status !== OUTBOX_STATUS.SYNCED).length,
+    [visible]
+  );
+
+  return {
+    entries: visible,
+    unsyncedCount,
+    syncing,
+    online,
+    sync: syncOutbox,
+    retry: retryOutboxEntry,
+    discard: discardOutboxEntry,
+  };
+};
+
+export default useOutbox;
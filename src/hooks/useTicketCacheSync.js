@@ -0,0 +1,112 @@
+import { useEffect } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { useAuth } from '../contexts/AuthContext';
+import { db, subscriptions } from '../lib/supabase.js';
+
+// Stats are refetched once changes stop arriving for this long
+const STATS_REFRESH_DELAY = 2000;
+const RECENT_TICKETS_LIMIT = 5;
+
+// Shown through joins (base name, people) that realtime payloads lack
+const JOINED_COLUMNS = ['base_id', 'assigned_to', 'created_by'];
+
+// recentTickets query keys end with the base name they are filtered to, or 'all'
+const inScope = (queryKey, ticket) => queryKey[1] === 'all' || queryKey[1] === ticket.base_name;
+
+/**
+ * Keeps the cached ticket queries current from the realtime changes in the
+ * signed-in user's scope (subscriptions.ticketsForProfile).
+ *
+ * recentTickets lists are patched in place: changed rows are merged, new
+ * tickets are added and deleted or trashed ones removed. ticketStats is
+ * refetched instead, debounced: aggregates cannot be derived from one row,
+ * since under RLS the payload carries no old values.
+ */
+export const useTicketCacheSync = () => {
+  const { profile } = useAuth();
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!profile?.id) return undefined;
+
+    let channel = null;
+    let cancelled = false;
+    let statsTimer = null;
+
+    const refreshStats = () => {
+      clearTimeout(statsTimer);
+      statsTimer = setTimeout(
+        () => queryClient.invalidateQueries({ queryKey: ['ticketStats'] }),
+        STATS_REFRESH_DELAY
+      );
+    };
+
+    const updateRecentLists = (updater) => {
+      queryClient.getQueriesData({ queryKey: ['recentTickets'] }).forEach(([queryKey, tickets]) => {
+        if (tickets) queryClient.setQueryData(queryKey, updater(tickets, queryKey));
+      });
+    };
+
+    const removeTicket = (id) =>
+      updateRecentLists((tickets) => tickets.filter((ticket) => ticket.id !== id));
+
+    const handleChange = async ({ eventType, new: row, old }) => {
+      refreshStats();
+
+      if (eventType === 'DELETE' || row?.deleted_at) {
+        removeTicket(old?.id || row?.id);
+        return;
+      }
+
+      const cached = queryClient
+        .getQueriesData({ queryKey: ['recentTickets'] })
+        .flatMap(([, tickets]) => tickets || [])
+        .find((ticket) => ticket.id === row.id);
+
+      // Plain column changes are merged; anything shown through a join needs
+      // the row in list shape
+      if (eventType === 'UPDATE' && cached && !JOINED_COLUMNS.some((column) => row[column] !== cached[column])) {
+        updateRecentLists((tickets) =>
+          tickets.map((ticket) => (ticket.id === row.id ? { ...ticket, ...row } : ticket))
+        );
+        return;
+      }
+      if (eventType === 'UPDATE' && !cached) return;
+
+      try {
+        const summary = await db.getTicketSummary(row.id);
+        if (!summary) {
+          removeTicket(row.id);
+          return;
+        }
+
+        updateRecentLists((tickets, queryKey) => {
+          const others = tickets.filter((ticket) => ticket.id !== summary.id);
+          if (!inScope(queryKey, summary)) return others;
+
+          return [summary, ...others]
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .slice(0, RECENT_TICKETS_LIMIT);
+        });
+      } catch (error) {
+        console.error('❌ Error patching cached tickets:', error);
+      }
+    };
+
+    subscriptions
+      .ticketsForProfile(profile, handleChange)
+      .then((subscribed) => {
+        if (cancelled) subscribed.unsubscribe();
+        else channel = subscribed;
+      })
+      .catch((error) => console.error('❌ Error subscribing to ticket changes:', error));
+
+    return () => {
+      cancelled = true;
+      clearTimeout(statsTimer);
+      channel?.unsubscribe();
+    };
+  }, [profile, queryClient]);
+};
+
+export default useTicketCacheSync;
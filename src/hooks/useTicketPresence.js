@@ -0,0 +1,95 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { subscriptions } from '../lib/supabase.js';
+
+// One entry per user: several tabs on the same ticket count once, and the
+// user is typing if any of them is
+const groupByUser = (metas) =>
+  Object.values(
+    metas.reduce((acc, meta) => {
+      const current = acc[meta.user_id];
+      acc[meta.user_id] = current
+        ? { ...current, typing: current.typing || meta.typing }
+        : meta;
+      return acc;
+    }, {})
+  );
+
+/**
+ * Ticket presence for the signed-in user (see subscriptions.ticketPresence).
+ *
+ * With ticketId the user is announced as viewing that ticket, and as typing
+ * while typing is true. ticketIds are only watched, for lists. Returns the
+ * other users on ticketId (viewers) and the other users per watched ticket
+ * (viewersByTicket).
+ */
+export const useTicketPresence = ({ ticketId = null, typing = false, ticketIds = [] } = {}) => {
+  const { profile } = useAuth();
+  const [presenceByTicket, setPresenceByTicket] = useState({});
+  const channelRef = useRef(null);
+  const [subscribed, setSubscribed] = useState(false);
+
+  // One channel per ticket; a stable key so a re-render with the same
+  // tickets keeps the channels
+  const watchedKey = [...new Set([ticketId, ...ticketIds].filter(Boolean))].sort().join(',');
+
+  useEffect(() => {
+    if (!profile?.id || !watchedKey) return undefined;
+
+    const channels = watchedKey.split(',').map((id) => {
+      const channel = subscriptions.ticketPresence(
+        id,
+        profile.id,
+        (state) => setPresenceByTicket((current) => ({ ...current, [id]: state })),
+        (status) => {
+          if (id === ticketId) setSubscribed(status === 'SUBSCRIBED');
+        }
+      );
+      if (id === ticketId) channelRef.current = channel;
+      return channel;
+    });
+
+    return () => {
+      channelRef.current = null;
+      setSubscribed(false);
+      setPresenceByTicket({});
+      channels.forEach((channel) => channel.unsubscribe());
+    };
+  }, [profile?.id, watchedKey, ticketId]);
+
+  // Announce (or update) what this tab is doing
+  useEffect(() => {
+    const channel = channelRef.current;
+    if (!subscribed || !channel || !ticketId) return;
+
+    channel
+      .track({
+        user_id: profile.id,
+        full_name: profile.full_name || profile.email,
+        ticket_id: ticketId,
+        typing,
+        online_at: new Date().toISOString(),
+      })
+      .catch((error) => console.warn('⚠️ Could not update presence:', error));
+  }, [subscribed, ticketId, typing, profile]);
+
+  const viewersByTicket = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(presenceByTicket)
+          .map(([id, state]) => [
+            id,
+            groupByUser(Object.values(state).flat().filter((meta) => meta.user_id !== profile?.id)),
+          ])
+          .filter(([, viewers]) => viewers.length > 0)
+      ),
+    [presenceByTicket, profile?.id]
+  );
+
+  return {
+    viewers: (ticketId && viewersByTicket[ticketId]) || [],
+    viewersByTicket,
+  };
+};
+
+export default useTicketPresence;
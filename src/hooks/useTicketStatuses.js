@@ -0,0 +1,37 @@
+import { useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { db } from '../lib/supabase.js';
+import {
+  DEFAULT_TICKET_STATUSES,
+  getAllowedStatuses,
+  isTransitionAllowed,
+} from '../lib/ticketStatuses.js';
+
+/**
+ * The ticket statuses in workflow order and their transition rules (see
+ * lib/ticketStatuses), shared through the query cache. Until they have
+ * loaded, statuses are the defaults and no transitions are allowed.
+ */
+export const useTicketStatuses = () => {
+  const { data, isLoading } = useQuery({
+    queryKey: ['ticketStatuses'],
+    queryFn: () => db.getTicketStatuses(),
+  });
+
+  const statuses = data?.statuses || DEFAULT_TICKET_STATUSES;
+  const transitions = data?.transitions || [];
+
+  const byName = useMemo(() => new Map(statuses.map((status) => [status.name, status])), [statuses]);
+
+  return {
+    statuses,
+    transitions,
+    isLoading,
+    getStatus: (name) => byName.get(name) || null,
+    initialStatus: statuses.find((status) => status.is_initial) || statuses[0],
+    getAllowedStatuses: (from, role) => getAllowedStatuses(statuses, transitions, from, role),
+    canTransition: (from, to, role) => isTransitionAllowed(transitions, from, to, role),
+  };
+};
+
+export default useTicketStatuses;
@@ -0,0 +1,84 @@
+// File types accepted as ticket attachments and helpers shared by the pages
+// that upload and display them.
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10MB, also the bucket limit
+
+// Accepted MIME types and the kind of attachment each one is
+export const ATTACHMENT_TYPES = {
+  'image/jpeg': 'image',
+  'image/jpg': 'image',
+  'image/png': 'image',
+  'image/gif': 'image',
+  'image/webp': 'image',
+  'application/pdf': 'pdf',
+  'text/plain': 'text',
+  'text/csv': 'text',
+  'application/json': 'text',
+  'application/msword': 'document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'document',
+  'application/vnd.ms-excel': 'spreadsheet',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'spreadsheet',
+  'application/vnd.ms-powerpoint': 'presentation',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'presentation',
+  'application/zip': 'archive',
+  'application/x-zip-compressed': 'archive',
+};
+
+// Browsers report an empty or generic type for some files (.log in particular),
+// so the extension decides the type when the MIME type is not recognised.
+const EXTENSION_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  log: 'text/plain',
+  csv: 'text/csv',
+  json: 'application/json',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  zip: 'application/zip',
+};
+
+// Value for the accept attribute of file inputs
+export const ATTACHMENT_ACCEPT = [
+  ...Object.keys(ATTACHMENT_TYPES),
+  ...Object.keys(EXTENSION_TYPES).map(ext => `.${ext}`),
+].join(',');
+
+// Kinds the detail page can show inline; the rest are download-only
+export const PREVIEWABLE_KINDS = ['image', 'pdf', 'text'];
+
+export const getFileExtension = (fileName = '') =>
+  fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+// The MIME type to store for a file, or null when the type is not accepted
+export const getAttachmentMimeType = (mimeType, fileName) => {
+  if (ATTACHMENT_TYPES[mimeType]) return mimeType;
+  return EXTENSION_TYPES[getFileExtension(fileName)] || null;
+};
+
+// 'image' | 'pdf' | 'text' | 'document' | 'spreadsheet' | 'presentation' | 'archive' | 'file'
+export const getAttachmentKind = (mimeType, fileName) =>
+  ATTACHMENT_TYPES[getAttachmentMimeType(mimeType, fileName)] || 'file';
+
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return 'Unknown size';
+  if (bytes < 1024) return `${bytes}B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)}KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+};
+
+// Hex SHA-256 of the file contents
+export const computeChecksum = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
@@ -0,0 +1,113 @@
+// Working time at a base. A base calendar has a timezone, working hours per
+// ISO weekday ({ "1": ["08:00", "17:00"], ... }, days left out are closed)
+// and a list of holidays ("YYYY-MM-DD"). The database uses the same rules for
+// SLA due times (sla_due_at) and reports (business_minutes_between); this
+// mirrors them for countdowns in the browser. Without a calendar everything
+// is plain calendar time.
+
+export const WEEKDAYS = [
+  { day: '1', name: 'Monday' },
+  { day: '2', name: 'Tuesday' },
+  { day: '3', name: 'Wednesday' },
+  { day: '4', name: 'Thursday' },
+  { day: '5', name: 'Friday' },
+  { day: '6', name: 'Saturday' },
+  { day: '7', name: 'Sunday' },
+];
+
+export const DEFAULT_WORKING_HOURS = {
+  1: ['08:00', '17:00'],
+  2: ['08:00', '17:00'],
+  3: ['08:00', '17:00'],
+  4: ['08:00', '17:00'],
+  5: ['08:00', '17:00'],
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+export const isValidTimezone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Wall-clock time at the base as if it were UTC, so day arithmetic can use
+// getUTC* without caring about the browser's own timezone
+const toZoned = (ms, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(new Date(ms))
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+const parseTime = (value) => {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return (hours * 60 + (minutes || 0)) * MINUTE_MS;
+};
+
+const isoDate = (dayStartMs) => new Date(dayStartMs).toISOString().slice(0, 10);
+
+// Working window of a day (start of day in zoned time), or null when closed
+const getWindow = (calendar, dayStartMs, holidays) => {
+  const weekday = new Date(dayStartMs).getUTCDay() || 7;
+  const hours = calendar.working_hours?.[weekday];
+  if (!hours || holidays.has(isoDate(dayStartMs))) return null;
+
+  const open = dayStartMs + parseTime(hours[0]);
+  const close = dayStartMs + parseTime(hours[1]);
+  return close > open ? { open, close } : null;
+};
+
+const getHolidays = (calendar) => new Set((calendar.holidays || []).map((holiday) => holiday.holiday || holiday));
+
+const hasWorkingTime = (calendar) =>
+  Boolean(calendar?.working_hours) && Object.values(calendar.working_hours).some((hours) => hours?.length === 2);
+
+// Working milliseconds at the base between two instants
+export const businessMsBetween = (calendar, fromMs, toMs) => {
+  if (!(toMs > fromMs)) return 0;
+  if (!hasWorkingTime(calendar)) return toMs - fromMs;
+
+  const timeZone = calendar.timezone || 'UTC';
+  const holidays = getHolidays(calendar);
+  const from = toZoned(fromMs, timeZone);
+  const to = toZoned(toMs, timeZone);
+
+  let total = 0;
+  for (let day = from - (from % DAY_MS); day <= to; day += DAY_MS) {
+    const window = getWindow(calendar, day, holidays);
+    if (window) total += Math.max(0, Math.min(window.close, to) - Math.max(window.open, from));
+  }
+  return total;
+};
+
+export const businessMinutesBetween = (calendar, fromMs, toMs) =>
+  Math.round(businessMsBetween(calendar, fromMs, toMs) / MINUTE_MS);
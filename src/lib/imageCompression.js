@@ -0,0 +1,138 @@
+// In-browser image resizing before upload. Images are decoded and redrawn on a
+// canvas, so the uploaded file carries pixels only: EXIF data (GPS position,
+// camera and device details) is dropped along with every other metadata block.
+
+const env = import.meta.env || {};
+
+const readSetting = (value, fallback, min, max) => {
+  const number = Number(value);
+  return value && number >= min && number <= max ? number : fallback;
+};
+
+// Set at build time with VITE_IMAGE_MAX_DIMENSION and VITE_IMAGE_QUALITY;
+// VITE_IMAGE_COMPRESSION=off uploads images as they are
+export const IMAGE_COMPRESSION =
+  env.VITE_IMAGE_COMPRESSION === 'off'
+    ? null
+    : {
+        maxDimension: readSetting(env.VITE_IMAGE_MAX_DIMENSION, 1920, 1, 16384), // longest side, in pixels
+        quality: readSetting(env.VITE_IMAGE_QUALITY, 0.8, 0.01, 1), // JPEG/WebP encoder quality, 0-1
+      };
+
+// Originals above this are not decoded at all; phones stay well below it
+export const MAX_IMAGE_INPUT_SIZE = 40 * 1024 * 1024;
+
+// GIFs are left alone so animations survive
+const COMPRESSIBLE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+export const isCompressibleImage = (mimeType) =>
+  COMPRESSIBLE_TYPES.includes(mimeType);
+
+// Decoded image with the EXIF orientation already applied
+const loadImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error('Image encoding failed'))),
+      type,
+      quality
+    );
+  });
+
+// Redraws the image at the given size. JPEG has no alpha channel, so for it
+// transparent areas are painted white rather than coming out black.
+const drawImage = (image, width, height, opaque) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+
+  if (opaque) {
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+  }
+  context.drawImage(image, 0, 0, width, height);
+  return canvas;
+};
+
+// Markers of an EXIF block in JPEG (APP1 "Exif"), PNG (eXIf chunk) and WebP
+// (EXIF chunk) files. Metadata sits near the start, so only that is read.
+const EXIF_MARKERS = ['Exif\0\0', 'eXIf', 'EXIF'];
+const EXIF_SEARCH_BYTES = 256 * 1024;
+
+export const hasExifData = async (file) => {
+  const bytes = await file.slice(0, EXIF_SEARCH_BYTES).arrayBuffer();
+  const text = new TextDecoder('latin1').decode(bytes);
+  return EXIF_MARKERS.some((marker) => text.includes(marker));
+};
+
+// Fits width x height inside maxDimension, keeping the aspect ratio
+export const getScaledDimensions = (width, height, maxDimension) => {
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+  return {
+    width: Math.round(width * scale),
+    height: Math.round(height * scale),
+  };
+};
+
+/**
+ * Resizes and re-encodes an image file. Returns a new File of the same type
+ * (JPEG when the browser cannot encode the original type), without metadata.
+ * Non-compressible files, and originals without EXIF data that are no larger
+ * than the re-encoded copy, are returned unchanged. options.type overrides
+ * the file's own MIME type, which browsers sometimes leave empty.
+ */
+export const compressImage = async (file, options = {}) => {
+  const { maxDimension, quality, type = file.type } = { ...IMAGE_COMPRESSION, ...options };
+  const sourceType = type === 'image/jpg' ? 'image/jpeg' : type;
+
+  if (!isCompressibleImage(sourceType)) return file;
+
+  const image = await loadImage(file);
+  const { width, height } = getScaledDimensions(image.width, image.height, maxDimension);
+
+  let blob;
+  try {
+    blob = await canvasToBlob(
+      drawImage(image, width, height, sourceType === 'image/jpeg'),
+      sourceType,
+      quality
+    );
+    // Browsers fall back to PNG for types they cannot encode (WebP on Safari)
+    if (blob.type !== sourceType) {
+      blob = await canvasToBlob(drawImage(image, width, height, true), 'image/jpeg', quality);
+    }
+  } finally {
+    image.close?.();
+  }
+
+  // Redrawn PNGs often grow; keep the original unless that would keep metadata
+  if (blob.size >= file.size && !(await hasExifData(file))) return file;
+
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+  return new File([blob], `${baseName}.${EXTENSIONS[blob.type]}`, {
+    type: blob.type,
+    lastModified: file.lastModified,
+  });
+};
@@ -0,0 +1,456 @@
+// Offline outbox. Ticket creations, comments and status changes made while
+// Supabase is unreachable are stored in IndexedDB (attachments included, as
+// Blobs) and replayed in order once the connection returns. Tickets and
+// comments carry ids generated on the device, so a replay never creates
+// them twice.
+
+import { db, TicketConflictError } from './supabase.js';
+import {
+  computeChecksum,
+  getAttachmentMimeType,
+  getFileExtension,
+} from './attachments.js';
+
+const DB_NAME = 'ticket-hub-offline';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+// Synced entries are kept this long so lists can show a "Synced" badge
+export const SYNCED_ENTRY_TTL = 24 * 60 * 60 * 1000;
+const SYNC_INTERVAL = 30 * 1000;
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  SYNCED: 'synced',
+  FAILED: 'failed',
+  CONFLICT: 'conflict',
+};
+
+export const isOffline = () =>
+  typeof navigator !== 'undefined' && navigator.onLine === false;
+
+const FETCH_FAILURE = /failed to fetch|network ?error|load failed|fetch failed/i;
+
+// Errors that mean "could not reach Supabase" rather than "Supabase said no".
+// fetch rejects with a TypeError carrying one of these messages; other
+// TypeErrors are bugs and must not leave an entry pending forever.
+export const isNetworkError = (error) =>
+  isOffline() || FETCH_FAILURE.test(error?.message || '');
+
+export const createLocalId = () => crypto.randomUUID();
+
+// IndexedDB plumbing
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+};
+
+const withStore = async (mode, operation) => {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE, mode);
+    const request = operation(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const readEntries = () =>
+  withStore('readonly', (store) => store.index('createdAt').getAll());
+
+const writeEntry = (entry) => withStore('readwrite', (store) => store.put(entry));
+
+const removeEntry = (id) => withStore('readwrite', (store) => store.delete(id));
+
+// Change notifications, within this tab and across tabs
+
+const listeners = new Set();
+let syncing = false;
+let currentUserId = null;
+
+const channel =
+  typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(DB_NAME) : null;
+
+const notifyListeners = async () => {
+  const entries = await getOutboxEntries();
+  listeners.forEach((listener) => listener(entries, { syncing }));
+};
+
+const notify = () => {
+  channel?.postMessage('changed');
+  return notifyListeners();
+};
+
+if (channel) channel.onmessage = () => notifyListeners();
+
+/**
+ * Calls listener(entries, { syncing }) whenever the outbox changes, and once
+ * right away. Returns the unsubscribe function.
+ */
+export const subscribeToOutbox = (listener) => {
+  listeners.add(listener);
+  getOutboxEntries().then((entries) => listener(entries, { syncing }));
+  return () => listeners.delete(listener);
+};
+
+// The signed-in user's entries, oldest first
+export const getOutboxEntries = async () => {
+  if (!currentUserId || typeof indexedDB === 'undefined') return [];
+
+  try {
+    const entries = await readEntries();
+    return entries.filter((entry) => entry.userId === currentUserId);
+  } catch (error) {
+    console.error('❌ Error reading offline outbox:', error);
+    return [];
+  }
+};
+
+// Queueing
+
+const addEntry = async (entry) => {
+  const queued = {
+    id: createLocalId(),
+    userId: currentUserId,
+    createdAt: Date.now(),
+    status: OUTBOX_STATUS.PENDING,
+    attempts: 0,
+    error: null,
+    files: [],
+    ...entry,
+  };
+
+  await writeEntry(queued);
+  await notify();
+  if (!isOffline()) syncOutbox();
+  return queued;
+};
+
+// Entries from useAttachmentUploads: staged files keep their attachment id,
+// the rest are stored as Blobs and uploaded during sync
+const toQueuedFiles = (files = []) =>
+  files.map((item) =>
+    item.attachmentId
+      ? { name: item.name, attachmentId: item.attachmentId, path: item.path }
+      : {
+          name: item.file.name,
+          type: item.file.type,
+          size: item.file.size,
+          blob: item.file,
+        }
+  );
+
+// ticket must include its id (see createLocalId)
+export const queueTicketCreate = ({ ticket, files }) =>
+  addEntry({
+    type: 'create_ticket',
+    ticketId: ticket.id,
+    payload: { ticket },
+    files: toQueuedFiles(files),
+  });
+
+export const queueComment = ({ ticketId, commentId, comment, notification, files }) =>
+  addEntry({
+    type: 'add_comment',
+    ticketId,
+    payload: { commentId, comment, notification },
+    files: toQueuedFiles(files),
+  });
+
+// A newer status for the same ticket replaces a queued one, keeping the
+// status and version the first change was made against
+export const queueStatusChange = async ({
+  ticketId,
+  status,
+  previousStatus,
+  expectedVersion,
+  notifications = [],
+}) => {
+  const entries = await getOutboxEntries();
+  const queued = entries.find(
+    (entry) =>
+      entry.type === 'status_change' &&
+      entry.ticketId === ticketId &&
+      entry.status === OUTBOX_STATUS.PENDING
+  );
+
+  if (queued) {
+    // Changed back before it was synced: nothing left to send
+    if (status === queued.payload.previousStatus) {
+      await removeEntry(queued.id);
+      await notify();
+      return null;
+    }
+
+    await writeEntry({
+      ...queued,
+      payload: { ...queued.payload, status, notifications },
+    });
+    await notify();
+    return queued;
+  }
+
+  return addEntry({
+    type: 'status_change',
+    ticketId,
+    payload: { status, previousStatus, expectedVersion, notifications },
+  });
+};
+
+// Sync
+
+// Uploads the entry's files that are not staged yet, saving progress after
+// each so a retry does not upload them twice
+const stageQueuedFiles = async (entry) => {
+  for (const file of entry.files) {
+    if (file.attachmentId) continue;
+
+    const mimeType = getAttachmentMimeType(file.type, file.name);
+    const extension = getFileExtension(file.name);
+    const path = `uploads/${entry.userId}/${createLocalId()}${extension ? `.${extension}` : ''}`;
+
+    await db.uploadTicketAttachment(path, file.blob, { contentType: mimeType });
+    const attachment = await db.recordTicketAttachment({
+      ticket_id: null,
+      storage_path: path,
+      file_name: file.name,
+      mime_type: mimeType,
+      size_bytes: file.size,
+      checksum: await computeChecksum(file.blob),
+    });
+
+    Object.assign(file, { attachmentId: attachment.id, path, blob: null });
+    await writeEntry(entry);
+  }
+
+  return {
+    attachmentIds: entry.files.map((file) => file.attachmentId),
+    paths: entry.files.map((file) => file.path),
+  };
+};
+
+const SYNC_HANDLERS = {
+  async create_ticket(entry) {
+    const { attachmentIds, paths } = await stageQueuedFiles(entry);
+    const ticket = await db.createTicketWithAttachments(
+      { ...entry.payload.ticket, attachments: paths },
+      attachmentIds
+    );
+
+    try {
+      await db.sendTicketCreatedNotification(ticket, entry.userId);
+    } catch (error) {
+      console.warn('Background notification failed:', error);
+    }
+
+    // The database auto-assigns new tickets when the base has it on
+    if (ticket.assigned_to) {
+      const assignee = ticket.assignee_profile;
+      try {
+        await db.sendAssignmentNotification(
+          ticket,
+          null,
+          ticket.assigned_to,
+          assignee?.full_name || assignee?.email || 'HIS staff',
+          entry.userId
+        );
+      } catch (error) {
+        console.warn('Background notification failed:', error);
+      }
+    }
+  },
+
+  async add_comment(entry) {
+    const { attachmentIds } = await stageQueuedFiles(entry);
+    const { commentId, comment, notification } = entry.payload;
+
+    await db.addTicketCommentWithAttachments(entry.ticketId, comment, attachmentIds, {
+      commentId,
+    });
+
+    if (notification) {
+      try {
+        await db.sendOptimizedNotification(notification);
+      } catch (error) {
+        console.warn('Background notification failed:', error);
+      }
+    }
+  },
+
+  // Applied against the version the change was made on. If the ticket moved
+  // on but its status did not, the change is re-applied on the new version;
+  // if someone else changed the status too, the entry waits as a conflict.
+  async status_change(entry) {
+    const { status, previousStatus, expectedVersion, notifications } = entry.payload;
+
+    try {
+      await db.updateTicketWithHistory(entry.ticketId, { status }, notifications, {
+        expectedVersion,
+      });
+      return null;
+    } catch (error) {
+      if (!(error instanceof TicketConflictError)) throw error;
+
+      const current = error.current;
+      if (!current) throw new Error('Ticket no longer exists');
+      if (current.status === status) return null;
+
+      if (current.status === previousStatus) {
+        await db.updateTicketWithHistory(entry.ticketId, { status }, notifications, {
+          expectedVersion: current.version,
+        });
+        return null;
+      }
+
+      return {
+        status: OUTBOX_STATUS.CONFLICT,
+        conflict: { serverStatus: current.status, serverVersion: current.version },
+      };
+    }
+  },
+};
+
+const runSync = async () => {
+  if (isOffline() || !currentUserId) return;
+
+  const entries = await getOutboxEntries();
+  const now = Date.now();
+  // Tickets whose creation has not reached the server yet
+  const unsyncedTickets = new Set();
+
+  for (const entry of entries) {
+    if (entry.status === OUTBOX_STATUS.SYNCED) {
+      if (now - entry.syncedAt > SYNCED_ENTRY_TTL) await removeEntry(entry.id);
+      continue;
+    }
+
+    // An entry still marked syncing was interrupted (tab closed); this run
+    // holds the lock, so it is safe to pick it up again
+    const runnable = [OUTBOX_STATUS.PENDING, OUTBOX_STATUS.SYNCING].includes(entry.status);
+    if (!runnable || unsyncedTickets.has(entry.ticketId)) {
+      if (entry.type === 'create_ticket') unsyncedTickets.add(entry.ticketId);
+      continue;
+    }
+
+    await writeEntry({ ...entry, status: OUTBOX_STATUS.SYNCING });
+    await notify();
+
+    try {
+      const result = await SYNC_HANDLERS[entry.type](entry);
+      await writeEntry({
+        ...entry,
+        status: OUTBOX_STATUS.SYNCED,
+        syncedAt: Date.now(),
+        error: null,
+        ...result,
+      });
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+
+      // Connection lost again: stop here and keep the order for the next run
+      if (isNetworkError(error)) {
+        await writeEntry({ ...entry, status: OUTBOX_STATUS.PENDING, attempts });
+        await notify();
+        return;
+      }
+
+      console.error(`❌ Failed to sync ${entry.type}:`, error);
+      await writeEntry({ ...entry, status: OUTBOX_STATUS.FAILED, attempts, error: error.message });
+      if (entry.type === 'create_ticket') unsyncedTickets.add(entry.ticketId);
+    }
+
+    await notify();
+  }
+};
+
+let syncPromise = null;
+
+/**
+ * Replays pending entries in order. Safe to call at any time: concurrent
+ * calls share one run, and other tabs are kept out with a Web Lock.
+ */
+export const syncOutbox = () => {
+  if (syncPromise) return syncPromise;
+
+  const run = async () => {
+    syncing = true;
+    await notifyListeners();
+    try {
+      if (navigator.locks) {
+        await navigator.locks.request(`${DB_NAME}-sync`, { ifAvailable: true }, (lock) =>
+          lock ? runSync() : null
+        );
+      } else {
+        await runSync();
+      }
+    } catch (error) {
+      console.error('❌ Offline sync failed:', error);
+    } finally {
+      syncing = false;
+      syncPromise = null;
+      await notifyListeners();
+    }
+  };
+
+  syncPromise = run();
+  return syncPromise;
+};
+
+// Failed entries are retried, conflicts are re-applied on top of the server's
+// current version ("keep mine")
+export const retryOutboxEntry = async (id) => {
+  const entry = (await getOutboxEntries()).find((e) => e.id === id);
+  if (!entry) return;
+
+  const payload =
+    entry.status === OUTBOX_STATUS.CONFLICT
+      ? { ...entry.payload, expectedVersion: entry.conflict.serverVersion }
+      : entry.payload;
+
+  await writeEntry({ ...entry, payload, status: OUTBOX_STATUS.PENDING, error: null, conflict: null });
+  await notify();
+  syncOutbox();
+};
+
+// Drops an entry; for a conflict this keeps the server's value
+export const discardOutboxEntry = async (id) => {
+  await removeEntry(id);
+  await notify();
+};
+
+/**
+ * Starts syncing for the signed-in user: now, whenever the browser comes back
+ * online and periodically while entries are pending. Returns a stop function.
+ */
+export const startOutboxSync = (userId) => {
+  currentUserId = userId;
+  notifyListeners();
+  syncOutbox();
+
+  const handleOnline = () => syncOutbox();
+  window.addEventListener('online', handleOnline);
+  const interval = setInterval(syncOutbox, SYNC_INTERVAL);
+
+  return () => {
+    window.removeEventListener('online', handleOnline);
+    clearInterval(interval);
+    currentUserId = null;
+    notifyListeners();
+  };
+};
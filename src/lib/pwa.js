@@ -0,0 +1,38 @@
+// Installable app support. The service worker itself is src/service-worker.js,
+// built to sw.js by vite.config.js; it only exists in production builds.
+
+const SERVICE_WORKER_URL = `${import.meta.env.BASE_URL}sw.js`;
+// Same name as DATA_CACHE in the service worker
+const OFFLINE_DATA_CACHE = 'ticket-hub-data';
+
+const isSupported = () =>
+  typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+// Registers the service worker once the page has loaded, so caching the app
+// shell does not compete with the first render
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !isSupported()) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL, {
+        scope: import.meta.env.BASE_URL,
+      });
+      console.log('📲 Service worker registered:', registration.scope);
+    } catch (error) {
+      console.error('❌ Service worker registration failed:', error);
+    }
+  });
+};
+
+// Removes the tickets and profile cached for offline reading, e.g. on sign
+// out. The page shares Cache Storage with the service worker.
+export const clearOfflineData = async () => {
+  if (typeof caches === 'undefined') return;
+
+  try {
+    await caches.delete(OFFLINE_DATA_CACHE);
+  } catch (error) {
+    console.warn('⚠️ Could not clear offline data:', error);
+  }
+};
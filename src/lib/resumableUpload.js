@@ -0,0 +1,244 @@
+// Resumable uploads over the TUS protocol (https://tus.io/protocols/resumable-upload),
+// which Supabase Storage serves at /storage/v1/upload/resumable. The file is
+// sent in chunks; after a dropped connection the upload asks the server how
+// much it already has and carries on from there instead of starting over.
+
+const TUS_VERSION = '1.0.0';
+
+// Supabase Storage only accepts 6MB chunks (the last one may be smaller)
+export const TUS_CHUNK_SIZE = 6 * 1024 * 1024;
+
+// Wait before each retry of a failed request; the upload fails after the last
+export const TUS_RETRY_DELAYS = [0, 1000, 3000, 5000, 10000, 20000];
+
+export class UploadAbortedError extends Error {
+  constructor() {
+    super('Upload aborted');
+    this.name = 'UploadAbortedError';
+  }
+}
+
+class UploadHttpError extends Error {
+  constructor(method, response) {
+    super(`${method} failed with status ${response.status}: ${response.body || 'no response body'}`);
+    this.name = 'UploadHttpError';
+    this.status = response.status;
+  }
+}
+
+// Network errors, server errors, offset conflicts and rate limits are worth retrying
+const isRetryable = (error) =>
+  !error.status || error.status >= 500 || [409, 423, 429].includes(error.status);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const waitUntilOnline = () =>
+  typeof navigator === 'undefined' || navigator.onLine
+    ? Promise.resolve()
+    : new Promise((resolve) => window.addEventListener('online', resolve, { once: true }));
+
+const toBase64 = (value) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(String(value))));
+
+const encodeMetadata = (metadata) =>
+  Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key} ${toBase64(value)}`)
+    .join(',');
+
+/**
+ * One file being uploaded. start() resolves once the server has every byte;
+ * pause() stops sending (the promise stays pending) and resume() continues
+ * from the server's offset. When start() rejects after the retries run out,
+ * calling it again resumes the same upload.
+ *
+ * getHeaders is called before every request so expired access tokens are
+ * refreshed during long uploads. onProgress receives (bytesUploaded, bytesTotal).
+ */
+export class ResumableUpload {
+  constructor({
+    endpoint,
+    file,
+    metadata = {},
+    getHeaders = async () => ({}),
+    chunkSize = TUS_CHUNK_SIZE,
+    retryDelays = TUS_RETRY_DELAYS,
+    onProgress = () => {},
+  }) {
+    this.endpoint = endpoint;
+    this.file = file;
+    this.metadata = metadata;
+    this.getHeaders = getHeaders;
+    this.chunkSize = chunkSize;
+    this.retryDelays = retryDelays;
+    this.onProgress = onProgress;
+
+    this.url = null;
+    this.offset = 0;
+    this.needsSync = false;
+    this.paused = false;
+    this.aborted = false;
+    this.xhr = null;
+    this.runId = 0;
+    this.pending = null;
+  }
+
+  start() {
+    if (this.aborted) return Promise.reject(new UploadAbortedError());
+    if (this.pending) return this.pending.promise;
+
+    const pending = {};
+    pending.promise = new Promise((resolve, reject) => {
+      pending.resolve = resolve;
+      pending.reject = reject;
+    });
+    this.pending = pending;
+
+    if (!this.paused) this.run();
+    return pending.promise;
+  }
+
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.runId += 1;
+    this.xhr?.abort();
+  }
+
+  resume() {
+    if (!this.paused || this.aborted) return;
+    this.paused = false;
+    this.needsSync = Boolean(this.url);
+    if (this.pending) this.run();
+  }
+
+  abort() {
+    this.aborted = true;
+    this.runId += 1;
+    this.xhr?.abort();
+    this.settle('reject', new UploadAbortedError());
+  }
+
+  settle(outcome, value) {
+    const pending = this.pending;
+    this.pending = null;
+    pending?.[outcome](value);
+  }
+
+  async run() {
+    const runId = ++this.runId;
+    let attempt = 0;
+
+    while (runId === this.runId) {
+      try {
+        if (!this.url) {
+          await this.create();
+        } else if (this.needsSync) {
+          await this.syncOffset();
+        } else if (this.offset >= this.file.size) {
+          this.settle('resolve', { url: this.url, size: this.file.size });
+          return;
+        } else {
+          await this.sendChunk();
+        }
+        attempt = 0;
+      } catch (error) {
+        // A pause or abort cancels the request in flight; that is not a failure
+        if (runId !== this.runId) return;
+
+        if (!isRetryable(error) || attempt >= this.retryDelays.length) {
+          this.needsSync = Boolean(this.url);
+          this.settle('reject', error);
+          return;
+        }
+
+        console.warn(`⚠️ Upload interrupted, retrying (${attempt + 1}/${this.retryDelays.length}):`, error.message);
+        await wait(this.retryDelays[attempt++]);
+        await waitUntilOnline();
+        this.needsSync = Boolean(this.url);
+      }
+    }
+  }
+
+  async create() {
+    const response = await this.request('POST', this.endpoint, {
+      'Upload-Length': String(this.file.size),
+      'Upload-Metadata': encodeMetadata(this.metadata),
+    });
+    if (response.status !== 201) throw new UploadHttpError('POST', response);
+
+    this.url = new URL(response.getHeader('Location'), this.endpoint).toString();
+    this.offset = 0;
+    this.needsSync = false;
+    this.onProgress(0, this.file.size);
+  }
+
+  // Ask the server how many bytes it has, after an error or a pause
+  async syncOffset() {
+    const response = await this.request('HEAD', this.url);
+
+    // The server no longer knows the upload (expired); start a new one
+    if ([403, 404, 410].includes(response.status)) {
+      this.url = null;
+      this.offset = 0;
+      return;
+    }
+    if (response.status !== 200 && response.status !== 204) {
+      throw new UploadHttpError('HEAD', response);
+    }
+
+    this.offset = Number(response.getHeader('Upload-Offset')) || 0;
+    this.needsSync = false;
+    this.onProgress(this.offset, this.file.size);
+  }
+
+  async sendChunk() {
+    const start = this.offset;
+    const end = Math.min(start + this.chunkSize, this.file.size);
+
+    const response = await this.request(
+      'PATCH',
+      this.url,
+      {
+        'Upload-Offset': String(start),
+        'Content-Type': 'application/offset+octet-stream',
+      },
+      this.file.slice(start, end),
+      (loaded) => this.onProgress(start + loaded, this.file.size)
+    );
+    if (response.status !== 204) throw new UploadHttpError('PATCH', response);
+
+    this.offset = Number(response.getHeader('Upload-Offset'));
+    this.onProgress(this.offset, this.file.size);
+  }
+
+  // XMLHttpRequest rather than fetch: fetch reports no upload progress
+  async request(method, url, headers = {}, body = null, onUploadProgress = null) {
+    const authHeaders = await this.getHeaders();
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open(method, url);
+
+      Object.entries({ ...authHeaders, 'Tus-Resumable': TUS_VERSION, ...headers }).forEach(
+        ([name, value]) => xhr.setRequestHeader(name, value)
+      );
+      if (onUploadProgress) {
+        xhr.upload.onprogress = (event) => onUploadProgress(event.loaded);
+      }
+
+      xhr.onload = () =>
+        resolve({
+          status: xhr.status,
+          body: xhr.responseText,
+          getHeader: (name) => xhr.getResponseHeader(name),
+        });
+      xhr.onerror = () => reject(new Error(`Network error during ${method}`));
+      xhr.ontimeout = () => reject(new Error(`${method} timed out`));
+      xhr.onabort = () => reject(new UploadAbortedError());
+
+      this.xhr = xhr;
+      xhr.send(body);
+    });
+  }
+}
@@ -0,0 +1,83 @@
+// SLA targets of a ticket. The database computes the due times
+// (first_response_due_at, resolution_due_at) from the matching SLA policy and
+// records when the ticket was first responded to and resolved; this works out
+// where each target stands for display. Time left and time overdue count
+// only working hours when the ticket's base calendar is passed (see
+// lib/businessHours).
+
+import { businessMsBetween } from './businessHours.js';
+
+export const SLA_STATUS = {
+  ON_TRACK: 'on_track',
+  DUE_SOON: 'due_soon',
+  BREACHED: 'breached',
+  MET: 'met',
+  MISSED: 'missed',
+};
+
+// Ticket columns maintained by the database for SLAs. Changing them does not
+// bump the ticket's version.
+export const SLA_FIELDS = [
+  'sla_policy_id',
+  'first_response_due_at',
+  'resolution_due_at',
+  'first_responded_at',
+  'resolved_at',
+  'first_response_breached_at',
+  'resolution_breached_at',
+];
+
+// Less than this share of the target left counts as due soon
+const DUE_SOON_SHARE = 0.25;
+
+const TARGETS = {
+  first_response: { label: 'First response', dueField: 'first_response_due_at', doneField: 'first_responded_at' },
+  resolution: { label: 'Resolution', dueField: 'resolution_due_at', doneField: 'resolved_at' },
+};
+
+// Where one target stands: null when the ticket has no such target
+export const getSlaTarget = (ticket, kind, now = Date.now(), calendar = null) => {
+  const target = TARGETS[kind];
+  const due = ticket?.[target.dueField];
+  if (!due) return null;
+
+  const dueAt = new Date(due).getTime();
+  const doneAt = ticket[target.doneField] ? new Date(ticket[target.doneField]).getTime() : null;
+  const total = businessMsBetween(calendar, new Date(ticket.created_at).getTime(), dueAt);
+  const remaining =
+    now > dueAt ? -businessMsBetween(calendar, dueAt, now) : businessMsBetween(calendar, now, dueAt);
+
+  let status;
+  if (doneAt) {
+    status = doneAt <= dueAt ? SLA_STATUS.MET : SLA_STATUS.MISSED;
+  } else if (now > dueAt) {
+    status = SLA_STATUS.BREACHED;
+  } else if (total > 0 && remaining / total < DUE_SOON_SHARE) {
+    status = SLA_STATUS.DUE_SOON;
+  } else {
+    status = SLA_STATUS.ON_TRACK;
+  }
+
+  const late = doneAt ? businessMsBetween(calendar, dueAt, doneAt) : 0;
+  return { kind, label: target.label, dueAt, doneAt, remaining, late, status };
+};
+
+// The target that matters now: the first response until there is one, then
+// resolution
+export const getCurrentSlaTarget = (ticket, now = Date.now(), calendar = null) => {
+  const response = getSlaTarget(ticket, 'first_response', now, calendar);
+  if (response && !response.doneAt && !ticket.resolved_at) return response;
+  return getSlaTarget(ticket, 'resolution', now, calendar) || response;
+};
+
+// 95 minutes -> "1h 35m", 50 hours -> "2d 2h"
+export const formatSlaDuration = (ms) => {
+  const minutes = Math.max(0, Math.round(Math.abs(ms) / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+  return `${mins}m`;
+};
@@ -1,4 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
+import { ResumableUpload } from './resumableUpload.js';
+import { isTicketUuid } from './ticketLinks.js';
 
 
 // Load environment variables
@@ -23,6 +25,106 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
   },
 });
 
+// Joins shared by every ticket list query
+const TICKET_LIST_SELECT = `
+  *,
+  bases!tickets_base_id_fkey(id, name),
+  creator_profile:profiles!tickets_created_by_fkey(id, full_name, email),
+  assignee_profile:profiles!tickets_assigned_to_fkey(id, full_name, email)
+`;
+
+// Sortable ticket list columns mapped to the column used in ORDER BY.
+// Priority and status sort by their generated rank columns so the order
+// follows severity/workflow instead of the alphabet.
+export const TICKET_SORT_COLUMNS = {
+  created_at: 'created_at',
+  priority: 'priority_rank',
+  status: 'status_rank',
+  expected_delivery_date: 'expected_delivery_date',
+};
+
+// Markers search_tickets wraps around matched terms in its snippets
+export const SEARCH_HIGHLIGHT_START = '\u0002';
+export const SEARCH_HIGHLIGHT_END = '\u0003';
+
+// Shape returned by getTicketStats when nothing matches
+const EMPTY_TICKET_STATS = {
+  total: 0,
+  open: 0,
+  in_progress: 0,
+  resolved: 0,
+  closed: 0,
+  by_status: {},
+  by_priority: {},
+  by_base: [],
+  projects: [],
+  resolved_this_month: 0,
+  avg_resolution_hours: null,
+  avg_resolution_time: 'N/A',
+  avg_resolution_time_current: 0,
+  avg_resolution_time_prev: 0,
+  daily: []
+};
+
+// 5.5 -> "5.5h", 50 -> "2.1d"
+const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return 'N/A';
+  return hours >= 48 ? `${(hours / 24).toFixed(1)}d` : `${Number(hours).toFixed(1)}h`;
+};
+
+// Days a deleted ticket stays in the trash; matches the default of the
+// purge-deleted-tickets edge function (TRASH_RETENTION_DAYS)
+export const TRASH_RETENTION_DAYS = 30;
+
+// Lifetime of signed attachment URLs, in seconds
+export const ATTACHMENT_URL_TTL = 600;
+
+// Thrown by updateTicketWithHistory when the ticket changed since it was loaded.
+// current is the ticket as it is now, for merging the edit against it.
+export class TicketConflictError extends Error {
+  constructor(current) {
+    super('Ticket was modified by someone else');
+    this.name = 'TicketConflictError';
+    this.current = current;
+  }
+}
+
+// Thrown by updateTicketWithHistory when the workflow does not let the
+// current user's role move the ticket to the requested status.
+export class StatusTransitionError extends Error {
+  constructor(message) {
+    super(message || 'This status change is not allowed');
+    this.name = 'StatusTransitionError';
+  }
+}
+
+const withBaseName = (ticket) => ({
+  ...ticket,
+  base_name: ticket.bases?.name || 'Unknown Base'
+});
+
+// Resolve a base name to its id (ticket filters use base names)
+const getBaseIdByName = async (baseName) => {
+  if (!baseName) return null;
+  const { data: baseData } = await supabase
+    .from('bases')
+    .select('id')
+    .eq('name', baseName)
+    .single();
+  return baseData?.id ?? null;
+};
+
+// Apply the common ticket list filters. Kept synchronous on purpose: query
+// builders are thenables, so returning one from an async function would run it.
+const applyTicketFilters = (query, filters = {}, baseId = null) => {
+  if (baseId) query = query.eq('base_id', baseId);
+  if (filters.status) query = query.eq('status', filters.status);
+  if (filters.created_by) query = query.eq('created_by', filters.created_by);
+  if (filters.assigned_to) query = query.eq('assigned_to', filters.assigned_to);
+  if (filters.project) query = query.eq('project', filters.project);
+  return query;
+};
+
 // Database helper functions
 export const db = {
   // Profiles
@@ -357,15 +459,14 @@ async verifyTelegramConnection(userId, chatId) {
     }
   },
 
-  // Helper method to get display ticket ID
-  getDisplayTicketId(ticket_id) {
-    if (typeof ticket_id === 'string') {
-      if (ticket_id.startsWith('TK-')) {
-        return ticket_id.slice(3, 9); // Remove TK- prefix and limit length
-      }
-      return ticket_id.slice(0, 6); // Limit UUID display
-    }
-    return ticket_id.toString().slice(0, 6);
+  // Label for a ticket (or its number or id): the ticket_number in full, since
+  // numbering schemes decide its format, or the start of the UUID
+  getDisplayTicketId(ticket) {
+    const value = ticket && typeof ticket === 'object' ? ticket.ticket_number || ticket.id : ticket;
+    if (value === null || value === undefined) return '';
+
+    const text = String(value);
+    return isTicketUuid(text) ? text.slice(0, 8) : text;
   },
 
   // Helper method to format Telegram messages
@@ -427,88 +528,135 @@ async verifyTelegramConnection(userId, chatId) {
     }
   },
 
-  // Tickets - FIXED to handle ticket_number vs id properly
-  async getTickets(filters = {}) {
-  try {
-    console.log('🎫 Fetching tickets with filters:', filters);
-    
-    let query = supabase
-      .from('tickets')
-      .select(`
-        *,
-        bases!tickets_base_id_fkey(id, name),
-        creator_profile:profiles!tickets_created_by_fkey(id, full_name, email),
-        assignee_profile:profiles!tickets_assigned_to_fkey(id, full_name, email)
-      `)
-      .order('created_at', { ascending: false });
+  // Paginated ticket list: one page of rows plus the total count, sorted server-side.
+  // sortBy is a key of TICKET_SORT_COLUMNS; unknown keys fall back to created_at.
+  async getTicketsPage(filters = {}, { page = 1, pageSize = 25, sortBy = 'created_at', sortDir = 'desc' } = {}) {
+    try {
+      console.log('🎫 Fetching ticket page:', { filters, page, pageSize, sortBy, sortDir });
 
-    // Apply filters
-    if (filters.base) {
-      // Filter by base name - need to join with bases table
-      const { data: baseData } = await supabase
-        .from('bases')
-        .select('id')
-        .eq('name', filters.base)
-        .single();
-      
-      if (baseData) {
-        query = query.eq('base_id', baseData.id);
+      const sortColumn = TICKET_SORT_COLUMNS[sortBy] || TICKET_SORT_COLUMNS.created_at;
+      const ascending = sortDir === 'asc';
+      const from = (page - 1) * pageSize;
+      const to = from + pageSize - 1;
+
+      const baseId = await getBaseIdByName(filters.base);
+      let query = supabase
+        .from('tickets')
+        .select(TICKET_LIST_SELECT, { count: 'exact' });
+
+      query = applyTicketFilters(query, filters, baseId);
+
+      const { data, error, count } = await query
+        .order(sortColumn, { ascending, nullsFirst: false })
+        .order('id', { ascending })  // Stable order for rows with equal sort values
+        .range(from, to);
+
+      // Page is past the end (e.g. rows were deleted) - fall back to the first page
+      if (error?.code === 'PGRST103' && page > 1) {
+        return this.getTicketsPage(filters, { page: 1, pageSize, sortBy, sortDir });
       }
+      if (error) throw error;
+
+      const total = count || 0;
+      return {
+        tickets: (data || []).map(withBaseName),
+        total,
+        page,
+        pageSize,
+        pageCount: Math.max(1, Math.ceil(total / pageSize))
+      };
+    } catch (error) {
+      console.error('❌ Error fetching ticket page:', error);
+      throw error;
     }
-    if (filters.status) query = query.eq('status', filters.status);
-    if (filters.created_by) query = query.eq('created_by', filters.created_by);
-    if (filters.assigned_to) query = query.eq('assigned_to', filters.assigned_to);
-    if (filters.project) query = query.eq('project', filters.project); // Add project filter
+  },
 
-    const { data, error } = await query;
-    if (error) throw error;
+  // Full-text search over ticket titles, descriptions, numbers and comments.
+  // Accepts the same filters as getTicketsPage and returns the same page shape,
+  // ordered by relevance. Each ticket carries a `search` object with snippets
+  // whose matches are wrapped in SEARCH_HIGHLIGHT_START/END markers.
+  async searchTickets(searchQuery, filters = {}, { page = 1, pageSize = 25 } = {}) {
+    try {
+      console.log('🔎 Searching tickets:', { searchQuery, filters, page, pageSize });
+
+      const baseId = await getBaseIdByName(filters.base);
+      const { data: hits, error } = await supabase.rpc('search_tickets', {
+        p_query: searchQuery,
+        p_status: filters.status || null,
+        p_base_id: baseId,
+        p_project: filters.project || null,
+        p_created_by: filters.created_by || null,
+        p_assigned_to: filters.assigned_to || null,
+        p_limit: pageSize,
+        p_offset: (page - 1) * pageSize
+      });
+      if (error) throw error;
 
-    // Transform data to include base_name
-    const transformedData = (data || []).map(ticket => ({
-      ...ticket,
-      base_name: ticket.bases?.name || 'Unknown Base'
-    }));
+      // Page is past the end (the total comes with the hits, so there is
+      // none here) - fall back to the first page like getTicketsPage
+      if (!hits?.length && page > 1) {
+        return this.searchTickets(searchQuery, filters, { page: 1, pageSize });
+      }
 
-    console.log('✅ Tickets fetched successfully:', transformedData.length);
-    return transformedData;
-  } catch (error) {
-    console.error('❌ Error fetching tickets:', error);
-    throw error;
-  }
-},
+      const total = hits?.[0]?.total_count || 0;
+      const emptyPage = { tickets: [], total, page, pageSize, pageCount: Math.max(1, Math.ceil(total / pageSize)) };
+      if (!hits?.length) return emptyPage;
+
+      // Load the full rows (with joins) for the hits, then restore relevance order
+      const { data: rows, error: rowsError } = await supabase
+        .from('tickets')
+        .select(TICKET_LIST_SELECT)
+        .in('id', hits.map(hit => hit.ticket_id));
+      if (rowsError) throw rowsError;
+
+      const rowsById = new Map((rows || []).map(row => [row.id, row]));
+      const tickets = hits
+        .filter(hit => rowsById.has(hit.ticket_id))
+        .map(hit => ({
+          ...withBaseName(rowsById.get(hit.ticket_id)),
+          search: {
+            rank: hit.rank,
+            titleHighlight: hit.title_highlight,
+            descriptionSnippet: hit.description_snippet,
+            commentSnippet: hit.comment_snippet
+          }
+        }));
+
+      console.log('✅ Search returned', tickets.length, 'of', total, 'matches');
+      return { ...emptyPage, tickets };
+    } catch (error) {
+      console.error('❌ Error searching tickets:', error);
+      throw error;
+    }
+  },
 
-  async getAllTickets() {
+  // One ticket in the list shape (same joins as getTicketsPage), for patching
+  // cached lists from realtime events. Null when the caller cannot see it.
+  async getTicketSummary(id) {
     try {
       const { data, error } = await supabase
         .from('tickets')
-        .select(`
-          *,
-          bases!tickets_base_id_fkey(id, name),
-          creator_profile:profiles!tickets_created_by_fkey(id, full_name, email),
-          assignee_profile:profiles!tickets_assigned_to_fkey(id, full_name, email)
-        `)
-        .order('created_at', { ascending: false });
+        .select(TICKET_LIST_SELECT)
+        .eq('id', id)
+        .maybeSingle();
 
       if (error) throw error;
-
-      // Transform data to include base_name
-      const transformedData = (data || []).map(ticket => ({
-        ...ticket,
-        base_name: ticket.bases?.name || 'Unknown Base'
-      }));
-
-      return transformedData;
+      return data ? withBaseName(data) : null;
     } catch (error) {
-      console.error('Error fetching all tickets:', error);
+      console.error('❌ Error fetching ticket summary:', error);
       throw error;
     }
   },
 
-  // FIXED: getTicket now accepts ticket_number and queries by ticket_number
+  // Accepts the ticket's UUID or its ticket_number (as used in URLs). Numbers
+  // are matched in upper case, so "tk-00042" finds TK-00042; a number the
+  // ticket had before it was renumbered finds it too.
   async getTicket(id) {
     try {
       console.log('🎫 Fetching ticket with ID:', id);
-      
+      const byId = isTicketUuid(id);
+      const ticketNumber = byId ? null : String(id).toUpperCase();
+
       const { data, error } = await supabase
         .from('tickets')
         .select(`
@@ -517,9 +665,21 @@ async verifyTelegramConnection(userId, chatId) {
           creator_profile:profiles!tickets_created_by_fkey(id, full_name, email),
           bases!tickets_base_id_fkey(id, name)
         `)
-        .eq('id', id)  // CORRECTED: Use 'id' since URL contains UUID
+        .eq(byId ? 'id' : 'ticket_number', byId ? id : ticketNumber)
         .single();
       
+      // No row: the number may be an old one
+      if (error?.code === 'PGRST116' && ticketNumber) {
+        const { data: alias, error: aliasError } = await supabase
+          .from('ticket_number_aliases')
+          .select('ticket_id')
+          .eq('ticket_number', ticketNumber)
+          .maybeSingle();
+
+        if (aliasError) throw aliasError;
+        if (alias) return await this.getTicket(alias.ticket_id);
+      }
+
       if (error) {
         console.error('❌ Error fetching ticket:', error);
         throw error;
@@ -542,40 +702,96 @@ async verifyTelegramConnection(userId, chatId) {
   },
 
   // Storage functions for ticket attachments
-async uploadTicketAttachment(fileName, file) {
+// Resumable (TUS) upload of an attachment. Returns a ResumableUpload: call
+// start() and keep it to pause(), resume() or retry the same upload.
+// onProgress receives (bytesUploaded, bytesTotal).
+createTicketAttachmentUpload(fileName, file, { contentType, onProgress } = {}) {
+  return new ResumableUpload({
+    endpoint: `${supabaseUrl}/storage/v1/upload/resumable`,
+    file,
+    metadata: {
+      bucketName: 'ticket-attachments',
+      objectName: fileName,
+      contentType: contentType || file.type,
+      cacheControl: '3600'
+    },
+    getHeaders: async () => {
+      const { data: { session } } = await supabase.auth.getSession();
+      return {
+        apikey: supabaseAnonKey,
+        authorization: `Bearer ${session?.access_token || supabaseAnonKey}`,
+        'x-upsert': 'false'
+      };
+    },
+    onProgress
+  });
+},
+
+async uploadTicketAttachment(fileName, file, { contentType, onProgress } = {}) {
   try {
     console.log(`📎 Uploading attachment: ${fileName}`);
-    
+
+    await this.createTicketAttachmentUpload(fileName, file, { contentType, onProgress }).start();
+
+    console.log('✅ Attachment uploaded successfully:', fileName);
+    return { path: fileName };
+  } catch (error) {
+    console.error('❌ Error uploading attachment:', error);
+    throw error;
+  }
+},
+
+// The bucket is private: files are read through short-lived signed URLs, which
+// storage only issues for tickets the caller can see. Returns { signedUrl, expiresAt }.
+async getTicketAttachmentUrl(fileName, { download = false, expiresIn = ATTACHMENT_URL_TTL } = {}) {
+  try {
     const { data, error } = await supabase.storage
       .from('ticket-attachments')
-      .upload(fileName, file, {
-        cacheControl: '3600',
-        upsert: false
-      });
-    
+      .createSignedUrl(fileName, expiresIn, download ? { download } : undefined);
+
     if (error) throw error;
-    
-    console.log('✅ Attachment uploaded successfully:', data);
-    return data;
+    return { signedUrl: data.signedUrl, expiresAt: Date.now() + expiresIn * 1000 };
   } catch (error) {
-    console.error('❌ Error uploading attachment:', error);
+    console.error('❌ Error getting attachment URL:', error);
     throw error;
   }
 },
 
-getTicketAttachmentUrl(fileName) {
+// Signed URLs for several files at once, keyed by path
+async getTicketAttachmentUrls(fileNames, { expiresIn = ATTACHMENT_URL_TTL } = {}) {
   try {
-    const { data } = supabase.storage
+    if (fileNames.length === 0) return {};
+
+    const { data, error } = await supabase.storage
       .from('ticket-attachments')
-      .getPublicUrl(fileName);
-    
-    return data;
+      .createSignedUrls(fileNames, expiresIn);
+
+    if (error) throw error;
+
+    const expiresAt = Date.now() + expiresIn * 1000;
+    return Object.fromEntries(
+      (data || [])
+        .filter(item => !item.error && item.signedUrl)
+        .map(item => [item.path, { signedUrl: item.signedUrl, expiresAt }])
+    );
   } catch (error) {
-    console.error('❌ Error getting attachment URL:', error);
+    console.error('❌ Error getting attachment URLs:', error);
     throw error;
   }
 },
 
+async logAttachmentDownload(ticketId, fileName) {
+  try {
+    const { error } = await supabase
+      .from('attachment_downloads')
+      .insert([{ ticket_id: ticketId, path: fileName }]);
+    if (error) throw error;
+  } catch (error) {
+    // Logging must never block the download itself
+    console.error('❌ Error logging attachment download:', error);
+  }
+},
+
 async deleteTicketAttachment(fileName) {
   try {
     const { data, error } = await supabase.storage
@@ -590,6 +806,64 @@ async deleteTicketAttachment(fileName) {
   }
 },
 
+// Metadata row for an uploaded file: ticket_id, comment_id (optional),
+// storage_path, file_name, mime_type, size_bytes, checksum
+async recordTicketAttachment(attachment) {
+  try {
+    const { data, error } = await supabase
+      .from('attachments')
+      .insert([attachment])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('❌ Error recording attachment:', error);
+    throw error;
+  }
+},
+
+// Removes a staged attachment the user took back before submitting. Best
+// effort: the cleanup-attachments job removes anything left behind.
+async discardStagedAttachment(attachmentId, storagePath) {
+  try {
+    const { error } = await supabase
+      .from('attachments')
+      .delete()
+      .eq('id', attachmentId)
+      .is('ticket_id', null);
+    if (error) throw error;
+
+    const { error: removeError } = await supabase.storage
+      .from('ticket-attachments')
+      .remove([storagePath]);
+    if (removeError) throw removeError;
+  } catch (error) {
+    console.warn('⚠️ Failed to discard staged attachment:', error);
+  }
+},
+
+// All attachments of a ticket, including those on its comments, oldest first
+async getTicketAttachments(ticketId) {
+  try {
+    const { data, error } = await supabase
+      .from('attachments')
+      .select(`
+        *,
+        uploader:profiles!attachments_uploaded_by_fkey(id, full_name, email)
+      `)
+      .eq('ticket_id', ticketId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('❌ Error fetching attachments:', error);
+    throw error;
+  }
+},
+
 async listTicketAttachments(ticketId) {
   try {
     const { data, error } = await supabase.storage
@@ -604,6 +878,36 @@ async listTicketAttachments(ticketId) {
   }
 },
 
+  // Creates the ticket and binds its staged attachments in one transaction:
+  // if any attachment cannot be bound (PT410) no ticket is created. An id in
+  // ticketData makes retries safe: the ticket is only created once.
+  async createTicketWithAttachments(ticketData, attachmentIds = []) {
+  try {
+    console.log('🎫 Creating ticket with attachments:', ticketData, attachmentIds);
+
+    const { data, error } = await supabase
+      .rpc('create_ticket_with_attachments', {
+        p_ticket: ticketData,
+        p_attachment_ids: attachmentIds
+      })
+      .select(`
+        *,
+        bases!tickets_base_id_fkey(id, name),
+        creator_profile:profiles!tickets_created_by_fkey(id, full_name, email),
+        assignee_profile:profiles!tickets_assigned_to_fkey(id, full_name, email)
+      `)
+      .single();
+
+    if (error) throw error;
+
+    console.log('✅ Ticket created successfully:', data);
+    return data;
+  } catch (error) {
+    console.error('❌ Error creating ticket:', error);
+    throw error;
+  }
+},
+
   async createTicket(ticketData) {
   try {
     console.log('🎫 Creating ticket:', ticketData);
@@ -669,13 +973,63 @@ async listTicketAttachments(ticketId) {
   }
 },
 
-  // FIXED: deleteTicket now accepts ticket_number
+  // Update a ticket and queue its notifications in a single transaction. The
+  // field history is written by the tickets trigger inside the same transaction.
+  // notifications are payloads for sendOptimizedNotification; they are delivered
+  // after the commit, together with any this user left undelivered earlier.
+  // Pass expectedVersion (the loaded ticket's version) to reject stale edits
+  // with a TicketConflictError instead of overwriting someone else's changes.
+  async updateTicketWithHistory(ticketId, updates, notifications = [], { expectedVersion = null } = {}) {
+    try {
+      console.log('🎫 Updating ticket with history:', ticketId, updates);
+
+      const { data, error } = await supabase.rpc('update_ticket_with_history', {
+        p_ticket_id: ticketId,
+        p_changes: updates,
+        p_notifications: notifications,
+        p_expected_version: expectedVersion
+      });
+
+      if (error?.code === 'PT409') {
+        throw new TicketConflictError(await this.getTicket(ticketId));
+      }
+      if (error?.code === 'PT403') throw new StatusTransitionError(error.message);
+      if (error) throw error;
+
+      await this.dispatchQueuedNotifications(data?.notifications || []);
+
+      console.log('✅ Ticket updated successfully:', data?.ticket);
+      return data?.ticket;
+    } catch (error) {
+      console.error('❌ Error updating ticket with history:', error);
+      throw error;
+    }
+  },
+
+  // Deliver claimed notification_queue rows and record the outcome. Never throws:
+  // the ticket change is already committed and undelivered rows are retried later.
+  async dispatchQueuedNotifications(queued) {
+    for (const item of queued) {
+      try {
+        const result = await this.sendOptimizedNotification(item.payload);
+        const { error } = await supabase
+          .from('notification_queue')
+          .update(result.success
+            ? { sent_at: new Date().toISOString(), last_error: null }
+            : { last_error: result.error || 'Delivery failed' })
+          .eq('id', item.id);
+
+        if (error) throw error;
+      } catch (error) {
+        console.error(`❌ Error dispatching queued notification ${item.id}:`, error);
+      }
+    }
+  },
+
+  // Moves the ticket to the trash; the deletion is recorded in ticket_events
   async deleteTicket(ticketId) {
     try {
-      const { data, error } = await supabase
-        .from('tickets')
-        .delete()
-        .eq('id', ticketId);  // CORRECTED: Use 'id' for UUID
+      const { data, error } = await supabase.rpc('trash_ticket', { p_ticket_id: ticketId });
       if (error) throw error;
       return data;
     } catch (error) {
@@ -684,6 +1038,48 @@ async listTicketAttachments(ticketId) {
     }
   },
 
+  // Trash (Admins only)
+  async getTrashedTickets() {
+    try {
+      const { data, error } = await supabase
+        .rpc('get_trashed_tickets')
+        .select(`
+          ${TICKET_LIST_SELECT},
+          deleted_by_profile:profiles!tickets_deleted_by_fkey(id, full_name, email)
+        `);
+
+      if (error) throw error;
+      return (data || []).map(withBaseName);
+    } catch (error) {
+      console.error('❌ Error fetching trashed tickets:', error);
+      throw error;
+    }
+  },
+
+  async restoreTicket(ticketId) {
+    try {
+      const { error } = await supabase.rpc('restore_ticket', { p_ticket_id: ticketId });
+      if (error) throw error;
+    } catch (error) {
+      console.error('❌ Error restoring ticket:', error);
+      throw error;
+    }
+  },
+
+  // Permanently removes trashed tickets with their comments and attachments
+  async purgeTickets(ticketIds) {
+    try {
+      const { data, error } = await supabase.functions.invoke('purge-deleted-tickets', {
+        body: { ticket_ids: ticketIds }
+      });
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('❌ Error purging tickets:', error);
+      throw error;
+    }
+  },
+
   // FIXED: getTicketHistory - First get UUID from ticket_number, then query comments
   async getTicketHistory(ticketId) {
     try {
@@ -711,65 +1107,171 @@ async listTicketAttachments(ticketId) {
     }
   },
 
-  // FIXED: addTicketComment - Convert ticket_number to UUID if needed
-  async addTicketComment(commentData) {
+  // One comment with its author, for merging a realtime insert into the history
+  async getTicketComment(commentId) {
     try {
-      // The ticket_id in commentData should be the UUID from the current system
       const { data, error } = await supabase
         .from('ticket_comments')
-        .insert([commentData])
         .select(`
           *,
           user:profiles!ticket_comments_user_id_fkey(id, full_name, email)
         `)
-        .single();
+        .eq('id', commentId)
+        .maybeSingle();
+
       if (error) throw error;
       return data;
     } catch (error) {
-      console.error('Error adding ticket comment:', error);
+      console.error('❌ Error fetching ticket comment:', error);
       throw error;
     }
   },
 
-  // Stats
-  async getTicketStats() {
+  // Audit trail for a ticket (field changes recorded by the tickets trigger), newest first
+  async getTicketEvents(ticketId) {
     try {
-      // Simple stats calculation without RPC
-      const { data: allTickets, error } = await supabase
-        .from('tickets')
-        .select('status, priority, created_at');
+      const { data, error } = await supabase
+        .from('ticket_events')
+        .select(`
+          *,
+          actor:profiles!ticket_events_actor_id_fkey(id, full_name, email)
+        `)
+        .eq('ticket_id', ticketId)
+        .order('created_at', { ascending: false });
 
       if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching ticket events:', error);
+      throw error;
+    }
+  },
 
-      const stats = {
-        total: allTickets.length,
-        open: allTickets.filter(t => t.status === 'Open').length,
-        in_progress: allTickets.filter(t => t.status === 'In Progress').length,
-        resolved: allTickets.filter(t => t.status === 'Resolved').length,
-        closed: allTickets.filter(t => t.status === 'Closed').length,
-        by_status: {},
-        by_priority: {}
-      };
-
-      // Calculate by_status
-      allTickets.forEach(ticket => {
-        stats.by_status[ticket.status] = (stats.by_status[ticket.status] || 0) + 1;
-      });
-
-      // Calculate by_priority
-      allTickets.forEach(ticket => {
-        stats.by_priority[ticket.priority] = (stats.by_priority[ticket.priority] || 0) + 1;
-      });
+  // One audit event with its actor, for merging a realtime insert
+  async getTicketEvent(eventId) {
+    try {
+      const { data, error } = await supabase
+        .from('ticket_events')
+        .select(`
+          *,
+          actor:profiles!ticket_events_actor_id_fkey(id, full_name, email)
+        `)
+        .eq('id', eventId)
+        .maybeSingle();
 
-      return stats;
+      if (error) throw error;
+      return data;
     } catch (error) {
-      console.error('Error getting ticket stats:', error);
+      console.error('❌ Error fetching ticket event:', error);
       throw error;
     }
   },
 
-  // Enhanced notification system with proper targeting
-  async sendOptimizedNotification(payload) {
+  // FIXED: addTicketComment - Convert ticket_number to UUID if needed
+  async addTicketComment(commentData) {
+    try {
+      // The ticket_id in commentData should be the UUID from the current system
+      const { data, error } = await supabase
+        .from('ticket_comments')
+        .insert([commentData])
+        .select(`
+          *,
+          user:profiles!ticket_comments_user_id_fkey(id, full_name, email)
+        `)
+        .single();
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error adding ticket comment:', error);
+      throw error;
+    }
+  },
+
+  // Posts a comment by the current user and binds its staged attachments in
+  // one transaction. A commentId generated by the caller makes retries safe.
+  async addTicketCommentWithAttachments(ticketId, comment, attachmentIds = [], { commentId = null } = {}) {
+    try {
+      const { data, error } = await supabase.rpc('add_ticket_comment_with_attachments', {
+        p_ticket_id: ticketId,
+        p_comment: comment,
+        p_attachment_ids: attachmentIds,
+        p_comment_id: commentId
+      });
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('Error adding ticket comment:', error);
+      throw error;
+    }
+  },
+
+  // Stats
+  // Aggregated counts, resolution times and a per-day series, computed by the
+  // get_ticket_stats RPC. Filters: base (name), project, assigned_to, from, to
+  // (created_at range; also the range of the daily series).
+  async getTicketStats(filters = {}) {
+    try {
+      const baseId = await getBaseIdByName(filters.base);
+      if (filters.base && !baseId) {
+        return { ...EMPTY_TICKET_STATS };
+      }
+
+      const { data, error } = await supabase.rpc('get_ticket_stats', {
+        p_base_id: baseId,
+        p_project: filters.project || null,
+        p_assigned_to: filters.assigned_to || null,
+        p_from: filters.from || null,
+        p_to: filters.to || null
+      });
+
+      if (error) throw error;
+
+      return {
+        ...EMPTY_TICKET_STATS,
+        ...data,
+        avg_resolution_time: formatHours(data?.avg_resolution_hours),
+        avg_resolution_time_current: data?.avg_resolution_hours_current || 0,
+        avg_resolution_time_prev: data?.avg_resolution_hours_prev || 0
+      };
+    } catch (error) {
+      console.error('Error getting ticket stats:', error);
+      throw error;
+    }
+  },
+
+  // SLA compliance for the same filters as getTicketStats. Rates are
+  // percentages, or null while no ticket has reached a target.
+  async getSlaStats(filters = {}) {
+    try {
+      const baseId = await getBaseIdByName(filters.base);
+      if (filters.base && !baseId) {
+        return { response_rate: null, resolution_rate: null, breached_open: 0 };
+      }
+
+      const { data, error } = await supabase.rpc('get_sla_stats', {
+        p_base_id: baseId,
+        p_project: filters.project || null,
+        p_assigned_to: filters.assigned_to || null,
+        p_from: filters.from || null,
+        p_to: filters.to || null
+      });
+
+      if (error) throw error;
+
+      const rate = (met, total) => (total > 0 ? Math.round((met / total) * 100) : null);
+      return {
+        ...data,
+        response_rate: rate(data?.response_met, data?.response_total),
+        resolution_rate: rate(data?.resolution_met, data?.resolution_total)
+      };
+    } catch (error) {
+      console.error('Error getting SLA stats:', error);
+      throw error;
+    }
+  },
+
+  // Enhanced notification system with proper targeting
+  async sendOptimizedNotification(payload) {
     try {
       console.log('🔔 Processing optimized notification:', payload);
       
@@ -780,6 +1282,7 @@ async listTicketAttachments(ticketId) {
         actor_id, 
         created_by, 
         assigned_to,
+        ticket_number,
         ticket_title,
         ticket_base,
         base_id
@@ -893,7 +1396,7 @@ async listTicketAttachments(ticketId) {
       }
       
       // Format the message for Telegram
-      const displayTicketId = this.getDisplayTicketId(ticket_id);
+      const displayTicketId = this.getDisplayTicketId(ticket_number || ticket_id);
       const formattedMessage = this.formatTelegramMessage(type, {
         ticket_id: displayTicketId,
         ticket_title,
@@ -956,6 +1459,7 @@ async listTicketAttachments(ticketId) {
   const payload = {
     type: 'ticket_created',
     ticket_id: ticket.id,
+    ticket_number: ticket.ticket_number,
     ticket_title: ticket.title,
     ticket_base: ticket.base_name || ticket.base,
     message: `New support ticket has been created${ticket.project ? ` for project ${ticket.project}` : ''} and requires attention.`,
@@ -971,13 +1475,20 @@ async listTicketAttachments(ticketId) {
 
   // Enhanced method for assignment notifications
   async sendAssignmentNotification(ticket, old_assignee_id, new_assignee_id, new_assignee_name, actor_id) {
+    const payload = this.buildAssignmentNotification(ticket, old_assignee_id, new_assignee_id, new_assignee_name, actor_id);
+    return await this.sendOptimizedNotification(payload);
+  },
+
+  // Payload for sendAssignmentNotification, also queued by updateTicketWithHistory
+  buildAssignmentNotification(ticket, old_assignee_id, new_assignee_id, new_assignee_name, actor_id) {
     const message = new_assignee_id 
       ? `Ticket has been assigned to ${new_assignee_name}`
       : 'Ticket has been unassigned';
       
-    const payload = {
+    return {
       type: 'ticket_assignment',
       ticket_id: ticket.id,
+      ticket_number: ticket.ticket_number,
       ticket_title: ticket.title,
       ticket_base: ticket.base_name || ticket.base,
       message,
@@ -987,8 +1498,6 @@ async listTicketAttachments(ticketId) {
       old_assignee: old_assignee_id,
       base_id: ticket.base_id
     };
-    
-    return await this.sendOptimizedNotification(payload);
   },
 
   // Legacy notification functions for backward compatibility
@@ -1095,6 +1604,374 @@ async listTicketAttachments(ticketId) {
     }
   },
 
+  // Business hours per base: every base with its calendar (null when it has
+  // none and counts calendar time) and holidays. The database uses them for
+  // SLA due times; see lib/businessHours for the format.
+  async getBaseCalendars() {
+    try {
+      const { data, error } = await supabase
+        .from('bases')
+        .select('id, name, base_calendars(timezone, working_hours), base_holidays(holiday, name)')
+        .order('id');
+      if (error) throw error;
+
+      return (data || []).map(({ base_calendars, base_holidays, ...base }) => {
+        // PostgREST embeds the one-to-one calendar as an object, or an array
+        // when it cannot tell the relationship is one-to-one
+        const calendar = Array.isArray(base_calendars) ? base_calendars[0] : base_calendars;
+        const holidays = [...(base_holidays || [])].sort((a, b) => a.holiday.localeCompare(b.holiday));
+        return { ...base, calendar: calendar ? { ...calendar, holidays } : null, holidays };
+      });
+    } catch (error) {
+      console.error('❌ Error fetching base calendars:', error);
+      throw error;
+    }
+  },
+
+  // Admins. Open tickets at the base get new due times.
+  async saveBaseCalendar(baseId, { timezone, working_hours }) {
+    try {
+      const { data, error } = await supabase
+        .from('base_calendars')
+        .upsert({ base_id: baseId, timezone: timezone.trim(), working_hours }, { onConflict: 'base_id' })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('❌ Error saving base calendar:', error);
+      throw error;
+    }
+  },
+
+  // Back to calendar time for the base
+  async deleteBaseCalendar(baseId) {
+    try {
+      const { error } = await supabase.from('base_calendars').delete().eq('base_id', baseId);
+      if (error) throw error;
+    } catch (error) {
+      console.error('❌ Error deleting base calendar:', error);
+      throw error;
+    }
+  },
+
+  async addBaseHoliday(baseId, holiday, name) {
+    try {
+      const { data, error } = await supabase
+        .from('base_holidays')
+        .insert([{ base_id: baseId, holiday, name: name?.trim() || null }])
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('❌ Error adding holiday:', error);
+      throw error;
+    }
+  },
+
+  async removeBaseHoliday(baseId, holiday) {
+    try {
+      const { error } = await supabase
+        .from('base_holidays')
+        .delete()
+        .eq('base_id', baseId)
+        .eq('holiday', holiday);
+      if (error) throw error;
+    } catch (error) {
+      console.error('❌ Error removing holiday:', error);
+      throw error;
+    }
+  },
+
+  // Ticket numbering schemes (Admins). A scheme with neither base_id nor
+  // project is the default; the database picks the most specific match.
+  async getTicketNumberSchemes() {
+    try {
+      const { data, error } = await supabase
+        .from('ticket_number_schemes')
+        .select('*, bases(id, name)')
+        .order('created_at');
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching numbering schemes:', error);
+      throw error;
+    }
+  },
+
+  // Inserts, or updates when scheme.id is set. Only affects new tickets;
+  // see renumberTickets for existing ones.
+  async saveTicketNumberScheme({ id, base_id, project, format, padding, reset_yearly }) {
+    try {
+      const fields = {
+        base_id: base_id || null,
+        project: project || null,
+        format: format.trim().toUpperCase(),
+        padding: Number(padding),
+        reset_yearly: !!reset_yearly,
+      };
+
+      const query = id
+        ? supabase.from('ticket_number_schemes').update(fields).eq('id', id)
+        : supabase.from('ticket_number_schemes').insert([fields]);
+
+      const { data, error } = await query.select('*, bases(id, name)').single();
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('❌ Error saving numbering scheme:', error);
+      throw error;
+    }
+  },
+
+  async deleteTicketNumberScheme(id) {
+    try {
+      const { error } = await supabase.from('ticket_number_schemes').delete().eq('id', id);
+      if (error) throw error;
+    } catch (error) {
+      console.error('❌ Error deleting numbering scheme:', error);
+      throw error;
+    }
+  },
+
+  // Gives the scheme's existing tickets new numbers in creation order; their
+  // old numbers keep working in links. Returns how many were renumbered.
+  async renumberTickets(schemeId) {
+    try {
+      const { data, error } = await supabase.rpc('renumber_tickets', { p_scheme_id: schemeId });
+      if (error) throw error;
+      console.log(`🔢 Renumbered ${data} tickets`);
+      return data;
+    } catch (error) {
+      console.error('❌ Error renumbering tickets:', error);
+      throw error;
+    }
+  },
+
+  // SLA policies (Admins): first-response and resolution targets in minutes
+  // per priority, optionally for one base and/or project. Ticket due times
+  // are computed by the database.
+  async getSlaPolicies() {
+    try {
+      const { data, error } = await supabase
+        .from('sla_policies')
+        .select('*, bases(id, name)')
+        .order('created_at');
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching SLA policies:', error);
+      throw error;
+    }
+  },
+
+  // Inserts, or updates when policy.id is set. The database recomputes the
+  // due times of tickets not yet resolved.
+  async saveSlaPolicy({ id, priority, base_id, project, first_response_minutes, resolution_minutes }) {
+    try {
+      const toMinutes = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+      const fields = {
+        priority,
+        base_id: base_id || null,
+        project: project || null,
+        first_response_minutes: toMinutes(first_response_minutes),
+        resolution_minutes: toMinutes(resolution_minutes),
+      };
+
+      const query = id
+        ? supabase.from('sla_policies').update(fields).eq('id', id)
+        : supabase.from('sla_policies').insert([fields]);
+
+      const { data, error } = await query.select('*, bases(id, name)').single();
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('❌ Error saving SLA policy:', error);
+      throw error;
+    }
+  },
+
+  async deleteSlaPolicy(id) {
+    try {
+      const { error } = await supabase.from('sla_policies').delete().eq('id', id);
+      if (error) throw error;
+    } catch (error) {
+      console.error('❌ Error deleting SLA policy:', error);
+      throw error;
+    }
+  },
+
+  // Escalation rules (Admins), run on a schedule by the escalate-tickets edge
+  // function. after_minutes counts working time at the ticket's base.
+  async getEscalationRules() {
+    try {
+      const { data, error } = await supabase
+        .from('escalation_rules')
+        .select('*, bases(id, name), reassignee:profiles!escalation_rules_reassign_to_fkey(id, full_name, email)')
+        .order('created_at');
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error fetching escalation rules:', error);
+      throw error;
+    }
+  },
+
+  // Inserts, or updates when rule.id is set
+  async saveEscalationRule({ id, name, enabled, base_id, priority, status, condition, after_minutes, action, reassign_to }) {
+    try {
+      const fields = {
+        name: name.trim(),
+        enabled: enabled !== false,
+        base_id: base_id || null,
+        priority: priority || null,
+        status: status || null,
+        condition,
+        after_minutes: Number(after_minutes),
+        action,
+        reassign_to: action === 'reassign' ? reassign_to || null : null,
+      };
+
+      const query = id
+        ? supabase.from('escalation_rules').update(fields).eq('id', id)
+        : supabase.from('escalation_rules').insert([fields]);
+
+      const { data, error } = await query.select().single();
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('❌ Error saving escalation rule:', error);
+      throw error;
+    }
+  },
+
+  async deleteEscalationRule(id) {
+    try {
+      const { error } = await supabase.from('escalation_rules').delete().eq('id', id);
+      if (error) throw error;
+    } catch (error) {
+      console.error('❌ Error deleting escalation rule:', error);
+      throw error;
+    }
+  },
+
+  // Auto-assignment settings of all bases with the base's HIS staff and their
+  // availability. Bases without settings have auto-assignment off.
+  async getAssignmentSettings() {
+    try {
+      const { data, error } = await supabase
+        .from('bases')
+        .select(`
+          id,
+          name,
+          base_assignment_settings(enabled, strategy, last_assigned_to),
+          user_bases(profiles(id, full_name, email, role, available_for_assignment, out_of_office_until))
+        `)
+        .order('id');
+      if (error) throw error;
+
+      return (data || []).map(({ base_assignment_settings, user_bases, ...base }) => {
+        const settings = Array.isArray(base_assignment_settings) ? base_assignment_settings[0] : base_assignment_settings;
+        const staff = (user_bases || [])
+          .map((ub) => ub.profiles)
+          .filter((user) => user?.role === 'HIS')
+          .sort((a, b) => (a.full_name || a.email).localeCompare(b.full_name || b.email));
+        return { ...base, settings: settings || null, staff };
+      });
+    } catch (error) {
+      console.error('❌ Error fetching assignment settings:', error);
+      throw error;
+    }
+  },
+
+  // Admins
+  async saveAssignmentSettings(baseId, { enabled, strategy }) {
+    try {
+      const { data, error } = await supabase
+        .from('base_assignment_settings')
+        .upsert({ base_id: baseId, enabled, strategy }, { onConflict: 'base_id' })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('❌ Error saving assignment settings:', error);
+      throw error;
+    }
+  },
+
+  // Ticket statuses in workflow order and the transitions between them, per
+  // role (see lib/ticketStatuses). Admins edit both; the database enforces
+  // the transitions.
+  async getTicketStatuses() {
+    try {
+      const [statusResult, transitionResult] = await Promise.all([
+        supabase.from('ticket_statuses').select('*').order('position').order('name'),
+        supabase.from('ticket_status_transitions').select('from_status, to_status, role')
+      ]);
+      if (statusResult.error) throw statusResult.error;
+      if (transitionResult.error) throw transitionResult.error;
+
+      return { statuses: statusResult.data || [], transitions: transitionResult.data || [] };
+    } catch (error) {
+      console.error('❌ Error fetching ticket statuses:', error);
+      throw error;
+    }
+  },
+
+  // Inserts, or updates the status named `name` when isNew is false. Names
+  // cannot change once tickets may be using them.
+  async saveTicketStatus({ name, category, color, position, is_initial }, { isNew = false } = {}) {
+    try {
+      const fields = {
+        category,
+        color,
+        position: Number(position) || 0,
+        is_initial: Boolean(is_initial)
+      };
+
+      const query = isNew
+        ? supabase.from('ticket_statuses').insert([{ name: name.trim(), ...fields }])
+        : supabase.from('ticket_statuses').update(fields).eq('name', name);
+
+      const { data, error } = await query.select().single();
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      console.error('❌ Error saving ticket status:', error);
+      throw error;
+    }
+  },
+
+  // Fails with 23503 while tickets are still in the status
+  async deleteTicketStatus(name) {
+    try {
+      const { error } = await supabase.from('ticket_statuses').delete().eq('name', name);
+      if (error) throw error;
+    } catch (error) {
+      console.error('❌ Error deleting ticket status:', error);
+      throw error;
+    }
+  },
+
+  async setStatusTransition({ from_status, to_status, role }, allowed) {
+    try {
+      const { error } = allowed
+        ? await supabase.from('ticket_status_transitions').insert([{ from_status, to_status, role }])
+        : await supabase
+            .from('ticket_status_transitions')
+            .delete()
+            .eq('from_status', from_status)
+            .eq('to_status', to_status)
+            .eq('role', role);
+      if (error) throw error;
+    } catch (error) {
+      console.error('❌ Error updating status transition:', error);
+      throw error;
+    }
+  },
+
   // Simplified user management
   async getAssignableUsers() {
     try {
@@ -1187,6 +2064,7 @@ async listTicketAttachments(ticketId) {
 
 // Real-time subscriptions
 export const subscriptions = {
+  // Every change on the tickets table; ticketsForProfile is scoped to the user
   tickets: (callback) =>
     supabase
       .channel('tickets')
@@ -1197,34 +2075,116 @@ export const subscriptions = {
       )
       .subscribe(),
 
-  // FIXED: ticketComments subscription should use UUID, not ticket_number
+  // Ticket changes the profile should hear about: every ticket for Admins;
+  // for everyone else the tickets of their base(s) and the tickets assigned
+  // to them, plus, for Users, the tickets they created. A ticket matching
+  // more than one filter arrives once per filter. Resolves to the channel
+  // once the base names are looked up.
+  ticketsForProfile: async (profile, callback) => {
+    const channel = supabase.channel(`tickets:${profile.id}`);
+    const listen = (filter) =>
+      channel.on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'tickets', ...(filter ? { filter } : {}) },
+        callback
+      );
+
+    if (profile.role === 'Admin') {
+      listen();
+    } else {
+      const baseNames = profile.bases?.length
+        ? profile.bases.map((base) => base.name)
+        : [profile.base];
+      const baseIds = (await Promise.all(baseNames.filter(Boolean).map(getBaseIdByName)))
+        .filter(Boolean);
+
+      if (baseIds.length > 0) listen(`base_id=in.(${baseIds.join(',')})`);
+      listen(`assigned_to=eq.${profile.id}`);
+      if (profile.role === 'User') listen(`created_by=eq.${profile.id}`);
+    }
+
+    return channel.subscribe();
+  },
+
+  // Changes to one ticket row, by UUID
+  ticket: (ticketId, callback) =>
+    supabase
+      .channel(`ticket:${ticketId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'tickets',
+          filter: `id=eq.${ticketId}`,
+        },
+        callback
+      )
+      .subscribe(),
+
+  // Comments on a ticket, by UUID
+  ticketCommentsById: (ticketId, callback) =>
+    supabase
+      .channel(`ticket_comments:${ticketId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'ticket_comments',
+          filter: `ticket_id=eq.${ticketId}`,
+        },
+        callback
+      )
+      .subscribe(),
+
+  // Audit events recorded for a ticket, by UUID
+  ticketEvents: (ticketId, callback) =>
+    supabase
+      .channel(`ticket_events:${ticketId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'ticket_events',
+          filter: `ticket_id=eq.${ticketId}`,
+        },
+        callback
+      )
+      .subscribe(),
+
+  // Same as ticketCommentsById for callers that only have the ticket_number;
+  // resolves to the channel, or null when the ticket cannot be found
   ticketComments: (ticketNumber, callback) => {
-    // Convert ticket_number to UUID for subscription
     return db.getTicketIdFromNumber(ticketNumber).then(ticketId => {
       if (!ticketId) {
         console.error('Cannot subscribe to comments: ticket not found');
         return null;
       }
-      
-      return supabase
-        .channel(`ticket_comments:${ticketId}`)
-        .on(
-          'postgres_changes',
-          {
-            event: '*',
-            schema: 'public',
-            table: 'ticket_comments',
-            filter: `ticket_id=eq.${ticketId}`,
-          },
-          callback
-        )
-        .subscribe();
+
+      return subscriptions.ticketCommentsById(ticketId, callback);
     }).catch(error => {
       console.error('Error setting up ticket comments subscription:', error);
       return null;
     });
   },
 
+  // Realtime presence: who has a ticket open. Each ticket has its own private
+  // channel, which Realtime only lets users join who can read the ticket (see
+  // the ticket_presence migration). onSync receives the channel's state
+  // ({ [userId]: [meta, ...] }) after each change. Call channel.track(meta)
+  // once onStatus reports SUBSCRIBED.
+  ticketPresence: (ticketId, userId, onSync, onStatus = () => {}) => {
+    const channel = supabase.channel(`ticket_presence:${ticketId}`, {
+      config: { private: true, presence: { key: userId } },
+    });
+
+    return channel
+      .on('presence', { event: 'sync' }, () => onSync(channel.presenceState()))
+      .subscribe(onStatus);
+  },
+
   userSettings: (userId, callback) =>
     supabase
       .channel(`user_settings:${userId}`)
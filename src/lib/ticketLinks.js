@@ -0,0 +1,17 @@
+// Ticket URLs. Links use the ticket_number (e.g. "BEY-2026-00042"), which is
+// short and readable; the ticket's UUID is still accepted and redirected to it.
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const isTicketUuid = (value) => UUID_PATTERN.test(value || '');
+
+// Route inside the app, for <Link to> and navigate()
+export const getTicketPath = (ticket) =>
+  `/tickets/${encodeURIComponent(ticket.ticket_number || ticket.id)}`;
+
+// Absolute link to share. Routes live in the URL hash (HashRouter), after the
+// path the app is served from.
+export const getTicketUrl = (ticket) =>
+  `${window.location.origin}${window.location.pathname}#${getTicketPath(ticket)}`;
+
+export const copyTicketLink = (ticket) => navigator.clipboard.writeText(getTicketUrl(ticket));
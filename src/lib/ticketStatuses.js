@@ -0,0 +1,49 @@
+// Ticket statuses and the workflow between them. Admins define both in
+// Settings → Statuses (ticket_statuses, ticket_status_transitions). The
+// database enforces the transitions; this mirrors them so the UI only offers
+// the moves the current user is allowed to make.
+
+// What a status means to the rest of the app: SLAs stop and stats count a
+// ticket as done in the resolved and closed categories
+export const STATUS_CATEGORIES = [
+  { id: 'open', name: 'Open' },
+  { id: 'in_progress', name: 'In progress' },
+  { id: 'resolved', name: 'Resolved' },
+  { id: 'closed', name: 'Closed' },
+];
+
+export const TICKET_ROLES = ['User', 'HIS', 'Admin'];
+
+// Same as the seeded statuses; used until the real ones have loaded
+export const DEFAULT_TICKET_STATUSES = [
+  { name: 'Open', category: 'open', color: '#EF4444', position: 1, is_initial: true },
+  { name: 'In Progress', category: 'in_progress', color: '#F59E0B', position: 2, is_initial: false },
+  { name: 'Resolved', category: 'resolved', color: '#22C55E', position: 3, is_initial: false },
+  { name: 'Closed', category: 'closed', color: '#6B7280', position: 4, is_initial: false },
+];
+
+const UNKNOWN_COLOR = '#6B7280';
+
+// Badge colors for a status: its color as text on a light tint of it
+export const getStatusStyle = (status) => {
+  const color = status?.color || UNKNOWN_COLOR;
+  return { color, backgroundColor: `${color}1F` };
+};
+
+// The statuses a ticket in `from` can be moved to by `role`, with `from`
+// itself first so it can stay selected
+export const getAllowedStatuses = (statuses, transitions, from, role) =>
+  statuses.filter(
+    (status) =>
+      status.name === from ||
+      transitions.some(
+        (transition) =>
+          transition.from_status === from && transition.to_status === status.name && transition.role === role
+      )
+  );
+
+export const isTransitionAllowed = (transitions, from, to, role) =>
+  from === to ||
+  transitions.some(
+    (transition) => transition.from_status === from && transition.to_status === to && transition.role === role
+  );
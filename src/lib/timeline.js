@@ -0,0 +1,42 @@
+// The ticket timeline: comments from ticket_comments and audit events from
+// ticket_events, merged into one list. Before the audit log, changes were
+// written to ticket_comments too, as status_change/assignment rows or as
+// plain comments reading 'Title changed from "a" to "b"'; those count as
+// changes, not as comments.
+
+const GENERATED_CHANGE = /^[A-Z][A-Za-z_]* changed from ".*" to ".*"$/s;
+
+export const isHumanComment = (entry) =>
+  (!entry.comment_type || entry.comment_type === 'comment') &&
+  !GENERATED_CHANGE.test(entry.comment || '');
+
+/**
+ * Comments and events, newest first, as { key, kind, createdAt, entry } with
+ * kind 'comment', 'legacy_change' or 'event'. historyFilter is 'all',
+ * 'comments' or 'changes'; fieldFilter narrows changes to one event field.
+ */
+export const buildTimeline = (comments, events, { historyFilter = 'all', fieldFilter = 'all' } = {}) => {
+  const commentEntries = comments.map((entry) => ({
+    key: `comment-${entry.id}`,
+    kind: isHumanComment(entry) ? 'comment' : 'legacy_change',
+    createdAt: entry.created_at,
+    entry,
+  }));
+  const eventEntries = events.map((event) => ({
+    key: `event-${event.id}`,
+    kind: 'event',
+    createdAt: event.created_at,
+    entry: event,
+  }));
+
+  return [...commentEntries, ...eventEntries]
+    .filter(({ kind, entry }) => {
+      if (historyFilter === 'comments') return kind === 'comment';
+      if (historyFilter === 'changes') {
+        if (kind === 'comment') return false;
+        return fieldFilter === 'all' || (kind === 'event' && entry.field === fieldFilter);
+      }
+      return true;
+    })
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
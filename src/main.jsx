@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import { HashRouter } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import App from './App.jsx';
+import { registerServiceWorker } from './lib/pwa.js';
 import './index.css';
 
 const queryClient = new QueryClient({
@@ -56,4 +57,6 @@ ReactDOM.createRoot(document.getElementById('root')).render(
   </React.StrictMode>
 );
 
-console.log('🎯 React root created and render called');
\ No newline at end of file
+console.log('🎯 React root created and render called');
+
+registerServiceWorker();
\ No newline at end of file
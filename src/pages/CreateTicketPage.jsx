@@ -9,6 +9,17 @@ import { useNavigate } from "react-router-dom";
 import { useForm } from "react-hook-form";
 import { useAuth } from "../contexts/AuthContext";
 import { db } from "../lib/supabase.js";
+import {
+  createLocalId,
+  isNetworkError,
+  queueTicketCreate,
+} from "../lib/outbox.js";
+import useOutbox from "../hooks/useOutbox";
+import useTicketStatuses from "../hooks/useTicketStatuses";
+import { getTicketPath } from "../lib/ticketLinks.js";
+import { ATTACHMENT_ACCEPT } from "../lib/attachments.js";
+import useAttachmentUploads from "../hooks/useAttachmentUploads";
+import ScreenshotPreview from "../components/ScreenshotPreview";
 import { toast } from "react-hot-toast";
 import {
   ArrowLeft,
@@ -17,9 +28,7 @@ import {
   CheckCircle,
   XCircle,
   Upload,
-  X,
   Image,
-  FileImage,
   Calendar,
   Briefcase,
 } from "lucide-react";
@@ -32,29 +41,16 @@ const CreateTicketPage = () => {
   const [dataLoading, setDataLoading] = useState(true);
   const [validationState, setValidationState] = useState({});
 
-  // Screenshot upload state
-  const [screenshots, setScreenshots] = useState([]);
-  const [uploadProgress, setUploadProgress] = useState({});
-  const [dragActive, setDragActive] = useState(false);
-
   // Refs for performance
   const isUnmounting = useRef(false);
   const validationTimeouts = useRef({});
-  const fileInputRef = useRef(null);
 
   const { profile } = useAuth();
   const navigate = useNavigate();
+  const { initialStatus } = useTicketStatuses();
 
   // Configuration constants
   const MAX_FILES = 5;
-  const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-  const ACCEPTED_TYPES = [
-    "image/jpeg",
-    "image/jpg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-  ];
 
   // Project options
   const PROJECT_OPTIONS = [
@@ -146,204 +142,29 @@ const CreateTicketPage = () => {
     expected_delivery_date,
   } = watchedValues;
 
-  // File validation helper
-  const validateFile = useCallback((file) => {
-    const errors = [];
-
-    if (!ACCEPTED_TYPES.includes(file.type)) {
-      errors.push(`${file.name}: Invalid file type. Only images are allowed.`);
-    }
-
-    if (file.size > MAX_FILE_SIZE) {
-      errors.push(`${file.name}: File too large. Maximum size is 10MB.`);
-    }
-
-    return errors;
-  }, []);
-
-  // Optimized file processing
-  const processFiles = useCallback(
-    async (files) => {
-      const fileArray = Array.from(files);
-      const totalFiles = screenshots.length + fileArray.length;
-
-      if (totalFiles > MAX_FILES) {
-        toast.error(
-          `Maximum ${MAX_FILES} screenshots allowed. You're trying to add ${fileArray.length} more to existing ${screenshots.length}.`
-        );
-        return;
-      }
-
-      const validationErrors = [];
-      const validFiles = [];
-
-      fileArray.forEach((file) => {
-        const errors = validateFile(file);
-        if (errors.length > 0) {
-          validationErrors.push(...errors);
-        } else {
-          validFiles.push(file);
-        }
-      });
-
-      if (validationErrors.length > 0) {
-        toast.error(validationErrors.join("\n"));
-        return;
-      }
-
-      if (validFiles.length === 0) return;
-
-      // Process valid files
-      for (const file of validFiles) {
-        const fileId = `${Date.now()}_${Math.random()
-          .toString(36)
-          .substr(2, 9)}`;
-
-        try {
-          // Create preview URL
-          const previewUrl = URL.createObjectURL(file);
-
-          // Add to screenshots state immediately for better UX
-          const newScreenshot = {
-            id: fileId,
-            file,
-            previewUrl,
-            name: file.name,
-            size: file.size,
-            uploading: false,
-            uploaded: false,
-            url: null,
-          };
-
-          setScreenshots((prev) => [...prev, newScreenshot]);
-        } catch (error) {
-          console.error("Error processing file:", error);
-          toast.error(`Failed to process ${file.name}`);
-        }
-      }
-    },
-    [screenshots.length, validateFile]
-  );
-
-  // Drag and drop handlers
-  const handleDragEnter = useCallback((e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    setDragActive(true);
-  }, []);
-
-  const handleDragLeave = useCallback((e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    if (!e.currentTarget.contains(e.relatedTarget)) {
-      setDragActive(false);
-    }
-  }, []);
-
-  const handleDragOver = useCallback((e) => {
-    e.preventDefault();
-    e.stopPropagation();
-  }, []);
-
-  const handleDrop = useCallback(
-    (e) => {
-      e.preventDefault();
-      e.stopPropagation();
-      setDragActive(false);
-
-      const files = e.dataTransfer.files;
-      if (files?.length > 0) {
-        processFiles(files);
-      }
-    },
-    [processFiles]
-  );
-
-  // File input handler
-  const handleFileInput = useCallback(
-    (e) => {
-      const files = e.target.files;
-      if (files?.length > 0) {
-        processFiles(files);
-      }
-      // Reset input to allow re-selecting same files
-      e.target.value = "";
-    },
-    [processFiles]
-  );
-
-  // Remove screenshot
-  const removeScreenshot = useCallback((screenshotId) => {
-    setScreenshots((prev) => {
-      const updated = prev.filter((s) => s.id !== screenshotId);
-      // Clean up object URLs to prevent memory leaks
-      const removed = prev.find((s) => s.id === screenshotId);
-      if (removed?.previewUrl) {
-        URL.revokeObjectURL(removed.previewUrl);
-      }
-      return updated;
-    });
-  }, []);
-
-  // Upload screenshots to Supabase Storage
-  const uploadScreenshots = useCallback(
-    async (ticketId) => {
-      if (screenshots.length === 0) return [];
-
-      const uploadedUrls = [];
-
-      for (const screenshot of screenshots) {
-        if (screenshot.uploaded) {
-          uploadedUrls.push(screenshot.url);
-          continue;
-        }
-
-        try {
-          setUploadProgress((prev) => ({ ...prev, [screenshot.id]: 0 }));
-
-          // Generate unique filename
-          const timestamp = Date.now();
-          const randomId = Math.random().toString(36).substr(2, 9);
-          const fileExtension = screenshot.file.name.split(".").pop();
-          const fileName = `${ticketId}/${timestamp}_${randomId}.${fileExtension}`;
-
-          // Upload to Supabase Storage
-          const { data, error } = await db.uploadTicketAttachment(
-            fileName,
-            screenshot.file
-          );
-
-          if (error) throw error;
-
-          setUploadProgress((prev) => ({ ...prev, [screenshot.id]: 100 }));
-
-          // Get public URL
-          const { publicUrl } = db.getTicketAttachmentUrl(fileName);
-          if (publicUrl) {
-            uploadedUrls.push(publicUrl);
-          } else {
-            console.warn("⚠️ No public URL returned for file:", fileName);
-          }
-
-          // Update screenshot state
-          setScreenshots((prev) =>
-            prev.map((s) =>
-              s.id === screenshot.id
-                ? { ...s, uploaded: true, url: publicUrl, uploading: false }
-                : s
-            )
-          );
-        } catch (error) {
-          console.error(`Failed to upload ${screenshot.name}:`, error);
-          setUploadProgress((prev) => ({ ...prev, [screenshot.id]: -1 })); // Error state
-          toast.error(`Failed to upload ${screenshot.name}`);
-        }
-      }
-
-      return uploadedUrls;
-    },
-    [screenshots]
-  );
+  // Attachment selection, previews and uploads
+  const {
+    files: screenshots,
+    processing: processingFiles,
+    uploadProgress,
+    dragActive,
+    fileInputRef,
+    removeFile: removeScreenshot,
+    clearFiles: clearScreenshots,
+    clearCommittedFiles,
+    pauseUpload,
+    resumeUpload,
+    retryUpload,
+    stagedAttachmentIds,
+    stagedPaths,
+    pendingCount: pendingUploads,
+    failedCount: failedUploads,
+    handleFileInput,
+    handlePaste,
+    dragHandlers,
+  } = useAttachmentUploads({ maxFiles: MAX_FILES });
+
+  const { online } = useOutbox();
 
   // Debounced validation for better UX
   const debounceValidation = useCallback((field, value) => {
@@ -404,17 +225,6 @@ const CreateTicketPage = () => {
     }
   }, [defaultBaseId, base_id, setValue, availableBases.length]);
 
-  // Cleanup effect for object URLs
-  useEffect(() => {
-    return () => {
-      screenshots.forEach((screenshot) => {
-        if (screenshot.previewUrl) {
-          URL.revokeObjectURL(screenshot.previewUrl);
-        }
-      });
-    };
-  }, [screenshots]);
-
   // Optimized data loading with error handling
   useEffect(() => {
     let isCancelled = false;
@@ -478,6 +288,18 @@ const CreateTicketPage = () => {
         setLoading(true);
         clearErrors();
 
+        // Attachments are uploaded while the form is filled in; the ticket is
+        // only created once all of them are staged. Offline, unfinished
+        // files go into the outbox with the ticket instead.
+        if (online && pendingUploads > 0) {
+          toast.error("Please wait for the attachments to finish uploading.");
+          return;
+        }
+        if (online && failedUploads > 0) {
+          toast.error("Some attachments failed to upload. Retry or remove them.");
+          return;
+        }
+
         // Client-side validation
         const selectedBase = availableBases.find(
           (base) => base.id === parseInt(formData.base_id)
@@ -492,42 +314,54 @@ const CreateTicketPage = () => {
 
         // Prepare optimized payload
         const ticketPayload = {
+          // Generated here so a ticket queued offline keeps its id when synced
+          id: createLocalId(),
           title: formData.title.trim(),
           description: formData.description.trim(),
           priority: formData.priority,
           base_id: parseInt(formData.base_id),
           created_by: profile.id,
-          status: "Open",
+          status: initialStatus.name,
           project: formData.project || null,
           expected_delivery_date: formData.expected_delivery_date || null,
+          attachments: stagedPaths,
         };
 
         console.log("🎫 Creating ticket with payload:", ticketPayload);
 
-        // Create the ticket first
-        const newTicket = await db.createTicket(ticketPayload);
+        // Saved on this device and submitted by the outbox when back online
+        const queueOffline = async () => {
+          await queueTicketCreate({ ticket: ticketPayload, files: screenshots });
+          clearCommittedFiles();
+          toast.success(
+            "You're offline. The ticket was saved on this device and will be submitted when the connection returns."
+          );
+          navigate("/tickets");
+        };
+
+        if (!online) {
+          await queueOffline();
+          return;
+        }
+
+        // Ticket and attachments are created together, or not at all
+        let newTicket;
+        try {
+          newTicket = await db.createTicketWithAttachments(
+            ticketPayload,
+            stagedAttachmentIds
+          );
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          await queueOffline();
+          return;
+        }
 
         if (!newTicket?.id) {
           throw new Error("Failed to create ticket - no ID returned");
         }
 
-        // Upload screenshots if any
-        let uploadedUrls = [];
-        if (screenshots.length > 0) {
-          toast.loading(`Uploading ${screenshots.length} screenshot(s)...`);
-          uploadedUrls = await uploadScreenshots(newTicket.id);
-          toast.dismiss();
-
-          if (uploadedUrls.length > 0) {
-            // Update ticket with attachment URLs
-            await db.updateTicket(newTicket.id, {
-              attachments: uploadedUrls,
-            });
-            toast.success(
-              `${uploadedUrls.length} screenshot(s) uploaded successfully!`
-            );
-          }
-        }
+        clearCommittedFiles();
 
         // Success feedback
         toast.success("Ticket created successfully!");
@@ -540,10 +374,26 @@ const CreateTicketPage = () => {
           } catch (notificationError) {
             console.warn("Background notification failed:", notificationError);
           }
+
+          // The database auto-assigns new tickets when the base has it on
+          if (newTicket.assigned_to) {
+            const assignee = newTicket.assignee_profile;
+            try {
+              await db.sendAssignmentNotification(
+                newTicket,
+                null,
+                newTicket.assigned_to,
+                assignee?.full_name || assignee?.email || "HIS staff",
+                profile.id
+              );
+            } catch (notificationError) {
+              console.warn("Background notification failed:", notificationError);
+            }
+          }
         });
 
         // Navigate to the new ticket
-        navigate(`/tickets/${newTicket.id}`);
+        navigate(getTicketPath(newTicket));
       } catch (error) {
         console.error("❌ Error creating ticket:", error);
 
@@ -590,8 +440,14 @@ const CreateTicketPage = () => {
       navigate,
       setError,
       clearErrors,
+      online,
       screenshots,
-      uploadScreenshots,
+      pendingUploads,
+      failedUploads,
+      stagedPaths,
+      stagedAttachmentIds,
+      clearCommittedFiles,
+      initialStatus,
     ]
   );
 
@@ -633,73 +489,6 @@ const CreateTicketPage = () => {
     );
   };
 
-  // Screenshot preview component
-  const ScreenshotPreview = ({ screenshot, onRemove }) => {
-    const progress = uploadProgress[screenshot.id];
-    const hasError = progress === -1;
-
-    return (
-      <div className="relative group bg-gray-50 rounded-lg p-2 border border-gray-200">
-        <div className="aspect-square w-20 h-20 rounded-md overflow-hidden bg-gray-100 flex items-center justify-center">
-          <img
-            src={screenshot.previewUrl}
-            alt={screenshot.name}
-            className="w-full h-full object-cover"
-            onError={(e) => {
-              e.target.style.display = "none";
-              e.target.parentNode.innerHTML =
-                '<FileImage className="h-8 w-8 text-gray-400" />';
-            }}
-          />
-        </div>
-
-        {/* Progress indicator */}
-        {progress !== undefined && progress >= 0 && progress < 100 && (
-          <div className="absolute inset-0 bg-black bg-opacity-50 rounded-lg flex items-center justify-center">
-            <div className="text-white text-xs font-medium">{progress}%</div>
-          </div>
-        )}
-
-        {/* Error indicator */}
-        {hasError && (
-          <div className="absolute inset-0 bg-red-500 bg-opacity-75 rounded-lg flex items-center justify-center">
-            <AlertCircle className="h-4 w-4 text-white" />
-          </div>
-        )}
-
-        {/* Success indicator */}
-        {screenshot.uploaded && (
-          <div className="absolute top-1 left-1">
-            <CheckCircle className="h-4 w-4 text-green-500 bg-white rounded-full" />
-          </div>
-        )}
-
-        {/* Remove button */}
-        <button
-          type="button"
-          onClick={() => onRemove(screenshot.id)}
-          className="absolute -top-1 -right-1 bg-red-500 text-white rounded-full p-1 opacity-0 group-hover:opacity-100 transition-opacity"
-          disabled={loading}
-        >
-          <X className="h-3 w-3" />
-        </button>
-
-        {/* File name */}
-        <div
-          className="mt-1 text-xs text-gray-600 truncate"
-          title={screenshot.name}
-        >
-          {screenshot.name}
-        </div>
-
-        {/* File size */}
-        <div className="text-xs text-gray-400">
-          {(screenshot.size / 1024 / 1024).toFixed(1)}MB
-        </div>
-      </div>
-    );
-  };
-
   // Loading state with skeleton
   if (dataLoading) {
     return (
@@ -900,6 +689,7 @@ const CreateTicketPage = () => {
                 }`}
                 placeholder="Please describe your issue in detail. Include steps to reproduce, error messages, and any relevant context..."
                 disabled={loading}
+                onPaste={handlePaste}
                 {...register("description", {
                   required: "Description is required",
                   minLength: {
@@ -930,11 +720,12 @@ const CreateTicketPage = () => {
             {/* Screenshots Upload Section */}
             <div>
               <label className="form-label">
-                Screenshots <span className="text-gray-500">(Optional)</span>
+                Attachments <span className="text-gray-500">(Optional)</span>
               </label>
               <p className="text-sm text-gray-600 mb-3">
-                Add screenshots to help explain your issue. Max {MAX_FILES}{" "}
-                files, 10MB each.
+                Add screenshots, logs or documents to help explain your issue.
+                You can also paste screenshots into the description. Max{" "}
+                {MAX_FILES} files, 10MB each.
               </p>
 
               {/* Drop zone */}
@@ -944,16 +735,13 @@ const CreateTicketPage = () => {
                     ? "border-blue-400 bg-blue-50"
                     : "border-gray-300 hover:border-gray-400"
                 } ${loading ? "opacity-50 pointer-events-none" : ""}`}
-                onDragEnter={handleDragEnter}
-                onDragLeave={handleDragLeave}
-                onDragOver={handleDragOver}
-                onDrop={handleDrop}
+                {...dragHandlers}
               >
                 <input
                   ref={fileInputRef}
                   type="file"
                   multiple
-                  accept={ACCEPTED_TYPES.join(",")}
+                  accept={ATTACHMENT_ACCEPT}
                   onChange={handleFileInput}
                   className="hidden"
                   disabled={loading}
@@ -961,10 +749,12 @@ const CreateTicketPage = () => {
 
                 <Upload className="h-12 w-12 mx-auto mb-4 text-gray-400" />
                 <p className="text-lg font-medium text-gray-900 mb-2">
-                  Drop screenshots here or click to browse
+                  Drop files here or click to browse
                 </p>
                 <p className="text-sm text-gray-600 mb-4">
-                  Supports: JPG, PNG, GIF, WebP (max 10MB each)
+                  Supports: images, PDF, TXT/LOG/CSV, Word, Excel, PowerPoint
+                  and ZIP (max 10MB each). Photos are resized and their
+                  location data removed before upload.
                 </p>
 
                 <button
@@ -978,24 +768,24 @@ const CreateTicketPage = () => {
                 </button>
               </div>
 
+              {processingFiles && (
+                <p className="mt-3 text-sm text-gray-500 flex items-center">
+                  <span className="loading-spinner h-4 w-4 mr-2"></span>
+                  Optimizing images...
+                </p>
+              )}
+
               {/* Screenshot previews */}
               {screenshots.length > 0 && (
                 <div className="mt-4">
                   <div className="flex items-center justify-between mb-3">
                     <span className="text-sm font-medium text-gray-700">
-                      Screenshots ({screenshots.length}/{MAX_FILES})
+                      Attachments ({screenshots.length}/{MAX_FILES})
                     </span>
                     {screenshots.length > 0 && (
                       <button
                         type="button"
-                        onClick={() => {
-                          screenshots.forEach(
-                            (s) =>
-                              s.previewUrl && URL.revokeObjectURL(s.previewUrl)
-                          );
-                          setScreenshots([]);
-                          setUploadProgress({});
-                        }}
+                        onClick={clearScreenshots}
                         className="text-sm text-red-600 hover:text-red-800"
                         disabled={loading}
                       >
@@ -1009,7 +799,12 @@ const CreateTicketPage = () => {
                       <ScreenshotPreview
                         key={screenshot.id}
                         screenshot={screenshot}
+                        progress={uploadProgress[screenshot.id]}
                         onRemove={removeScreenshot}
+                        onPause={pauseUpload}
+                        onResume={resumeUpload}
+                        onRetry={retryUpload}
+                        disabled={loading}
                       />
                     ))}
                   </div>
@@ -1215,15 +1010,24 @@ const CreateTicketPage = () => {
 
             <button
               type="submit"
-              disabled={loading || !isValid || !isDirty}
+              disabled={
+                loading ||
+                processingFiles ||
+                (online && pendingUploads > 0) ||
+                !isValid ||
+                !isDirty
+              }
               className="btn-primary"
             >
               {loading ? (
                 <>
                   <div className="loading-spinner h-4 w-4 mr-2"></div>
-                  {screenshots.length > 0
-                    ? "Creating & Uploading..."
-                    : "Creating..."}
+                  Creating...
+                </>
+              ) : online && pendingUploads > 0 ? (
+                <>
+                  <div className="loading-spinner h-4 w-4 mr-2"></div>
+                  Uploading attachments...
                 </>
               ) : (
                 <>
@@ -1,8 +1,13 @@
-import React, { useEffect, useMemo } from 'react'
-import { useQuery, useQueryClient } from '@tanstack/react-query'
+import React, { useMemo } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import { db, subscriptions } from '../lib/supabase.js'
+import { db } from '../lib/supabase.js'
+import useTicketCacheSync from '../hooks/useTicketCacheSync'
+import { getTicketPath } from '../lib/ticketLinks.js'
 import LoadingSpinner from '../components/LoadingSpinner'
+import TicketTrendChart from '../components/TicketTrendChart'
+import StatusBadge from '../components/StatusBadge'
 import {
   Ticket,
   Clock,
@@ -14,7 +19,6 @@ import {
 
 const DashboardPage = () => {
   const { profile } = useAuth()
-  const queryClient = useQueryClient()
 
   // Memoize user filtering logic
   const userFilterConfig = useMemo(() => {
@@ -47,22 +51,17 @@ const DashboardPage = () => {
     error: ticketsError,
   } = useQuery({
     queryKey: ['recentTickets', userFilterConfig.shouldFilter ? userFilterConfig.baseName : 'all'],
-    queryFn: () => userFilterConfig.shouldFilter 
-      ? db.getTickets({ base: userFilterConfig.baseName })
-      : db.getTickets(),
+    queryFn: async () => {
+      const filters = userFilterConfig.shouldFilter ? { base: userFilterConfig.baseName } : {}
+      const { tickets } = await db.getTicketsPage(filters, { pageSize: 5 })
+      return tickets
+    },
     refetchInterval: 300000,
     enabled: !!profile,
   })
 
-  useEffect(() => {
-    if (!profile) return
-
-    const channel = subscriptions.tickets(() => {
-      queryClient.invalidateQueries(['ticketStats'])
-      queryClient.invalidateQueries(['recentTickets'])
-    })
-    return () => channel.unsubscribe()
-  }, [queryClient, profile])
+  // Realtime changes in this user's scope patch the queries above
+  useTicketCacheSync()
 
   // Memoize processed data
   const processedData = useMemo(() => {
@@ -71,6 +70,8 @@ const DashboardPage = () => {
       open = 0,
       in_progress: inProgress = 0,
       resolved = 0,
+      resolved_this_month: resolvedThisMonth = 0,
+      daily = [],
       avg_resolution_time: avgResolutionTime = 'N/A',
       avg_resolution_time_current: avgCurrent = 0,
       avg_resolution_time_prev: avgPrev = 0,
@@ -87,8 +88,9 @@ const DashboardPage = () => {
     const processedTickets = (recentTickets || []).slice(0, 5).map(ticket => ({
       // Replace id with ticket_number everywhere
       id: ticket.ticket_number,
-      shortId: ticket.ticket_number?.slice(0, 6) || 'N/A',
-      ticketNumber: ticket.ticket_number || 'N/A',
+      shortId: db.getDisplayTicketId(ticket) || 'N/A',
+      ticketNumber: db.getDisplayTicketId(ticket) || 'N/A',
+      path: getTicketPath(ticket),
       title: ticket.title || 'Untitled',
       status: ticket.status || 'Unknown',
       priority: ticket.priority || 'Medium',
@@ -97,20 +99,14 @@ const DashboardPage = () => {
     }))
 
     return {
-      stats: { total, open, inProgress, resolved, avgResolutionTime },
+      stats: { total, open, inProgress, resolved, resolvedThisMonth, avgResolutionTime },
+      daily,
       trends: { resolutionTrend, resolutionTrendUp },
       tickets: processedTickets
     }
   }, [stats, recentTickets])
 
   // Memoized helper functions
-  const getStatusBadge = useMemo(() => ({
-    Open: 'badge-error',
-    'In Progress': 'badge-warning',
-    Resolved: 'badge-success',
-    Closed: 'badge-secondary'
-  }), [])
-
   const getPriorityBadge = useMemo(() => ({
     High: 'badge-error',
     Critical: 'badge-error',
@@ -170,7 +166,7 @@ const DashboardPage = () => {
     )
   }
 
-  const { stats: statsData, trends, tickets } = processedData
+  const { stats: statsData, daily, trends, tickets } = processedData
 
   return (
     <div className="space-y-6">
@@ -227,13 +223,23 @@ const DashboardPage = () => {
         />
         <MetricCard
           title="Tickets Resolved This Month"
-          value={statsData.resolved}
+          value={statsData.resolvedThisMonth}
           icon={Users}
-          trend={`${statsData.resolved} resolved`}
+          trend={`${statsData.resolved} resolved overall`}
           trendUp={true}
         />
       </div>
 
+      {/* Trend */}
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900">Last 30 Days</h3>
+        </div>
+        <div className="card-body">
+          <TicketTrendChart data={daily} height={240} />
+        </div>
+      </div>
+
       {/* Recent Tickets */}
       <div className="card">
         <div className="card-header">
@@ -264,17 +270,16 @@ const DashboardPage = () => {
                     <tr key={ticket.ticketNumber} className="hover:bg-gray-50 transition-colors">
                       <td className="table-cell">
                         <div className="text-sm font-medium text-gray-900">
-                          {/* Show the full ticket_number instead of shortId */}
-                          Ticket #{ticket.ticketNumber}
+                          <Link to={ticket.path} className="hover:text-primary-600">
+                            Ticket #{ticket.ticketNumber}
+                          </Link>
                         </div>
                         <div className="text-sm text-gray-500 truncate max-w-xs">
                           {ticket.title}
                         </div>
                       </td>
                       <td className="table-cell">
-                        <span className={`badge ${getStatusBadge[ticket.status] || 'badge-secondary'}`}>
-                          {ticket.status}
-                        </span>
+                        <StatusBadge status={ticket.status} />
                       </td>
                       <td className="table-cell">
                         <span className={`badge ${getPriorityBadge[ticket.priority] || 'badge-secondary'}`}>
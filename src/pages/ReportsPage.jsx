@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from 'react'
 import { useAuth } from '../contexts/AuthContext'
 import { db } from '../lib/supabase.js'
+import TicketTrendChart from '../components/TicketTrendChart'
+import useTicketStatuses from '../hooks/useTicketStatuses'
 import {
   BarChart,
   Bar,
@@ -12,40 +14,80 @@ import {
   ResponsiveContainer,
   PieChart,
   Pie,
-  Cell,
-  LineChart,
-  Line
+  Cell
 } from 'recharts'
 
+// Start of the given local day (YYYY-MM-DD), offset by a number of days, as ISO
+const dayToISO = (day, offsetDays = 0) => {
+  const date = new Date(`${day}T00:00:00`)
+  date.setDate(date.getDate() + offsetDays)
+  return date.toISOString()
+}
+
 const ReportsPage = () => {
   const { profile } = useAuth()
-  const [tickets, setTickets] = useState([])
+  const { getStatus } = useTicketStatuses()
+  const [stats, setStats] = useState(null)
+  const [slaStats, setSlaStats] = useState(null)
+  const [filters, setFilters] = useState({ base: '', project: '', assigned_to: '', from: '', to: '' })
+  const [bases, setBases] = useState([])
+  const [assignees, setAssignees] = useState([])
 
   useEffect(() => {
-    const fetchTickets = async () => {
-      const data = await db.getAllTickets()
-      setTickets(data)
+    const fetchOptions = async () => {
+      try {
+        const [baseList, userList] = await Promise.all([
+          profile?.role === 'Admin' ? db.getAllBases() : [],
+          db.getAssignableUsers()
+        ])
+        setBases(baseList)
+        setAssignees(userList)
+      } catch (error) {
+        console.error('Error loading report filters:', error)
+      }
     }
-    fetchTickets()
-  }, [])
-
-  const groupBy = (array, key) => {
-    return array.reduce((acc, obj) => {
-      const value = obj[key] || 'Unknown'
-      acc[value] = (acc[value] || 0) + 1
-      return acc
-    }, {})
-  }
-
-  const ticketsByStatusData = Object.entries(groupBy(tickets, 'status')).map(([status, count]) => ({
-    status,
-    count,
-    color: status === 'Open' ? '#EF4444' : status === 'In Progress' ? '#F59E0B' : status === 'Resolved' ? '#22C55E' : '#6B7280'
-  }))
+    if (profile) fetchOptions()
+  }, [profile])
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      const statsFilters = {
+        base: filters.base,
+        project: filters.project,
+        assigned_to: filters.assigned_to,
+        from: filters.from ? dayToISO(filters.from) : null,
+        // Inclusive end date: stop at the start of the following day
+        to: filters.to ? dayToISO(filters.to, 1) : null
+      }
+      try {
+        const [data, sla] = await Promise.all([
+          db.getTicketStats(statsFilters),
+          db.getSlaStats(statsFilters)
+        ])
+        setStats(data)
+        setSlaStats(sla)
+      } catch (error) {
+        console.error('Error loading report stats:', error)
+      }
+    }
+    fetchStats()
+  }, [filters])
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }))
 
-  const ticketsByBaseData = Object.entries(groupBy(tickets, 'base_name')).map(([base, count]) => ({ base, count }))
+  // In workflow order, in the colors set for each status
+  const ticketsByStatusData = Object.entries(stats?.by_status || {})
+    .map(([status, count]) => ({
+      status,
+      count,
+      position: getStatus(status)?.position ?? Infinity,
+      color: getStatus(status)?.color || '#6B7280'
+    }))
+    .sort((a, b) => a.position - b.position)
 
-  const ticketsByPriorityData = Object.entries(groupBy(tickets, 'priority')).map(([priority, count]) => ({
+  const ticketsByBaseData = stats?.by_base || []
+
+  const ticketsByPriorityData = Object.entries(stats?.by_priority || {}).map(([priority, count]) => ({
     priority,
     count,
     color:
@@ -62,18 +104,60 @@ const ReportsPage = () => {
         <p className="text-sm text-gray-600">Insights and metrics for ticket management</p>
       </div>
 
+      <div className="card">
+        <div className="card-body grid grid-cols-1 md:grid-cols-5 gap-4">
+          {profile?.role === 'Admin' && (
+            <div>
+              <label className="form-label">Base</label>
+              <select className="form-input" value={filters.base} onChange={(e) => updateFilter('base', e.target.value)}>
+                <option value="">All bases</option>
+                {bases.map(base => (
+                  <option key={base.id} value={base.name}>{base.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="form-label">Project</label>
+            <select className="form-input" value={filters.project} onChange={(e) => updateFilter('project', e.target.value)}>
+              <option value="">All projects</option>
+              {(stats?.projects || []).map(project => (
+                <option key={project} value={project}>{project}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Assignee</label>
+            <select className="form-input" value={filters.assigned_to} onChange={(e) => updateFilter('assigned_to', e.target.value)}>
+              <option value="">Anyone</option>
+              {assignees.map(user => (
+                <option key={user.id} value={user.id}>{user.full_name || user.email}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="form-label">From</label>
+            <input type="date" className="form-input" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+          </div>
+          <div>
+            <label className="form-label">To</label>
+            <input type="date" className="form-input" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+          </div>
+        </div>
+      </div>
+
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
         <MetricCard
           title="Total Tickets"
-          value={tickets.length}
+          value={stats?.total ?? '-'}
           change=""
           changeType="increase"
         />
         <MetricCard
           title="Avg Resolution Time"
-          value="-"
-          change=""
-          changeType="decrease"
+          value={stats?.avg_resolution_time ?? '-'}
+          change={slaStats?.resolution_rate != null ? `${slaStats.resolution_rate}% within SLA` : ''}
+          changeType={slaStats?.resolution_rate >= 90 ? 'increase' : 'decrease'}
         />
         <MetricCard
           title="Team Satisfaction"
@@ -83,12 +167,21 @@ const ReportsPage = () => {
         />
         <MetricCard
           title="Response Rate"
-          value="-"
-          change=""
-          changeType="increase"
+          value={slaStats?.response_rate != null ? `${slaStats.response_rate}%` : '-'}
+          change={slaStats?.breached_open ? `${slaStats.breached_open} open past SLA` : ''}
+          changeType={slaStats?.breached_open ? 'decrease' : 'increase'}
         />
       </div>
 
+      <div className="card">
+        <div className="card-header">
+          <h3 className="text-lg font-medium text-gray-900">Created vs Resolved</h3>
+        </div>
+        <div className="card-body">
+          <TicketTrendChart data={stats?.daily || []} />
+        </div>
+      </div>
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <div className="card">
           <div className="card-header">
@@ -2,7 +2,12 @@ import React, { useState, useEffect } from 'react'
 import { useAuth } from '../contexts/AuthContext'
 import { useForm } from 'react-hook-form'
 import { toast } from 'react-hot-toast'
+import { useQueryClient } from '@tanstack/react-query'
 import { db, supabase } from '../lib/supabase.js'
+import { DEFAULT_WORKING_HOURS, WEEKDAYS, isValidTimezone } from '../lib/businessHours.js'
+import useBaseCalendars from '../hooks/useBaseCalendars'
+import useTicketStatuses from '../hooks/useTicketStatuses'
+import { STATUS_CATEGORIES, TICKET_ROLES, getStatusStyle } from '../lib/ticketStatuses.js'
 import { 
   User, 
   Bell, 
@@ -17,7 +22,13 @@ import {
   Check,
   X,
   Plus,
-  Trash2
+  Trash2,
+  Hash,
+  Pencil,
+  RefreshCw,
+  Timer,
+  Workflow,
+  Siren
 } from 'lucide-react'
 
 const SettingsPage = () => {
@@ -34,7 +45,15 @@ const SettingsPage = () => {
     { id: 'notifications', name: 'Notifications', icon: Bell },
     { id: 'security', name: 'Security', icon: Shield },
     { id: 'telegram', name: 'Telegram', icon: MessageSquare },
-    ...(profile?.role === 'Admin' ? [{ id: 'manage-bases', name: 'Manage Bases', icon: Database }] : [])
+    ...(profile?.role === 'Admin'
+      ? [
+          { id: 'manage-bases', name: 'Manage Bases', icon: Database },
+          { id: 'ticket-numbers', name: 'Ticket Numbers', icon: Hash },
+          { id: 'sla-policies', name: 'SLA Policies', icon: Timer },
+          { id: 'ticket-statuses', name: 'Statuses', icon: Workflow },
+          { id: 'escalation', name: 'Escalation', icon: Siren }
+        ]
+      : [])
   ]
 
   // Load user settings and bases on mount
@@ -150,15 +169,31 @@ const SettingsPage = () => {
             />
           )}
           {activeTab === 'manage-bases' && profile?.role === 'Admin' && (
-            <ManageBasesTab
-              allUsers={allUsers}
-              allBases={allBases}
-              basesLoading={basesLoading}
-              refresh={() => {
-                setActiveTab('profile')
-                setActiveTab('manage-bases')
-              }}
-            />
+            <div className="space-y-6">
+              <ManageBasesTab
+                allUsers={allUsers}
+                allBases={allBases}
+                basesLoading={basesLoading}
+                refresh={() => {
+                  setActiveTab('profile')
+                  setActiveTab('manage-bases')
+                }}
+              />
+              <BaseCalendarsCard />
+              <AutoAssignmentCard />
+            </div>
+          )}
+          {activeTab === 'ticket-numbers' && profile?.role === 'Admin' && (
+            <TicketNumbersTab />
+          )}
+          {activeTab === 'sla-policies' && profile?.role === 'Admin' && (
+            <SlaPoliciesTab />
+          )}
+          {activeTab === 'ticket-statuses' && profile?.role === 'Admin' && (
+            <TicketStatusesTab />
+          )}
+          {activeTab === 'escalation' && profile?.role === 'Admin' && (
+            <EscalationRulesTab />
           )}
         </div>
       </div>
@@ -177,17 +212,26 @@ const ProfileTab = ({ profile, updateProfile }) => {
   } = useForm({
     defaultValues: {
       fullName: profile?.full_name || '',
-      email: profile?.email || ''
+      email: profile?.email || '',
       // Removed base from defaultValues
+      availableForAssignment: profile?.available_for_assignment ?? true,
+      outOfOfficeUntil: outOfOfficeToDate(profile?.out_of_office_until)
     }
   })
 
+  // Only HIS staff are picked by auto-assignment
+  const isAssignable = profile?.role === 'HIS'
+
   const onSubmit = async (data) => {
     try {
       setLoading(true)
       await updateProfile({
-        full_name: data.fullName
+        full_name: data.fullName,
         // Removed base from update
+        ...(isAssignable && {
+          available_for_assignment: data.availableForAssignment,
+          out_of_office_until: dateToOutOfOffice(data.outOfOfficeUntil)
+        })
       })
       toast.success('Profile updated successfully!')
     } catch (error) {
@@ -260,6 +304,34 @@ const ProfileTab = ({ profile, updateProfile }) => {
             </p>
           </div>
 
+          {isAssignable && (
+            <div>
+              <label className="form-label">Availability</label>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  {...register('availableForAssignment')}
+                />
+                Available for auto-assigned tickets
+              </label>
+              <div className="mt-3">
+                <label htmlFor="outOfOfficeUntil" className="form-label">
+                  Out of office until
+                </label>
+                <input
+                  id="outOfOfficeUntil"
+                  type="date"
+                  className="form-input w-44"
+                  {...register('outOfOfficeUntil')}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  New tickets at your bases are not assigned to you through this day. Leave empty when you are in.
+                </p>
+              </div>
+            </div>
+          )}
+
           {errors.root && (
             <div className="rounded-md bg-error-50 p-4">
               <p className="text-sm text-error-700">{errors.root.message}</p>
@@ -1240,6 +1312,1574 @@ const ManageBasesTab = ({ allUsers, allBases, basesLoading, refresh }) => {
   )
 }
 
+// Business hours of a base as edited: every weekday with open/close times
+const toCalendarForm = (base) => {
+  const workingHours = base.calendar?.working_hours || DEFAULT_WORKING_HOURS
+  return {
+    timezone: base.calendar?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    days: WEEKDAYS.map(({ day }) => ({
+      day,
+      open: Boolean(workingHours[day]),
+      start: workingHours[day]?.[0] || '08:00',
+      end: workingHours[day]?.[1] || '17:00'
+    }))
+  }
+}
+
+// "Mon–Fri 08:00–17:00, Sat 09:00–12:00"
+const describeWorkingHours = (workingHours) => {
+  const groups = []
+  WEEKDAYS.forEach(({ day, name }) => {
+    const hours = workingHours?.[day]
+    if (!hours) return
+    const label = `${hours[0]}–${hours[1]}`
+    const last = groups[groups.length - 1]
+    if (last && last.label === label && Number(last.lastDay) === Number(day) - 1) {
+      last.to = name.slice(0, 3)
+      last.lastDay = day
+    } else {
+      groups.push({ label, from: name.slice(0, 3), to: null, lastDay: day })
+    }
+  })
+  if (groups.length === 0) return 'No working hours'
+  return groups.map(group => `${group.to ? `${group.from}–${group.to}` : group.from} ${group.label}`).join(', ')
+}
+
+const BaseCalendarsCard = () => {
+  const queryClient = useQueryClient()
+  const { bases, isLoading } = useBaseCalendars()
+  const [editingBaseId, setEditingBaseId] = useState(null)
+  const [form, setForm] = useState(null)
+  const [holiday, setHoliday] = useState({ date: '', name: '' })
+  const [saving, setSaving] = useState(false)
+
+  const editingBase = bases.find(base => base.id === editingBaseId)
+
+  // Badges and ticket ages read the same query
+  const reload = () => queryClient.invalidateQueries({ queryKey: ['baseCalendars'] })
+
+  const startEditing = (base) => {
+    setEditingBaseId(base.id)
+    setForm(toCalendarForm(base))
+    setHoliday({ date: '', name: '' })
+  }
+
+  const updateDay = (day, changes) => {
+    setForm({ ...form, days: form.days.map(entry => (entry.day === day ? { ...entry, ...changes } : entry)) })
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!isValidTimezone(form.timezone.trim())) {
+      toast.error('Unknown timezone')
+      return
+    }
+    if (form.days.some(entry => entry.open && entry.end <= entry.start)) {
+      toast.error('Closing time must be after opening time')
+      return
+    }
+
+    try {
+      setSaving(true)
+      const working_hours = Object.fromEntries(
+        form.days.filter(entry => entry.open).map(entry => [entry.day, [entry.start, entry.end]])
+      )
+      await db.saveBaseCalendar(editingBaseId, { timezone: form.timezone, working_hours })
+      toast.success('Business hours saved')
+      setEditingBaseId(null)
+      setForm(null)
+      await reload()
+    } catch (error) {
+      toast.error(`Failed to save business hours: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleUseCalendarTime = async (base) => {
+    try {
+      await db.deleteBaseCalendar(base.id)
+      toast.success(`${base.name} now counts calendar time`)
+      setEditingBaseId(null)
+      setForm(null)
+      await reload()
+    } catch (error) {
+      toast.error(`Failed to remove business hours: ${error.message}`)
+    }
+  }
+
+  const handleAddHoliday = async () => {
+    if (!holiday.date) {
+      toast.error('Pick a date')
+      return
+    }
+    try {
+      await db.addBaseHoliday(editingBaseId, holiday.date, holiday.name)
+      setHoliday({ date: '', name: '' })
+      await reload()
+    } catch (error) {
+      // 23505: the base already has this holiday
+      toast.error(
+        error.code === '23505' ? 'That date is already a holiday' : `Failed to add holiday: ${error.message}`
+      )
+    }
+  }
+
+  const handleRemoveHoliday = async (date) => {
+    try {
+      await db.removeBaseHoliday(editingBaseId, date)
+      await reload()
+    } catch (error) {
+      toast.error(`Failed to remove holiday: ${error.message}`)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">Business Hours</h3>
+        <p className="text-sm text-gray-600">
+          Working hours, timezone and holidays per base. SLA deadlines and ticket ages count only
+          working time; bases without business hours count around the clock.
+        </p>
+      </div>
+      <div className="card-body space-y-6">
+        {isLoading ? (
+          <div className="text-center py-8 text-gray-500">
+            <div className="loading-spinner h-6 w-6 mx-auto mb-2"></div>
+            Loading business hours...
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {bases.map(base => (
+              <div key={base.id} className="p-4 flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <div className="text-sm font-medium text-gray-900">{base.name}</div>
+                  <div className="text-sm text-gray-600">
+                    {base.calendar
+                      ? `${describeWorkingHours(base.calendar.working_hours)} · ${base.calendar.timezone}`
+                      : 'Calendar time (24/7)'}
+                    {base.holidays.length > 0 &&
+                      ` · ${base.holidays.length} holiday${base.holidays.length === 1 ? '' : 's'}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => startEditing(base)}
+                  disabled={editingBaseId === base.id}
+                  className="p-2 text-gray-400 hover:text-gray-600 rounded-md"
+                  title="Edit"
+                >
+                  <Pencil className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {editingBase && form && (
+          <div className="border border-gray-200 rounded-lg p-4 space-y-6">
+            <form onSubmit={handleSave} className="space-y-4">
+              <h4 className="text-sm font-medium text-gray-900">{editingBase.name}</h4>
+              <div>
+                <label className="form-label">Timezone</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  list="base-calendar-timezones"
+                  placeholder="Europe/Berlin"
+                  value={form.timezone}
+                  onChange={e => setForm({ ...form, timezone: e.target.value })}
+                />
+                <datalist id="base-calendar-timezones">
+                  {(Intl.supportedValuesOf?.('timeZone') || []).map(zone => (
+                    <option key={zone} value={zone} />
+                  ))}
+                </datalist>
+              </div>
+
+              <div className="space-y-2">
+                <label className="form-label">Working hours</label>
+                {form.days.map(entry => (
+                  <div key={entry.day} className="flex flex-wrap items-center gap-3">
+                    <label className="flex items-center w-32 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={entry.open}
+                        onChange={e => updateDay(entry.day, { open: e.target.checked })}
+                      />
+                      {WEEKDAYS.find(({ day }) => day === entry.day).name}
+                    </label>
+                    {entry.open ? (
+                      <>
+                        <input
+                          type="time"
+                          className="form-input w-32"
+                          value={entry.start}
+                          onChange={e => updateDay(entry.day, { start: e.target.value })}
+                        />
+                        <span className="text-sm text-gray-500">to</span>
+                        <input
+                          type="time"
+                          className="form-input w-32"
+                          value={entry.end}
+                          onChange={e => updateDay(entry.day, { end: e.target.value })}
+                        />
+                      </>
+                    ) : (
+                      <span className="text-sm text-gray-500">Closed</span>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap justify-end gap-2">
+                {editingBase.calendar && (
+                  <button
+                    type="button"
+                    onClick={() => handleUseCalendarTime(editingBase)}
+                    className="btn-secondary"
+                  >
+                    <Trash2 className="h-4 w-4 mr-2" />
+                    Use Calendar Time
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => {
+                    setEditingBaseId(null)
+                    setForm(null)
+                  }}
+                  className="btn-secondary"
+                >
+                  <X className="h-4 w-4 mr-2" />
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? (
+                    <div className="loading-spinner h-4 w-4 mr-2"></div>
+                  ) : (
+                    <Save className="h-4 w-4 mr-2" />
+                  )}
+                  Save Hours
+                </button>
+              </div>
+            </form>
+
+            <div className="space-y-2">
+              <label className="form-label">Holidays</label>
+              {editingBase.holidays.length === 0 ? (
+                <div className="text-sm text-gray-500">No holidays.</div>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {editingBase.holidays.map(entry => (
+                    <li key={entry.holiday} className="py-2 flex items-center justify-between text-sm">
+                      <span className="text-gray-900">
+                        {new Date(`${entry.holiday}T00:00:00`).toLocaleDateString()}
+                        {entry.name && <span className="text-gray-500"> · {entry.name}</span>}
+                      </span>
+                      <button
+                        onClick={() => handleRemoveHoliday(entry.holiday)}
+                        className="p-1 text-gray-400 hover:text-red-600 rounded-md"
+                        title="Remove"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="date"
+                  className="form-input w-44"
+                  value={holiday.date}
+                  onChange={e => setHoliday({ ...holiday, date: e.target.value })}
+                />
+                <input
+                  type="text"
+                  className="form-input flex-1"
+                  placeholder="Name (optional)"
+                  value={holiday.name}
+                  onChange={e => setHoliday({ ...holiday, name: e.target.value })}
+                />
+                <button type="button" onClick={handleAddHoliday} className="btn-secondary">
+                  <Plus className="h-4 w-4 mr-2" />
+                  Add Holiday
+                </button>
+              </div>
+              {!editingBase.calendar && editingBase.holidays.length > 0 && (
+                <p className="text-xs text-gray-500">Holidays apply once the base has business hours.</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const ASSIGNMENT_STRATEGIES = [
+  { value: 'round_robin', label: 'Round robin' },
+  { value: 'least_loaded', label: 'Lowest open workload' }
+]
+
+const isOutOfOffice = (user) => Boolean(user.out_of_office_until) && new Date(user.out_of_office_until) > new Date()
+
+// Out of office "until" a day means through that day: the profile stores the
+// start of the next local day
+const outOfOfficeToDate = (until) => {
+  if (!until) return ''
+  const lastDay = new Date(new Date(until).getTime() - 1)
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${lastDay.getFullYear()}-${pad(lastDay.getMonth() + 1)}-${pad(lastDay.getDate())}`
+}
+
+const dateToOutOfOffice = (date) => {
+  if (!date) return null
+  const nextDay = new Date(`${date}T00:00:00`)
+  nextDay.setDate(nextDay.getDate() + 1)
+  return nextDay.toISOString()
+}
+
+const AutoAssignmentCard = () => {
+  const [bases, setBases] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [savingBaseId, setSavingBaseId] = useState(null)
+
+  const loadSettings = async () => {
+    try {
+      setBases(await db.getAssignmentSettings())
+    } catch (error) {
+      toast.error('Failed to load auto-assignment settings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadSettings()
+  }, [])
+
+  const handleChange = async (base, changes) => {
+    try {
+      setSavingBaseId(base.id)
+      await db.saveAssignmentSettings(base.id, {
+        enabled: base.settings?.enabled ?? false,
+        strategy: base.settings?.strategy || 'round_robin',
+        ...changes
+      })
+      await loadSettings()
+    } catch (error) {
+      toast.error(`Failed to save auto-assignment: ${error.message}`)
+    } finally {
+      setSavingBaseId(null)
+    }
+  }
+
+  const handleAvailability = async (user, available) => {
+    try {
+      await db.updateProfile(user.id, { available_for_assignment: available })
+      await loadSettings()
+    } catch (error) {
+      toast.error(`Failed to update availability: ${error.message}`)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-medium text-gray-900">Auto-Assignment</h3>
+        <p className="text-sm text-gray-600">
+          New tickets go to an HIS user at the ticket's base, taking turns or picking whoever has the
+          fewest open tickets. Unavailable and out-of-office staff are skipped.
+        </p>
+      </div>
+      <div className="card-body">
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">
+            <div className="loading-spinner h-6 w-6 mx-auto mb-2"></div>
+            Loading auto-assignment settings...
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {bases.map(base => {
+              const enabled = base.settings?.enabled ?? false
+              const available = base.staff.filter(user => user.available_for_assignment && !isOutOfOffice(user))
+              return (
+                <div key={base.id} className="p-4 space-y-3">
+                  <div className="flex flex-wrap items-center justify-between gap-3">
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">{base.name}</div>
+                      <div className="text-sm text-gray-600">
+                        {available.length} of {base.staff.length} HIS staff available
+                      </div>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3">
+                      <select
+                        className="form-input w-56"
+                        value={base.settings?.strategy || 'round_robin'}
+                        disabled={!enabled || savingBaseId === base.id}
+                        onChange={e => handleChange(base, { strategy: e.target.value })}
+                      >
+                        {ASSIGNMENT_STRATEGIES.map(strategy => (
+                          <option key={strategy.value} value={strategy.value}>{strategy.label}</option>
+                        ))}
+                      </select>
+                      <label className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          className="mr-2"
+                          checked={enabled}
+                          disabled={savingBaseId === base.id}
+                          onChange={e => handleChange(base, { enabled: e.target.checked })}
+                        />
+                        Enabled
+                      </label>
+                    </div>
+                  </div>
+                  {enabled && base.staff.length === 0 && (
+                    <p className="text-xs text-gray-500">
+                      No HIS staff at this base; new tickets stay unassigned.
+                    </p>
+                  )}
+                  {enabled && base.staff.length > 0 && (
+                    <ul className="space-y-1">
+                      {base.staff.map(user => (
+                        <li key={user.id} className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                          <span className="text-gray-900">
+                            {user.full_name || user.email}
+                            {isOutOfOffice(user) && (
+                              <span className="text-gray-500">
+                                {' '}· Out of office until {new Date(user.out_of_office_until).toLocaleDateString()}
+                              </span>
+                            )}
+                          </span>
+                          <label className="flex items-center text-gray-700">
+                            <input
+                              type="checkbox"
+                              className="mr-2"
+                              checked={user.available_for_assignment}
+                              onChange={e => handleAvailability(user, e.target.checked)}
+                            />
+                            Available
+                          </label>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const EMPTY_SCHEME ={ base_id: '', project: '', format: '', padding: 5, reset_yearly: true }
+
+// Same substitutions as format_ticket_number in the database
+const previewTicketNumber = ({ format, padding }, value = 42) => {
+  const year = new Date().getFullYear()
+  return (format || '')
+    .toUpperCase()
+    .split('{YYYY}').join(String(year))
+    .split('{YY}').join(String(year % 100).padStart(2, '0'))
+    .split('{SEQ}').join(String(value).padStart(Number(padding) || 1, '0'))
+}
+
+const describeScheme = (scheme) => {
+  if (!scheme.base_id && !scheme.project) return 'Default (all other tickets)'
+  return [scheme.bases?.name, scheme.project].filter(Boolean).join(' · ')
+}
+
+const TicketNumbersTab = () => {
+  const [schemes, setSchemes] = useState([])
+  const [bases, setBases] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [form, setForm] = useState(null)
+  const [confirmRenumberId, setConfirmRenumberId] = useState(null)
+  const [renumberingId, setRenumberingId] = useState(null)
+
+  const loadSchemes = async () => {
+    try {
+      setLoading(true)
+      const [schemeData, baseData] = await Promise.all([db.getTicketNumberSchemes(), db.getAllBases()])
+      setSchemes(schemeData)
+      setBases(baseData)
+    } catch (error) {
+      toast.error('Failed to load numbering schemes')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadSchemes()
+  }, [])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!form.format.toUpperCase().includes('{SEQ}')) {
+      toast.error('The format must contain {SEQ}')
+      return
+    }
+
+    try {
+      setSaving(true)
+      await db.saveTicketNumberScheme(form)
+      toast.success('Numbering scheme saved. It applies to new tickets.')
+      setForm(null)
+      await loadSchemes()
+    } catch (error) {
+      // 23505: unique (base_id, project) or unique format
+      toast.error(
+        error.code === '23505'
+          ? error.message?.includes('format')
+            ? 'Another scheme already uses this format'
+            : 'A scheme for this base and project already exists'
+          : `Failed to save scheme: ${error.message}`
+      )
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (scheme) => {
+    try {
+      await db.deleteTicketNumberScheme(scheme.id)
+      toast.success('Numbering scheme removed')
+      await loadSchemes()
+    } catch (error) {
+      toast.error(`Failed to remove scheme: ${error.message}`)
+    }
+  }
+
+  const handleRenumber = async (scheme) => {
+    try {
+      setRenumberingId(scheme.id)
+      const count = await db.renumberTickets(scheme.id)
+      toast.success(`Renumbered ${count} ticket${count === 1 ? '' : 's'}`)
+    } catch (error) {
+      toast.error(`Failed to renumber tickets: ${error.message}`)
+    } finally {
+      setRenumberingId(null)
+      setConfirmRenumberId(null)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex justify-between items-center">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Ticket Numbers</h3>
+            <p className="text-sm text-gray-600">
+              Number formats per base or project. A ticket uses the most specific scheme
+              that matches it; numbers never skip and may restart every year.
+            </p>
+          </div>
+          <button
+            onClick={() => setForm(EMPTY_SCHEME)}
+            disabled={!!form}
+            className="btn-secondary"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Scheme
+          </button>
+        </div>
+      </div>
+      <div className="card-body space-y-6">
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">
+            <div className="loading-spinner h-6 w-6 mx-auto mb-2"></div>
+            Loading numbering schemes...
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {schemes.map(scheme => (
+              <div key={scheme.id} className="p-4 flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <div className="text-sm font-medium text-gray-900">{describeScheme(scheme)}</div>
+                  <div className="text-sm text-gray-600">
+                    <code>{scheme.format}</code> · e.g. {previewTicketNumber(scheme)}
+                    {scheme.reset_yearly && ' · restarts every year'}
+                  </div>
+                </div>
+
+                {confirmRenumberId === scheme.id ? (
+                  <div className="flex items-center gap-2 text-sm">
+                    <span className="text-gray-600">
+                      Renumber its existing tickets? Old numbers keep working in links.
+                    </span>
+                    <button
+                      onClick={() => handleRenumber(scheme)}
+                      disabled={renumberingId === scheme.id}
+                      className="btn-primary"
+                    >
+                      {renumberingId === scheme.id && <div className="loading-spinner h-4 w-4 mr-2"></div>}
+                      Renumber
+                    </button>
+                    <button
+                      onClick={() => setConfirmRenumberId(null)}
+                      disabled={renumberingId === scheme.id}
+                      className="btn-secondary"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => setForm({
+                        ...scheme,
+                        base_id: scheme.base_id || '',
+                        project: scheme.project || '',
+                        isDefault: !scheme.base_id && !scheme.project
+                      })}
+                      className="p-2 text-gray-400 hover:text-gray-600 rounded-md"
+                      title="Edit"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => setConfirmRenumberId(scheme.id)}
+                      className="p-2 text-gray-400 hover:text-gray-600 rounded-md"
+                      title="Renumber existing tickets"
+                    >
+                      <RefreshCw className="h-4 w-4" />
+                    </button>
+                    {(scheme.base_id || scheme.project) && (
+                      <button
+                        onClick={() => handleDelete(scheme)}
+                        className="p-2 text-gray-400 hover:text-red-600 rounded-md"
+                        title="Remove"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={handleSave} className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="form-label">Base</label>
+                <select
+                  className="form-input"
+                  value={form.base_id}
+                  disabled={form.isDefault}
+                  onChange={e => setForm({ ...form, base_id: e.target.value ? Number(e.target.value) : '' })}
+                >
+                  <option value="">Any base</option>
+                  {bases.map(base => (
+                    <option key={base.id} value={base.id}>{base.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Project</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="Any project"
+                  value={form.project}
+                  disabled={form.isDefault}
+                  onChange={e => setForm({ ...form, project: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="form-label">Format</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="BEY-{YYYY}-{SEQ}"
+                  value={form.format}
+                  onChange={e => setForm({ ...form, format: e.target.value })}
+                  required
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  {'{SEQ}'} is the counter, {'{YYYY}'} or {'{YY}'} the year the ticket was created
+                </p>
+              </div>
+              <div>
+                <label className="form-label">Counter digits</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="10"
+                  className="form-input"
+                  value={form.padding}
+                  onChange={e => setForm({ ...form, padding: e.target.value })}
+                  required
+                />
+              </div>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.reset_yearly}
+                onChange={e => setForm({ ...form, reset_yearly: e.target.checked })}
+              />
+              Restart the counter every year
+            </label>
+
+            {form.format && (
+              <p className="text-sm text-gray-600">
+                Next numbers look like <strong>{previewTicketNumber(form, 1)}</strong>,{' '}
+                <strong>{previewTicketNumber(form, 2)}</strong>…
+              </p>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={() => setForm(null)} className="btn-secondary">
+                <X className="h-4 w-4 mr-2" />
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary">
+                {saving ? (
+                  <div className="loading-spinner h-4 w-4 mr-2"></div>
+                ) : (
+                  <Save className="h-4 w-4 mr-2" />
+                )}
+                Save Scheme
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const SLA_PRIORITIES = ['Critical', 'High', 'Medium', 'Low']
+const EMPTY_SLA_POLICY = { priority: 'High', base_id: '', project: '', first_response_hours: '', resolution_hours: '' }
+
+// Targets are stored in minutes and edited in hours
+const minutesToHours = (minutes) => (minutes ? String(minutes / 60) : '')
+const hoursToMinutes = (hours) => (hours === '' ? null : Math.round(Number(hours) * 60))
+
+const describeTarget = (minutes) => {
+  if (!minutes) return 'no target'
+  return minutes % 1440 === 0 ? `${minutes / 1440}d` : minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`
+}
+
+const SlaPoliciesTab = () => {
+  const [policies, setPolicies] = useState([])
+  const [bases, setBases] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [form, setForm] = useState(null)
+
+  const loadPolicies = async () => {
+    try {
+      setLoading(true)
+      const [policyData, baseData] = await Promise.all([db.getSlaPolicies(), db.getAllBases()])
+      setPolicies(
+        [...policyData].sort(
+          (a, b) => SLA_PRIORITIES.indexOf(a.priority) - SLA_PRIORITIES.indexOf(b.priority)
+        )
+      )
+      setBases(baseData)
+    } catch (error) {
+      toast.error('Failed to load SLA policies')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadPolicies()
+  }, [])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (form.first_response_hours === '' && form.resolution_hours === '') {
+      toast.error('Set a first response or a resolution target')
+      return
+    }
+
+    try {
+      setSaving(true)
+      await db.saveSlaPolicy({
+        ...form,
+        first_response_minutes: hoursToMinutes(form.first_response_hours),
+        resolution_minutes: hoursToMinutes(form.resolution_hours)
+      })
+      toast.success('SLA policy saved')
+      setForm(null)
+      await loadPolicies()
+    } catch (error) {
+      // 23505: unique (priority, base_id, project)
+      toast.error(
+        error.code === '23505'
+          ? 'A policy for this priority, base and project already exists'
+          : `Failed to save policy: ${error.message}`
+      )
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (policy) => {
+    try {
+      await db.deleteSlaPolicy(policy.id)
+      toast.success('SLA policy removed')
+      await loadPolicies()
+    } catch (error) {
+      toast.error(`Failed to remove policy: ${error.message}`)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex justify-between items-center">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">SLA Policies</h3>
+            <p className="text-sm text-gray-600">
+              First response and resolution targets per priority. A policy for a base or
+              project overrides the general one for that priority. Targets count working
+              hours at bases with business hours (see Manage Bases).
+            </p>
+          </div>
+          <button
+            onClick={() => setForm(EMPTY_SLA_POLICY)}
+            disabled={!!form}
+            className="btn-secondary"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Policy
+          </button>
+        </div>
+      </div>
+      <div className="card-body space-y-6">
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">
+            <div className="loading-spinner h-6 w-6 mx-auto mb-2"></div>
+            Loading SLA policies...
+          </div>
+        ) : policies.length === 0 ? (
+          <div className="text-sm text-gray-500">No SLA policies yet. Tickets have no deadlines.</div>
+        ) : (
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {policies.map(policy => (
+              <div key={policy.id} className="p-4 flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <div className="text-sm font-medium text-gray-900">
+                    {policy.priority}
+                    <span className="font-normal text-gray-500">
+                      {' · '}
+                      {[policy.bases?.name, policy.project].filter(Boolean).join(' · ') || 'All bases and projects'}
+                    </span>
+                  </div>
+                  <div className="text-sm text-gray-600">
+                    First response: {describeTarget(policy.first_response_minutes)} · Resolution:{' '}
+                    {describeTarget(policy.resolution_minutes)}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => setForm({
+                      ...policy,
+                      base_id: policy.base_id || '',
+                      project: policy.project || '',
+                      first_response_hours: minutesToHours(policy.first_response_minutes),
+                      resolution_hours: minutesToHours(policy.resolution_minutes)
+                    })}
+                    className="p-2 text-gray-400 hover:text-gray-600 rounded-md"
+                    title="Edit"
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(policy)}
+                    className="p-2 text-gray-400 hover:text-red-600 rounded-md"
+                    title="Remove"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={handleSave} className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="form-label">Priority</label>
+                <select
+                  className="form-input"
+                  value={form.priority}
+                  onChange={e => setForm({ ...form, priority: e.target.value })}
+                >
+                  {SLA_PRIORITIES.map(priority => (
+                    <option key={priority} value={priority}>{priority}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Base</label>
+                <select
+                  className="form-input"
+                  value={form.base_id}
+                  onChange={e => setForm({ ...form, base_id: e.target.value ? Number(e.target.value) : '' })}
+                >
+                  <option value="">Any base</option>
+                  {bases.map(base => (
+                    <option key={base.id} value={base.id}>{base.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Project</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="Any project"
+                  value={form.project}
+                  onChange={e => setForm({ ...form, project: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="form-label">First response (hours)</label>
+                <input
+                  type="number"
+                  min="0.25"
+                  step="0.25"
+                  className="form-input"
+                  placeholder="No target"
+                  value={form.first_response_hours}
+                  onChange={e => setForm({ ...form, first_response_hours: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="form-label">Resolution (hours)</label>
+                <input
+                  type="number"
+                  min="0.25"
+                  step="0.25"
+                  className="form-input"
+                  placeholder="No target"
+                  value={form.resolution_hours}
+                  onChange={e => setForm({ ...form, resolution_hours: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={() => setForm(null)} className="btn-secondary">
+                <X className="h-4 w-4 mr-2" />
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary">
+                {saving ? (
+                  <div className="loading-spinner h-4 w-4 mr-2"></div>
+                ) : (
+                  <Save className="h-4 w-4 mr-2" />
+                )}
+                Save Policy
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const ESCALATION_CONDITIONS = [
+  { id: 'unassigned', name: 'Unassigned for' },
+  { id: 'no_activity', name: 'No update or comment for' }
+]
+const ESCALATION_ACTIONS = [
+  { id: 'raise_priority', name: 'Raise priority one step' },
+  { id: 'reassign', name: 'Reassign to' },
+  { id: 'flag', name: 'Flag only' }
+]
+const EMPTY_ESCALATION_RULE = {
+  name: '',
+  enabled: true,
+  base_id: '',
+  priority: '',
+  status: '',
+  condition: 'unassigned',
+  after_hours: '',
+  action: 'raise_priority',
+  reassign_to: ''
+}
+
+// "High · Open · Beirut, unassigned for 2h: raise priority"
+const describeEscalationRule = (rule) => {
+  const scope = [rule.priority, rule.status, rule.bases?.name].filter(Boolean).join(' · ') || 'Any ticket'
+  const condition = ESCALATION_CONDITIONS.find(option => option.id === rule.condition)?.name.toLowerCase()
+  const action =
+    rule.action === 'reassign'
+      ? `reassign to ${rule.reassignee?.full_name || rule.reassignee?.email || 'a removed user'}`
+      : ESCALATION_ACTIONS.find(option => option.id === rule.action)?.name.toLowerCase()
+  return `${scope}, ${condition} ${describeTarget(rule.after_minutes)}: ${action}`
+}
+
+const EscalationRulesTab = () => {
+  const { statuses } = useTicketStatuses()
+  const [rules, setRules] = useState([])
+  const [bases, setBases] = useState([])
+  const [staff, setStaff] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [form, setForm] = useState(null)
+
+  const loadRules = async () => {
+    try {
+      setLoading(true)
+      const [ruleData, baseData, staffData] = await Promise.all([
+        db.getEscalationRules(),
+        db.getAllBases(),
+        db.getAssignableUsers()
+      ])
+      setRules(ruleData)
+      setBases(baseData)
+      setStaff(staffData)
+    } catch (error) {
+      toast.error('Failed to load escalation rules')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadRules()
+  }, [])
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim() || !(Number(form.after_hours) > 0)) {
+      toast.error('Give the rule a name and a waiting time')
+      return
+    }
+    if (form.action === 'reassign' && !form.reassign_to) {
+      toast.error('Pick who to reassign to')
+      return
+    }
+
+    try {
+      setSaving(true)
+      await db.saveEscalationRule({ ...form, after_minutes: hoursToMinutes(form.after_hours) })
+      toast.success('Escalation rule saved')
+      setForm(null)
+      await loadRules()
+    } catch (error) {
+      toast.error(`Failed to save rule: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggle = async (rule) => {
+    try {
+      await db.saveEscalationRule({ ...rule, enabled: !rule.enabled })
+      await loadRules()
+    } catch (error) {
+      toast.error(`Failed to update rule: ${error.message}`)
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    try {
+      await db.deleteEscalationRule(rule.id)
+      toast.success('Escalation rule removed')
+      await loadRules()
+    } catch (error) {
+      toast.error(`Failed to remove rule: ${error.message}`)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <div className="flex justify-between items-center">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Escalation Rules</h3>
+            <p className="text-sm text-gray-600">
+              Tickets left unassigned or untouched too long are escalated automatically, and the
+              base's HIS staff and Admins are notified. Waiting times count working hours at the
+              ticket's base.
+            </p>
+          </div>
+          <button
+            onClick={() => setForm(EMPTY_ESCALATION_RULE)}
+            disabled={!!form}
+            className="btn-secondary"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Rule
+          </button>
+        </div>
+      </div>
+      <div className="card-body space-y-6">
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">
+            <div className="loading-spinner h-6 w-6 mx-auto mb-2"></div>
+            Loading escalation rules...
+          </div>
+        ) : rules.length === 0 ? (
+          <div className="text-sm text-gray-500">No escalation rules yet. Tickets are never escalated.</div>
+        ) : (
+          <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {rules.map(rule => (
+              <div key={rule.id} className="p-4 flex flex-wrap items-center justify-between gap-3">
+                <div className={rule.enabled ? '' : 'opacity-50'}>
+                  <div className="text-sm font-medium text-gray-900">
+                    {rule.name}
+                    {!rule.enabled && <span className="font-normal text-gray-500"> · Off</span>}
+                  </div>
+                  <div className="text-sm text-gray-600">{describeEscalationRule(rule)}</div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => handleToggle(rule)}
+                    className="text-xs font-medium text-primary-600 hover:text-primary-800"
+                  >
+                    {rule.enabled ? 'Turn off' : 'Turn on'}
+                  </button>
+                  <button
+                    onClick={() => setForm({
+                      ...rule,
+                      base_id: rule.base_id || '',
+                      priority: rule.priority || '',
+                      status: rule.status || '',
+                      after_hours: minutesToHours(rule.after_minutes),
+                      reassign_to: rule.reassign_to || ''
+                    })}
+                    className="p-2 text-gray-400 hover:text-gray-600 rounded-md"
+                    title="Edit"
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule)}
+                    className="p-2 text-gray-400 hover:text-red-600 rounded-md"
+                    title="Remove"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {form && (
+          <form onSubmit={handleSave} className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div>
+              <label className="form-label">Name</label>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="High priority unassigned for 2h"
+                value={form.name}
+                onChange={e => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="form-label">Priority</label>
+                <select
+                  className="form-input"
+                  value={form.priority}
+                  onChange={e => setForm({ ...form, priority: e.target.value })}
+                >
+                  <option value="">Any priority</option>
+                  {SLA_PRIORITIES.map(priority => (
+                    <option key={priority} value={priority}>{priority}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Status</label>
+                <select
+                  className="form-input"
+                  value={form.status}
+                  onChange={e => setForm({ ...form, status: e.target.value })}
+                >
+                  <option value="">Any open status</option>
+                  {/* Resolved and closed tickets are never escalated */}
+                  {statuses.filter(status => !['resolved', 'closed'].includes(status.category)).map(status => (
+                    <option key={status.name} value={status.name}>{status.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Base</label>
+                <select
+                  className="form-input"
+                  value={form.base_id}
+                  onChange={e => setForm({ ...form, base_id: e.target.value ? Number(e.target.value) : '' })}
+                >
+                  <option value="">Any base</option>
+                  {bases.map(base => (
+                    <option key={base.id} value={base.id}>{base.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">When</label>
+                <select
+                  className="form-input"
+                  value={form.condition}
+                  onChange={e => setForm({ ...form, condition: e.target.value })}
+                >
+                  {ESCALATION_CONDITIONS.map(condition => (
+                    <option key={condition.id} value={condition.id}>{condition.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="form-label">Hours</label>
+                <input
+                  type="number"
+                  min="0.25"
+                  step="0.25"
+                  className="form-input"
+                  value={form.after_hours}
+                  onChange={e => setForm({ ...form, after_hours: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="form-label">Then</label>
+                <select
+                  className="form-input"
+                  value={form.action}
+                  onChange={e => setForm({ ...form, action: e.target.value })}
+                >
+                  {ESCALATION_ACTIONS.map(action => (
+                    <option key={action.id} value={action.id}>{action.name}</option>
+                  ))}
+                </select>
+              </div>
+              {form.action === 'reassign' && (
+                <div>
+                  <label className="form-label">Reassign to</label>
+                  <select
+                    className="form-input"
+                    value={form.reassign_to}
+                    onChange={e => setForm({ ...form, reassign_to: e.target.value })}
+                  >
+                    <option value="">Choose someone</option>
+                    {staff.map(user => (
+                      <option key={user.id} value={user.id}>
+                        {user.full_name || user.email} ({user.role})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button type="button" onClick={() => setForm(null)} className="btn-secondary">
+                <X className="h-4 w-4 mr-2" />
+                Cancel
+              </button>
+              <button type="submit" disabled={saving} className="btn-primary">
+                {saving ? (
+                  <div className="loading-spinner h-4 w-4 mr-2"></div>
+                ) : (
+                  <Save className="h-4 w-4 mr-2" />
+                )}
+                Save Rule
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const EMPTY_STATUS = { name: '', category: 'in_progress', color: '#3B82F6', position: '', is_initial: false }
+
+const TicketStatusesTab = () => {
+  const queryClient = useQueryClient()
+  const { statuses, transitions, isLoading, canTransition } = useTicketStatuses()
+  const [form, setForm] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [role, setRole] = useState('HIS')
+  const [updatingTransition, setUpdatingTransition] = useState(null)
+
+  // Badges, filters and status menus everywhere read the same query
+  const reload = () => queryClient.invalidateQueries({ queryKey: ['ticketStatuses'] })
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) {
+      toast.error('Enter a status name')
+      return
+    }
+
+    try {
+      setSaving(true)
+      await db.saveTicketStatus(
+        { ...form, position: form.position === '' ? statuses.length + 1 : form.position },
+        { isNew: form.isNew }
+      )
+      toast.success('Status saved')
+      setForm(null)
+      await reload()
+    } catch (error) {
+      // 23505: the name is taken
+      toast.error(
+        error.code === '23505' ? 'A status with this name already exists' : `Failed to save status: ${error.message}`
+      )
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (status) => {
+    try {
+      await db.deleteTicketStatus(status.name)
+      toast.success(`${status.name} removed`)
+      await reload()
+    } catch (error) {
+      // 23503: tickets are still in this status
+      toast.error(
+        error.code === '23503'
+          ? `Tickets are still ${status.name}. Move them to another status first.`
+          : `Failed to remove status: ${error.message}`
+      )
+    }
+  }
+
+  const handleToggleTransition = async (from, to, allowed) => {
+    const key = `${from}->${to}`
+    try {
+      setUpdatingTransition(key)
+      await db.setStatusTransition({ from_status: from, to_status: to, role }, allowed)
+      await reload()
+    } catch (error) {
+      toast.error(`Failed to update transition: ${error.message}`)
+    } finally {
+      setUpdatingTransition(null)
+    }
+  }
+
+  const categoryName = (id) => STATUS_CATEGORIES.find(category => category.id === id)?.name || id
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="card-header">
+          <div className="flex justify-between items-center">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">Ticket Statuses</h3>
+              <p className="text-sm text-gray-600">
+                Statuses in workflow order. The category decides what a status means: tickets in a
+                resolved or closed status stop their SLA clock and count as done in reports.
+              </p>
+            </div>
+            <button
+              onClick={() => setForm({ ...EMPTY_STATUS, isNew: true })}
+              disabled={!!form}
+              className="btn-secondary"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Add Status
+            </button>
+          </div>
+        </div>
+        <div className="card-body space-y-6">
+          {isLoading ? (
+            <div className="text-center py-8 text-gray-500">
+              <div className="loading-spinner h-6 w-6 mx-auto mb-2"></div>
+              Loading statuses...
+            </div>
+          ) : (
+            <div className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+              {statuses.map(status => (
+                <div key={status.name} className="p-4 flex flex-wrap items-center justify-between gap-3">
+                  <div className="flex items-center gap-3">
+                    <span className="badge" style={getStatusStyle(status)}>{status.name}</span>
+                    <span className="text-sm text-gray-600">
+                      {categoryName(status.category)}
+                      {status.is_initial && ' · New tickets start here'}
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => setForm({ ...status, isNew: false })}
+                      className="p-2 text-gray-400 hover:text-gray-600 rounded-md"
+                      title="Edit"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(status)}
+                      disabled={status.is_initial}
+                      className="p-2 text-gray-400 hover:text-red-600 rounded-md disabled:opacity-40"
+                      title={status.is_initial ? 'The initial status cannot be removed' : 'Remove'}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {form && (
+            <form onSubmit={handleSave} className="border border-gray-200 rounded-lg p-4 space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="form-label">Name</label>
+                  <input
+                    type="text"
+                    className="form-input"
+                    placeholder="Waiting for Parts"
+                    value={form.name}
+                    onChange={e => setForm({ ...form, name: e.target.value })}
+                    disabled={!form.isNew}
+                  />
+                  {!form.isNew && (
+                    <p className="text-xs text-gray-500 mt-1">Names can't change once tickets may use them.</p>
+                  )}
+                </div>
+                <div>
+                  <label className="form-label">Category</label>
+                  <select
+                    className="form-input"
+                    value={form.category}
+                    onChange={e => setForm({ ...form, category: e.target.value })}
+                  >
+                    {STATUS_CATEGORIES.map(category => (
+                      <option key={category.id} value={category.id}>{category.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="form-label">Color</label>
+                  <div className="flex items-center gap-3">
+                    <input
+                      type="color"
+                      className="h-9 w-14 border border-gray-300 rounded"
+                      value={form.color}
+                      onChange={e => setForm({ ...form, color: e.target.value.toUpperCase() })}
+                    />
+                    <span className="badge" style={getStatusStyle(form)}>{form.name || 'Preview'}</span>
+                  </div>
+                </div>
+                <div>
+                  <label className="form-label">Order</label>
+                  <input
+                    type="number"
+                    min="0"
+                    className="form-input"
+                    placeholder="Last"
+                    value={form.position}
+                    onChange={e => setForm({ ...form, position: e.target.value })}
+                  />
+                </div>
+              </div>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={form.is_initial}
+                  onChange={e => setForm({ ...form, is_initial: e.target.checked })}
+                />
+                New tickets start in this status
+              </label>
+
+              <div className="flex justify-end gap-2">
+                <button type="button" onClick={() => setForm(null)} className="btn-secondary">
+                  <X className="h-4 w-4 mr-2" />
+                  Cancel
+                </button>
+                <button type="submit" disabled={saving} className="btn-primary">
+                  {saving ? (
+                    <div className="loading-spinner h-4 w-4 mr-2"></div>
+                  ) : (
+                    <Save className="h-4 w-4 mr-2" />
+                  )}
+                  Save Status
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <div className="flex flex-wrap justify-between items-center gap-3">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">Transitions</h3>
+              <p className="text-sm text-gray-600">
+                Which status changes each role may make. Tick a box to allow moving a ticket from the
+                status on the left to the status on top.
+              </p>
+            </div>
+            <select className="form-input w-32" value={role} onChange={e => setRole(e.target.value)}>
+              {TICKET_ROLES.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="card-body overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr>
+                <th className="p-2 text-left text-xs font-medium text-gray-500">From \ To</th>
+                {statuses.map(status => (
+                  <th key={status.name} className="p-2 text-center text-xs font-medium text-gray-500">
+                    {status.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {statuses.map(from => (
+                <tr key={from.name}>
+                  <td className="p-2 font-medium text-gray-900 whitespace-nowrap">{from.name}</td>
+                  {statuses.map(to => (
+                    <td key={to.name} className="p-2 text-center">
+                      {from.name === to.name ? (
+                        <span className="text-gray-300">—</span>
+                      ) : (
+                        <input
+                          type="checkbox"
+                          checked={canTransition(from.name, to.name, role)}
+                          disabled={updatingTransition === `${from.name}->${to.name}`}
+                          onChange={e => handleToggleTransition(from.name, to.name, e.target.checked)}
+                        />
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!isLoading && !transitions.some(transition => transition.role === role) && (
+            <p className="text-sm text-gray-500 mt-4">{role} users can't change ticket statuses.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
 const NotificationToggle = ({ title, description, checked, onChange, disabled }) => {
   return (
     <div className="flex items-center justify-between">
@@ -1,8 +1,44 @@
-import React, { useEffect, useState, useMemo, useCallback } from "react";
+import React, { useEffect, useState, useMemo, useCallback, useRef } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
-import { db, supabase } from "../lib/supabase.js";
+import {
+  db,
+  subscriptions,
+  supabase,
+  StatusTransitionError,
+  TicketConflictError,
+} from "../lib/supabase.js";
 import { toast } from "react-hot-toast";
+import ConflictDialog from "../components/ConflictDialog";
+import AttachmentIcon from "../components/AttachmentIcon";
+import ScreenshotPreview from "../components/ScreenshotPreview";
+import useAttachmentUploads from "../hooks/useAttachmentUploads";
+import OutboxBadge from "../components/OutboxBadge";
+import SlaBadge from "../components/SlaBadge";
+import EscalationBadge from "../components/EscalationBadge";
+import StatusBadge from "../components/StatusBadge";
+import PresenceAvatars from "../components/PresenceAvatars";
+import useTicketPresence from "../hooks/useTicketPresence";
+import { copyTicketLink, getTicketPath } from "../lib/ticketLinks.js";
+import { SLA_FIELDS, formatSlaDuration } from "../lib/sla.js";
+import { businessMsBetween } from "../lib/businessHours.js";
+import { buildTimeline } from "../lib/timeline.js";
+import useOutbox from "../hooks/useOutbox";
+import useBaseCalendars from "../hooks/useBaseCalendars";
+import useTicketStatuses from "../hooks/useTicketStatuses";
+import {
+  OUTBOX_STATUS,
+  createLocalId,
+  isNetworkError,
+  queueComment,
+  queueStatusChange,
+} from "../lib/outbox.js";
+import {
+  ATTACHMENT_ACCEPT,
+  PREVIEWABLE_KINDS,
+  formatFileSize,
+  getAttachmentKind,
+} from "../lib/attachments.js";
 import {
   ArrowLeft,
   Clock,
@@ -16,23 +52,82 @@ import {
   Download,
   Eye,
   Image as ImageIcon,
-  FileText,
   ExternalLink,
+  Activity,
+  Link2,
 } from "lucide-react";
 
+// Display names for fields recorded in ticket_events
+const FIELD_LABELS = {
+  title: "title",
+  description: "description",
+  priority: "priority",
+  status: "status",
+  base: "base",
+  assigned_to: "assignee",
+  project: "project",
+  expected_delivery_date: "expected delivery date",
+};
+
+// What an escalation rule did, after the rule name in the history
+const ESCALATION_ACTIONS = {
+  raise_priority: ": priority raised",
+  reassign: ": reassigned",
+  flag: ": flagged for attention",
+};
+
+const HISTORY_FILTERS = [
+  { id: "all", label: "All" },
+  { id: "comments", label: "Comments" },
+  { id: "changes", label: "Changes" },
+];
+
+// Edit form values for a ticket; also used to compare versions on a conflict
+const ticketToEditForm = (ticket) => ({
+  title: ticket.title || "",
+  description: ticket.description || "",
+  priority: ticket.priority || "Medium",
+  base_id: ticket.base_id || "",
+  status: ticket.status || "Open",
+  project: ticket.project || "",
+  expected_delivery_date: ticket.expected_delivery_date
+    ? ticket.expected_delivery_date.slice(0, 10)
+    : "",
+});
+
+// Files that can be attached to a single comment
+const MAX_COMMENT_FILES = 5;
+// Others see "typing" until the comment box has been idle this long
+const TYPING_IDLE_MS = 3000;
+
+// Characters of a text attachment shown in the preview
+const TEXT_PREVIEW_LIMIT = 100000;
+
+const truncateValue = (value, max = 80) => {
+  if (value === null || value === undefined || value === "") return "empty";
+  const text = String(value);
+  return text.length > max ? `${text.slice(0, max)}…` : text;
+};
+
 const TicketDetailPage = () => {
-  const { id: ticketId } = useParams();
+  const { id: ticketParam } = useParams();
   const navigate = useNavigate();
   const { profile } = useAuth();
 
   // Core state
   const [ticket, setTicket] = useState(null);
+  // The route takes a ticket number or a UUID; everything below uses the UUID
+  const ticketId = ticket?.id ?? null;
+  const ticketRef = useRef(ticket);
+  ticketRef.current = ticket;
   const [history, setHistory] = useState([]);
+  const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   // Form state
   const [newComment, setNewComment] = useState("");
+  const [commentSaving, setCommentSaving] = useState(false);
   const [editForm, setEditForm] = useState({
     title: "",
     description: "",
@@ -46,8 +141,17 @@ const TicketDetailPage = () => {
   // Modal state
   const [showAssignmentModal, setShowAssignmentModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
-  const [showImageModal, setShowImageModal] = useState(false);
-  const [selectedImage, setSelectedImage] = useState(null);
+  const [showPreviewModal, setShowPreviewModal] = useState(false);
+  const [previewAttachment, setPreviewAttachment] = useState(null);
+  // First part of a text/log attachment shown in the preview
+  const [previewText, setPreviewText] = useState(null);
+
+  // Set when a save is rejected because the ticket changed since it was loaded
+  const [conflict, setConflict] = useState(null);
+
+  // Activity filters
+  const [historyFilter, setHistoryFilter] = useState("all");
+  const [fieldFilter, setFieldFilter] = useState("all");
 
   // Loading states
   const [editLoading, setEditLoading] = useState(false);
@@ -60,6 +164,66 @@ const TicketDetailPage = () => {
   const [availableBases, setAvailableBases] = useState([]);
   const [attachments, setAttachments] = useState([]);
 
+  // Files being attached to the next comment
+  const commentUploads = useAttachmentUploads({ maxFiles: MAX_COMMENT_FILES });
+
+  // Comments and status changes made offline for this ticket
+  const {
+    entries: outboxEntries,
+    online,
+    retry: retryOutboxEntry,
+    discard: discardOutboxEntry,
+  } = useOutbox({ ticketId });
+
+  const { getCalendar } = useBaseCalendars();
+  const { getAllowedStatuses, canTransition } = useTicketStatuses();
+
+  const queuedComments = useMemo(
+    () =>
+      outboxEntries.filter(
+        (entry) =>
+          entry.type === "add_comment" && entry.status !== OUTBOX_STATUS.SYNCED
+      ),
+    [outboxEntries]
+  );
+
+  const syncedCommentIds = useMemo(
+    () =>
+      new Set(
+        outboxEntries
+          .filter(
+            (entry) =>
+              entry.type === "add_comment" &&
+              entry.status === OUTBOX_STATUS.SYNCED
+          )
+          .map((entry) => entry.payload.commentId)
+      ),
+    [outboxEntries]
+  );
+
+  const queuedStatusChange = outboxEntries.find(
+    (entry) =>
+      entry.type === "status_change" && entry.status !== OUTBOX_STATUS.SYNCED
+  );
+
+  // Other users with this ticket open, and whether they are writing a comment
+  const [commentTyping, setCommentTyping] = useState(false);
+  const { viewers } = useTicketPresence({
+    ticketId: ticket?.id,
+    typing: commentTyping,
+  });
+  const typingViewers = viewers.filter((viewer) => viewer.typing);
+
+  useEffect(() => {
+    if (!newComment.trim()) {
+      setCommentTyping(false);
+      return undefined;
+    }
+    setCommentTyping(true);
+    const timer = setTimeout(() => setCommentTyping(false), TYPING_IDLE_MS);
+    return () => clearTimeout(timer);
+  }, [newComment]);
+
   // Utility functions
   const formatDate = useCallback((dateString) => {
     if (!dateString) return "Unknown";
@@ -76,16 +240,6 @@ const TicketDetailPage = () => {
     }
   }, []);
 
-  const getStatusBadge = useCallback((status) => {
-    const styles = {
-      Open: "badge-error",
-      "In Progress": "badge-warning",
-      Resolved: "badge-success",
-      Closed: "badge-secondary",
-    };
-    return styles[status] || "badge-secondary";
-  }, []);
-
   const getPriorityBadge = useCallback((priority) => {
     const styles = {
       Low: "badge-success",
@@ -96,56 +250,79 @@ const TicketDetailPage = () => {
     return styles[priority] || "badge-secondary";
   }, []);
 
-  // File type detection
-  const getFileType = useCallback((fileName) => {
-    const extension = fileName.split(".").pop()?.toLowerCase();
-    const imageTypes = ["jpg", "jpeg", "png", "gif", "webp", "svg", "bmp"];
-    const documentTypes = ["pdf", "doc", "docx", "txt", "rtf"];
-
-    if (imageTypes.includes(extension)) return "image";
-    if (documentTypes.includes(extension)) return "document";
-    return "file";
-  }, []);
-
-  // Attachment functions
-  const loadAttachments = useCallback(async () => {
+  // Attachment functions. URLs are signed and short-lived; a silent reload
+  // re-signs them without showing the loading state.
+  const loadAttachments = useCallback(async ({ silent = false } = {}) => {
     if (!ticket?.id) return;
 
     try {
-      setAttachmentsLoading(true);
-      const attachmentList = await db.listTicketAttachments(ticket.id);
-
-      const attachmentsWithUrls = attachmentList.map((file) => {
-        const fullPath = `${ticket.id}/${file.name}`;
-        const urlData = db.getTicketAttachmentUrl(fullPath);
-        return {
-          ...file,
-          fullPath,
-          url: urlData.publicUrl,
-          type: getFileType(file.name),
-        };
-      });
+      if (!silent) setAttachmentsLoading(true);
+      const attachmentList = await db.getTicketAttachments(ticket.id);
+      const signedUrls = await db.getTicketAttachmentUrls(
+        attachmentList.map((attachment) => attachment.storage_path)
+      );
+
+      const attachmentsWithUrls = attachmentList.map((attachment) => ({
+        ...attachment,
+        name: attachment.file_name,
+        size: attachment.size_bytes,
+        fullPath: attachment.storage_path,
+        url: signedUrls[attachment.storage_path]?.signedUrl || null,
+        expiresAt: signedUrls[attachment.storage_path]?.expiresAt || null,
+        kind: getAttachmentKind(attachment.mime_type, attachment.file_name),
+      }));
 
       setAttachments(attachmentsWithUrls);
+      setPreviewAttachment((current) =>
+        current
+          ? attachmentsWithUrls.find((a) => a.fullPath === current.fullPath) ||
+            current
+          : current
+      );
     } catch (error) {
       console.error("Error loading attachments:", error);
-      toast.error("Failed to load attachments");
+      if (!silent) toast.error("Failed to load attachments");
     } finally {
-      setAttachmentsLoading(false);
+      if (!silent) setAttachmentsLoading(false);
     }
-  }, [ticket?.id, getFileType]);
+  }, [ticket?.id]);
+
+  // Images, PDFs and text files open in the preview modal; text files are
+  // fetched so logs can be read without downloading them
+  const handlePreview = useCallback(async (attachment) => {
+    if (!PREVIEWABLE_KINDS.includes(attachment.kind)) return;
 
-  const handleImageClick = useCallback((attachment) => {
-    if (attachment.type === "image") {
-      setSelectedImage(attachment);
-      setShowImageModal(true);
+    setPreviewAttachment(attachment);
+    setPreviewText(null);
+    setShowPreviewModal(true);
+
+    if (attachment.kind === "text" && attachment.url) {
+      try {
+        const response = await fetch(attachment.url);
+        const text = await response.text();
+        setPreviewText(
+          text.length > TEXT_PREVIEW_LIMIT
+            ? `${text.slice(0, TEXT_PREVIEW_LIMIT)}\n…`
+            : text
+        );
+      } catch (error) {
+        console.error("Error loading text preview:", error);
+        setPreviewText("");
+      }
     }
   }, []);
 
+  // Downloads and "open in new tab" get a freshly signed URL and are logged
   const handleDownload = useCallback(async (attachment) => {
     try {
+      const { signedUrl } = await db.getTicketAttachmentUrl(
+        attachment.fullPath,
+        { download: attachment.name }
+      );
+      db.logAttachmentDownload(ticket.id, attachment.fullPath);
+
       const link = document.createElement("a");
-      link.href = attachment.url;
+      link.href = signedUrl;
       link.download = attachment.name;
       document.body.appendChild(link);
       link.click();
@@ -154,7 +331,21 @@ const TicketDetailPage = () => {
       console.error("Error downloading file:", error);
       toast.error("Failed to download file");
     }
-  }, []);
+  }, [ticket?.id]);
+
+  const handleOpenAttachment = useCallback(async (attachment) => {
+    // Open the tab synchronously so the popup blocker allows it
+    const newWindow = window.open("", "_blank");
+    try {
+      const { signedUrl } = await db.getTicketAttachmentUrl(attachment.fullPath);
+      db.logAttachmentDownload(ticket.id, attachment.fullPath);
+      if (newWindow) newWindow.location.href = signedUrl;
+    } catch (error) {
+      newWindow?.close();
+      console.error("Error opening file:", error);
+      toast.error("Failed to open file");
+    }
+  }, [ticket?.id]);
 
   // Computed values
   const ticketDisplayData = useMemo(() => {
@@ -162,14 +353,6 @@ const TicketDetailPage = () => {
 
     console.log("🔍 PROCESSING TICKET DATA:", ticket);
 
-    const getTicketId = () => ticket?.id || "unknown";
-    const getShortId = () => {
-      const ticketId = getTicketId();
-      return ticketId && ticketId !== "unknown"
-        ? ticketId.slice(0, 6)
-        : "Unknown";
-    };
-
     const getBaseName = () => {
       if (ticket.base_name) return ticket.base_name;
       if (ticket.base && typeof ticket.base === "string") return ticket.base;
@@ -218,7 +401,7 @@ const TicketDetailPage = () => {
     };
 
     const result = {
-      shortId: getShortId(),
+      shortId: db.getDisplayTicketId(ticket) || "Unknown",
       baseName: getBaseName(),
       creatorName: getCreatorName(),
       assigneeName: getAssigneeName(),
@@ -244,29 +427,88 @@ const TicketDetailPage = () => {
     );
   }, [profile, ticket]);
 
-  const screenshots = useMemo(() => {
-    return attachments.filter((attachment) => attachment.type === "image");
+  // Files attached to the ticket itself (comment attachments show with their comment)
+  const ticketAttachments = useMemo(() => {
+    return attachments.filter((attachment) => !attachment.comment_id);
   }, [attachments]);
 
+  const screenshots = useMemo(() => {
+    return ticketAttachments.filter((attachment) => attachment.kind === "image");
+  }, [ticketAttachments]);
+
   const documents = useMemo(() => {
-    return attachments.filter((attachment) => attachment.type !== "image");
+    return ticketAttachments.filter((attachment) => attachment.kind !== "image");
+  }, [ticketAttachments]);
+
+  const attachmentsByComment = useMemo(() => {
+    return attachments.reduce((acc, attachment) => {
+      if (attachment.comment_id) {
+        acc[attachment.comment_id] = [
+          ...(acc[attachment.comment_id] || []),
+          attachment,
+        ];
+      }
+      return acc;
+    }, {});
   }, [attachments]);
 
+  // Comments and audit events merged into one list, newest first
+  const timelineEntries = useMemo(
+    () => buildTimeline(history, events, { historyFilter, fieldFilter }),
+    [history, events, historyFilter, fieldFilter]
+  );
+
+  const eventFields = useMemo(
+    () => [...new Set(events.map((event) => event.field).filter(Boolean))],
+    [events]
+  );
+
+  // Re-read the ticket together with its comments and audit events
+  const reloadTicket = useCallback(async () => {
+    const [updatedTicket, updatedHistory, updatedEvents] = await Promise.all([
+      db.getTicket(ticketId),
+      db.getTicketHistory(ticketId),
+      db.getTicketEvents(ticketId),
+    ]);
+
+    setTicket(updatedTicket);
+    setHistory(updatedHistory);
+    setEvents(updatedEvents);
+  }, [ticketId]);
+
+  // Offline changes appear in the timeline once they reach the server
+  const syncedCount = outboxEntries.filter(
+    (entry) => entry.status === OUTBOX_STATUS.SYNCED
+  ).length;
+  const syncedCountRef = useRef(syncedCount);
+
+  useEffect(() => {
+    const previous = syncedCountRef.current;
+    syncedCountRef.current = syncedCount;
+    if (syncedCount <= previous) return;
+
+    reloadTicket().catch((err) =>
+      console.error("Error reloading synced ticket:", err)
+    );
+    loadAttachments({ silent: true });
+  }, [syncedCount, reloadTicket, loadAttachments]);
+
   // Event handlers
+  const handleCopyLink = useCallback(async () => {
+    if (!ticket) return;
+    try {
+      await copyTicketLink(ticket);
+      toast.success("Link copied");
+    } catch (err) {
+      console.error("Error copying link:", err);
+      toast.error("Could not copy the link.");
+    }
+  }, [ticket]);
+
   const handleEdit = useCallback(() => {
     if (!ticket) return;
 
-    setEditForm({
-      title: ticket.title || "",
-      description: ticket.description || "",
-      priority: ticket.priority || "Medium",
-      base_id: ticket.base_id || "",
-      status: ticket.status || "Open",
-      project: ticket.project || "",
-      expected_delivery_date: ticket.expected_delivery_date
-        ? ticket.expected_delivery_date.slice(0, 10)
-        : "",
-    });
+    setEditForm(ticketToEditForm(ticket));
     setShowEditModal(true);
   }, [ticket]);
 
@@ -358,77 +600,172 @@ const TicketDetailPage = () => {
         return;
       }
 
-      await db.updateTicket(ticket.id, changes);
-
-      for (const change of changeDetails) {
-        await db.addTicketComment({
-          ticket_id: ticket.id,
-          user_id: profile.id,
-          comment_type: "comment",
-          comment: `${
-            change.field.charAt(0).toUpperCase() + change.field.slice(1)
-          } changed from "${change.old_value}" to "${change.new_value}"`,
-        });
-      }
-
+      // The update, its ticket_events rows and the notification commit together
       const changedFields = changeDetails.map((c) => c.field).join(", ");
-      await db.sendOptimizedNotification({
-        type: "ticket_updated",
-        ticket_id: ticket.id,
-        ticket_title: editForm.title || ticket.title,
-        ticket_base: ticket.base_name || ticket.base,
-        message: `Ticket updated: ${changedFields} changed`,
-        actor_id: profile.id,
-        created_by: ticket.created_by,
-        assigned_to: ticket.assigned_to,
-        base_id: ticket.base_id,
-        changes: changeDetails,
-      });
-
-      const [updatedTicket, updatedHistory] = await Promise.all([
-        db.getTicket(ticketId),
-        db.getTicketHistory(ticket.id),
-      ]);
+      await db.updateTicketWithHistory(ticket.id, changes, [
+        {
+          type: "ticket_updated",
+          ticket_id: ticket.id,
+          ticket_number: ticket.ticket_number,
+          ticket_title: editForm.title || ticket.title,
+          ticket_base: ticket.base_name || ticket.base,
+          message: `Ticket updated: ${changedFields} changed`,
+          actor_id: profile.id,
+          created_by: ticket.created_by,
+          assigned_to: ticket.assigned_to,
+          base_id: ticket.base_id,
+          changes: changeDetails,
+        },
+      ], { expectedVersion: ticket.version });
 
-      setTicket(updatedTicket);
-      setHistory(updatedHistory);
+      await reloadTicket();
       setShowEditModal(false);
       toast.success("Ticket updated successfully!");
     } catch (error) {
+      if (error instanceof TicketConflictError) {
+        setConflict({
+          original: ticketToEditForm(ticket),
+          theirs: ticketToEditForm(error.current),
+          current: error.current,
+        });
+        return;
+      }
+      if (error instanceof StatusTransitionError) {
+        toast.error(error.message);
+        return;
+      }
       console.error("Error updating ticket:", error);
       toast.error("Failed to update ticket. Please try again.");
     } finally {
       setEditLoading(false);
     }
-  }, [ticket, editForm, profile, ticketDisplayData, availableBases, ticketId]);
+  }, [ticket, editForm, profile, ticketDisplayData, availableBases, reloadTicket]);
+
+  // Continue editing on top of the current version with the merged values
+  const handleConflictResolve = useCallback(
+    (merged) => {
+      setTicket(conflict.current);
+      setEditForm(merged);
+      setConflict(null);
+      toast("Merged with the latest version. Review and save again.");
+    },
+    [conflict]
+  );
+
+  const handleConflictCancel = useCallback(async () => {
+    setConflict(null);
+    setShowEditModal(false);
+    try {
+      await reloadTicket();
+    } catch (error) {
+      console.error("Error reloading ticket:", error);
+    }
+  }, [reloadTicket]);
+
+  const conflictFields = useMemo(
+    () => [
+      { key: "title", label: "Title" },
+      { key: "description", label: "Description" },
+      { key: "priority", label: "Priority" },
+      {
+        key: "base_id",
+        label: "Base",
+        format: (value) =>
+          availableBases.find((b) => String(b.id) === String(value))?.name ||
+          (value ? String(value) : ""),
+      },
+      { key: "status", label: "Status" },
+      { key: "project", label: "Project" },
+      { key: "expected_delivery_date", label: "Expected Delivery Date" },
+    ],
+    [availableBases]
+  );
+
+  const {
+    stagedAttachmentIds: commentAttachmentIds,
+    pendingCount: pendingCommentUploads,
+    failedCount: failedCommentUploads,
+    clearCommittedFiles: clearCommentFiles,
+  } = commentUploads;
 
   const handleAddComment = useCallback(async () => {
-    if (!newComment.trim() || !ticket || !profile?.id) return;
+    const text = newComment.trim();
+    // Offline, files that have not finished uploading are queued as well
+    const attachmentCount = online
+      ? commentAttachmentIds.length
+      : commentUploads.files.length;
+    if ((!text && attachmentCount === 0) || !ticket || !profile?.id) return;
+
+    if (online && pendingCommentUploads > 0) {
+      toast.error("Please wait for the attachments to finish uploading.");
+      return;
+    }
+    if (online && failedCommentUploads > 0) {
+      toast.error("Some attachments failed to upload. Retry or remove them.");
+      return;
+    }
+
+    const commentId = createLocalId();
+    const notification = {
+      type: "ticket_comment",
+      ticket_id: ticket.id,
+      ticket_number: ticket.ticket_number,
+      ticket_title: ticket.title,
+      ticket_base: ticket.base_name || ticket.base,
+      message: text
+        ? `New comment: ${text.substring(0, 100)}${
+            text.length > 100 ? "..." : ""
+          }`
+        : `New comment with ${attachmentCount} attachment(s)`,
+      actor_id: profile.id,
+      created_by: ticket.created_by,
+      assigned_to: ticket.assigned_to,
+      base_id: ticket.base_id,
+    };
+
+    // Saved on this device and posted by the outbox when back online
+    const queueOffline = async () => {
+      await queueComment({
+        ticketId: ticket.id,
+        commentId,
+        comment: text,
+        notification,
+        files: commentUploads.files,
+      });
+      setNewComment("");
+      clearCommentFiles();
+      toast.success("You're offline. The comment will be posted when the connection returns.");
+    };
 
     try {
-      const comment = {
-        ticket_id: ticket.id,
-        user_id: profile.id,
-        comment: newComment.trim(),
-        comment_type: "comment",
-      };
+      setCommentSaving(true);
+
+      if (!online) {
+        await queueOffline();
+        return;
+      }
+
+      // The comment and its staged files are saved together
+      try {
+        await db.addTicketCommentWithAttachments(
+          ticket.id,
+          text,
+          commentAttachmentIds,
+          { commentId }
+        );
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        await queueOffline();
+        return;
+      }
 
-      await db.addTicketComment(comment);
       setNewComment("");
+      clearCommentFiles();
+      if (attachmentCount > 0) {
+        await loadAttachments({ silent: true });
+      }
 
-      await db.sendOptimizedNotification({
-        type: "ticket_comment",
-        ticket_id: ticket.id,
-        ticket_title: ticket.title,
-        ticket_base: ticket.base_name || ticket.base,
-        message: `New comment: ${newComment.substring(0, 100)}${
-          newComment.length > 100 ? "..." : ""
-        }`,
-        actor_id: profile.id,
-        created_by: ticket.created_by,
-        assigned_to: ticket.assigned_to,
-        base_id: ticket.base_id,
-      });
+      await db.sendOptimizedNotification(notification);
 
       const updatedHistory = await db.getTicketHistory(ticket.id);
       setHistory(updatedHistory);
@@ -437,28 +774,38 @@ const TicketDetailPage = () => {
     } catch (err) {
       console.error("Error adding comment:", err);
       toast.error("Failed to add comment.");
+    } finally {
+      setCommentSaving(false);
     }
-  }, [newComment, ticket, profile]);
+  }, [
+    newComment,
+    ticket,
+    profile,
+    online,
+    commentUploads.files,
+    commentAttachmentIds,
+    pendingCommentUploads,
+    failedCommentUploads,
+    clearCommentFiles,
+    loadAttachments,
+  ]);
 
   const handleStatusChange = useCallback(
     async (newStatus) => {
       if (!ticket || !profile?.id || newStatus === ticket.status) return;
 
-      try {
-        await db.updateTicket(ticket.id, { status: newStatus });
-
-        await db.addTicketComment({
-          ticket_id: ticket.id,
-          user_id: profile.id,
-          comment: `Status changed from ${ticket.status} to ${newStatus}`,
-          comment_type: "status_change",
-          old_value: ticket.status,
-          new_value: newStatus,
-        });
+      // The database checks this too; checking here keeps offline changes
+      // that could never be applied out of the outbox
+      if (!canTransition(ticket.status, newStatus, profile.role)) {
+        toast.error(`You can't move a ticket from ${ticket.status} to ${newStatus}.`);
+        return;
+      }
 
-        await db.sendOptimizedNotification({
+      const notifications = [
+        {
           type: "ticket_status_change",
           ticket_id: ticket.id,
+          ticket_number: ticket.ticket_number,
           ticket_title: ticket.title,
           ticket_base: ticket.base_name || ticket.base,
           message: `Status changed from ${ticket.status} to ${newStatus}`,
@@ -466,22 +813,44 @@ const TicketDetailPage = () => {
           created_by: ticket.created_by,
           assigned_to: ticket.assigned_to,
           base_id: ticket.base_id,
+        },
+      ];
+
+      // Shown right away and applied by the outbox when back online
+      const queueOffline = async () => {
+        await queueStatusChange({
+          ticketId: ticket.id,
+          status: newStatus,
+          previousStatus: ticket.status,
+          expectedVersion: ticket.version,
+          notifications,
         });
+        setTicket((prev) => ({ ...prev, status: newStatus }));
+        toast.success(`You're offline. Status will change to ${newStatus} when the connection returns.`);
+      };
 
-        const [updatedTicket, updatedHistory] = await Promise.all([
-          db.getTicket(ticketId),
-          db.getTicketHistory(ticket.id),
-        ]);
+      try {
+        if (!online) {
+          await queueOffline();
+          return;
+        }
+
+        try {
+          await db.updateTicketWithHistory(ticket.id, { status: newStatus }, notifications);
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          await queueOffline();
+          return;
+        }
 
-        setTicket(updatedTicket);
-        setHistory(updatedHistory);
+        await reloadTicket();
         toast.success(`Status changed to ${newStatus}`);
       } catch (err) {
         console.error("Error changing status:", err);
-        toast.error("Failed to change status.");
+        toast.error(err instanceof StatusTransitionError ? err.message : "Failed to change status.");
       }
     },
-    [ticket, profile, ticketId]
+    [ticket, profile, online, reloadTicket, canTransition]
   );
 
   const handleAssignment = useCallback(async () => {
@@ -544,38 +913,22 @@ const TicketDetailPage = () => {
 
       try {
         setAssignmentSaving(true);
-        const oldAssigneeName = ticketDisplayData?.assigneeName || "Unassigned";
-
-        await db.updateTicket(ticket.id, {
-          assigned_to: selectedUserId,
-        });
-
-        await db.addTicketComment({
-          ticket_id: ticket.id,
-          user_id: profile.id,
-          comment_type: "assignment",
-          old_value: oldAssigneeName,
-          new_value: selectedUserName || "Unassigned",
-          comment: selectedUserId
-            ? `Assigned to ${selectedUserName}`
-            : "Unassigned",
-        });
 
-        await db.sendAssignmentNotification(
-          ticket,
-          ticket.assigned_to,
-          selectedUserId,
-          selectedUserName || "Unassigned",
-          profile.id
+        await db.updateTicketWithHistory(
+          ticket.id,
+          { assigned_to: selectedUserId },
+          [
+            db.buildAssignmentNotification(
+              ticket,
+              ticket.assigned_to,
+              selectedUserId,
+              selectedUserName || "Unassigned",
+              profile.id
+            ),
+          ]
         );
 
-        const [updatedTicket, updatedHistory] = await Promise.all([
-          db.getTicket(ticketId),
-          db.getTicketHistory(ticket.id),
-        ]);
-
-        setTicket(updatedTicket);
-        setHistory(updatedHistory);
+        await reloadTicket();
 
         toast.success(
           selectedUserId
@@ -590,39 +943,54 @@ const TicketDetailPage = () => {
         setShowAssignmentModal(false);
       }
     },
-    [ticket, profile, ticketDisplayData, ticketId]
+    [ticket, profile, reloadTicket]
   );
 
   // Effects
   useEffect(() => {
-    if (!ticketId) {
+    if (!ticketParam) {
       setError("No ticket ID provided");
       setLoading(false);
       return;
     }
 
+    // Already showing it, e.g. after the redirect to the ticket number
+    const current = ticketRef.current;
+    if (current && [current.id, current.ticket_number].includes(ticketParam)) {
+      return;
+    }
+
     const fetchData = async () => {
       try {
         setLoading(true);
         setError(null);
 
-        console.log("🔍 Fetching ticket data for ID:", ticketId);
+        console.log("🔍 Fetching ticket data for ID:", ticketParam);
 
-        const [ticketData, historyData] = await Promise.all([
-          db.getTicket(ticketId),
-          db.getTicketHistory(ticketId),
-        ]);
+        const ticketData = await db.getTicket(ticketParam);
 
         console.log("🔍 RAW TICKET DATA:", ticketData);
-        console.log("🔍 RAW HISTORY DATA:", historyData);
 
         if (!ticketData) {
           setError("Ticket not found");
           return;
         }
 
+        const [historyData, eventData] = await Promise.all([
+          db.getTicketHistory(ticketData.id),
+          db.getTicketEvents(ticketData.id),
+        ]);
+
+        console.log("🔍 RAW HISTORY DATA:", historyData);
+
         setTicket(ticketData);
         setHistory(historyData || []);
+        setEvents(eventData || []);
+
+        // UUID links and lower-case numbers end up on the canonical URL
+        if (ticketData.ticket_number && ticketParam !== ticketData.ticket_number) {
+          navigate(getTicketPath(ticketData), { replace: true });
+        }
       } catch (err) {
         console.error("Error loading ticket:", err);
         setError(err.message || "Failed to load ticket details");
@@ -632,7 +1000,7 @@ const TicketDetailPage = () => {
     };
 
     fetchData();
-  }, [ticketId]);
+  }, [ticketParam, navigate]);
 
   useEffect(() => {
     if (showEditModal && availableBases.length === 0) {
@@ -652,6 +1020,113 @@ const TicketDetailPage = () => {
     loadAttachments();
   }, [loadAttachments]);
 
+  // Changes made by anyone else appear without a reload: ticket updates are
+  // merged in place, new comments and audit events join the timeline. While
+  // the edit form is open the ticket is left as it was loaded, so saving
+  // still detects the other change as a conflict; it catches up afterwards.
+  const editingRef = useRef(showEditModal);
+  editingRef.current = showEditModal;
+  const [missedUpdate, setMissedUpdate] = useState(false);
+
+  useEffect(() => {
+    if (showEditModal || !missedUpdate) return;
+    setMissedUpdate(false);
+    reloadTicket().catch((err) => console.error("Error reloading ticket:", err));
+  }, [showEditModal, missedUpdate, reloadTicket]);
+
+  useEffect(() => {
+    if (!ticketId) return undefined;
+
+    const mergeById = (list, row) =>
+      [row, ...list.filter((item) => item.id !== row.id)].sort(
+        (a, b) => new Date(b.created_at) - new Date(a.created_at)
+      );
+
+    const ticketChannel = subscriptions.ticket(ticketId, async ({ new: row }) => {
+      const current = ticketRef.current;
+      if (!row?.id || !current || row.version < current.version) return;
+
+      // SLA bookkeeping (a first response, a breach) and the escalation flag
+      // keep the version
+      if (row.version === current.version) {
+        const slaChanges = Object.fromEntries(
+          [...SLA_FIELDS, "escalated_at"]
+            .filter((field) => field in row)
+            .map((field) => [field, row[field]])
+        );
+        setTicket((prev) => ({ ...prev, ...slaChanges }));
+        return;
+      }
+
+      if (editingRef.current) {
+        setMissedUpdate(true);
+        return;
+      }
+
+      setTicket((prev) => ({ ...prev, ...row }));
+
+      // Names of the assignee and base come from joins the payload lacks
+      if (row.assigned_to !== current.assigned_to || row.base_id !== current.base_id) {
+        try {
+          setTicket(await db.getTicket(ticketId));
+        } catch (err) {
+          console.error("Error refreshing ticket:", err);
+        }
+      }
+    });
+
+    const commentChannel = subscriptions.ticketCommentsById(
+      ticketId,
+      async ({ eventType, new: row }) => {
+        if (!row?.id) return;
+
+        if (eventType === "UPDATE") {
+          setHistory((prev) =>
+            prev.map((entry) => (entry.id === row.id ? { ...entry, ...row } : entry))
+          );
+          return;
+        }
+
+        try {
+          const comment = await db.getTicketComment(row.id);
+          if (!comment) return;
+          setHistory((prev) => mergeById(prev, comment));
+          // Files posted with the comment are bound in the same transaction
+          loadAttachments({ silent: true });
+        } catch (err) {
+          console.error("Error loading new comment:", err);
+        }
+      }
+    );
+
+    const eventChannel = subscriptions.ticketEvents(ticketId, async ({ new: row }) => {
+      if (!row?.id) return;
+
+      try {
+        const event = await db.getTicketEvent(row.id);
+        if (event) setEvents((prev) => mergeById(prev, event));
+      } catch (err) {
+        console.error("Error loading ticket event:", err);
+      }
+    });
+
+    return () => {
+      ticketChannel.unsubscribe();
+      commentChannel.unsubscribe();
+      eventChannel.unsubscribe();
+    };
+  }, [ticketId, loadAttachments]);
+
+  // Re-sign attachment URLs a minute before the first one expires
+  useEffect(() => {
+    const expiries = attachments.map((a) => a.expiresAt).filter(Boolean);
+    if (expiries.length === 0) return;
+
+    const delay = Math.max(Math.min(...expiries) - Date.now() - 60000, 0);
+    const timer = setTimeout(() => loadAttachments({ silent: true }), delay);
+    return () => clearTimeout(timer);
+  }, [attachments, loadAttachments]);
+
   // Early returns for loading/error states
   if (!profile) {
     return (
@@ -662,7 +1137,7 @@ const TicketDetailPage = () => {
     );
   }
 
-  if (!ticketId) {
+  if (!ticketParam) {
     return (
       <div className="space-y-6">
         <div className="flex items-center space-x-4">
@@ -761,35 +1236,56 @@ const TicketDetailPage = () => {
         <div>
           <h1 className="text-2xl font-bold text-gray-900">
             Ticket #
-            {ticket?.ticket_number || ticketDisplayData?.shortId || "Unknown"}
+            {ticketDisplayData?.shortId || "Unknown"}
           </h1>
-          <p className="text-sm text-gray-600">
-            Created {ticketDisplayData?.createdAt || "Unknown"}
-          </p>
+          <div className="flex flex-wrap items-center gap-2">
+            <p className="text-sm text-gray-600">
+              Created {ticketDisplayData?.createdAt || "Unknown"}
+            </p>
+            {ticket && <SlaBadge ticket={ticket} hideMet />}
+            {ticket && <EscalationBadge ticket={ticket} />}
+          </div>
         </div>
       </div>
-      {canManageTicket && (
-        <div className="flex space-x-2">
-          <button
-            onClick={handleEdit}
-            className="btn-secondary"
-            disabled={!ticket}
-          >
-            <Edit className="h-4 w-4 mr-2" />
-            Edit
-          </button>
-          {(profile?.role === "Admin" || profile?.role === "HIS") && (
+      <div className="flex items-center space-x-4">
+        {viewers.length > 0 && (
+          <div className="flex items-center space-x-2">
+            <span className="text-xs text-gray-500">Also viewing</span>
+            <PresenceAvatars viewers={viewers} />
+          </div>
+        )}
+        <button
+          onClick={handleCopyLink}
+          className="btn-secondary"
+          disabled={!ticket}
+          title="Copy a short link to this ticket"
+        >
+          <Link2 className="h-4 w-4 mr-2" />
+          Copy Link
+        </button>
+        {canManageTicket && (
+          <div className="flex space-x-2">
             <button
-              onClick={handleAssignment}
+              onClick={handleEdit}
               className="btn-secondary"
               disabled={!ticket}
             >
-              <UserCheck className="h-4 w-4 mr-2" />
-              Assign
+              <Edit className="h-4 w-4 mr-2" />
+              Edit
             </button>
-          )}
-        </div>
-      )}
+            {(profile?.role === "Admin" || profile?.role === "HIS") && (
+              <button
+                onClick={handleAssignment}
+                className="btn-secondary"
+                disabled={!ticket}
+              >
+                <UserCheck className="h-4 w-4 mr-2" />
+                Assign
+              </button>
+            )}
+          </div>
+        )}
+      </div>
     </div>
   );
 
@@ -831,7 +1327,7 @@ const TicketDetailPage = () => {
                 <div key={index} className="relative group">
                   <div
                     className="aspect-square bg-gray-100 rounded-lg overflow-hidden cursor-pointer hover:ring-2 hover:ring-primary-500 transition-all"
-                    onClick={() => handleImageClick(screenshot)}
+                    onClick={() => handlePreview(screenshot)}
                   >
                     <img
                       src={screenshot.url}
@@ -856,9 +1352,7 @@ const TicketDetailPage = () => {
                     </p>
                     <div className="flex justify-between items-center mt-1">
                       <span className="text-xs text-gray-400">
-                        {screenshot.metadata?.size
-                          ? `${Math.round(screenshot.metadata.size / 1024)}KB`
-                          : ""}
+                        {formatFileSize(screenshot.size)}
                       </span>
                       <button
                         onClick={(e) => {
@@ -905,28 +1399,33 @@ const TicketDetailPage = () => {
                   key={index}
                   className="flex items-center justify-between p-3 bg-gray-50 rounded-lg"
                 >
-                  <div className="flex items-center space-x-3">
-                    <FileText className="h-5 w-5 text-gray-400" />
-                    <div>
-                      <p className="text-sm font-medium text-gray-900">
+                  <div className="flex items-center space-x-3 min-w-0">
+                    <AttachmentIcon kind={doc.kind} />
+                    <div className="min-w-0">
+                      <p
+                        className="text-sm font-medium text-gray-900 truncate"
+                        title={doc.name}
+                      >
                         {doc.name}
                       </p>
                       <p className="text-xs text-gray-500">
-                        {doc.metadata?.size
-                          ? `${Math.round(doc.metadata.size / 1024)}KB`
-                          : "Unknown size"}
+                        {formatFileSize(doc.size)}
+                        {doc.uploader &&
+                          ` · ${doc.uploader.full_name || doc.uploader.email}`}
                       </p>
                     </div>
                   </div>
                   <div className="flex items-center space-x-2">
-                    <button
-                      onClick={() => window.open(doc.url, "_blank")}
-                      className="text-sm text-primary-600 hover:text-primary-700 flex items-center"
-                      title="View"
-                    >
-                      <ExternalLink className="h-4 w-4 mr-1" />
-                      View
-                    </button>
+                    {PREVIEWABLE_KINDS.includes(doc.kind) && (
+                      <button
+                        onClick={() => handlePreview(doc)}
+                        className="text-sm text-primary-600 hover:text-primary-700 flex items-center"
+                        title="Preview"
+                      >
+                        <Eye className="h-4 w-4 mr-1" />
+                        Preview
+                      </button>
+                    )}
                     <button
                       onClick={() => handleDownload(doc)}
                       className="text-sm text-gray-600 hover:text-gray-700 flex items-center"
@@ -945,50 +1444,253 @@ const TicketDetailPage = () => {
     );
   };
 
+  const renderTimelineEvent = (event) => {
+    if (event.event_type === "created") return "created the ticket";
+    if (event.event_type === "deleted") return "moved the ticket to the trash";
+    if (event.event_type === "restored") return "restored the ticket from the trash";
+    if (event.event_type === "escalated") {
+      const rule = event.details?.rule ? ` (${event.details.rule})` : "";
+      const change = event.field
+        ? ` from "${truncateValue(event.old_value)}" to "${truncateValue(event.new_value)}"`
+        : "";
+      return `escalated the ticket${rule}${ESCALATION_ACTIONS[event.details?.action] || ""}${change}`;
+    }
+
+    const label = FIELD_LABELS[event.field] || event.field;
+    if (event.field === "description") return `updated the ${label}`;
+    return `changed ${label} from "${truncateValue(event.old_value)}" to "${truncateValue(event.new_value)}"`;
+  };
+
+  // Files attached to a comment, shown under it in the activity list
+  const renderCommentAttachments = (files) => (
+    <div className="mt-2 flex flex-wrap gap-2">
+      {files.map((file) =>
+        file.kind === "image" && file.url ? (
+          <button
+            key={file.id}
+            type="button"
+            onClick={() => handlePreview(file)}
+            className="h-20 w-20 rounded-md overflow-hidden border border-gray-200 hover:border-primary-400"
+            title={file.name}
+          >
+            <img
+              src={file.url}
+              alt={file.name}
+              className="h-full w-full object-cover"
+              loading="lazy"
+            />
+          </button>
+        ) : (
+          <button
+            key={file.id}
+            type="button"
+            onClick={() =>
+              PREVIEWABLE_KINDS.includes(file.kind)
+                ? handlePreview(file)
+                : handleDownload(file)
+            }
+            className="flex items-center space-x-2 px-2 py-1 rounded-md border border-gray-200 bg-gray-50 hover:bg-gray-100 max-w-xs"
+            title={file.name}
+          >
+            <AttachmentIcon kind={file.kind} className="h-4 w-4 flex-shrink-0" />
+            <span className="text-xs text-gray-700 truncate">{file.name}</span>
+            <span className="text-xs text-gray-400 flex-shrink-0">
+              {formatFileSize(file.size)}
+            </span>
+          </button>
+        )
+      )}
+    </div>
+  );
+
+  // A status change made offline, with the way out of a conflict or failure
+  const renderQueuedStatusChange = (entry) => (
+    <div className="mt-2 space-y-1">
+      <div className="flex flex-wrap items-center gap-2">
+        <OutboxBadge status={entry.status} title={entry.error} />
+        <span className="text-xs text-gray-600">
+          Changing to {entry.payload.status}
+        </span>
+      </div>
+      {entry.status === OUTBOX_STATUS.CONFLICT && (
+        <p className="text-xs text-orange-700">
+          Someone else set the status to {entry.conflict?.serverStatus} in the
+          meantime.
+        </p>
+      )}
+      {[OUTBOX_STATUS.CONFLICT, OUTBOX_STATUS.FAILED].includes(entry.status) && (
+        <div className="flex items-center space-x-2">
+          <button
+            type="button"
+            onClick={() => retryOutboxEntry(entry.id)}
+            className="text-xs font-medium text-primary-600 hover:text-primary-800"
+          >
+            {entry.status === OUTBOX_STATUS.CONFLICT ? "Keep mine" : "Retry"}
+          </button>
+          <button
+            type="button"
+            onClick={async () => {
+              await discardOutboxEntry(entry.id);
+              await reloadTicket();
+            }}
+            className="text-xs font-medium text-gray-500 hover:text-gray-700"
+          >
+            {entry.status === OUTBOX_STATUS.CONFLICT ? "Keep theirs" : "Discard"}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+
+  // Comments written offline, shown above the saved ones until they sync
+  const renderQueuedComment = (entry) => (
+    <div key={`queued-${entry.id}`} className="flex space-x-3 opacity-75">
+      <div className="flex-shrink-0">
+        <div className="h-8 w-8 rounded-full bg-gray-200 flex items-center justify-center">
+          <User className="h-4 w-4 text-gray-600" />
+        </div>
+      </div>
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center space-x-2 flex-wrap">
+          <span className="text-sm font-medium text-gray-900">
+            {profile?.full_name || profile?.email || "You"}
+          </span>
+          <span className="text-sm text-gray-500">commented</span>
+          <OutboxBadge status={entry.status} title={entry.error} />
+          {entry.status === OUTBOX_STATUS.FAILED && (
+            <>
+              <button
+                type="button"
+                onClick={() => retryOutboxEntry(entry.id)}
+                className="text-xs font-medium text-primary-600 hover:text-primary-800"
+              >
+                Retry
+              </button>
+              <button
+                type="button"
+                onClick={() => discardOutboxEntry(entry.id)}
+                className="text-xs font-medium text-gray-500 hover:text-gray-700"
+              >
+                Discard
+              </button>
+            </>
+          )}
+        </div>
+        {entry.payload.comment && (
+          <p className="text-sm text-gray-700 mt-1 break-words">
+            {entry.payload.comment}
+          </p>
+        )}
+        {entry.files.length > 0 && (
+          <p className="text-xs text-gray-500 mt-1 flex items-center">
+            <Paperclip className="h-3 w-3 mr-1" />
+            {entry.files.map((file) => file.name).join(", ")}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+
   const renderActivityHistory = () => (
     <div className="card">
       <div className="card-header">
-        <h3 className="text-lg font-medium text-gray-900 flex items-center">
-          <MessageSquare className="h-5 w-5 mr-2" />
-          Activity History
-        </h3>
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <h3 className="text-lg font-medium text-gray-900 flex items-center">
+            <MessageSquare className="h-5 w-5 mr-2" />
+            Activity History
+          </h3>
+          <div className="flex items-center space-x-2">
+            <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+              {HISTORY_FILTERS.map((filter) => (
+                <button
+                  key={filter.id}
+                  type="button"
+                  onClick={() => {
+                    setHistoryFilter(filter.id);
+                    setFieldFilter("all");
+                  }}
+                  className={`px-3 py-1 text-xs font-medium ${
+                    historyFilter === filter.id
+                      ? "bg-primary-600 text-white"
+                      : "bg-white text-gray-600 hover:bg-gray-50"
+                  }`}
+                >
+                  {filter.label}
+                </button>
+              ))}
+            </div>
+            {historyFilter === "changes" && eventFields.length > 1 && (
+              <select
+                className="text-xs border border-gray-300 rounded px-2 py-1"
+                value={fieldFilter}
+                onChange={(e) => setFieldFilter(e.target.value)}
+              >
+                <option value="all">All fields</option>
+                {eventFields.map((field) => (
+                  <option key={field} value={field}>
+                    {FIELD_LABELS[field] || field}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+        </div>
       </div>
       <div className="card-body p-0">
         <div className="space-y-4 p-6">
-          {history.length === 0 ? (
-            <p className="text-gray-500 text-center py-4">No activity yet.</p>
+          {historyFilter !== "changes" && queuedComments.map(renderQueuedComment)}
+          {timelineEntries.length === 0 ? (
+            queuedComments.length === 0 && (
+              <p className="text-gray-500 text-center py-4">No activity yet.</p>
+            )
           ) : (
-            history.map((entry) => (
-              <div key={entry.id} className="flex space-x-3">
+            timelineEntries.map(({ key, kind, entry }) => (
+              <div key={key} className="flex space-x-3">
                 <div className="flex-shrink-0">
                   <div className="h-8 w-8 rounded-full bg-gray-200 flex items-center justify-center">
-                    <User className="h-4 w-4 text-gray-600" />
+                    {kind === "comment" ? (
+                      <User className="h-4 w-4 text-gray-600" />
+                    ) : (
+                      <Activity className="h-4 w-4 text-gray-600" />
+                    )}
                   </div>
                 </div>
                 <div className="flex-1 min-w-0">
                   <div className="flex items-center space-x-2 flex-wrap">
                     <span className="text-sm font-medium text-gray-900">
-                      {entry.user?.full_name ||
-                        entry.user_profile?.full_name ||
-                        entry.user_id ||
-                        "Unknown"}
+                      {kind === "event"
+                        ? entry.actor?.full_name || entry.actor?.email || "System"
+                        : entry.user?.full_name ||
+                          entry.user_profile?.full_name ||
+                          entry.user_id ||
+                          "Unknown"}
                     </span>
                     <span className="text-sm text-gray-500">
-                      {entry.comment_type === "status_change"
+                      {kind === "event"
+                        ? renderTimelineEvent(entry)
+                        : entry.comment_type === "status_change"
                         ? `changed status from ${entry.old_value} to ${entry.new_value}`
                         : entry.comment_type === "assignment"
                         ? `assigned ticket to ${entry.new_value}`
+                        : kind === "legacy_change"
+                        ? "changed the ticket"
                         : "commented"}
                     </span>
                     <span className="text-xs text-gray-400">
                       {formatDate(entry.created_at)}
                     </span>
+                    {kind === "comment" && syncedCommentIds.has(entry.id) && (
+                      <OutboxBadge status={OUTBOX_STATUS.SYNCED} />
+                    )}
                   </div>
-                  {entry.comment && (
+                  {kind !== "event" && entry.comment && (
                     <p className="text-sm text-gray-700 mt-1 break-words">
                       {entry.comment}
                     </p>
                   )}
+                  {kind === "comment" &&
+                    attachmentsByComment[entry.id] &&
+                    renderCommentAttachments(attachmentsByComment[entry.id])}
                 </div>
               </div>
             ))
@@ -998,32 +1700,112 @@ const TicketDetailPage = () => {
     </div>
   );
 
-  const renderAddComment = () => (
-    <div className="card">
-      <div className="card-body">
-        <label htmlFor="comment" className="form-label">
-          Add Comment
-        </label>
-        <textarea
-          id="comment"
-          rows={3}
-          className="form-input"
-          placeholder="Add a comment or update..."
-          value={newComment}
-          onChange={(e) => setNewComment(e.target.value)}
-        />
-        <div className="mt-3 flex justify-end">
-          <button
-            onClick={handleAddComment}
-            disabled={!newComment.trim()}
-            className="btn-primary"
-          >
+  const renderAddComment = () => {
+    const {
+      files,
+      processing,
+      uploadProgress,
+      dragActive,
+      fileInputRef,
+      removeFile,
+      pauseUpload,
+      resumeUpload,
+      retryUpload,
+      pendingCount,
+      handleFileInput,
+      handlePaste,
+      dragHandlers,
+    } = commentUploads;
+
+    return (
+      <div className="card">
+        <div className="card-body">
+          <label htmlFor="comment" className="form-label">
             Add Comment
-          </button>
+          </label>
+          <div
+            {...dragHandlers}
+            className={`rounded-md border-2 border-dashed transition-colors ${
+              dragActive ? "border-blue-400 bg-blue-50" : "border-transparent"
+            }`}
+          >
+            <textarea
+              id="comment"
+              rows={3}
+              className="form-input"
+              placeholder="Add a comment or update... Drop or paste files to attach them."
+              value={newComment}
+              onChange={(e) => setNewComment(e.target.value)}
+              onPaste={handlePaste}
+              disabled={commentSaving}
+            />
+            {typingViewers.length > 0 && (
+              <p className="mt-1 text-xs text-gray-500 italic">
+                {typingViewers.map((viewer) => viewer.full_name).join(", ")}{" "}
+                {typingViewers.length === 1 ? "is" : "are"} typing a comment…
+              </p>
+            )}
+          </div>
+
+          {files.length > 0 && (
+            <div className="mt-3 flex flex-wrap gap-3">
+              {files.map((file) => (
+                <ScreenshotPreview
+                  key={file.id}
+                  screenshot={file}
+                  progress={uploadProgress[file.id]}
+                  onRemove={removeFile}
+                  onPause={pauseUpload}
+                  onResume={resumeUpload}
+                  onRetry={retryUpload}
+                  disabled={commentSaving}
+                  size="sm"
+                />
+              ))}
+            </div>
+          )}
+
+          <div className="mt-3 flex items-center justify-between">
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={ATTACHMENT_ACCEPT}
+              onChange={handleFileInput}
+              className="hidden"
+            />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={commentSaving || files.length >= MAX_COMMENT_FILES}
+              className="text-sm text-gray-600 hover:text-gray-800 flex items-center"
+            >
+              <Paperclip className="h-4 w-4 mr-1" />
+              Attach files
+            </button>
+            <button
+              onClick={handleAddComment}
+              disabled={
+                commentSaving ||
+                processing ||
+                (online && pendingCount > 0) ||
+                (!newComment.trim() && files.length === 0)
+              }
+              className="btn-primary"
+            >
+              {commentSaving
+                ? "Posting..."
+                : processing
+                ? "Optimizing images..."
+                : online && pendingCount > 0
+                ? "Uploading..."
+                : "Add Comment"}
+            </button>
+          </div>
         </div>
       </div>
-    </div>
-  );
+    );
+  };
 
   const renderTicketDetails = () => (
     <div className="card">
@@ -1035,27 +1817,24 @@ const TicketDetailPage = () => {
         <div>
           <label className="text-sm font-medium text-gray-500">Status</label>
           <div className="mt-1 flex items-center justify-between">
-            <span
-              className={`badge ${getStatusBadge(
-                ticketDisplayData?.status || "Unknown"
-              )}`}
-            >
-              {ticketDisplayData?.status || "Unknown"}
-            </span>
-            {(profile?.role === "Admin" || profile?.role === "HIS") &&
-              ticket?.status && (
+            <StatusBadge status={ticketDisplayData?.status} />
+            {/* Only the moves the workflow allows this role */}
+            {ticket?.status &&
+              getAllowedStatuses(ticket.status, profile?.role).length > 1 && (
                 <select
                   className="text-xs border border-gray-300 rounded px-2 py-1"
                   value={ticket.status}
                   onChange={(e) => handleStatusChange(e.target.value)}
                 >
-                  <option value="Open">Open</option>
-                  <option value="In Progress">In Progress</option>
-                  <option value="Resolved">Resolved</option>
-                  <option value="Closed">Closed</option>
+                  {getAllowedStatuses(ticket.status, profile?.role).map((status) => (
+                    <option key={status.name} value={status.name}>
+                      {status.name}
+                    </option>
+                  ))}
                 </select>
               )}
           </div>
+          {queuedStatusChange && renderQueuedStatusChange(queuedStatusChange)}
         </div>
 
         {/* Priority */}
@@ -1070,6 +1849,35 @@ const TicketDetailPage = () => {
           </span>
         </div>
 
+        {/* SLA */}
+        {(ticket?.first_response_due_at || ticket?.resolution_due_at) && (
+          <div>
+            <label className="text-sm font-medium text-gray-500">SLA</label>
+            <div className="mt-1 flex flex-col items-start gap-1">
+              <SlaBadge ticket={ticket} kind="first_response" />
+              <SlaBadge ticket={ticket} kind="resolution" />
+            </div>
+          </div>
+        )}
+
+        {/* Age in working hours at the ticket's base, until it was resolved */}
+        {ticket?.created_at && (
+          <div>
+            <label className="text-sm font-medium text-gray-500">Age</label>
+            <p className="mt-1 text-sm text-gray-900">
+              {formatSlaDuration(
+                businessMsBetween(
+                  getCalendar(ticket.base_id),
+                  new Date(ticket.created_at).getTime(),
+                  ticket.resolved_at ? new Date(ticket.resolved_at).getTime() : Date.now()
+                )
+              )}
+              {getCalendar(ticket.base_id) ? " working time" : ""}
+              {ticket.resolved_at ? " to resolve" : " open"}
+            </p>
+          </div>
+        )}
+
         {/* Project */}
         <div>
           <label className="text-sm font-medium text-gray-500">Project</label>
@@ -1156,47 +1964,81 @@ const TicketDetailPage = () => {
     </div>
   );
 
-  const renderImageModal = () =>
-    showImageModal &&
-    selectedImage && (
+  const renderPreviewBody = () => {
+    const { kind, url, name } = previewAttachment;
+
+    if (kind === "image") {
+      return (
+        <img
+          src={url}
+          alt={name}
+          className="max-w-full max-h-96 mx-auto"
+          onError={(e) => {
+            e.target.parentElement.innerHTML =
+              '<div class="text-center text-gray-500 py-8">Failed to load image</div>';
+          }}
+        />
+      );
+    }
+
+    if (kind === "pdf") {
+      return (
+        <iframe
+          src={url}
+          title={name}
+          className="w-full h-[70vh] border-0"
+        />
+      );
+    }
+
+    if (previewText === null) {
+      return (
+        <div className="flex justify-center items-center py-8">
+          <div className="loading-spinner h-6 w-6 mr-2"></div>
+          <span className="text-gray-500">Loading preview...</span>
+        </div>
+      );
+    }
+
+    return (
+      <pre className="text-xs text-gray-800 bg-gray-50 rounded p-3 max-h-[70vh] overflow-auto whitespace-pre-wrap break-words">
+        {previewText || "Failed to load file"}
+      </pre>
+    );
+  };
+
+  const renderPreviewModal = () =>
+    showPreviewModal &&
+    previewAttachment && (
       <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-75 p-4">
-        <div className="relative max-w-4xl max-h-full bg-white rounded-lg overflow-hidden">
+        <div className="relative w-full max-w-4xl max-h-full bg-white rounded-lg overflow-hidden">
           <div className="flex items-center justify-between p-4 border-b">
-            <h3 className="text-lg font-medium text-gray-900">
-              {selectedImage.name}
+            <h3 className="text-lg font-medium text-gray-900 flex items-center min-w-0">
+              <AttachmentIcon kind={previewAttachment.kind} className="h-5 w-5 mr-2 flex-shrink-0" />
+              <span className="truncate">{previewAttachment.name}</span>
             </h3>
             <button
-              onClick={() => setShowImageModal(false)}
+              onClick={() => setShowPreviewModal(false)}
               className="text-gray-400 hover:text-gray-600"
             >
               <X className="w-6 h-6" />
             </button>
           </div>
-          <div className="p-4">
-            <img
-              src={selectedImage.url}
-              alt={selectedImage.name}
-              className="max-w-full max-h-96 mx-auto"
-              onError={(e) => {
-                e.target.parentElement.innerHTML =
-                  '<div class="text-center text-gray-500 py-8">Failed to load image</div>';
-              }}
-            />
-          </div>
+          <div className="p-4">{renderPreviewBody()}</div>
           <div className="flex justify-end space-x-3 p-4 border-t">
             <button
-              onClick={() => handleDownload(selectedImage)}
+              onClick={() => handleDownload(previewAttachment)}
               className="btn-secondary"
             >
               <Download className="h-4 w-4 mr-2" />
               Download
             </button>
             <button
-              onClick={() => window.open(selectedImage.url, "_blank")}
+              onClick={() => handleOpenAttachment(previewAttachment)}
               className="btn-primary"
             >
               <ExternalLink className="h-4 w-4 mr-2" />
-              Open Full Size
+              Open in New Tab
             </button>
           </div>
         </div>
@@ -1297,10 +2139,11 @@ const TicketDetailPage = () => {
                   }
                   disabled={editLoading}
                 >
-                  <option value="Open">Open</option>
-                  <option value="In Progress">In Progress</option>
-                  <option value="Resolved">Resolved</option>
-                  <option value="Closed">Closed</option>
+                  {getAllowedStatuses(ticket?.status, profile?.role).map((status) => (
+                    <option key={status.name} value={status.name}>
+                      {status.name}
+                    </option>
+                  ))}
                 </select>
               </div>
             </div>
@@ -1521,9 +2364,20 @@ const renderAssignmentModal = () =>
         </div>
       </div>
 
-      {renderImageModal()}
+      {renderPreviewModal()}
       {renderEditModal()}
       {renderAssignmentModal()}
+
+      {conflict && (
+        <ConflictDialog
+          fields={conflictFields}
+          original={conflict.original}
+          theirs={conflict.theirs}
+          mine={editForm}
+          onResolve={handleConflictResolve}
+          onCancel={handleConflictCancel}
+        />
+      )}
     </div>
   );
 };
@@ -1,8 +1,28 @@
-import React, { useEffect, useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
-import { db, supabase } from "../lib/supabase.js";
+import {
+  db,
+  supabase,
+  TICKET_SORT_COLUMNS,
+  StatusTransitionError,
+  TicketConflictError,
+  TRASH_RETENTION_DAYS,
+} from "../lib/supabase.js";
 import { toast } from "react-hot-toast";
+import Pagination from "../components/Pagination";
+import Highlight from "../components/Highlight";
+import ConflictDialog from "../components/ConflictDialog";
+import OutboxBadge from "../components/OutboxBadge";
+import SlaBadge from "../components/SlaBadge";
+import EscalationBadge from "../components/EscalationBadge";
+import StatusBadge from "../components/StatusBadge";
+import PresenceAvatars from "../components/PresenceAvatars";
+import useTicketPresence from "../hooks/useTicketPresence";
+import useOutbox from "../hooks/useOutbox";
+import useTicketStatuses from "../hooks/useTicketStatuses";
+import { OUTBOX_STATUS } from "../lib/outbox.js";
+import { copyTicketLink, getTicketPath } from "../lib/ticketLinks.js";
 import {
   Plus,
   Search,
@@ -14,16 +34,60 @@ import {
   UserPlus,
   X,
   AlertTriangle,
+  ArrowUp,
+  ArrowDown,
+  ArrowUpDown,
+  MessageSquare,
+  Link2,
 } from "lucide-react";
 
+const DEFAULT_PAGE_SIZE = 25;
+const MIN_SEARCH_LENGTH = 2;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Direction used when a column is first clicked: newest/most severe first,
+// everything else ascending
+const DEFAULT_SORT_DIR = {
+  created_at: "desc",
+  priority: "desc",
+};
+
+// Fields of the edit modal, compared field by field on a conflict
+const CONFLICT_FIELDS = [
+  { key: "title", label: "Title" },
+  { key: "description", label: "Description" },
+  { key: "priority", label: "Priority" },
+  { key: "base", label: "Base" },
+  { key: "status", label: "Status" },
+];
+
+const ticketToEditForm = (ticket) => ({
+  title: ticket.title,
+  description: ticket.description,
+  priority: ticket.priority,
+  base: ticket.base_name,
+  status: ticket.status
+});
+
 const TicketsPage = () => {
   const { profile } = useAuth();
   const navigate = useNavigate();
-  const [searchTerm, setSearchTerm] = useState("");
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchTerm, setSearchTerm] = useState(searchParams.get("q") || "");
   const [statusFilter, setStatusFilter] = useState("all");
   const [baseFilter, setBaseFilter] = useState("all");
   const [tickets, setTickets] = useState([]);
+  const [totalTickets, setTotalTickets] = useState(0);
   const [loading, setLoading] = useState(true);
+
+  // Page and sort live in the URL so they survive reloads and can be shared
+  const page = Math.max(1, parseInt(searchParams.get("page")) || 1);
+  const pageSize = parseInt(searchParams.get("pageSize")) || DEFAULT_PAGE_SIZE;
+  const sortParam = searchParams.get("sort");
+  const sortBy = TICKET_SORT_COLUMNS[sortParam] ? sortParam : "created_at";
+  const sortDir = searchParams.get("dir") === "asc" ? "asc" : "desc";
+  const activeSearch = (searchParams.get("q") || "").trim();
+  const isSearching = activeSearch.length >= MIN_SEARCH_LENGTH;
   const [openDropdownId, setOpenDropdownId] = useState(null);
   const [showAssignmentModal, setShowAssignmentModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
@@ -38,6 +102,8 @@ const TicketsPage = () => {
     status: ""
   });
   const [editLoading, setEditLoading] = useState(false);
+  // Set when a save is rejected because the ticket changed since it was loaded
+  const [conflict, setConflict] = useState(null);
   const [availableUsers, setAvailableUsers] = useState([]);
   const [usersLoading, setUsersLoading] = useState(false);
   
@@ -45,18 +111,20 @@ const TicketsPage = () => {
   const [availableBases, setAvailableBases] = useState([]);
   const [basesLoading, setBasesLoading] = useState(false);
 
-  // Notification helper functions (same as TicketDetailPage)
+  // Notification payload queued with each update (same as TicketDetailPage)
   const buildNotificationPayload = (ticket, type, message, additionalData = {}) => ({
     type,
     ticket_id: ticket.id,
+    ticket_number: ticket.ticket_number,
     ticket_title: ticket.title,
-    ticket_base: ticket.base,
+    ticket_base: ticket.base_name || ticket.base,
     message,
     actor_name: profile?.full_name || profile?.email || 'Unknown User',
     actor_role: profile?.role,
     actor_id: profile?.id, // Add this to help with server-side filtering
     created_by: ticket.creator_profile?.id || ticket.created_by,
     assigned_to: ticket.assigned_to,
+    base_id: ticket.base_id,
     // Debug info
     debug_info: {
       should_notify_creator: ticket.creator_profile?.id !== profile?.id,
@@ -68,39 +136,6 @@ const TicketsPage = () => {
     ...additionalData
   });
 
-  const sendOptimizedNotification = async (ticket, type, message, additionalData = {}) => {
-    try {
-      const payload = buildNotificationPayload(ticket, type, message, additionalData);
-      
-      console.log('Attempting to send notification:', {
-        type,
-        ticket_id: ticket.id,
-        message,
-        created_by: ticket.creator_profile?.id || ticket.created_by,
-        assigned_to: ticket.assigned_to,
-        actor: profile?.full_name || profile?.email
-      });
-      
-      // Use optimized notification if available
-      if (typeof db.sendOptimizedNotification === 'function') {
-        console.log('Using optimized notification system...');
-        const result = await db.sendOptimizedNotification(payload);
-        console.log('Optimized notification result:', result);
-        return result;
-      } else {
-        console.log('Using fallback notification system...');
-        // Fallback to the regular notification system
-        const result = await db.sendNotification(type, ticket.id, message);
-        console.log('Fallback notification sent for ticket:', ticket.id);
-        return result;
-      }
-    } catch (error) {
-      console.error('Failed to send notification:', error);
-      // Don't throw error to avoid breaking the main operation
-      return { success: false, error: error.message };
-    }
-  };
-
   // Fetch bases when component mounts (only for Admin users)
   useEffect(() => {
     const fetchBases = async () => {
@@ -123,25 +158,140 @@ const TicketsPage = () => {
     }
   }, [profile]);
 
-  useEffect(() => {
-    const fetchTickets = async () => {
-      try {
-        setLoading(true);
-        const filters = {};
-        if (profile?.role === "User") filters.created_by = profile.id;
-        if (profile?.role === "HIS") filters.base = profile.base;
-        if (baseFilter !== "all") filters.base = baseFilter;
-        if (statusFilter !== "all") filters.status = statusFilter;
-        const result = await db.getTickets(filters);
-        setTickets(result);
-      } catch (error) {
-        console.error("Failed to fetch tickets:", error.message);
-      } finally {
-        setLoading(false);
+  // Merge updates into the URL query, dropping empty values
+  const updateListParams = useCallback(
+    (updates) => {
+      setSearchParams(
+        (prev) => {
+          const next = new URLSearchParams(prev);
+          Object.entries(updates).forEach(([key, value]) => {
+            if (value === null || value === undefined || value === "") {
+              next.delete(key);
+            } else {
+              next.set(key, String(value));
+            }
+          });
+          return next;
+        },
+        { replace: true }
+      );
+    },
+    [setSearchParams]
+  );
+
+  const fetchTickets = useCallback(async () => {
+    try {
+      setLoading(true);
+      const filters = {};
+      if (profile?.role === "User") filters.created_by = profile.id;
+      if (profile?.role === "HIS") filters.base = profile.base;
+      if (baseFilter !== "all") filters.base = baseFilter;
+      if (statusFilter !== "all") filters.status = statusFilter;
+      // Searches are ordered by relevance; the column sort applies to plain listing
+      const result = isSearching
+        ? await db.searchTickets(activeSearch, filters, { page, pageSize })
+        : await db.getTicketsPage(filters, { page, pageSize, sortBy, sortDir });
+      setTickets(result.tickets);
+      setTotalTickets(result.total);
+
+      // The requested page no longer exists, sync the URL with what was loaded
+      if (result.page !== page) {
+        updateListParams({ page: result.page > 1 ? result.page : null });
       }
-    };
+    } catch (error) {
+      console.error("Failed to fetch tickets:", error.message);
+      toast.error("Failed to load tickets");
+    } finally {
+      setLoading(false);
+    }
+  }, [profile, baseFilter, statusFilter, page, pageSize, sortBy, sortDir, isSearching, activeSearch, updateListParams]);
+
+  useEffect(() => {
     if (profile?.id) fetchTickets();
-  }, [profile, baseFilter, statusFilter]);
+  }, [profile?.id, fetchTickets]);
+
+  // Who else has each listed ticket open right now
+  const { viewersByTicket } = useTicketPresence({
+    ticketIds: tickets.map((ticket) => ticket.id),
+  });
+
+  // Tickets, comments and status changes made offline on this device
+  const {
+    entries: outboxEntries,
+    retry: retryOutboxEntry,
+    discard: discardOutboxEntry,
+  } = useOutbox();
+
+  const { statuses, getAllowedStatuses } = useTicketStatuses();
+
+  // New tickets that have not reached the server, listed above the page
+  const queuedTickets = useMemo(
+    () =>
+      outboxEntries.filter(
+        (entry) =>
+          entry.type === "create_ticket" &&
+          entry.status !== OUTBOX_STATUS.SYNCED
+      ),
+    [outboxEntries]
+  );
+
+  // Badge per ticket row: the first change still waiting, otherwise
+  // "Synced" for a while after an offline change went through
+  const outboxStatusByTicket = useMemo(() => {
+    const statuses = {};
+    outboxEntries.forEach((entry) => {
+      const current = statuses[entry.ticketId];
+      if (!current || current === OUTBOX_STATUS.SYNCED) {
+        statuses[entry.ticketId] = entry.status;
+      }
+    });
+    return statuses;
+  }, [outboxEntries]);
+
+  // Reload once more offline tickets or changes have synced
+  const syncedCount = outboxEntries.filter(
+    (entry) => entry.status === OUTBOX_STATUS.SYNCED
+  ).length;
+  const syncedCountRef = useRef(syncedCount);
+
+  useEffect(() => {
+    const previous = syncedCountRef.current;
+    syncedCountRef.current = syncedCount;
+    if (profile?.id && syncedCount > previous) fetchTickets();
+  }, [syncedCount, profile?.id, fetchTickets]);
+
+  // Follow the URL when it changes underneath the box (back/forward, links)
+  useEffect(() => {
+    setSearchTerm((current) => (current.trim() === activeSearch ? current : activeSearch));
+  }, [activeSearch]);
+
+  // Push the search box into the URL once typing pauses
+  useEffect(() => {
+    const term = searchTerm.trim();
+    if (term === activeSearch) return;
+    const timeout = setTimeout(() => {
+      updateListParams({ q: term, page: null });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [searchTerm, activeSearch, updateListParams]);
+
+  const handleSort = (column) => {
+    const dir =
+      sortBy === column
+        ? sortDir === "asc" ? "desc" : "asc"
+        : DEFAULT_SORT_DIR[column] || "asc";
+    updateListParams({ sort: column, dir, page: null });
+  };
+
+  const handleStatusFilterChange = (value) => {
+    setStatusFilter(value);
+    updateListParams({ page: null });
+  };
+
+  const handleBaseFilterChange = (value) => {
+    setBaseFilter(value);
+    updateListParams({ page: null });
+  };
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -150,21 +300,6 @@ const TicketsPage = () => {
     return () => document.removeEventListener("click", handleClickOutside);
   }, []);
 
-  const filteredTickets = tickets.filter(
-    (ticket) =>
-      ticket.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      ticket.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      (ticket.ticket_number && ticket.ticket_number.toLowerCase().includes(searchTerm.toLowerCase()))
-  );
-
-  const getStatusBadge = (status) =>
-    ({
-      Open: "badge-error",
-      "In Progress": "badge-warning",
-      Resolved: "badge-success",
-      Closed: "badge-secondary",
-    }[status] || "badge-secondary");
-
   const getPriorityBadge = (priority) =>
     ({
       High: "badge-error",
@@ -186,15 +321,21 @@ const TicketsPage = () => {
     setOpenDropdownId(openDropdownId === ticketId ? null : ticketId);
   };
 
+  // Short ticket-number link, for chats and emails
+  const handleCopyLink = async (ticket) => {
+    setOpenDropdownId(null);
+    try {
+      await copyTicketLink(ticket);
+      toast.success(`Link to #${ticket.ticket_number} copied`);
+    } catch (error) {
+      console.error("Failed to copy link:", error);
+      toast.error("Could not copy the link");
+    }
+  };
+
   const handleEdit = (ticket) => {
     setSelectedTicket(ticket);
-    setEditForm({
-      title: ticket.title,
-      description: ticket.description,
-      priority: ticket.priority,
-      base: ticket.base,
-      status: ticket.status
-    });
+    setEditForm(ticketToEditForm(ticket));
     setShowEditModal(true);
     setOpenDropdownId(null);
   };
@@ -277,32 +418,23 @@ const TicketsPage = () => {
                            selectedTicket?.assignee_profile?.email || 
                            "Unassigned";
     
-    // Update ticket assignment - use ticket.id (should be UUID)
-    await db.updateTicket(selectedTicket.id, {
-      assigned_to: selectedUserId,
-    });
-
-    // Add comment for the assignment change - use ticket.id (UUID)
-    await db.addTicketComment({
-      ticket_id: selectedTicket.id,
-      user_id: profile.id,
-      comment_type: "assignment",
-      old_value: oldAssigneeName,
-      new_value: selectedUserName || "Unassigned",
-      comment: selectedUserId ? `Assigned to ${selectedUserName}` : "Unassigned",
-    });
-
-    // Send optimized notification
-    await sendOptimizedNotification(
-      selectedTicket,
-      'ticket_assignment',
-      selectedUserId ? `Ticket assigned to ${selectedUserName}` : 'Ticket unassigned',
-      {
-        old_assignee: selectedTicket.assigned_to,
-        new_assignee: selectedUserId,
-        old_assignee_name: oldAssigneeName,
-        new_assignee_name: selectedUserName || "Unassigned"
-      }
+    // Update the assignment, its history and the notification in one transaction
+    await db.updateTicketWithHistory(
+      selectedTicket.id,
+      { assigned_to: selectedUserId },
+      [
+        buildNotificationPayload(
+          selectedTicket,
+          'ticket_assignment',
+          selectedUserId ? `Ticket assigned to ${selectedUserName}` : 'Ticket unassigned',
+          {
+            old_assignee: selectedTicket.assigned_to,
+            new_assignee: selectedUserId,
+            old_assignee_name: oldAssigneeName,
+            new_assignee_name: selectedUserName || "Unassigned"
+          }
+        )
+      ]
     );
 
     // Update local state
@@ -335,17 +467,15 @@ const TicketsPage = () => {
     try {
       setActionLoading(true);
       
-      // Use the deleteTicket method from your db
+      // Moves the ticket to the trash
       await db.deleteTicket(selectedTicket.id);
       
-      // Update local state
-      setTickets(prevTickets =>
-        prevTickets.filter(ticket => ticket.id !== selectedTicket.id)
-      );
+      // Reload the page so the next ticket moves up into the freed row
+      await fetchTickets();
       
       setShowDeleteModal(false);
       setSelectedTicket(null);
-      toast.success("Ticket deleted successfully!");
+      toast.success("Ticket moved to trash");
     } catch (error) {
       console.error("Failed to delete ticket:", error.message);
       toast.error("Failed to delete ticket. Please try again.");
@@ -388,13 +518,16 @@ const TicketsPage = () => {
           new_value: editForm.priority
         });
       }
-      if (editForm.base !== selectedTicket.base) {
-        changes.base = editForm.base;
-        changeDetails.push({
-          field: 'base',
-          old_value: selectedTicket.base,
-          new_value: editForm.base
-        });
+      if (editForm.base && editForm.base !== selectedTicket.base_name) {
+        const newBase = availableBases.find(base => base.name === editForm.base);
+        if (newBase) {
+          changes.base_id = newBase.id;
+          changeDetails.push({
+            field: 'base',
+            old_value: selectedTicket.base_name,
+            new_value: editForm.base
+          });
+        }
       }
       if (editForm.status !== selectedTicket.status) {
         changes.status = editForm.status;
@@ -412,45 +545,40 @@ const TicketsPage = () => {
         return;
       }
 
-      // Update ticket
-      await db.updateTicket(selectedTicket.id, changes);
-
-      // Add comment for each change
-      for (const change of changeDetails) {
-        await db.addTicketComment({
-          ticket_id: selectedTicket.id,
-          user_id: profile.id,
-          comment_type: "comment",
-          comment: `${change.field.charAt(0).toUpperCase() + change.field.slice(1)} changed from "${change.old_value}" to "${change.new_value}"`,
-        });
-      }
-
-      // Send optimized notification for all changes (same as TicketDetailPage)
+      // Update the ticket, its history and the notification in one transaction
       const changedFields = changeDetails.map(c => c.field).join(', ');
-      await sendOptimizedNotification(
-        selectedTicket,
-        'ticket_updated',
-        `Ticket updated: ${changedFields} changed`,
-        {
-          changes: changeDetails,
-          old_base: selectedTicket.base,
-          new_base: editForm.base
-        }
-      );
-
-      // Update local state
-      setTickets(prevTickets =>
-        prevTickets.map(ticket =>
-          ticket.id === selectedTicket.id
-            ? { ...ticket, ...changes }
-            : ticket
+      await db.updateTicketWithHistory(selectedTicket.id, changes, [
+        buildNotificationPayload(
+          selectedTicket,
+          'ticket_updated',
+          `Ticket updated: ${changedFields} changed`,
+          {
+            changes: changeDetails,
+            old_base: selectedTicket.base_name,
+            new_base: editForm.base
+          }
         )
-      );
+      ], { expectedVersion: selectedTicket.version });
+
+      // Reload the page: the edit may move the ticket in the current sort or filter
+      await fetchTickets();
       
       setShowEditModal(false);
       setSelectedTicket(null);
       toast.success("Ticket updated successfully!");
     } catch (error) {
+      if (error instanceof TicketConflictError) {
+        setConflict({
+          original: ticketToEditForm(selectedTicket),
+          theirs: ticketToEditForm(error.current),
+          current: error.current
+        });
+        return;
+      }
+      if (error instanceof StatusTransitionError) {
+        toast.error(error.message);
+        return;
+      }
       console.error("Error updating ticket:", error.message);
       toast.error("Failed to update ticket. Please try again.");
     } finally {
@@ -458,6 +586,20 @@ const TicketsPage = () => {
     }
   };
 
+  // Continue editing on top of the current version with the merged values
+  const handleConflictResolve = (merged) => {
+    setSelectedTicket(conflict.current);
+    setEditForm(merged);
+    setConflict(null);
+    toast("Merged with the latest version. Review and save again.");
+  };
+
+  const handleConflictCancel = async () => {
+    setConflict(null);
+    closeModals();
+    await fetchTickets();
+  };
+
   const closeModals = () => {
     setShowAssignmentModal(false);
     setShowDeleteModal(false);
@@ -543,10 +685,12 @@ const TicketsPage = () => {
                 onChange={(e) => setEditForm({...editForm, status: e.target.value})}
                 disabled={editLoading}
               >
-                <option value="Open">Open</option>
-                <option value="In Progress">In Progress</option>
-                <option value="Resolved">Resolved</option>
-                <option value="Closed">Closed</option>
+                {/* The ticket's own status and the ones the workflow lets this role move it to */}
+                {getAllowedStatuses(selectedTicket?.status, profile?.role).map((status) => (
+                  <option key={status.name} value={status.name}>
+                    {status.name}
+                  </option>
+                ))}
               </select>
             </div>
           </div>
@@ -707,7 +851,7 @@ const renderAssignmentModal = () => (
           <h2 className="text-xl font-semibold">Delete Ticket</h2>
         </div>
         <p className="text-gray-600 mb-6">
-          Are you sure you want to delete this ticket? This action cannot be undone.
+          This ticket will be moved to the trash. Admins can restore it for {TRASH_RETENTION_DAYS} days before it is deleted permanently.
         </p>
         <div className="flex justify-end space-x-3">
           <button
@@ -776,7 +920,7 @@ const renderAssignmentModal = () => (
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
               <input
                 type="text"
-                placeholder="Search tickets..."
+                placeholder="Search tickets and comments..."
                 className="form-input pl-10"
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
@@ -786,13 +930,14 @@ const renderAssignmentModal = () => (
               <select
                 className="form-input"
                 value={statusFilter}
-                onChange={(e) => setStatusFilter(e.target.value)}
+                onChange={(e) => handleStatusFilterChange(e.target.value)}
               >
                 <option value="all">All Status</option>
-                <option value="Open">Open</option>
-                <option value="In Progress">In Progress</option>
-                <option value="Resolved">Resolved</option>
-                <option value="Closed">Closed</option>
+                {statuses.map((status) => (
+                  <option key={status.name} value={status.name}>
+                    {status.name}
+                  </option>
+                ))}
               </select>
             </div>
             {profile?.role === "Admin" && (
@@ -800,7 +945,7 @@ const renderAssignmentModal = () => (
                 <select
                   className="form-input"
                   value={baseFilter}
-                  onChange={(e) => setBaseFilter(e.target.value)}
+                  onChange={(e) => handleBaseFilterChange(e.target.value)}
                   disabled={basesLoading}
                 >
                   <option value="all">All Bases</option>
@@ -829,37 +974,124 @@ const renderAssignmentModal = () => (
                 <thead>
                   <tr>
                     <th className="table-header">Ticket</th>
-                    <th className="table-header">Status</th>
-                    <th className="table-header">Priority</th>
+                    <SortableHeader label="Status" column="status" sortBy={sortBy} sortDir={sortDir} onSort={handleSort} disabled={isSearching} />
+                    <SortableHeader label="Priority" column="priority" sortBy={sortBy} sortDir={sortDir} onSort={handleSort} disabled={isSearching} />
                     {profile?.role === "Admin" && (
                       <th className="table-header">Base</th>
                     )}
                     <th className="table-header">Assigned To</th>
-                    <th className="table-header">Created</th>
+                    <SortableHeader label="Due" column="expected_delivery_date" sortBy={sortBy} sortDir={sortDir} onSort={handleSort} disabled={isSearching} />
+                    <SortableHeader label="Created" column="created_at" sortBy={sortBy} sortDir={sortDir} onSort={handleSort} disabled={isSearching} />
                     <th className="table-header">Actions</th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
-                  {filteredTickets.length > 0 ? (
-                    filteredTickets.map((ticket) => (
+                  {queuedTickets.map((entry) => (
+                    <tr key={entry.id} className="bg-yellow-50">
+                      <td className="table-cell">
+                        <div className="text-sm font-medium text-gray-900">
+                          {entry.payload.ticket.title}
+                        </div>
+                        <div className="text-sm text-gray-500 truncate max-w-xs">
+                          {entry.payload.ticket.description}
+                        </div>
+                        <div className="mt-1 flex items-center space-x-2">
+                          <OutboxBadge status={entry.status} title={entry.error} />
+                          {entry.status === OUTBOX_STATUS.FAILED && (
+                            <>
+                              <button
+                                type="button"
+                                onClick={() => retryOutboxEntry(entry.id)}
+                                className="text-xs font-medium text-primary-600 hover:text-primary-800"
+                              >
+                                Retry
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => discardOutboxEntry(entry.id)}
+                                className="text-xs font-medium text-gray-500 hover:text-gray-700"
+                              >
+                                Discard
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                      <td className="table-cell">
+                        <StatusBadge status={entry.payload.ticket.status} />
+                      </td>
+                      <td className="table-cell">
+                        <span className={`badge ${getPriorityBadge(entry.payload.ticket.priority)}`}>
+                          {entry.payload.ticket.priority}
+                        </span>
+                      </td>
+                      {profile?.role === "Admin" && (
+                        <td className="table-cell text-sm text-gray-500">
+                          {availableBases.find((base) => base.id === entry.payload.ticket.base_id)?.name}
+                        </td>
+                      )}
+                      <td className="table-cell text-sm text-gray-500">Unassigned</td>
+                      <td className="table-cell text-sm text-gray-500">
+                        {entry.payload.ticket.expected_delivery_date
+                          ? new Date(entry.payload.ticket.expected_delivery_date).toLocaleDateString()
+                          : "-"}
+                      </td>
+                      <td className="table-cell text-sm text-gray-500">
+                        {formatDate(new Date(entry.createdAt).toISOString())}
+                      </td>
+                      <td className="table-cell" />
+                    </tr>
+                  ))}
+                  {tickets.length > 0 || queuedTickets.length > 0 ? (
+                    tickets.map((ticket) => (
                       <tr key={ticket.id} className="hover:bg-gray-50">
                         <td className="table-cell">
                           <div className="text-sm font-medium text-gray-900">
-                            #{ticket.ticket_number} - {ticket.title}
+                            #{ticket.ticket_number} -{" "}
+                            {ticket.search ? (
+                              <Highlight text={ticket.search.titleHighlight} />
+                            ) : (
+                              ticket.title
+                            )}
                           </div>
                           <div className="text-sm text-gray-500 truncate max-w-xs">
-                            {ticket.description}
+                            {ticket.search ? (
+                              <Highlight text={ticket.search.descriptionSnippet} />
+                            ) : (
+                              ticket.description
+                            )}
                           </div>
+                          {ticket.search?.commentSnippet && (
+                            <div className="text-xs text-gray-500 truncate max-w-xs mt-1">
+                              <MessageSquare className="h-3 w-3 inline mr-1" />
+                              <Highlight text={ticket.search.commentSnippet} />
+                            </div>
+                          )}
                           <div className="text-xs text-gray-400 mt-1">
                             By: {ticket.creator_profile?.full_name || "Unknown"}
                           </div>
+                          {viewersByTicket[ticket.id] && (
+                            <div className="mt-1 flex items-center space-x-2">
+                              <PresenceAvatars viewers={viewersByTicket[ticket.id]} max={3} size="sm" />
+                              <span className="text-xs text-blue-600">
+                                {viewersByTicket[ticket.id].some((viewer) => viewer.typing)
+                                  ? "Someone is replying"
+                                  : "Open now"}
+                              </span>
+                            </div>
+                          )}
+                          {outboxStatusByTicket[ticket.id] && (
+                            <div className="mt-1">
+                              <OutboxBadge status={outboxStatusByTicket[ticket.id]} />
+                            </div>
+                          )}
                         </td>
                         <td className="table-cell">
-                          <span
-                            className={`badge ${getStatusBadge(ticket.status)}`}
-                          >
-                            {ticket.status}
-                          </span>
+                          <div className="flex flex-col items-start gap-1">
+                            <StatusBadge status={ticket.status} />
+                            <SlaBadge ticket={ticket} hideMet />
+                            <EscalationBadge ticket={ticket} />
+                          </div>
                         </td>
                         <td className="table-cell">
                           <span
@@ -878,13 +1110,18 @@ const renderAssignmentModal = () => (
                         <td className="table-cell text-sm text-gray-500">
                           {ticket.assignee_profile?.full_name || "Unassigned"}
                         </td>
+                        <td className="table-cell text-sm text-gray-500">
+                          {ticket.expected_delivery_date
+                            ? new Date(ticket.expected_delivery_date).toLocaleDateString()
+                            : "-"}
+                        </td>
                         <td className="table-cell text-sm text-gray-500">
                           {formatDate(ticket.created_at)}
                         </td>
                         <td className="table-cell relative">
                           <div className="flex items-center space-x-2">
                             <Link
-                              to={`/tickets/${ticket.id}`}
+                              to={getTicketPath(ticket)}
                               className="text-primary-600 hover:text-primary-700"
                               title="View ticket"
                             >
@@ -901,6 +1138,14 @@ const renderAssignmentModal = () => (
                           {openDropdownId === ticket.id && (
                             <div className="absolute right-0 z-10 mt-2 w-40 bg-white rounded-md shadow-lg border">
                               <ul className="text-sm text-gray-700 py-1">
+                                <li>
+                                  <button
+                                    onClick={() => handleCopyLink(ticket)}
+                                    className="w-full text-left px-4 py-2 hover:bg-gray-100 flex items-center gap-2"
+                                  >
+                                    <Link2 className="h-4 w-4" /> Copy Link
+                                  </button>
+                                </li>
                                 {canEditTicket(ticket) && (
                                   <li>
                                     <button
@@ -939,7 +1184,7 @@ const renderAssignmentModal = () => (
                     ))
                   ) : (
                     <tr>
-                      <td colSpan="7" className="table-cell text-center py-12">
+                      <td colSpan="8" className="table-cell text-center py-12">
                         <div className="text-gray-500">
                           <Filter className="h-12 w-12 mx-auto mb-4 text-gray-300" />
                           <p className="text-lg font-medium">
@@ -956,21 +1201,59 @@ const renderAssignmentModal = () => (
               </table>
             </div>
           )}
+          {totalTickets > 0 && (
+            <Pagination
+              page={page}
+              pageSize={pageSize}
+              total={totalTickets}
+              onPageChange={(newPage) => updateListParams({ page: newPage > 1 ? newPage : null })}
+              onPageSizeChange={(size) =>
+                updateListParams({ pageSize: size !== DEFAULT_PAGE_SIZE ? size : null, page: null })
+              }
+              disabled={loading}
+            />
+          )}
         </div>
       </div>
 
-      {!loading && filteredTickets.length > 0 && (
-        <div className="text-sm text-gray-500 text-center">
-          Showing {filteredTickets.length} of {tickets.length} tickets
-        </div>
-      )}
-
       {/* Modals */}
       {showEditModal && renderEditModal()}
+      {conflict && (
+        <ConflictDialog
+          fields={CONFLICT_FIELDS}
+          original={conflict.original}
+          theirs={conflict.theirs}
+          mine={editForm}
+          onResolve={handleConflictResolve}
+          onCancel={handleConflictCancel}
+        />
+      )}
       {showAssignmentModal && renderAssignmentModal()}
       {showDeleteModal && renderDeleteModal()}
     </div>
   );
 };
 
+const SortableHeader = ({ label, column, sortBy, sortDir, onSort, disabled = false }) => {
+  if (disabled) return <th className="table-header">{label}</th>;
+
+  const active = sortBy === column;
+  const Icon = !active ? ArrowUpDown : sortDir === "asc" ? ArrowUp : ArrowDown;
+
+  return (
+    <th className="table-header">
+      <button
+        type="button"
+        className={`inline-flex items-center gap-1 uppercase tracking-wider ${
+          active ? "text-gray-900" : "hover:text-gray-700"
+        }`}
+        onClick={() => onSort(column)}
+      >
+        {label}
+        <Icon className={`h-3 w-3 ${active ? "" : "opacity-40"}`} />
+      </button>
+    </th>
+  );
+};
+
 export default TicketsPage;
\ No newline at end of file
@@ -0,0 +1,196 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { db, TRASH_RETENTION_DAYS } from "../lib/supabase.js";
+import { toast } from "react-hot-toast";
+import { Trash2, RotateCcw, AlertTriangle } from "lucide-react";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TrashPage = () => {
+  const [tickets, setTickets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [actionLoading, setActionLoading] = useState(false);
+  const [ticketToPurge, setTicketToPurge] = useState(null);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setTickets(await db.getTrashedTickets());
+    } catch (error) {
+      console.error("Failed to load trash:", error);
+      toast.error("Failed to load trash.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  };
+
+  const getPurgeDate = (deletedAt) =>
+    new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+  const handleRestore = async (ticket) => {
+    try {
+      setActionLoading(true);
+      await db.restoreTicket(ticket.id);
+      setTickets((prev) => prev.filter((t) => t.id !== ticket.id));
+      toast.success(`Ticket #${ticket.ticket_number} restored`);
+    } catch (error) {
+      console.error("Failed to restore ticket:", error);
+      toast.error("Failed to restore ticket.");
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handlePurgeConfirm = async () => {
+    if (!ticketToPurge) return;
+
+    try {
+      setActionLoading(true);
+      const result = await db.purgeTickets([ticketToPurge.id]);
+      if (!result?.purged?.includes(ticketToPurge.id)) {
+        throw new Error(result?.failed?.[0]?.error || "Ticket was not purged");
+      }
+      setTickets((prev) => prev.filter((t) => t.id !== ticketToPurge.id));
+      toast.success("Ticket permanently deleted");
+    } catch (error) {
+      console.error("Failed to purge ticket:", error);
+      toast.error("Failed to delete ticket permanently.");
+    } finally {
+      setActionLoading(false);
+      setTicketToPurge(null);
+    }
+  };
+
+  const renderPurgeModal = () => (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-md">
+        <div className="flex items-center mb-4">
+          <AlertTriangle className="h-6 w-6 text-red-600 mr-3" />
+          <h2 className="text-xl font-semibold">Delete Permanently</h2>
+        </div>
+        <p className="text-gray-600 mb-6">
+          Ticket #{ticketToPurge.ticket_number}, its comments and its attachments
+          will be removed for good. This action cannot be undone.
+        </p>
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={() => setTicketToPurge(null)}
+            className="px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded transition-colors"
+            disabled={actionLoading}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handlePurgeConfirm}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded transition-colors"
+            disabled={actionLoading}
+          >
+            {actionLoading ? "Deleting..." : "Delete permanently"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Trash</h1>
+        <p className="text-sm text-gray-600">
+          Deleted tickets are kept for {TRASH_RETENTION_DAYS} days before they
+          are removed permanently.
+        </p>
+      </div>
+
+      <div className="card">
+        <div className="card-body p-0">
+          {loading ? (
+            <div className="text-center py-8 text-gray-500">Loading trash...</div>
+          ) : tickets.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">
+              <Trash2 className="h-12 w-12 mx-auto mb-4 text-gray-300" />
+              <p>The trash is empty</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th className="table-header">Ticket</th>
+                    <th className="table-header">Base</th>
+                    <th className="table-header">Deleted by</th>
+                    <th className="table-header">Deleted</th>
+                    <th className="table-header">Purged on</th>
+                    <th className="table-header">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {tickets.map((ticket) => (
+                    <tr key={ticket.id} className="hover:bg-gray-50">
+                      <td className="table-cell">
+                        <div className="text-sm font-medium text-gray-900">
+                          #{ticket.ticket_number}
+                        </div>
+                        <div className="text-sm text-gray-500 truncate max-w-xs">
+                          {ticket.title}
+                        </div>
+                      </td>
+                      <td className="table-cell text-sm text-gray-500">
+                        {ticket.base_name}
+                      </td>
+                      <td className="table-cell text-sm text-gray-500">
+                        {ticket.deleted_by_profile?.full_name ||
+                          ticket.deleted_by_profile?.email ||
+                          "Unknown"}
+                      </td>
+                      <td className="table-cell text-sm text-gray-500">
+                        {formatDate(ticket.deleted_at)}
+                      </td>
+                      <td className="table-cell text-sm text-gray-500">
+                        {formatDate(getPurgeDate(ticket.deleted_at))}
+                      </td>
+                      <td className="table-cell">
+                        <div className="flex items-center space-x-2">
+                          <button
+                            onClick={() => handleRestore(ticket)}
+                            disabled={actionLoading}
+                            className="inline-flex items-center px-2 py-1 text-sm text-primary-600 hover:text-primary-700"
+                          >
+                            <RotateCcw className="h-4 w-4 mr-1" /> Restore
+                          </button>
+                          <button
+                            onClick={() => setTicketToPurge(ticket)}
+                            disabled={actionLoading}
+                            className="inline-flex items-center px-2 py-1 text-sm text-red-600 hover:text-red-700"
+                          >
+                            <Trash2 className="h-4 w-4 mr-1" /> Delete permanently
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {ticketToPurge && renderPurgeModal()}
+    </div>
+  );
+};
+
+export default TrashPage;
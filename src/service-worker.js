@@ -0,0 +1,162 @@
+// Service worker for the installed app. Not bundled: vite.config.js copies it
+// to sw.js at build time and fills in the build's file list and version.
+//
+// - App shell: index.html, the built JS/CSS, the manifest and icons are
+//   precached on install, so the app starts without a connection.
+// - Recently viewed tickets: Supabase reads for a single ticket (the ticket,
+//   its comments, events and attachment records) and the signed-in user's
+//   profile are fetched network first and kept for the last tickets viewed,
+//   so they can be read offline.
+//
+// Everything else goes straight to the network. Writes are never cached;
+// offline changes go through the outbox (src/lib/outbox.js).
+
+// Paths are relative to the app's base (GitHub Pages serves it from a subfolder)
+const PRECACHE_URLS = __PRECACHE_URLS__.map((path) =>
+  new URL(path, self.registration.scope).toString()
+);
+const CACHE_VERSION = __CACHE_VERSION__;
+
+const SHELL_CACHE = `ticket-hub-shell-${CACHE_VERSION}`;
+// Belongs to the signed-in user; the app deletes it on sign out (lib/pwa.js)
+const DATA_CACHE = 'ticket-hub-data';
+const RECENT_TICKETS_KEY = new URL('__recent-tickets__', self.registration.scope).toString();
+// A ticket is read by its number (from the URL) and by its UUID, so each
+// viewed ticket takes two keys: this keeps the last 20 tickets
+const MAX_RECENT_KEYS = 40;
+
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+// Tables read per ticket on the detail page, and the columns they filter on
+const TICKET_SCOPED_READS = {
+  tickets: ['id', 'ticket_number'],
+  ticket_comments: ['ticket_id'],
+  ticket_events: ['ticket_id'],
+  attachments: ['ticket_id'],
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop shell caches from earlier builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('ticket-hub-shell-') && key !== SHELL_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Recently viewed tickets
+
+// The ticket id or number a Supabase REST read is scoped to, if it is one of
+// the reads above
+const getTicketKeyFromRead = (url) => {
+  const table = url.pathname.match(/\/rest\/v1\/([a-z_]+)$/)?.[1];
+  const filters = (TICKET_SCOPED_READS[table] || [])
+    .map((column) => url.searchParams.get(column))
+    .filter((filter) => filter?.startsWith('eq.'));
+
+  return filters.length > 0 ? filters[0].slice(3) : null;
+};
+
+// Whether a cached request reads the ticket with this key
+const readsTicket = (request, key) =>
+  [...new URL(request.url).searchParams.values()].includes(`eq.${key}`);
+
+const isProfileRead = (url) =>
+  /\/rest\/v1\/profiles$/.test(url.pathname) &&
+  new RegExp(`^eq\\.${UUID}$`, 'i').test(url.searchParams.get('id') || '');
+
+const readRecentTickets = async (cache) => {
+  const response = await cache.match(RECENT_TICKETS_KEY);
+  return response ? response.json() : [];
+};
+
+// Moves the ticket to the front of the list and drops the cached reads of
+// tickets that fell off the end
+const touchRecentTicket = async (key) => {
+  const cache = await caches.open(DATA_CACHE);
+  const recent = await readRecentTickets(cache);
+  if (recent[0] === key) return;
+
+  const next = [key, ...recent.filter((item) => item !== key)];
+  const evicted = next.splice(MAX_RECENT_KEYS);
+
+  await cache.put(RECENT_TICKETS_KEY, new Response(JSON.stringify(next)));
+
+  if (evicted.length > 0) {
+    const requests = await cache.keys();
+    await Promise.all(
+      requests
+        .filter((request) => evicted.some((item) => readsTicket(request, item)))
+        .map((request) => cache.delete(request))
+    );
+  }
+};
+
+// Fresh data when online; the last copy when the network is unreachable
+const networkFirst = async (request) => {
+  const cache = await caches.open(DATA_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreVary: true });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// App shell
+
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    // Routes live in the URL hash, so every page is index.html
+    const cached = await caches.match(new URL('index.html', self.registration.scope).toString());
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request) => (await caches.match(request)) || fetch(request);
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === 'navigate') {
+      event.respondWith(handleNavigation(request));
+    } else if (PRECACHE_URLS.includes(url.href)) {
+      event.respondWith(cacheFirst(request));
+    }
+    return;
+  }
+
+  const ticketKey = getTicketKeyFromRead(url);
+  if (ticketKey) {
+    event.waitUntil(touchRecentTicket(ticketKey));
+    event.respondWith(networkFirst(request));
+  } else if (isProfileRead(url)) {
+    event.respondWith(networkFirst(request));
+  }
+});
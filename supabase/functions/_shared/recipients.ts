@@ -0,0 +1,35 @@
+// Who to notify from scheduled jobs, and their Telegram chats
+import { supabase } from './supabaseAdmin.ts';
+
+export async function getAdminIds(): Promise<string[]> {
+  const { data, error } = await supabase.from('profiles').select('id').eq('role', 'Admin');
+  if (error) throw error;
+  return (data || []).map((admin) => admin.id);
+}
+
+// HIS staff working at the base
+export async function getBaseStaffIds(baseId: number): Promise<string[]> {
+  const { data, error } = await supabase
+    .from('user_bases')
+    .select('user_id, profiles!inner(role)')
+    .eq('base_id', baseId)
+    .eq('profiles.role', 'HIS');
+  if (error) throw error;
+  return (data || []).map((member) => member.user_id);
+}
+
+// Chats of the users who have Telegram connected and notifications on
+export async function getChatIds(userIds: string[]): Promise<string[]> {
+  if (userIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('user_settings')
+    .select('telegram_chat_id')
+    .in('user_id', userIds)
+    .eq('telegram_notifications', true)
+    .eq('telegram_is_connected', true)
+    .not('telegram_chat_id', 'is', null);
+  if (error) throw error;
+
+  return (data || []).map((settings) => settings.telegram_chat_id);
+}
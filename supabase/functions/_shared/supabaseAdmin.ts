@@ -0,0 +1,23 @@
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+// Client with the service role key, for scheduled jobs
+export const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+export const supabase = createClient(Deno.env.get('SUPABASE_URL')!, serviceRoleKey);
+
+const bearerToken = (req: Request) => req.headers.get('Authorization')?.replace('Bearer ', '') || '';
+
+// Scheduled jobs are called with the service role key as the bearer token
+export const isServiceRoleRequest = (req: Request) => bearerToken(req) === serviceRoleKey;
+
+// A request from a signed-in Admin's browser
+export async function isAdminRequest(req: Request) {
+  const { data: { user }, error } = await supabase.auth.getUser(bearerToken(req));
+  if (error || !user) return false;
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('role')
+    .eq('id', user.id)
+    .single();
+  return profile?.role === 'Admin';
+}
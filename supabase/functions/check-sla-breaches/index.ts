@@ -0,0 +1,103 @@
+import { serve } from 'https://deno.land/std@0.203.0/http/server.ts';
+import { corsHeaders, jsonResponse } from '../_shared/http.ts';
+import { getAdminIds, getBaseStaffIds, getChatIds } from '../_shared/recipients.ts';
+import { isServiceRoleRequest, supabase } from '../_shared/supabaseAdmin.ts';
+
+const BATCH_SIZE = 100;
+
+const BREACH_LABELS: Record<string, string> = {
+  first_response: 'First response',
+  resolution: 'Resolution',
+};
+
+console.log('🚀 Check SLA breaches function started');
+
+type Breach = { ticket_id: string; breach: string; due_at: string };
+
+// The assignee, or the base's HIS staff while nobody is assigned, and Admins
+async function getRecipientIds(ticket: { assigned_to: string | null; base_id: number | null }) {
+  const recipients = new Set(await getAdminIds());
+
+  if (ticket.assigned_to) {
+    recipients.add(ticket.assigned_to);
+  } else if (ticket.base_id) {
+    (await getBaseStaffIds(ticket.base_id)).forEach((id) => recipients.add(id));
+  }
+
+  return [...recipients];
+}
+
+// Delivered by send-telegram-notification like every other ticket notification
+async function notifyBreach(breach: Breach) {
+  const { data: ticket, error } = await supabase
+    .from('tickets')
+    .select('id, assigned_to, base_id')
+    .eq('id', breach.ticket_id)
+    .single();
+  if (error) throw error;
+
+  const chatIds = await getChatIds(await getRecipientIds(ticket));
+  // An empty list would make send-telegram-notification message everyone
+  if (chatIds.length === 0) return 0;
+
+  const label = BREACH_LABELS[breach.breach] || 'SLA';
+  const { error: sendError } = await supabase.functions.invoke('send-telegram-notification', {
+    body: {
+      type: 'sla_breach',
+      ticket_id: ticket.id,
+      message: `${label} target missed: it was due ${new Date(breach.due_at).toUTCString()}.`,
+      chat_ids: chatIds,
+    },
+  });
+  if (sendError) throw sendError;
+
+  return chatIds.length;
+}
+
+// Called on a schedule with the service role key
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders, status: 200 });
+  }
+
+  try {
+    if (!isServiceRoleRequest(req)) {
+      return jsonResponse({ success: false, error: 'Unauthorized' }, 401);
+    }
+
+    // Claimed breaches are marked in the same call, so each is sent once;
+    // the ones that could not be sent are released again for the next run
+    const { data: breaches, error } = await supabase.rpc('claim_sla_breaches', { p_limit: BATCH_SIZE });
+    if (error) throw error;
+
+    let notified = 0;
+    const failed: Breach[] = [];
+
+    for (const breach of (breaches || []) as Breach[]) {
+      try {
+        notified += await notifyBreach(breach);
+      } catch (err) {
+        console.error(`❌ Failed to notify ${breach.breach} breach of ticket ${breach.ticket_id}:`, err);
+        failed.push(breach);
+      }
+    }
+
+    if (failed.length > 0) {
+      const { error: releaseError } = await supabase.rpc('release_sla_breaches', {
+        p_breaches: failed.map(({ ticket_id, breach }) => ({ ticket_id, breach })),
+      });
+      if (releaseError) console.error('❌ Failed to release unsent SLA breaches:', releaseError);
+    }
+
+    console.log(`⏰ ${breaches?.length || 0} SLA breaches, ${notified} messages sent`);
+    return jsonResponse({
+      success: true,
+      breaches: breaches?.length || 0,
+      notified,
+      failed: failed.map((breach) => breach.ticket_id),
+    });
+  } catch (err) {
+    console.error('❌ SLA check error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -0,0 +1,89 @@
+import { serve } from 'https://deno.land/std@0.203.0/http/server.ts';
+import { corsHeaders, jsonResponse } from '../_shared/http.ts';
+import { isServiceRoleRequest, supabase } from '../_shared/supabaseAdmin.ts';
+
+// Hours a staged upload may wait for its ticket or comment before it is removed
+const stagedTtlHours = Number(Deno.env.get('STAGED_ATTACHMENT_TTL_HOURS') || '24');
+const ATTACHMENTS_BUCKET = 'ticket-attachments';
+const BATCH_SIZE = 500;
+
+console.log('🚀 Cleanup attachments function started');
+
+// Returns how many objects storage actually deleted
+async function removeObjects(paths: string[]) {
+  if (paths.length === 0) return 0;
+
+  const { data, error } = await supabase.storage.from(ATTACHMENTS_BUCKET).remove(paths);
+  if (error) throw error;
+  return data?.length ?? 0;
+}
+
+// Staged uploads never bound to a ticket: remove the files, then their rows
+async function removeAbandonedStaged(cutoff: string) {
+  let removed = 0;
+
+  while (true) {
+    const { data: staged, error } = await supabase
+      .from('attachments')
+      .select('id, storage_path')
+      .is('ticket_id', null)
+      .lt('created_at', cutoff)
+      .limit(BATCH_SIZE);
+    if (error) throw error;
+    if (!staged || staged.length === 0) return removed;
+
+    await removeObjects(staged.map((attachment) => attachment.storage_path));
+
+    const { error: deleteError } = await supabase
+      .from('attachments')
+      .delete()
+      .in('id', staged.map((attachment) => attachment.id));
+    if (deleteError) throw deleteError;
+
+    removed += staged.length;
+  }
+}
+
+// Objects no attachments row points to: half-finished uploads, files whose row
+// was never written, leftovers of deleted rows
+async function removeOrphanedObjects(cutoff: string) {
+  let removed = 0;
+
+  while (true) {
+    const { data: names, error } = await supabase.rpc('find_orphaned_attachment_objects', {
+      p_older_than: cutoff,
+      p_limit: BATCH_SIZE,
+    });
+    if (error) throw error;
+    if (!names || names.length === 0) return removed;
+
+    const count = await removeObjects(names);
+    // Nothing deleted means the same names would come back forever
+    if (count === 0) return removed;
+    removed += count;
+  }
+}
+
+// Called on a schedule with the service role key
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders, status: 200 });
+  }
+
+  try {
+    if (!isServiceRoleRequest(req)) {
+      return jsonResponse({ success: false, error: 'Unauthorized' }, 401);
+    }
+
+    const cutoff = new Date(Date.now() - stagedTtlHours * 60 * 60 * 1000).toISOString();
+
+    const staged = await removeAbandonedStaged(cutoff);
+    const orphaned = await removeOrphanedObjects(cutoff);
+
+    console.log(`🧹 Removed ${staged} abandoned staged attachments and ${orphaned} orphaned objects`);
+    return jsonResponse({ success: true, staged, orphaned });
+  } catch (err) {
+    console.error('❌ Cleanup error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
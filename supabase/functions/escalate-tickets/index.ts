@@ -0,0 +1,102 @@
+import { serve } from 'https://deno.land/std@0.203.0/http/server.ts';
+import { corsHeaders, jsonResponse } from '../_shared/http.ts';
+import { getAdminIds, getBaseStaffIds, getChatIds } from '../_shared/recipients.ts';
+import { isServiceRoleRequest, supabase } from '../_shared/supabaseAdmin.ts';
+
+const BATCH_SIZE = 100;
+
+console.log('🚀 Escalate tickets function started');
+
+type Escalation = {
+  ticket_id: string;
+  rule_name: string;
+  action: 'raise_priority' | 'reassign' | 'flag';
+  base_id: number | null;
+  assigned_to: string | null;
+  old_value: string | null;
+  new_value: string | null;
+};
+
+// The base's HIS staff and Admins, plus whoever the ticket is assigned to now
+async function getRecipientIds(escalation: Escalation) {
+  const recipients = new Set(await getAdminIds());
+
+  if (escalation.base_id) {
+    (await getBaseStaffIds(escalation.base_id)).forEach((id) => recipients.add(id));
+  }
+  if (escalation.assigned_to) recipients.add(escalation.assigned_to);
+
+  return [...recipients];
+}
+
+async function getUserName(userId: string | null) {
+  if (!userId) return 'nobody';
+  const { data } = await supabase.from('profiles').select('full_name, email').eq('id', userId).maybeSingle();
+  return data?.full_name || data?.email || 'Unknown user';
+}
+
+async function describe(escalation: Escalation) {
+  switch (escalation.action) {
+    case 'raise_priority':
+      return `Priority raised from ${escalation.old_value} to ${escalation.new_value}.`;
+    case 'reassign':
+      return `Reassigned from ${await getUserName(escalation.old_value)} to ${await getUserName(escalation.new_value)}.`;
+    default:
+      return 'Flagged for attention.';
+  }
+}
+
+// Delivered by send-telegram-notification like every other ticket notification
+async function notifyEscalation(escalation: Escalation) {
+  const chatIds = await getChatIds(await getRecipientIds(escalation));
+  // An empty list would make send-telegram-notification message everyone
+  if (chatIds.length === 0) return 0;
+
+  const { error } = await supabase.functions.invoke('send-telegram-notification', {
+    body: {
+      type: 'ticket_escalated',
+      ticket_id: escalation.ticket_id,
+      message: `Escalation rule "${escalation.rule_name}" matched. ${await describe(escalation)}`,
+      chat_ids: chatIds,
+    },
+  });
+  if (error) throw error;
+
+  return chatIds.length;
+}
+
+// Called on a schedule with the service role key
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders, status: 200 });
+  }
+
+  try {
+    if (!isServiceRoleRequest(req)) {
+      return jsonResponse({ success: false, error: 'Unauthorized' }, 401);
+    }
+
+    // The tickets are escalated and recorded in the same call, so a failed
+    // notification does not escalate them twice
+    const { data: escalations, error } = await supabase.rpc('run_escalation_rules', { p_limit: BATCH_SIZE });
+    if (error) throw error;
+
+    let notified = 0;
+    const failed: string[] = [];
+
+    for (const escalation of (escalations || []) as Escalation[]) {
+      try {
+        notified += await notifyEscalation(escalation);
+      } catch (err) {
+        console.error(`❌ Failed to notify escalation of ticket ${escalation.ticket_id}:`, err);
+        failed.push(escalation.ticket_id);
+      }
+    }
+
+    console.log(`🚨 ${escalations?.length || 0} tickets escalated, ${notified} messages sent`);
+    return jsonResponse({ success: true, escalated: escalations?.length || 0, notified, failed });
+  } catch (err) {
+    console.error('❌ Escalation error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
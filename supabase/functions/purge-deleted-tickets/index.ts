@@ -0,0 +1,126 @@
+import { serve } from 'https://deno.land/std@0.203.0/http/server.ts';
+import { corsHeaders, jsonResponse } from '../_shared/http.ts';
+import { isAdminRequest, isServiceRoleRequest, supabase } from '../_shared/supabaseAdmin.ts';
+
+// Days a ticket stays in the trash before the scheduled run purges it
+const retentionDays = Number(Deno.env.get('TRASH_RETENTION_DAYS') || '30');
+const ATTACHMENTS_BUCKET = 'ticket-attachments';
+const LIST_PAGE_SIZE = 100;
+
+console.log('🚀 Purge deleted tickets function started');
+
+// Paths of every file under a folder. list() also returns sub-folders, as
+// entries without an id that remove() cannot delete, so those are walked
+// instead. Pages are read by offset, so nothing is listed twice.
+async function listFolder(folder: string): Promise<string[]> {
+  const paths: string[] = [];
+
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data: entries, error } = await supabase.storage
+      .from(ATTACHMENTS_BUCKET)
+      .list(folder, { limit: LIST_PAGE_SIZE, offset });
+    if (error) throw error;
+
+    for (const entry of entries || []) {
+      const path = `${folder}/${entry.name}`;
+      if (entry.id) paths.push(path);
+      else paths.push(...(await listFolder(path)));
+    }
+
+    if (!entries || entries.length < LIST_PAGE_SIZE) return paths;
+  }
+}
+
+// Remove the ticket's files: those recorded in attachments (uploaded to the
+// uploader's folder) and everything under the ticket's own folder
+async function removeAttachments(ticketId: string) {
+  const { data: recorded, error: recordedError } = await supabase
+    .from('attachments')
+    .select('storage_path')
+    .eq('ticket_id', ticketId);
+  if (recordedError) throw recordedError;
+
+  if (recorded && recorded.length > 0) {
+    const { error: removeError } = await supabase.storage
+      .from(ATTACHMENTS_BUCKET)
+      .remove(recorded.map((attachment) => attachment.storage_path));
+    if (removeError) throw removeError;
+  }
+
+  const paths = await listFolder(ticketId);
+  for (let i = 0; i < paths.length; i += LIST_PAGE_SIZE) {
+    const { error: removeError } = await supabase.storage
+      .from(ATTACHMENTS_BUCKET)
+      .remove(paths.slice(i, i + LIST_PAGE_SIZE));
+    if (removeError) throw removeError;
+  }
+}
+
+async function purgeTicket(ticketId: string) {
+  await removeAttachments(ticketId);
+
+  const { error: commentsError } = await supabase
+    .from('ticket_comments')
+    .delete()
+    .eq('ticket_id', ticketId);
+  if (commentsError) throw commentsError;
+
+  const { error } = await supabase
+    .from('tickets')
+    .delete()
+    .eq('id', ticketId)
+    .not('deleted_at', 'is', null);
+  if (error) throw error;
+}
+
+// Two modes:
+// - { ticket_ids: [...] } from an Admin's browser: purge those trashed tickets now.
+// - no body, called on a schedule with the service role key: purge every ticket
+//   that has been in the trash longer than TRASH_RETENTION_DAYS.
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders, status: 200 });
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}));
+    const ticketIds: string[] = Array.isArray(body?.ticket_ids) ? body.ticket_ids : [];
+
+    let query = supabase.from('tickets').select('id').not('deleted_at', 'is', null);
+
+    if (ticketIds.length > 0) {
+      if (!isServiceRoleRequest(req) && !(await isAdminRequest(req))) {
+        return jsonResponse({ success: false, error: 'Only Admins can purge tickets' }, 403);
+      }
+      query = query.in('id', ticketIds);
+    } else {
+      if (!isServiceRoleRequest(req)) {
+        return jsonResponse({ success: false, error: 'Unauthorized' }, 401);
+      }
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      query = query.lt('deleted_at', cutoff);
+    }
+
+    const { data: tickets, error } = await query;
+    if (error) throw error;
+
+    const purged: string[] = [];
+    const failed: { id: string; error: string }[] = [];
+
+    for (const ticket of tickets || []) {
+      try {
+        await purgeTicket(ticket.id);
+        purged.push(ticket.id);
+      } catch (err) {
+        console.error(`❌ Failed to purge ticket ${ticket.id}:`, err);
+        failed.push({ id: ticket.id, error: err.message });
+      }
+    }
+
+    console.log(`🗑️ Purged ${purged.length} tickets, ${failed.length} failed`);
+    return jsonResponse({ success: failed.length === 0, purged, failed });
+  } catch (err) {
+    console.error('❌ Purge error:', err);
+    return jsonResponse({ success: false, error: err.message }, 500);
+  }
+});
@@ -82,9 +82,10 @@ serve(async (req) => {
       });
     }
 
-    // Use ticket_number for URL and display, fallback to id if ticket_number doesn't exist
+    // Short link by ticket_number (the app also accepts the id). The app
+    // routes in the URL hash, so the route goes after "#".
     const ticketIdentifier = ticket.ticket_number || ticket.id;
-    const ticketUrl = `${frontendUrl}/tickets/${ticketIdentifier}`;
+    const ticketUrl = `${frontendUrl.replace(/\/(index\.html)?$/, '')}/#/tickets/${encodeURIComponent(ticketIdentifier)}`;
     
     // Get base name from the joined bases table
     const base = ticket.bases?.name || ticket.base || 'N/A';
@@ -115,6 +116,10 @@ serve(async (req) => {
       notificationText = `✏️ *Ticket Updated!*\n\n` + notificationText;
     } else if (type === 'ticket_comment') {
       notificationText = `💬 *New Comment on Ticket!*\n\n` + notificationText;
+    } else if (type === 'sla_breach') {
+      notificationText = `⏰ *SLA Breached!*\n\n` + notificationText;
+    } else if (type === 'ticket_escalated') {
+      notificationText = `🚨 *Ticket Escalated!*\n\n` + notificationText;
     }
 
     notificationText += `\n📝 *Details:*\n${message}\n\n🔗 [Open Ticket](${ticketUrl})`;
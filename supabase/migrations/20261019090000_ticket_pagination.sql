@@ -0,0 +1,42 @@
+-- Server-side pagination and sorting for the tickets list.
+-- priority and status are free-text columns, so sorting them alphabetically
+-- gives the wrong order (Critical < High < Low < Medium). The rank columns
+-- below give PostgREST something meaningful to ORDER BY.
+
+alter table public.tickets
+  add column if not exists priority_rank smallint generated always as (
+    case priority
+      when 'Critical' then 4
+      when 'High' then 3
+      when 'Medium' then 2
+      when 'Low' then 1
+      else 0
+    end
+  ) stored;
+
+alter table public.tickets
+  add column if not exists status_rank smallint generated always as (
+    case status
+      when 'Open' then 1
+      when 'In Progress' then 2
+      when 'Resolved' then 3
+      when 'Closed' then 4
+      else 5
+    end
+  ) stored;
+
+-- Indexes backing the sortable columns and the most common filter + sort combos
+create index if not exists tickets_created_at_idx
+  on public.tickets (created_at desc, id);
+create index if not exists tickets_priority_rank_idx
+  on public.tickets (priority_rank, created_at desc);
+create index if not exists tickets_status_rank_idx
+  on public.tickets (status_rank, created_at desc);
+create index if not exists tickets_expected_delivery_date_idx
+  on public.tickets (expected_delivery_date);
+create index if not exists tickets_base_created_at_idx
+  on public.tickets (base_id, created_at desc);
+create index if not exists tickets_created_by_idx
+  on public.tickets (created_by);
+create index if not exists tickets_assigned_to_idx
+  on public.tickets (assigned_to);
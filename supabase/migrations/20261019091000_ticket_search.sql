@@ -0,0 +1,109 @@
+-- Full-text search across tickets and their comments.
+
+alter table public.tickets
+  add column if not exists search_vector tsvector generated always as (
+    setweight(to_tsvector('simple', coalesce(ticket_number, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B')
+  ) stored;
+
+alter table public.ticket_comments
+  add column if not exists search_vector tsvector generated always as (
+    to_tsvector('english', coalesce(comment, ''))
+  ) stored;
+
+create index if not exists tickets_search_vector_idx
+  on public.tickets using gin (search_vector);
+create index if not exists ticket_comments_search_vector_idx
+  on public.ticket_comments using gin (search_vector);
+
+-- Ranked search. Returns one row per matching ticket with highlighted snippets;
+-- matches are wrapped in chr(2) ... chr(3) so the client can render them without
+-- trusting HTML from ticket content. total_count is the number of matches before
+-- limit/offset. Runs as the caller, so ticket and comment RLS still apply.
+create or replace function public.search_tickets(
+  p_query text,
+  p_status text default null,
+  p_base_id integer default null,
+  p_project text default null,
+  p_created_by uuid default null,
+  p_assigned_to uuid default null,
+  p_limit integer default 25,
+  p_offset integer default 0
+)
+returns table (
+  ticket_id uuid,
+  rank real,
+  title_highlight text,
+  description_snippet text,
+  comment_snippet text,
+  total_count bigint
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with q as (
+    select
+      websearch_to_tsquery('english', p_query) as query,
+      format('StartSel=%s, StopSel=%s', chr(2), chr(3)) as markers,
+      -- The query taken literally, so "%" and "_" in it match only themselves
+      replace(replace(replace(p_query, '\', '\\'), '%', '\%'), '_', '\_') || '%' as number_prefix
+  ),
+  comment_hits as (
+    select
+      c.ticket_id,
+      max(ts_rank(c.search_vector, q.query)) as rank,
+      (array_agg(c.comment order by ts_rank(c.search_vector, q.query) desc))[1] as comment
+    from public.ticket_comments c
+    cross join q
+    where c.search_vector @@ q.query
+    group by c.ticket_id
+  ),
+  matches as (
+    select
+      t.id,
+      t.title,
+      t.description,
+      ch.comment,
+      greatest(
+        ts_rank(t.search_vector, q.query),
+        coalesce(ch.rank, 0) * 0.5,
+        -- Exact ticket number prefix (e.g. "TK-0042") always ranks first
+        case when t.ticket_number ilike q.number_prefix then 1 else 0 end
+      ) as rank
+    from public.tickets t
+    cross join q
+    left join comment_hits ch on ch.ticket_id = t.id
+    where (
+        t.search_vector @@ q.query
+        or ch.ticket_id is not null
+        or t.ticket_number ilike q.number_prefix
+      )
+      and (p_status is null or t.status = p_status)
+      and (p_base_id is null or t.base_id = p_base_id)
+      and (p_project is null or t.project = p_project)
+      and (p_created_by is null or t.created_by = p_created_by)
+      and (p_assigned_to is null or t.assigned_to = p_assigned_to)
+  )
+  select
+    m.id,
+    m.rank::real,
+    ts_headline('english', coalesce(m.title, ''), q.query, 'HighlightAll=true, ' || q.markers),
+    ts_headline('english', coalesce(m.description, ''), q.query,
+      'MaxFragments=2, MaxWords=25, MinWords=8, ' || q.markers),
+    case
+      when m.comment is not null then
+        ts_headline('english', m.comment, q.query, 'MaxFragments=1, MaxWords=25, MinWords=8, ' || q.markers)
+    end,
+    count(*) over ()
+  from matches m
+  cross join q
+  order by m.rank desc, m.id
+  limit greatest(p_limit, 1)
+  offset greatest(p_offset, 0);
+$$;
+
+grant execute on function public.search_tickets(text, text, integer, text, uuid, uuid, integer, integer)
+  to authenticated;
@@ -0,0 +1,98 @@
+-- Structured audit log for tickets. One row per changed field, written by a
+-- trigger so every update path (client, RPC, edge function) is covered.
+
+create table if not exists public.ticket_events (
+  id bigint generated always as identity primary key,
+  ticket_id uuid not null references public.tickets(id) on delete cascade,
+  actor_id uuid references public.profiles(id) on delete set null,
+  event_type text not null default 'field_change'
+    check (event_type in ('created', 'field_change')),
+  field text,
+  old_value text,
+  new_value text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ticket_events_ticket_id_created_at_idx
+  on public.ticket_events (ticket_id, created_at desc);
+
+alter table public.ticket_events enable row level security;
+
+-- Visible to anyone who can see the ticket; rows are only ever written by the trigger
+drop policy if exists "ticket_events_select" on public.ticket_events;
+create policy "ticket_events_select" on public.ticket_events
+  for select to authenticated
+  using (exists (select 1 from public.tickets t where t.id = ticket_events.ticket_id));
+
+create or replace function public.log_ticket_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_actor uuid := auth.uid();
+begin
+  if tg_op = 'INSERT' then
+    insert into ticket_events (ticket_id, actor_id, event_type, new_value)
+    values (new.id, coalesce(v_actor, new.created_by), 'created', new.status);
+    return new;
+  end if;
+
+  if new.title is distinct from old.title then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'title', old.title, new.title);
+  end if;
+
+  if new.description is distinct from old.description then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'description', old.description, new.description);
+  end if;
+
+  if new.priority is distinct from old.priority then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'priority', old.priority, new.priority);
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'status', old.status, new.status);
+  end if;
+
+  if new.base_id is distinct from old.base_id then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (
+      new.id, v_actor, 'base',
+      (select name from bases where id = old.base_id),
+      (select name from bases where id = new.base_id)
+    );
+  end if;
+
+  if new.assigned_to is distinct from old.assigned_to then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (
+      new.id, v_actor, 'assigned_to',
+      (select coalesce(full_name, email) from profiles where id = old.assigned_to),
+      (select coalesce(full_name, email) from profiles where id = new.assigned_to)
+    );
+  end if;
+
+  if new.project is distinct from old.project then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'project', old.project, new.project);
+  end if;
+
+  if new.expected_delivery_date is distinct from old.expected_delivery_date then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'expected_delivery_date',
+      old.expected_delivery_date::text, new.expected_delivery_date::text);
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_log_events on public.tickets;
+create trigger tickets_log_events
+  after insert or update on public.tickets
+  for each row execute function public.log_ticket_events();
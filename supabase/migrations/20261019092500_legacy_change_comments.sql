@@ -0,0 +1,8 @@
+-- Before the audit log, edits were recorded as plain comments such as
+-- 'Title changed from "a" to "b"' with comment_type 'comment'. Mark them as
+-- changes so the timeline's Comments filter, SLA first responses and other
+-- readers of comment_type 'comment' only see what people wrote.
+update public.ticket_comments
+set comment_type = 'field_change'
+where comment_type = 'comment'
+  and comment ~ '^[A-Z][A-Za-z_]* changed from ".*" to ".*"$';
@@ -0,0 +1,123 @@
+-- Atomic ticket updates. The ticket row, its ticket_events rows (written by the
+-- tickets trigger) and the notifications it triggers are committed together, so
+-- closing the tab halfway through an edit can no longer leave them out of sync.
+
+create table if not exists public.notification_queue (
+  id bigint generated always as identity primary key,
+  ticket_id uuid references public.tickets(id) on delete cascade,
+  actor_id uuid default auth.uid() references public.profiles(id) on delete set null,
+  type text not null,
+  payload jsonb not null default '{}'::jsonb,
+  attempts integer not null default 0,
+  claimed_at timestamptz,
+  sent_at timestamptz,
+  last_error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notification_queue_pending_idx
+  on public.notification_queue (actor_id, created_at)
+  where sent_at is null;
+
+alter table public.notification_queue enable row level security;
+
+-- Notifications are delivered by the client of the user who queued them
+drop policy if exists "notification_queue_own_select" on public.notification_queue;
+create policy "notification_queue_own_select" on public.notification_queue
+  for select to authenticated
+  using (actor_id = auth.uid());
+
+drop policy if exists "notification_queue_own_insert" on public.notification_queue;
+create policy "notification_queue_own_insert" on public.notification_queue
+  for insert to authenticated
+  with check (actor_id = auth.uid());
+
+drop policy if exists "notification_queue_own_update" on public.notification_queue;
+create policy "notification_queue_own_update" on public.notification_queue
+  for update to authenticated
+  using (actor_id = auth.uid())
+  with check (actor_id = auth.uid());
+
+-- Applies p_changes (a partial ticket as JSON) and queues p_notifications (an
+-- array of notification payloads) in one transaction. Returns the updated ticket
+-- and the caller's undelivered notifications, claimed for delivery; a claim that
+-- is never confirmed (e.g. the tab closed) is handed out again after 5 minutes.
+-- Runs as the caller, so the tickets update policy still applies.
+create or replace function public.update_ticket_with_history(
+  p_ticket_id uuid,
+  p_changes jsonb,
+  p_notifications jsonb default '[]'::jsonb
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_ticket tickets;
+  v_field text;
+  v_notifications jsonb;
+begin
+  select key into v_field
+  from jsonb_object_keys(coalesce(p_changes, '{}'::jsonb)) as key
+  where key not in (
+    'title', 'description', 'priority', 'status', 'base_id',
+    'assigned_to', 'project', 'expected_delivery_date'
+  )
+  limit 1;
+
+  if v_field is not null then
+    raise exception 'Field "%" cannot be updated', v_field using errcode = '22023';
+  end if;
+
+  select * into v_ticket from tickets where id = p_ticket_id for update;
+  if not found then
+    raise exception 'Ticket % not found', p_ticket_id using errcode = 'P0002';
+  end if;
+
+  -- Keys missing from p_changes keep their current value
+  v_ticket := jsonb_populate_record(v_ticket, coalesce(p_changes, '{}'::jsonb));
+
+  update tickets set
+    title = v_ticket.title,
+    description = v_ticket.description,
+    priority = v_ticket.priority,
+    status = v_ticket.status,
+    base_id = v_ticket.base_id,
+    assigned_to = v_ticket.assigned_to,
+    project = v_ticket.project,
+    expected_delivery_date = v_ticket.expected_delivery_date,
+    updated_at = now()
+  where id = p_ticket_id
+  returning * into v_ticket;
+
+  if not found then
+    raise exception 'Not allowed to update ticket %', p_ticket_id using errcode = '42501';
+  end if;
+
+  insert into notification_queue (ticket_id, type, payload)
+  select p_ticket_id, n->>'type', n
+  from jsonb_array_elements(coalesce(p_notifications, '[]'::jsonb)) as n;
+
+  with claimed as (
+    update notification_queue q
+    set claimed_at = now(), attempts = q.attempts + 1
+    where q.actor_id = auth.uid()
+      and q.sent_at is null
+      and q.attempts < 5
+      and (q.claimed_at is null or q.claimed_at < now() - interval '5 minutes')
+    returning q.id, q.type, q.payload, q.created_at
+  )
+  select coalesce(jsonb_agg(to_jsonb(claimed) order by claimed.created_at), '[]'::jsonb)
+  into v_notifications
+  from claimed;
+
+  return jsonb_build_object(
+    'ticket', to_jsonb(v_ticket),
+    'notifications', v_notifications
+  );
+end;
+$$;
+
+grant execute on function public.update_ticket_with_history(uuid, jsonb, jsonb)
+  to authenticated;
@@ -0,0 +1,112 @@
+-- Optimistic concurrency for ticket edits. Every update bumps tickets.version;
+-- update_ticket_with_history rejects an edit made against an older version
+-- instead of silently overwriting the other person's changes.
+
+alter table public.tickets
+  add column if not exists version integer not null default 1;
+
+create or replace function public.bump_ticket_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.version := old.version + 1;
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_bump_version on public.tickets;
+create trigger tickets_bump_version
+  before update on public.tickets
+  for each row execute function public.bump_ticket_version();
+
+-- Same as before plus p_expected_version: when given and the ticket has moved on,
+-- the call fails with SQLSTATE PT409 (HTTP 409 from PostgREST) and changes nothing.
+drop function if exists public.update_ticket_with_history(uuid, jsonb, jsonb);
+
+create or replace function public.update_ticket_with_history(
+  p_ticket_id uuid,
+  p_changes jsonb,
+  p_notifications jsonb default '[]'::jsonb,
+  p_expected_version integer default null
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_ticket tickets;
+  v_field text;
+  v_notifications jsonb;
+begin
+  select key into v_field
+  from jsonb_object_keys(coalesce(p_changes, '{}'::jsonb)) as key
+  where key not in (
+    'title', 'description', 'priority', 'status', 'base_id',
+    'assigned_to', 'project', 'expected_delivery_date'
+  )
+  limit 1;
+
+  if v_field is not null then
+    raise exception 'Field "%" cannot be updated', v_field using errcode = '22023';
+  end if;
+
+  select * into v_ticket from tickets where id = p_ticket_id for update;
+  if not found then
+    raise exception 'Ticket % not found', p_ticket_id using errcode = 'P0002';
+  end if;
+
+  if p_expected_version is not null and v_ticket.version <> p_expected_version then
+    raise exception 'Ticket % was modified by someone else', p_ticket_id
+      using errcode = 'PT409',
+            detail = format('expected version %s, current version %s',
+              p_expected_version, v_ticket.version);
+  end if;
+
+  -- Keys missing from p_changes keep their current value
+  v_ticket := jsonb_populate_record(v_ticket, coalesce(p_changes, '{}'::jsonb));
+
+  update tickets set
+    title = v_ticket.title,
+    description = v_ticket.description,
+    priority = v_ticket.priority,
+    status = v_ticket.status,
+    base_id = v_ticket.base_id,
+    assigned_to = v_ticket.assigned_to,
+    project = v_ticket.project,
+    expected_delivery_date = v_ticket.expected_delivery_date,
+    updated_at = now()
+  where id = p_ticket_id
+  returning * into v_ticket;
+
+  if not found then
+    raise exception 'Not allowed to update ticket %', p_ticket_id using errcode = '42501';
+  end if;
+
+  insert into notification_queue (ticket_id, type, payload)
+  select p_ticket_id, n->>'type', n
+  from jsonb_array_elements(coalesce(p_notifications, '[]'::jsonb)) as n;
+
+  with claimed as (
+    update notification_queue q
+    set claimed_at = now(), attempts = q.attempts + 1
+    where q.actor_id = auth.uid()
+      and q.sent_at is null
+      and q.attempts < 5
+      and (q.claimed_at is null or q.claimed_at < now() - interval '5 minutes')
+    returning q.id, q.type, q.payload, q.created_at
+  )
+  select coalesce(jsonb_agg(to_jsonb(claimed) order by claimed.created_at), '[]'::jsonb)
+  into v_notifications
+  from claimed;
+
+  return jsonb_build_object(
+    'ticket', to_jsonb(v_ticket),
+    'notifications', v_notifications
+  );
+end;
+$$;
+
+grant execute on function public.update_ticket_with_history(uuid, jsonb, jsonb, integer)
+  to authenticated;
@@ -0,0 +1,118 @@
+-- Ticket statistics computed in the database instead of in the browser.
+-- Resolution times come from ticket_events: a ticket counts as resolved when its
+-- status first moved to Resolved or Closed.
+
+create index if not exists ticket_events_status_resolved_idx
+  on public.ticket_events (ticket_id, created_at)
+  where field = 'status' and new_value in ('Resolved', 'Closed');
+
+-- Counts, resolution times and a per-day series for the tickets matching the
+-- filters. p_from/p_to bound created_at for the counts and set the range of the
+-- daily series (the last 30 days when omitted). Runs as the caller, so ticket
+-- RLS decides which tickets are counted.
+create or replace function public.get_ticket_stats(
+  p_base_id integer default null,
+  p_project text default null,
+  p_assigned_to uuid default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with filtered as (
+    select t.id, t.status, t.priority, t.base_id, t.project, t.created_at
+    from public.tickets t
+    where (p_base_id is null or t.base_id = p_base_id)
+      and (p_project is null or t.project = p_project)
+      and (p_assigned_to is null or t.assigned_to = p_assigned_to)
+  ),
+  in_range as (
+    select * from filtered f
+    where (p_from is null or f.created_at >= p_from)
+      and (p_to is null or f.created_at < p_to)
+  ),
+  resolutions as (
+    select f.id, f.created_at, min(e.created_at) as resolved_at
+    from filtered f
+    join public.ticket_events e on e.ticket_id = f.id
+    where e.field = 'status' and e.new_value in ('Resolved', 'Closed')
+    group by f.id, f.created_at
+  ),
+  bounds as (
+    select
+      coalesce(p_from, date_trunc('day', now()) - interval '29 days')::date as first_day,
+      coalesce(p_to - interval '1 microsecond', now())::date as last_day
+  ),
+  days as (
+    select d::date as day
+    from bounds, generate_series(bounds.first_day, bounds.last_day, interval '1 day') as d
+  ),
+  daily as (
+    select days.day, coalesce(c.n, 0) as created, coalesce(r.n, 0) as resolved
+    from days
+    left join (
+      select created_at::date as day, count(*) as n from filtered group by 1
+    ) c on c.day = days.day
+    left join (
+      select resolved_at::date as day, count(*) as n from resolutions group by 1
+    ) r on r.day = days.day
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from in_range),
+    'open', (select count(*) from in_range where status = 'Open'),
+    'in_progress', (select count(*) from in_range where status = 'In Progress'),
+    'resolved', (select count(*) from in_range where status = 'Resolved'),
+    'closed', (select count(*) from in_range where status = 'Closed'),
+    'by_status', coalesce(
+      (select jsonb_object_agg(status, n) from (
+        select coalesce(status, 'Unknown') as status, count(*) as n from in_range group by 1
+      ) s), '{}'::jsonb),
+    'by_priority', coalesce(
+      (select jsonb_object_agg(priority, n) from (
+        select coalesce(priority, 'Unknown') as priority, count(*) as n from in_range group by 1
+      ) p), '{}'::jsonb),
+    'by_base', coalesce(
+      (select jsonb_agg(jsonb_build_object('base', base, 'count', n) order by n desc) from (
+        select coalesce(b.name, 'Unknown') as base, count(*) as n
+        from in_range r left join public.bases b on b.id = r.base_id
+        group by 1
+      ) x), '[]'::jsonb),
+    'projects', coalesce(
+      (select jsonb_agg(project order by project) from (
+        select distinct t.project from public.tickets t
+        where t.project is not null and t.project <> ''
+          and (p_base_id is null or t.base_id = p_base_id)
+      ) pr), '[]'::jsonb),
+    'resolved_this_month', (
+      select count(*) from resolutions
+      where resolved_at >= date_trunc('month', now())
+    ),
+    'avg_resolution_hours', (
+      select round((avg(extract(epoch from resolved_at - created_at)) / 3600)::numeric, 1)
+      from resolutions
+      where (p_from is null or created_at >= p_from)
+        and (p_to is null or created_at < p_to)
+    ),
+    'avg_resolution_hours_current', (
+      select round((avg(extract(epoch from resolved_at - created_at)) / 3600)::numeric, 1)
+      from resolutions
+      where resolved_at >= now() - interval '30 days'
+    ),
+    'avg_resolution_hours_prev', (
+      select round((avg(extract(epoch from resolved_at - created_at)) / 3600)::numeric, 1)
+      from resolutions
+      where resolved_at >= now() - interval '60 days'
+        and resolved_at < now() - interval '30 days'
+    ),
+    'daily', coalesce(
+      (select jsonb_agg(jsonb_build_object('day', day, 'created', created, 'resolved', resolved) order by day)
+       from daily), '[]'::jsonb)
+  );
+$$;
+
+grant execute on function public.get_ticket_stats(integer, text, uuid, timestamptz, timestamptz)
+  to authenticated;
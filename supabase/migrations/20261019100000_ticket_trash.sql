@@ -0,0 +1,177 @@
+-- Soft delete for tickets. Deleting moves a ticket to the trash; Admins can
+-- restore it, and the purge-deleted-tickets edge function removes it for good
+-- (with its comments and attachments) once the retention period has passed.
+
+alter table public.tickets
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references public.profiles(id) on delete set null;
+
+create index if not exists tickets_deleted_at_idx
+  on public.tickets (deleted_at)
+  where deleted_at is not null;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from profiles where id = auth.uid() and role = 'Admin');
+$$;
+
+-- Trashed tickets drop out of every normal read (lists, search, stats, detail).
+-- The trash itself is only reachable through the functions below.
+drop policy if exists "tickets_hide_trashed" on public.tickets;
+create policy "tickets_hide_trashed" on public.tickets
+  as restrictive
+  for select to authenticated
+  using (deleted_at is null);
+
+-- Deletion and restore show up in the ticket's history
+alter table public.ticket_events
+  drop constraint if exists ticket_events_event_type_check;
+alter table public.ticket_events
+  add constraint ticket_events_event_type_check
+  check (event_type in ('created', 'field_change', 'deleted', 'restored'));
+
+create or replace function public.log_ticket_events()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_actor uuid := auth.uid();
+begin
+  if tg_op = 'INSERT' then
+    insert into ticket_events (ticket_id, actor_id, event_type, new_value)
+    values (new.id, coalesce(v_actor, new.created_by), 'created', new.status);
+    return new;
+  end if;
+
+  if new.deleted_at is distinct from old.deleted_at then
+    insert into ticket_events (ticket_id, actor_id, event_type)
+    values (
+      new.id, v_actor,
+      case when new.deleted_at is null then 'restored' else 'deleted' end
+    );
+  end if;
+
+  if new.title is distinct from old.title then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'title', old.title, new.title);
+  end if;
+
+  if new.description is distinct from old.description then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'description', old.description, new.description);
+  end if;
+
+  if new.priority is distinct from old.priority then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'priority', old.priority, new.priority);
+  end if;
+
+  if new.status is distinct from old.status then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'status', old.status, new.status);
+  end if;
+
+  if new.base_id is distinct from old.base_id then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (
+      new.id, v_actor, 'base',
+      (select name from bases where id = old.base_id),
+      (select name from bases where id = new.base_id)
+    );
+  end if;
+
+  if new.assigned_to is distinct from old.assigned_to then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (
+      new.id, v_actor, 'assigned_to',
+      (select coalesce(full_name, email) from profiles where id = old.assigned_to),
+      (select coalesce(full_name, email) from profiles where id = new.assigned_to)
+    );
+  end if;
+
+  if new.project is distinct from old.project then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'project', old.project, new.project);
+  end if;
+
+  if new.expected_delivery_date is distinct from old.expected_delivery_date then
+    insert into ticket_events (ticket_id, actor_id, field, old_value, new_value)
+    values (new.id, v_actor, 'expected_delivery_date',
+      old.expected_delivery_date::text, new.expected_delivery_date::text);
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Move a ticket to the trash. Allowed for Admins and the ticket's creator,
+-- matching who can delete in the UI.
+create or replace function public.trash_ticket(p_ticket_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update tickets
+  set deleted_at = now(), deleted_by = auth.uid()
+  where id = p_ticket_id
+    and deleted_at is null
+    and (is_admin() or created_by = auth.uid());
+
+  if not found then
+    raise exception 'Not allowed to delete ticket %', p_ticket_id using errcode = '42501';
+  end if;
+end;
+$$;
+
+create or replace function public.restore_ticket(p_ticket_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not is_admin() then
+    raise exception 'Only Admins can restore tickets' using errcode = '42501';
+  end if;
+
+  update tickets
+  set deleted_at = null, deleted_by = null
+  where id = p_ticket_id and deleted_at is not null;
+
+  if not found then
+    raise exception 'Ticket % is not in the trash', p_ticket_id using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+-- The trash, for Admins. Returns ticket rows so callers can embed relations.
+create or replace function public.get_trashed_tickets()
+returns setof public.tickets
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not is_admin() then
+    raise exception 'Only Admins can view the trash' using errcode = '42501';
+  end if;
+
+  return query
+    select * from tickets where deleted_at is not null order by deleted_at desc;
+end;
+$$;
+
+grant execute on function public.is_admin() to authenticated;
+grant execute on function public.trash_ticket(uuid) to authenticated;
+grant execute on function public.restore_ticket(uuid) to authenticated;
+grant execute on function public.get_trashed_tickets() to authenticated;
@@ -0,0 +1,53 @@
+-- Ticket attachments are no longer public. Files are served through short-lived
+-- signed URLs, which storage only issues for tickets the caller can see, and
+-- every download is logged.
+
+update storage.buckets
+set public = false
+where id = 'ticket-attachments';
+
+-- Files live under "<ticket id>/...". Reading one (which includes signing a URL
+-- for it) requires the ticket to be visible under the tickets RLS policies.
+-- Restrictive, so it also narrows any broader policy already on the bucket.
+drop policy if exists "ticket_attachments_visible_ticket" on storage.objects;
+create policy "ticket_attachments_visible_ticket" on storage.objects
+  as restrictive
+  for select to authenticated
+  using (
+    bucket_id <> 'ticket-attachments'
+    or exists (
+      select 1 from public.tickets t
+      where t.id::text = (storage.foldername(name))[1]
+    )
+  );
+
+drop policy if exists "ticket_attachments_read" on storage.objects;
+create policy "ticket_attachments_read" on storage.objects
+  for select to authenticated
+  using (bucket_id = 'ticket-attachments');
+
+create table if not exists public.attachment_downloads (
+  id bigint generated always as identity primary key,
+  ticket_id uuid not null references public.tickets(id) on delete cascade,
+  path text not null,
+  user_id uuid default auth.uid() references public.profiles(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists attachment_downloads_ticket_id_idx
+  on public.attachment_downloads (ticket_id, created_at desc);
+
+alter table public.attachment_downloads enable row level security;
+
+drop policy if exists "attachment_downloads_insert_own" on public.attachment_downloads;
+create policy "attachment_downloads_insert_own" on public.attachment_downloads
+  for insert to authenticated
+  with check (
+    user_id = auth.uid()
+    and exists (select 1 from public.tickets t where t.id = attachment_downloads.ticket_id)
+  );
+
+drop policy if exists "attachment_downloads_admin_select" on public.attachment_downloads;
+create policy "attachment_downloads_admin_select" on public.attachment_downloads
+  for select to authenticated
+  using (public.is_admin());
@@ -0,0 +1,77 @@
+-- Attachment metadata. The ticket-attachments bucket keeps the bytes; this table
+-- records who uploaded what, so the app no longer discovers files by listing a
+-- storage folder. An attachment belongs to a ticket and optionally to one of
+-- its comments.
+
+create table if not exists public.attachments (
+  id uuid primary key default gen_random_uuid(),
+  ticket_id uuid not null references public.tickets(id) on delete cascade,
+  comment_id uuid references public.ticket_comments(id) on delete cascade,
+  storage_path text not null unique,
+  file_name text not null,
+  mime_type text not null,
+  size_bytes bigint not null check (size_bytes >= 0),
+  checksum text,
+  uploaded_by uuid default auth.uid() references public.profiles(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists attachments_ticket_id_idx
+  on public.attachments (ticket_id, created_at);
+create index if not exists attachments_comment_id_idx
+  on public.attachments (comment_id)
+  where comment_id is not null;
+
+alter table public.attachments enable row level security;
+
+drop policy if exists "attachments_select" on public.attachments;
+create policy "attachments_select" on public.attachments
+  for select to authenticated
+  using (exists (select 1 from public.tickets t where t.id = attachments.ticket_id));
+
+drop policy if exists "attachments_insert_own" on public.attachments;
+create policy "attachments_insert_own" on public.attachments
+  for insert to authenticated
+  with check (
+    uploaded_by = auth.uid()
+    and exists (select 1 from public.tickets t where t.id = attachments.ticket_id)
+  );
+
+drop policy if exists "attachments_delete" on public.attachments;
+create policy "attachments_delete" on public.attachments
+  for delete to authenticated
+  using (uploaded_by = auth.uid() or public.is_admin());
+
+-- File types accepted by the app: images, PDF, text/logs, Office documents, ZIP
+update storage.buckets
+set
+  file_size_limit = 10485760,
+  allowed_mime_types = array[
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+    'application/pdf',
+    'text/plain', 'text/csv', 'application/json',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/zip', 'application/x-zip-compressed'
+  ]
+where id = 'ticket-attachments';
+
+-- Backfill files uploaded before this table existed
+insert into public.attachments (ticket_id, storage_path, file_name, mime_type, size_bytes, uploaded_by, created_at)
+select
+  t.id,
+  o.name,
+  storage.filename(o.name),
+  coalesce(o.metadata->>'mimetype', 'application/octet-stream'),
+  coalesce((o.metadata->>'size')::bigint, 0),
+  p.id,
+  o.created_at
+from storage.objects o
+join public.tickets t on t.id::text = (storage.foldername(o.name))[1]
+left join public.profiles p on p.id = o.owner
+where o.bucket_id = 'ticket-attachments'
+on conflict (storage_path) do nothing;
@@ -0,0 +1,205 @@
+-- Staged attachments. Files are uploaded while the user is still writing the
+-- ticket or comment, to "uploads/<user id>/..." in the ticket-attachments
+-- bucket, and recorded in attachments with no ticket yet. Creating the ticket
+-- (or posting the comment) binds them in the same transaction, so a ticket
+-- never exists without the files it was submitted with. Files stay where they
+-- were uploaded; the attachments row is what ties them to a ticket.
+-- Staged rows that are never bound, and objects with no row at all, are
+-- removed by the cleanup-attachments function.
+
+alter table public.attachments
+  alter column ticket_id drop not null;
+
+create index if not exists attachments_staged_idx
+  on public.attachments (created_at)
+  where ticket_id is null;
+
+-- Staged attachments are visible to their uploader only
+drop policy if exists "attachments_select" on public.attachments;
+create policy "attachments_select" on public.attachments
+  for select to authenticated
+  using (
+    exists (select 1 from public.tickets t where t.id = attachments.ticket_id)
+    or (ticket_id is null and uploaded_by = auth.uid())
+  );
+
+drop policy if exists "attachments_insert_own" on public.attachments;
+create policy "attachments_insert_own" on public.attachments
+  for insert to authenticated
+  with check (
+    uploaded_by = auth.uid()
+    and (
+      ticket_id is null
+      or exists (select 1 from public.tickets t where t.id = attachments.ticket_id)
+    )
+  );
+
+-- Binding a staged attachment to a ticket the uploader can see
+drop policy if exists "attachments_bind_own" on public.attachments;
+create policy "attachments_bind_own" on public.attachments
+  for update to authenticated
+  using (ticket_id is null and uploaded_by = auth.uid())
+  with check (
+    uploaded_by = auth.uid()
+    and exists (select 1 from public.tickets t where t.id = attachments.ticket_id)
+  );
+
+-- Objects are readable through their attachments row (which follows the
+-- ticket's visibility), from the legacy "<ticket id>/..." folders, and by
+-- their uploader.
+drop policy if exists "ticket_attachments_visible_ticket" on storage.objects;
+create policy "ticket_attachments_visible_ticket" on storage.objects
+  as restrictive
+  for select to authenticated
+  using (
+    bucket_id <> 'ticket-attachments'
+    or exists (select 1 from public.attachments a where a.storage_path = objects.name)
+    or exists (
+      select 1 from public.tickets t
+      where t.id::text = (storage.foldername(objects.name))[1]
+    )
+    or (
+      (storage.foldername(objects.name))[1] = 'uploads'
+      and (storage.foldername(objects.name))[2] = auth.uid()::text
+    )
+  );
+
+drop policy if exists "ticket_attachments_stage_own" on storage.objects;
+create policy "ticket_attachments_stage_own" on storage.objects
+  for insert to authenticated
+  with check (
+    bucket_id = 'ticket-attachments'
+    and (storage.foldername(name))[1] = 'uploads'
+    and (storage.foldername(name))[2] = auth.uid()::text
+  );
+
+-- Uploaders may discard their own files until they are bound to a ticket
+drop policy if exists "ticket_attachments_discard_staged" on storage.objects;
+create policy "ticket_attachments_discard_staged" on storage.objects
+  for delete to authenticated
+  using (
+    bucket_id = 'ticket-attachments'
+    and (storage.foldername(name))[1] = 'uploads'
+    and (storage.foldername(name))[2] = auth.uid()::text
+    and not exists (
+      select 1 from public.attachments a
+      where a.storage_path = objects.name and a.ticket_id is not null
+    )
+  );
+
+-- Binds the caller's staged attachments to a ticket (and optionally one of its
+-- comments). Raises PT410 when any of them is missing, already bound or was
+-- cleaned up, so the surrounding insert is rolled back with it.
+create or replace function public.bind_staged_attachments(
+  p_ticket_id uuid,
+  p_attachment_ids uuid[],
+  p_comment_id uuid default null
+)
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_expected integer := coalesce(array_length(p_attachment_ids, 1), 0);
+  v_bound integer;
+begin
+  if v_expected = 0 then
+    return;
+  end if;
+
+  update attachments
+  set ticket_id = p_ticket_id,
+      comment_id = p_comment_id
+  where id = any(p_attachment_ids)
+    and ticket_id is null
+    and uploaded_by = auth.uid();
+
+  get diagnostics v_bound = row_count;
+  if v_bound <> v_expected then
+    raise exception 'Only % of % attachments could be attached; upload the missing files again',
+      v_bound, v_expected
+      using errcode = 'PT410';
+  end if;
+end;
+$$;
+
+-- Creates a ticket together with its staged attachments, always as the caller
+create or replace function public.create_ticket_with_attachments(
+  p_ticket jsonb,
+  p_attachment_ids uuid[] default '{}'
+)
+returns public.tickets
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_fields tickets := jsonb_populate_record(null::tickets, p_ticket);
+  v_ticket tickets;
+begin
+  insert into tickets (
+    title, description, priority, base_id, created_by, status,
+    project, expected_delivery_date, attachments
+  )
+  values (
+    v_fields.title, v_fields.description, v_fields.priority, v_fields.base_id,
+    auth.uid(), coalesce(v_fields.status, 'Open'),
+    v_fields.project, v_fields.expected_delivery_date, v_fields.attachments
+  )
+  returning * into v_ticket;
+
+  perform bind_staged_attachments(v_ticket.id, p_attachment_ids);
+
+  return v_ticket;
+end;
+$$;
+
+-- Posts a comment together with its staged attachments
+create or replace function public.add_ticket_comment_with_attachments(
+  p_ticket_id uuid,
+  p_comment text,
+  p_attachment_ids uuid[] default '{}'
+)
+returns public.ticket_comments
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_comment ticket_comments;
+begin
+  insert into ticket_comments (ticket_id, user_id, comment, comment_type)
+  values (p_ticket_id, auth.uid(), coalesce(p_comment, ''), 'comment')
+  returning * into v_comment;
+
+  perform bind_staged_attachments(p_ticket_id, p_attachment_ids, v_comment.id);
+
+  return v_comment;
+end;
+$$;
+
+-- Objects in the bucket that no attachments row points to, for the cleanup job
+create or replace function public.find_orphaned_attachment_objects(
+  p_older_than timestamptz,
+  p_limit integer default 500
+)
+returns setof text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select o.name
+  from storage.objects o
+  where o.bucket_id = 'ticket-attachments'
+    and o.created_at < p_older_than
+    and not exists (select 1 from attachments a where a.storage_path = o.name)
+  order by o.created_at
+  limit p_limit;
+$$;
+
+revoke execute on function public.find_orphaned_attachment_objects(timestamptz, integer)
+  from public, anon, authenticated;
+grant execute on function public.find_orphaned_attachment_objects(timestamptz, integer)
+  to service_role;
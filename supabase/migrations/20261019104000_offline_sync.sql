@@ -0,0 +1,103 @@
+-- Offline outbox support. Tickets and comments queued on a device without a
+-- connection carry an id generated on that device, so replaying them after a
+-- lost response returns the row created the first time instead of a duplicate.
+
+drop function if exists public.create_ticket_with_attachments(jsonb, uuid[]);
+
+-- The caller's own ticket with this id, even if it has been trashed since:
+-- the trash hides it from the caller's reads, and a replay would otherwise
+-- fail on the duplicate id instead of returning it
+create or replace function public.find_own_ticket(p_ticket_id uuid)
+returns setof public.tickets
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select * from tickets where id = p_ticket_id and created_by = auth.uid();
+$$;
+
+revoke execute on function public.find_own_ticket(uuid) from public, anon;
+grant execute on function public.find_own_ticket(uuid) to authenticated;
+
+-- p_ticket may include "id"; an existing ticket with that id created by the
+-- caller is returned as is, any other one fails on the duplicate key
+create or replace function public.create_ticket_with_attachments(
+  p_ticket jsonb,
+  p_attachment_ids uuid[] default '{}'
+)
+returns public.tickets
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_fields tickets := jsonb_populate_record(null::tickets, p_ticket);
+  v_ticket tickets;
+begin
+  if v_fields.id is not null then
+    select * into v_ticket from find_own_ticket(v_fields.id);
+    if found then
+      return v_ticket;
+    end if;
+  end if;
+
+  insert into tickets (
+    id, title, description, priority, base_id, created_by, status,
+    project, expected_delivery_date, attachments
+  )
+  values (
+    coalesce(v_fields.id, gen_random_uuid()),
+    v_fields.title, v_fields.description, v_fields.priority, v_fields.base_id,
+    auth.uid(), coalesce(v_fields.status, 'Open'),
+    v_fields.project, v_fields.expected_delivery_date, v_fields.attachments
+  )
+  returning * into v_ticket;
+
+  perform bind_staged_attachments(v_ticket.id, p_attachment_ids);
+
+  -- As it is after the insert triggers, which may have changed it
+  select * into v_ticket from tickets where id = v_ticket.id;
+  return v_ticket;
+end;
+$$;
+
+drop function if exists public.add_ticket_comment_with_attachments(uuid, text, uuid[]);
+
+-- p_comment_id works like the ticket id above
+create or replace function public.add_ticket_comment_with_attachments(
+  p_ticket_id uuid,
+  p_comment text,
+  p_attachment_ids uuid[] default '{}',
+  p_comment_id uuid default null
+)
+returns public.ticket_comments
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_comment ticket_comments;
+begin
+  if p_comment_id is not null then
+    select * into v_comment from ticket_comments where id = p_comment_id;
+    if found then
+      if v_comment.user_id is distinct from auth.uid() then
+        raise exception 'Comment % already exists', p_comment_id using errcode = '23505';
+      end if;
+      return v_comment;
+    end if;
+  end if;
+
+  insert into ticket_comments (id, ticket_id, user_id, comment, comment_type)
+  values (
+    coalesce(p_comment_id, gen_random_uuid()),
+    p_ticket_id, auth.uid(), coalesce(p_comment, ''), 'comment'
+  )
+  returning * into v_comment;
+
+  perform bind_staged_attachments(p_ticket_id, p_attachment_ids, v_comment.id);
+
+  return v_comment;
+end;
+$$;
@@ -0,0 +1,20 @@
+-- Realtime for the ticket detail page: changes to a ticket, its comments and
+-- its audit events are pushed to the subscribers who can read them (RLS
+-- applies to postgres_changes as it does to selects).
+
+do $$
+declare
+  v_table text;
+begin
+  foreach v_table in array array['tickets', 'ticket_comments', 'ticket_events'] loop
+    if not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime'
+        and schemaname = 'public'
+        and tablename = v_table
+    ) then
+      execute format('alter publication supabase_realtime add table public.%I', v_table);
+    end if;
+  end loop;
+end;
+$$;
@@ -0,0 +1,36 @@
+-- Presence on tickets ("currently viewing/typing"). Each ticket has its own
+-- private Realtime channel, ticket_presence:<ticket id>. Realtime checks these
+-- policies when a client joins the channel or tracks itself on it, and the
+-- ticket lookup runs under the user's own row level security, so only users
+-- who can read a ticket see or announce who has it open.
+
+create or replace function public.can_join_ticket_presence(p_topic text)
+returns boolean
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select p_topic like 'ticket_presence:%'
+    and exists (
+      select 1 from tickets t where t.id::text = split_part(p_topic, ':', 2)
+    );
+$$;
+
+grant execute on function public.can_join_ticket_presence(text) to authenticated;
+
+drop policy if exists "ticket_presence_read" on realtime.messages;
+create policy "ticket_presence_read" on realtime.messages
+  for select to authenticated
+  using (
+    realtime.messages.extension = 'presence'
+    and public.can_join_ticket_presence(realtime.topic())
+  );
+
+drop policy if exists "ticket_presence_track" on realtime.messages;
+create policy "ticket_presence_track" on realtime.messages
+  for insert to authenticated
+  with check (
+    realtime.messages.extension = 'presence'
+    and public.can_join_ticket_presence(realtime.topic())
+  );
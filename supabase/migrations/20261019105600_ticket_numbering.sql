@@ -0,0 +1,292 @@
+-- Ticket numbering schemes. Admins define a format per base, per project or
+-- per base and project, e.g. "BEY-{YYYY}-{SEQ}" with 5 digits gives
+-- BEY-2026-00042. A new ticket takes the next number of the most specific
+-- scheme matching its base and project; the default scheme (no base, no
+-- project) covers the rest.
+--
+-- Counters are rows updated inside the inserting transaction, not Postgres
+-- sequences: a rolled back insert hands its number back, so numbers have no
+-- gaps. Concurrent inserts into the same scheme wait on the counter row.
+
+create table if not exists public.ticket_number_schemes (
+  id uuid primary key default gen_random_uuid(),
+  base_id integer references public.bases(id) on delete cascade,
+  project text,
+  -- {SEQ} is the counter, {YYYY} / {YY} the year the ticket was created
+  format text not null check (format like '%{SEQ}%'),
+  padding integer not null default 5 check (padding between 1 and 10),
+  -- Start the counter again at 1 every year
+  reset_yearly boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique nulls not distinct (base_id, project),
+  -- Two schemes with one format would hand out numbers from the same range
+  unique (format)
+);
+
+create table if not exists public.ticket_number_counters (
+  scheme_id uuid not null references public.ticket_number_schemes(id) on delete cascade,
+  -- The year for schemes that reset yearly, 0 otherwise
+  period integer not null,
+  last_value integer not null,
+  primary key (scheme_id, period)
+);
+
+-- Numbers a ticket had before it was renumbered, so old links keep working
+create table if not exists public.ticket_number_aliases (
+  ticket_number text primary key,
+  ticket_id uuid not null references public.tickets(id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ticket_number_aliases_ticket_id_idx
+  on public.ticket_number_aliases (ticket_id);
+
+create unique index if not exists tickets_ticket_number_unique_idx
+  on public.tickets (ticket_number);
+
+alter table public.ticket_number_schemes enable row level security;
+alter table public.ticket_number_counters enable row level security;
+alter table public.ticket_number_aliases enable row level security;
+
+drop policy if exists "ticket_number_schemes_select" on public.ticket_number_schemes;
+create policy "ticket_number_schemes_select" on public.ticket_number_schemes
+  for select to authenticated
+  using (true);
+
+drop policy if exists "ticket_number_schemes_admin_insert" on public.ticket_number_schemes;
+create policy "ticket_number_schemes_admin_insert" on public.ticket_number_schemes
+  for insert to authenticated
+  with check (public.is_admin());
+
+drop policy if exists "ticket_number_schemes_admin_update" on public.ticket_number_schemes;
+create policy "ticket_number_schemes_admin_update" on public.ticket_number_schemes
+  for update to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+-- The default scheme always exists
+drop policy if exists "ticket_number_schemes_admin_delete" on public.ticket_number_schemes;
+create policy "ticket_number_schemes_admin_delete" on public.ticket_number_schemes
+  for delete to authenticated
+  using (public.is_admin() and (base_id is not null or project is not null));
+
+-- Counters have no policies: only the functions below touch them
+
+drop policy if exists "ticket_number_aliases_select" on public.ticket_number_aliases;
+create policy "ticket_number_aliases_select" on public.ticket_number_aliases
+  for select to authenticated
+  using (exists (select 1 from public.tickets t where t.id = ticket_number_aliases.ticket_id));
+
+-- Shared updated_at trigger for settings tables
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists ticket_number_schemes_touch on public.ticket_number_schemes;
+create trigger ticket_number_schemes_touch
+  before update on public.ticket_number_schemes
+  for each row execute function public.touch_updated_at();
+
+create or replace function public.format_ticket_number(
+  p_format text,
+  p_padding integer,
+  p_year integer,
+  p_value integer
+)
+returns text
+language sql
+immutable
+as $$
+  select replace(replace(replace(p_format,
+    '{YYYY}', lpad(p_year::text, 4, '0')),
+    '{YY}', lpad((p_year % 100)::text, 2, '0')),
+    '{SEQ}', lpad(p_value::text, greatest(p_padding, length(p_value::text)), '0'));
+$$;
+
+-- Most specific first: base and project, base, project, default
+create or replace function public.ticket_number_scheme_for(p_base_id integer, p_project text)
+returns public.ticket_number_schemes
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select *
+  from ticket_number_schemes s
+  where (s.base_id is null or s.base_id = p_base_id)
+    and (s.project is null or s.project = p_project)
+  order by s.base_id is null, s.project is null
+  limit 1;
+$$;
+
+-- Takes the scheme's next number. Numbers already used by another ticket
+-- (possible after an admin changes a format) are skipped.
+create or replace function public.take_ticket_number(
+  p_scheme public.ticket_number_schemes,
+  p_created_at timestamptz
+)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_year integer := extract(year from p_created_at at time zone 'UTC')::integer;
+  v_period integer := case when p_scheme.reset_yearly then v_year else 0 end;
+  v_value integer;
+  v_number text;
+begin
+  loop
+    insert into ticket_number_counters (scheme_id, period, last_value)
+    values (p_scheme.id, v_period, 1)
+    on conflict (scheme_id, period)
+      do update set last_value = ticket_number_counters.last_value + 1
+    returning last_value into v_value;
+
+    v_number := format_ticket_number(p_scheme.format, p_scheme.padding, v_year, v_value);
+    exit when not exists (select 1 from tickets where ticket_number = v_number);
+  end loop;
+
+  -- A live number wins over an old one pointing elsewhere
+  delete from ticket_number_aliases where ticket_number = v_number;
+
+  return v_number;
+end;
+$$;
+
+create or replace function public.assign_ticket_number()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_scheme ticket_number_schemes := ticket_number_scheme_for(new.base_id, new.project);
+begin
+  if v_scheme.id is null then
+    raise exception 'No ticket numbering scheme applies' using errcode = 'P0002';
+  end if;
+
+  new.ticket_number := take_ticket_number(v_scheme, coalesce(new.created_at, now()));
+  return new;
+end;
+$$;
+
+-- Replaces the single TK- sequence. Numbers are set on insert only: a ticket
+-- moved to another base keeps its number. Named to run after any other
+-- BEFORE INSERT trigger on tickets, so the scheme has the final say.
+alter table public.tickets alter column ticket_number drop default;
+
+drop trigger if exists zz_assign_ticket_number on public.tickets;
+create trigger zz_assign_ticket_number
+  before insert on public.tickets
+  for each row execute function public.assign_ticket_number();
+
+-- Gives every ticket covered by the scheme a new number in creation order,
+-- restarting its counters. Old numbers are kept as aliases. For Admins after
+-- creating or changing a scheme; also run by this migration.
+create or replace function public.renumber_tickets(p_scheme_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_scheme ticket_number_schemes;
+  v_ticket record;
+  v_count integer := 0;
+begin
+  -- auth.uid() is null for migrations and the service role
+  if auth.uid() is not null and not is_admin() then
+    raise exception 'Only Admins can renumber tickets' using errcode = '42501';
+  end if;
+
+  select * into v_scheme from ticket_number_schemes where id = p_scheme_id for update;
+  if not found then
+    raise exception 'Numbering scheme % not found', p_scheme_id using errcode = 'P0002';
+  end if;
+
+  create temporary table renumbered on commit drop as
+    select t.id, t.ticket_number, t.created_at
+    from tickets t
+    where (ticket_number_scheme_for(t.base_id, t.project)).id = p_scheme_id;
+
+  insert into ticket_number_aliases (ticket_number, ticket_id)
+  select r.ticket_number, r.id from renumbered r where r.ticket_number is not null
+  on conflict (ticket_number) do update set ticket_id = excluded.ticket_id;
+
+  -- Free the old numbers first so the new ones can reuse them
+  update tickets t set ticket_number = 'renumbering-' || t.id
+  from renumbered r where r.id = t.id;
+
+  delete from ticket_number_counters where scheme_id = p_scheme_id;
+
+  for v_ticket in select * from renumbered order by created_at, id loop
+    update tickets
+    set ticket_number = take_ticket_number(v_scheme, v_ticket.created_at)
+    where id = v_ticket.id;
+    v_count := v_count + 1;
+  end loop;
+
+  -- Aliases equal to the number they now point to are noise
+  delete from ticket_number_aliases a
+  using tickets t
+  where t.id = a.ticket_id and t.ticket_number = a.ticket_number;
+
+  drop table renumbered;
+  return v_count;
+end;
+$$;
+
+revoke execute on function public.take_ticket_number(public.ticket_number_schemes, timestamptz) from public, anon, authenticated;
+grant execute on function public.renumber_tickets(uuid) to authenticated;
+
+-- Existing tickets: the default scheme keeps the TK- prefix, and each base
+-- gets a yearly scheme with a code from its name (Beirut: BEI-2026-00042).
+-- Admins can change the codes and renumber from Settings.
+insert into public.ticket_number_schemes (base_id, project, format, padding, reset_yearly)
+select null, null, 'TK-{SEQ}', 5, false
+where not exists (
+  select 1 from public.ticket_number_schemes where base_id is null and project is null
+);
+
+-- Bases whose names start alike get a numbered code (BEI, BEI2, ...)
+do $$
+declare
+  v_base record;
+  v_code text;
+  v_candidate text;
+  v_suffix integer;
+begin
+  for v_base in
+    select b.id, b.name
+    from public.bases b
+    where not exists (
+      select 1 from public.ticket_number_schemes s where s.base_id = b.id and s.project is null
+    )
+    order by b.id
+  loop
+    v_code := coalesce(nullif(upper(left(regexp_replace(v_base.name, '[^A-Za-z]', '', 'g'), 3)), ''), 'B' || v_base.id);
+    v_candidate := v_code;
+    v_suffix := 1;
+    while exists (
+      select 1 from public.ticket_number_schemes where format = v_candidate || '-{YYYY}-{SEQ}'
+    ) loop
+      v_suffix := v_suffix + 1;
+      v_candidate := v_code || v_suffix;
+    end loop;
+
+    insert into public.ticket_number_schemes (base_id, project, format, padding, reset_yearly)
+    values (v_base.id, null, v_candidate || '-{YYYY}-{SEQ}', 5, true);
+  end loop;
+end;
+$$;
+
+select public.renumber_tickets(id) from public.ticket_number_schemes;
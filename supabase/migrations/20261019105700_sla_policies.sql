@@ -0,0 +1,454 @@
+-- SLA policies. Admins set first-response and resolution targets per
+-- priority, optionally narrowed to a base, a project or both; the most
+-- specific policy matching a ticket applies. Each ticket carries its due
+-- times, computed here whenever its priority, base or project changes, and
+-- when it was first responded to and resolved.
+--
+-- Breaches are detected by the check-sla-breaches edge function, which marks
+-- them through claim_sla_breaches below and sends the notifications.
+
+create table if not exists public.sla_policies (
+  id uuid primary key default gen_random_uuid(),
+  priority text not null,
+  base_id integer references public.bases(id) on delete cascade,
+  project text,
+  -- Minutes; null means no target
+  first_response_minutes integer check (first_response_minutes > 0),
+  resolution_minutes integer check (resolution_minutes > 0),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique nulls not distinct (priority, base_id, project)
+);
+
+alter table public.sla_policies enable row level security;
+
+drop policy if exists "sla_policies_select" on public.sla_policies;
+create policy "sla_policies_select" on public.sla_policies
+  for select to authenticated
+  using (true);
+
+drop policy if exists "sla_policies_admin_insert" on public.sla_policies;
+create policy "sla_policies_admin_insert" on public.sla_policies
+  for insert to authenticated
+  with check (public.is_admin());
+
+drop policy if exists "sla_policies_admin_update" on public.sla_policies;
+create policy "sla_policies_admin_update" on public.sla_policies
+  for update to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+drop policy if exists "sla_policies_admin_delete" on public.sla_policies;
+create policy "sla_policies_admin_delete" on public.sla_policies
+  for delete to authenticated
+  using (public.is_admin());
+
+drop trigger if exists sla_policies_touch on public.sla_policies;
+create trigger sla_policies_touch
+  before update on public.sla_policies
+  for each row execute function public.touch_updated_at();
+
+alter table public.tickets
+  add column if not exists sla_policy_id uuid references public.sla_policies(id) on delete set null,
+  add column if not exists first_response_due_at timestamptz,
+  add column if not exists resolution_due_at timestamptz,
+  add column if not exists first_responded_at timestamptz,
+  add column if not exists resolved_at timestamptz,
+  -- Set once the breach has been notified
+  add column if not exists first_response_breached_at timestamptz,
+  add column if not exists resolution_breached_at timestamptz;
+
+create index if not exists tickets_first_response_due_idx
+  on public.tickets (first_response_due_at)
+  where first_responded_at is null and first_response_breached_at is null;
+
+create index if not exists tickets_resolution_due_idx
+  on public.tickets (resolution_due_at)
+  where resolved_at is null and resolution_breached_at is null;
+
+-- Most specific first: base and project, base, project, priority only
+create or replace function public.sla_policy_for(
+  p_priority text,
+  p_base_id integer,
+  p_project text
+)
+returns public.sla_policies
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select *
+  from sla_policies p
+  where p.priority = p_priority
+    and (p.base_id is null or p.base_id = p_base_id)
+    and (p.project is null or p.project = p_project)
+  order by p.base_id is null, p.project is null
+  limit 1;
+$$;
+
+-- When a target of p_minutes started at p_start falls due. Counts calendar
+-- time.
+create or replace function public.sla_due_at(
+  p_base_id integer,
+  p_start timestamptz,
+  p_minutes integer
+)
+returns timestamptz
+language sql
+stable
+as $$
+  select case when p_minutes is null then null
+    else p_start + make_interval(mins => p_minutes) end;
+$$;
+
+create or replace function public.apply_ticket_sla()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_policy sla_policies;
+  v_start timestamptz := coalesce(new.created_at, now());
+begin
+  if tg_op = 'INSERT'
+    or new.priority is distinct from old.priority
+    or new.base_id is distinct from old.base_id
+    or new.project is distinct from old.project
+  then
+    v_policy := sla_policy_for(new.priority, new.base_id, new.project);
+    new.sla_policy_id := v_policy.id;
+    new.first_response_due_at := sla_due_at(new.base_id, v_start, v_policy.first_response_minutes);
+    new.resolution_due_at := sla_due_at(new.base_id, v_start, v_policy.resolution_minutes);
+
+    -- A deadline moved into the future can be breached (and notified) again
+    if tg_op = 'UPDATE' then
+      if new.first_response_due_at is null or new.first_response_due_at > now() then
+        new.first_response_breached_at := null;
+      end if;
+      if new.resolution_due_at is null or new.resolution_due_at > now() then
+        new.resolution_breached_at := null;
+      end if;
+    end if;
+  end if;
+
+  -- Resolving stops the resolution clock; reopening starts it again
+  if new.status in ('Resolved', 'Closed') then
+    new.resolved_at := coalesce(new.resolved_at, now());
+  else
+    new.resolved_at := null;
+  end if;
+
+  -- Staff moving the ticket along counts as a response (comments are handled
+  -- by record_first_response)
+  if tg_op = 'UPDATE'
+    and new.first_responded_at is null
+    and new.status is distinct from old.status
+    and auth.uid() is not null
+    and auth.uid() is distinct from new.created_by
+  then
+    new.first_responded_at := now();
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_apply_sla on public.tickets;
+create trigger tickets_apply_sla
+  before insert or update on public.tickets
+  for each row execute function public.apply_ticket_sla();
+
+-- The first comment from someone other than the creator is the first response
+create or replace function public.record_first_response()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update tickets
+  set first_responded_at = new.created_at
+  where id = new.ticket_id
+    and first_responded_at is null
+    and created_by is distinct from new.user_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists ticket_comments_record_first_response on public.ticket_comments;
+create trigger ticket_comments_record_first_response
+  after insert on public.ticket_comments
+  for each row
+  when (new.comment_type = 'comment')
+  execute function public.record_first_response();
+
+-- Ticket columns that are bookkeeping rather than edits. An update touching
+-- only these does not bump the version, so it cannot make the next save of
+-- someone editing the ticket look like a conflict. Features that add such
+-- columns register them here instead of redefining bump_ticket_version.
+create table if not exists public.ticket_bookkeeping_columns (
+  column_name text primary key
+);
+
+-- No policies: only read through ticket_bookkeeping_column_names()
+alter table public.ticket_bookkeeping_columns enable row level security;
+
+insert into public.ticket_bookkeeping_columns (column_name)
+values
+  ('updated_at'), ('sla_policy_id'), ('first_response_due_at'), ('resolution_due_at'),
+  ('first_responded_at'), ('resolved_at'), ('first_response_breached_at'), ('resolution_breached_at')
+on conflict do nothing;
+
+create or replace function public.ticket_bookkeeping_column_names()
+returns text[]
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(array_agg(column_name), '{}') from ticket_bookkeeping_columns;
+$$;
+
+create or replace function public.bump_ticket_version()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_untracked text[] := ticket_bookkeeping_column_names();
+begin
+  if (to_jsonb(new) - v_untracked) = (to_jsonb(old) - v_untracked) then
+    return new;
+  end if;
+
+  new.version := old.version + 1;
+  return new;
+end;
+$$;
+
+-- Policy changes apply to tickets not yet resolved
+create or replace function public.reapply_sla_policies()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update tickets t
+  set (sla_policy_id, first_response_due_at, resolution_due_at) = (
+    select
+      p.id,
+      sla_due_at(t.base_id, t.created_at, p.first_response_minutes),
+      sla_due_at(t.base_id, t.created_at, p.resolution_minutes)
+    from sla_policy_for(t.priority, t.base_id, t.project) p
+  )
+  where t.resolved_at is null;
+
+  update tickets
+  set first_response_breached_at = null
+  where first_response_breached_at is not null
+    and (first_response_due_at is null or first_response_due_at > now());
+
+  update tickets
+  set resolution_breached_at = null
+  where resolution_breached_at is not null
+    and (resolution_due_at is null or resolution_due_at > now());
+
+  return null;
+end;
+$$;
+
+drop trigger if exists sla_policies_reapply on public.sla_policies;
+create trigger sla_policies_reapply
+  after insert or update or delete on public.sla_policies
+  for each statement execute function public.reapply_sla_policies();
+
+-- Marks tickets whose first response or resolution is overdue as breached and
+-- returns them, each breach once. For the check-sla-breaches edge function.
+create or replace function public.claim_sla_breaches(p_limit integer default 100)
+returns table (ticket_id uuid, breach text, due_at timestamptz)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_response jsonb;
+  v_resolution jsonb;
+begin
+  with due as (
+    select t.id
+    from tickets t
+    where t.first_responded_at is null
+      and t.first_response_breached_at is null
+      and t.first_response_due_at < now()
+      and t.resolved_at is null
+      and t.deleted_at is null
+    order by t.first_response_due_at
+    limit p_limit
+    for update skip locked
+  ), marked as (
+    update tickets t
+    set first_response_breached_at = now()
+    from due
+    where t.id = due.id
+    returning t.id, t.first_response_due_at as due_at
+  )
+  select coalesce(jsonb_agg(marked), '[]'::jsonb) into v_response from marked;
+
+  with due as (
+    select t.id
+    from tickets t
+    where t.resolved_at is null
+      and t.resolution_breached_at is null
+      and t.resolution_due_at < now()
+      and t.deleted_at is null
+    order by t.resolution_due_at
+    limit p_limit
+    for update skip locked
+  ), marked as (
+    update tickets t
+    set resolution_breached_at = now()
+    from due
+    where t.id = due.id
+    returning t.id, t.resolution_due_at as due_at
+  )
+  select coalesce(jsonb_agg(marked), '[]'::jsonb) into v_resolution from marked;
+
+  return query
+    select r.id, 'first_response'::text, r.due_at
+    from jsonb_to_recordset(v_response) as r(id uuid, due_at timestamptz)
+    union all
+    select r.id, 'resolution'::text, r.due_at
+    from jsonb_to_recordset(v_resolution) as r(id uuid, due_at timestamptz);
+end;
+$$;
+
+-- Undoes claim_sla_breaches for breaches whose notification could not be
+-- sent, so the next run claims them again. p_breaches is [{ ticket_id, breach }].
+create or replace function public.release_sla_breaches(p_breaches jsonb)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update tickets t
+  set
+    first_response_breached_at = case when r.first_response then null else t.first_response_breached_at end,
+    resolution_breached_at = case when r.resolution then null else t.resolution_breached_at end
+  from (
+    select ticket_id, bool_or(breach = 'first_response') as first_response, bool_or(breach = 'resolution') as resolution
+    from jsonb_to_recordset(p_breaches) as b(ticket_id uuid, breach text)
+    group by ticket_id
+  ) r
+  where t.id = r.ticket_id;
+$$;
+
+revoke execute on function public.claim_sla_breaches(integer) from public, anon, authenticated;
+grant execute on function public.claim_sla_breaches(integer) to service_role;
+revoke execute on function public.release_sla_breaches(jsonb) from public, anon, authenticated;
+grant execute on function public.release_sla_breaches(jsonb) to service_role;
+
+-- Share of tickets that met their targets, for the tickets matching the
+-- filters (same as get_ticket_stats). Tickets still within a target are not
+-- counted for it yet.
+create or replace function public.get_sla_stats(
+  p_base_id integer default null,
+  p_project text default null,
+  p_assigned_to uuid default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with filtered as (
+    select t.*
+    from public.tickets t
+    where (p_base_id is null or t.base_id = p_base_id)
+      and (p_project is null or t.project = p_project)
+      and (p_assigned_to is null or t.assigned_to = p_assigned_to)
+      and (p_from is null or t.created_at >= p_from)
+      and (p_to is null or t.created_at < p_to)
+  ),
+  response as (
+    select coalesce(first_responded_at, now()) <= first_response_due_at as met
+    from filtered
+    where first_response_due_at is not null
+      and (first_responded_at is not null or first_response_due_at < now())
+  ),
+  resolution as (
+    select coalesce(resolved_at, now()) <= resolution_due_at as met
+    from filtered
+    where resolution_due_at is not null
+      and (resolved_at is not null or resolution_due_at < now())
+  )
+  select jsonb_build_object(
+    'response_total', (select count(*) from response),
+    'response_met', (select count(*) from response where met),
+    'resolution_total', (select count(*) from resolution),
+    'resolution_met', (select count(*) from resolution where met),
+    'breached_open', (
+      select count(*) from filtered
+      where resolved_at is null
+        and (first_response_breached_at is not null or resolution_breached_at is not null)
+    )
+  );
+$$;
+
+grant execute on function public.get_sla_stats(integer, text, uuid, timestamptz, timestamptz)
+  to authenticated;
+
+-- Starting targets; Admins adjust them in Settings
+insert into public.sla_policies (priority, first_response_minutes, resolution_minutes)
+select v.priority, v.first_response_minutes, v.resolution_minutes
+from (values
+  ('Critical', 60, 8 * 60),
+  ('High', 4 * 60, 24 * 60),
+  ('Medium', 8 * 60, 3 * 24 * 60),
+  ('Low', 24 * 60, 5 * 24 * 60)
+) as v(priority, first_response_minutes, resolution_minutes)
+where not exists (
+  select 1 from public.sla_policies p
+  where p.priority = v.priority and p.base_id is null and p.project is null
+);
+
+-- Existing tickets: resolution time from their history, first response from
+-- the first comment by someone else, then due times. Deadlines already passed
+-- count as notified so the first run does not flood everyone.
+update public.tickets t
+set resolved_at = coalesce(
+  (
+    select min(e.created_at) from public.ticket_events e
+    where e.ticket_id = t.id and e.field = 'status' and e.new_value in ('Resolved', 'Closed')
+  ),
+  t.updated_at
+)
+where t.status in ('Resolved', 'Closed');
+
+update public.tickets t
+set first_responded_at = (
+  select min(c.created_at) from public.ticket_comments c
+  where c.ticket_id = t.id and c.comment_type = 'comment' and c.user_id is distinct from t.created_by
+)
+where t.first_responded_at is null;
+
+update public.tickets t
+set (sla_policy_id, first_response_due_at, resolution_due_at) = (
+  select
+    p.id,
+    public.sla_due_at(t.base_id, t.created_at, p.first_response_minutes),
+    public.sla_due_at(t.base_id, t.created_at, p.resolution_minutes)
+  from public.sla_policy_for(t.priority, t.base_id, t.project) p
+);
+
+update public.tickets
+set first_response_breached_at = now()
+where first_response_due_at < now() and first_responded_at is null;
+
+update public.tickets
+set resolution_breached_at = now()
+where resolution_due_at < now() and resolved_at is null;
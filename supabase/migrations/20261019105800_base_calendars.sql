@@ -0,0 +1,348 @@
+-- Business hours per base. Each base can have a calendar (timezone and
+-- working hours per weekday) and a list of holidays; SLA due times and
+-- resolution times then count only working time at the ticket's base. Bases
+-- without a calendar keep counting calendar time.
+
+create or replace function public.is_valid_timezone(p_timezone text)
+returns boolean
+language plpgsql
+stable
+as $$
+begin
+  perform now() at time zone p_timezone;
+  return true;
+exception when others then
+  return false;
+end;
+$$;
+
+create table if not exists public.base_calendars (
+  base_id integer primary key references public.bases(id) on delete cascade,
+  timezone text not null default 'UTC' check (public.is_valid_timezone(timezone)),
+  -- ISO weekday (1 = Monday) to ["HH:MM", "HH:MM"]; days left out are closed
+  working_hours jsonb not null default
+    '{"1": ["08:00", "17:00"], "2": ["08:00", "17:00"], "3": ["08:00", "17:00"], "4": ["08:00", "17:00"], "5": ["08:00", "17:00"]}'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.base_holidays (
+  base_id integer not null references public.bases(id) on delete cascade,
+  holiday date not null,
+  name text,
+  primary key (base_id, holiday)
+);
+
+alter table public.base_calendars enable row level security;
+alter table public.base_holidays enable row level security;
+
+drop policy if exists "base_calendars_select" on public.base_calendars;
+create policy "base_calendars_select" on public.base_calendars
+  for select to authenticated
+  using (true);
+
+drop policy if exists "base_calendars_admin_write" on public.base_calendars;
+create policy "base_calendars_admin_write" on public.base_calendars
+  for all to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+drop policy if exists "base_holidays_select" on public.base_holidays;
+create policy "base_holidays_select" on public.base_holidays
+  for select to authenticated
+  using (true);
+
+drop policy if exists "base_holidays_admin_write" on public.base_holidays;
+create policy "base_holidays_admin_write" on public.base_holidays
+  for all to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+drop trigger if exists base_calendars_touch on public.base_calendars;
+create trigger base_calendars_touch
+  before update on public.base_calendars
+  for each row execute function public.touch_updated_at();
+
+-- Working minutes at the base between two instants
+create or replace function public.business_minutes_between(
+  p_base_id integer,
+  p_from timestamptz,
+  p_to timestamptz
+)
+returns numeric
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_calendar base_calendars;
+  v_from timestamp;
+  v_to timestamp;
+begin
+  if p_from is null or p_to is null or p_to <= p_from then
+    return 0;
+  end if;
+
+  -- Like sla_due_at, a calendar without working hours counts calendar time
+  select * into v_calendar from base_calendars where base_id = p_base_id;
+  if not found or v_calendar.working_hours = '{}'::jsonb then
+    return extract(epoch from p_to - p_from) / 60;
+  end if;
+
+  v_from := p_from at time zone v_calendar.timezone;
+  v_to := p_to at time zone v_calendar.timezone;
+
+  return coalesce((
+    select sum(greatest(0, extract(epoch from
+      least(d::date + (h.hours ->> 1)::time, v_to) -
+      greatest(d::date + (h.hours ->> 0)::time, v_from)
+    ) / 60))
+    from generate_series(v_from::date, v_to::date, interval '1 day') as d
+    cross join lateral (
+      select v_calendar.working_hours -> extract(isodow from d)::text as hours
+    ) h
+    where h.hours is not null
+      and not exists (
+        select 1 from base_holidays bh where bh.base_id = p_base_id and bh.holiday = d::date
+      )
+  ), 0);
+end;
+$$;
+
+-- Replaces the calendar-time version: the target runs only during working
+-- hours at the base. Falls back to calendar time for bases without a
+-- calendar, or whose calendar has no working time at all.
+create or replace function public.sla_due_at(
+  p_base_id integer,
+  p_start timestamptz,
+  p_minutes integer
+)
+returns timestamptz
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_calendar base_calendars;
+  v_local timestamp;
+  v_day date;
+  v_hours jsonb;
+  v_open timestamp;
+  v_close timestamp;
+  v_left numeric := p_minutes;
+  v_available numeric;
+begin
+  if p_minutes is null then
+    return null;
+  end if;
+
+  select * into v_calendar from base_calendars where base_id = p_base_id;
+  if not found then
+    return p_start + make_interval(mins => p_minutes);
+  end if;
+
+  v_local := p_start at time zone v_calendar.timezone;
+  v_day := v_local::date;
+
+  -- A year ahead is plenty; past that the calendar has no usable hours
+  while v_day <= v_local::date + 366 loop
+    v_hours := v_calendar.working_hours -> extract(isodow from v_day)::text;
+
+    if v_hours is not null and not exists (
+      select 1 from base_holidays bh where bh.base_id = p_base_id and bh.holiday = v_day
+    ) then
+      v_open := greatest(v_day + (v_hours ->> 0)::time, v_local);
+      v_close := v_day + (v_hours ->> 1)::time;
+
+      if v_close > v_open then
+        v_available := extract(epoch from v_close - v_open) / 60;
+        if v_available >= v_left then
+          return (v_open + make_interval(secs => v_left * 60)) at time zone v_calendar.timezone;
+        end if;
+        v_left := v_left - v_available;
+      end if;
+    end if;
+
+    v_day := v_day + 1;
+  end loop;
+
+  return p_start + make_interval(mins => p_minutes);
+end;
+$$;
+
+-- Recomputes the due times of tickets not yet resolved, at one base or all
+create or replace function public.refresh_open_ticket_sla(p_base_id integer default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update tickets t
+  set (sla_policy_id, first_response_due_at, resolution_due_at) = (
+    select
+      p.id,
+      sla_due_at(t.base_id, t.created_at, p.first_response_minutes),
+      sla_due_at(t.base_id, t.created_at, p.resolution_minutes)
+    from sla_policy_for(t.priority, t.base_id, t.project) p
+  )
+  where t.resolved_at is null
+    and (p_base_id is null or t.base_id = p_base_id);
+
+  update tickets
+  set first_response_breached_at = null
+  where first_response_breached_at is not null
+    and (p_base_id is null or base_id = p_base_id)
+    and (first_response_due_at is null or first_response_due_at > now());
+
+  update tickets
+  set resolution_breached_at = null
+  where resolution_breached_at is not null
+    and (p_base_id is null or base_id = p_base_id)
+    and (resolution_due_at is null or resolution_due_at > now());
+end;
+$$;
+
+create or replace function public.reapply_sla_policies()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform refresh_open_ticket_sla();
+  return null;
+end;
+$$;
+
+-- Calendar and holiday changes move the deadlines of the base's open tickets
+create or replace function public.reapply_base_calendar()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform refresh_open_ticket_sla(coalesce(new.base_id, old.base_id));
+  return null;
+end;
+$$;
+
+drop trigger if exists base_calendars_reapply on public.base_calendars;
+create trigger base_calendars_reapply
+  after insert or update or delete on public.base_calendars
+  for each row execute function public.reapply_base_calendar();
+
+drop trigger if exists base_holidays_reapply on public.base_holidays;
+create trigger base_holidays_reapply
+  after insert or update or delete on public.base_holidays
+  for each row execute function public.reapply_base_calendar();
+
+-- Same as before, with resolution times in working hours at each ticket's base
+create or replace function public.get_ticket_stats(
+  p_base_id integer default null,
+  p_project text default null,
+  p_assigned_to uuid default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with filtered as (
+    select t.id, t.status, t.priority, t.base_id, t.project, t.created_at
+    from public.tickets t
+    where (p_base_id is null or t.base_id = p_base_id)
+      and (p_project is null or t.project = p_project)
+      and (p_assigned_to is null or t.assigned_to = p_assigned_to)
+  ),
+  in_range as (
+    select * from filtered f
+    where (p_from is null or f.created_at >= p_from)
+      and (p_to is null or f.created_at < p_to)
+  ),
+  resolutions as (
+    select r.*, public.business_minutes_between(r.base_id, r.created_at, r.resolved_at) / 60 as hours
+    from (
+      select f.id, f.base_id, f.created_at, min(e.created_at) as resolved_at
+      from filtered f
+      join public.ticket_events e on e.ticket_id = f.id
+      where e.field = 'status' and e.new_value in ('Resolved', 'Closed')
+      group by f.id, f.base_id, f.created_at
+    ) r
+  ),
+  bounds as (
+    select
+      coalesce(p_from, date_trunc('day', now()) - interval '29 days')::date as first_day,
+      coalesce(p_to - interval '1 microsecond', now())::date as last_day
+  ),
+  days as (
+    select d::date as day
+    from bounds, generate_series(bounds.first_day, bounds.last_day, interval '1 day') as d
+  ),
+  daily as (
+    select days.day, coalesce(c.n, 0) as created, coalesce(r.n, 0) as resolved
+    from days
+    left join (
+      select created_at::date as day, count(*) as n from filtered group by 1
+    ) c on c.day = days.day
+    left join (
+      select resolved_at::date as day, count(*) as n from resolutions group by 1
+    ) r on r.day = days.day
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from in_range),
+    'open', (select count(*) from in_range where status = 'Open'),
+    'in_progress', (select count(*) from in_range where status = 'In Progress'),
+    'resolved', (select count(*) from in_range where status = 'Resolved'),
+    'closed', (select count(*) from in_range where status = 'Closed'),
+    'by_status', coalesce(
+      (select jsonb_object_agg(status, n) from (
+        select coalesce(status, 'Unknown') as status, count(*) as n from in_range group by 1
+      ) s), '{}'::jsonb),
+    'by_priority', coalesce(
+      (select jsonb_object_agg(priority, n) from (
+        select coalesce(priority, 'Unknown') as priority, count(*) as n from in_range group by 1
+      ) p), '{}'::jsonb),
+    'by_base', coalesce(
+      (select jsonb_agg(jsonb_build_object('base', base, 'count', n) order by n desc) from (
+        select coalesce(b.name, 'Unknown') as base, count(*) as n
+        from in_range r left join public.bases b on b.id = r.base_id
+        group by 1
+      ) x), '[]'::jsonb),
+    'projects', coalesce(
+      (select jsonb_agg(project order by project) from (
+        select distinct t.project from public.tickets t
+        where t.project is not null and t.project <> ''
+          and (p_base_id is null or t.base_id = p_base_id)
+      ) pr), '[]'::jsonb),
+    'resolved_this_month', (
+      select count(*) from resolutions
+      where resolved_at >= date_trunc('month', now())
+    ),
+    'avg_resolution_hours', (
+      select round(avg(hours)::numeric, 1)
+      from resolutions
+      where (p_from is null or created_at >= p_from)
+        and (p_to is null or created_at < p_to)
+    ),
+    'avg_resolution_hours_current', (
+      select round(avg(hours)::numeric, 1)
+      from resolutions
+      where resolved_at >= now() - interval '30 days'
+    ),
+    'avg_resolution_hours_prev', (
+      select round(avg(hours)::numeric, 1)
+      from resolutions
+      where resolved_at >= now() - interval '60 days'
+        and resolved_at < now() - interval '30 days'
+    ),
+    'daily', coalesce(
+      (select jsonb_agg(jsonb_build_object('day', day, 'created', created, 'resolved', resolved) order by day)
+       from daily), '[]'::jsonb)
+  );
+$$;
@@ -0,0 +1,420 @@
+-- Configurable ticket statuses. Admins define the statuses, their colors and
+-- workflow order, and a category that tells the rest of the database what a
+-- status means (open, in progress, resolved or closed): the SLA clock, the
+-- ticket stats and the status sort order all go by it. Transition rules say
+-- which roles may move a ticket from one status to another; they are enforced
+-- here, so every client and the offline outbox follow the same rules.
+
+create table if not exists public.ticket_statuses (
+  name text primary key check (btrim(name) <> ''),
+  category text not null check (category in ('open', 'in_progress', 'resolved', 'closed')),
+  color text not null default '#6B7280' check (color ~ '^#[0-9A-Fa-f]{6}$'),
+  -- Workflow order, used for sorting tickets by status
+  position integer not null default 0,
+  -- The status new tickets start in
+  is_initial boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists ticket_statuses_one_initial_idx
+  on public.ticket_statuses (is_initial)
+  where is_initial;
+
+create table if not exists public.ticket_status_transitions (
+  from_status text not null references public.ticket_statuses(name) on delete cascade,
+  to_status text not null references public.ticket_statuses(name) on delete cascade,
+  role text not null check (role in ('User', 'HIS', 'Admin')),
+  primary key (from_status, to_status, role),
+  check (from_status <> to_status)
+);
+
+alter table public.ticket_statuses enable row level security;
+alter table public.ticket_status_transitions enable row level security;
+
+drop policy if exists "ticket_statuses_select" on public.ticket_statuses;
+create policy "ticket_statuses_select" on public.ticket_statuses
+  for select to authenticated
+  using (true);
+
+drop policy if exists "ticket_statuses_admin_insert" on public.ticket_statuses;
+create policy "ticket_statuses_admin_insert" on public.ticket_statuses
+  for insert to authenticated
+  with check (public.is_admin());
+
+drop policy if exists "ticket_statuses_admin_update" on public.ticket_statuses;
+create policy "ticket_statuses_admin_update" on public.ticket_statuses
+  for update to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+-- The initial status stays; tickets still in a status keep it (foreign key)
+drop policy if exists "ticket_statuses_admin_delete" on public.ticket_statuses;
+create policy "ticket_statuses_admin_delete" on public.ticket_statuses
+  for delete to authenticated
+  using (public.is_admin() and not is_initial);
+
+drop policy if exists "ticket_status_transitions_select" on public.ticket_status_transitions;
+create policy "ticket_status_transitions_select" on public.ticket_status_transitions
+  for select to authenticated
+  using (true);
+
+drop policy if exists "ticket_status_transitions_admin_insert" on public.ticket_status_transitions;
+create policy "ticket_status_transitions_admin_insert" on public.ticket_status_transitions
+  for insert to authenticated
+  with check (public.is_admin());
+
+drop policy if exists "ticket_status_transitions_admin_delete" on public.ticket_status_transitions;
+create policy "ticket_status_transitions_admin_delete" on public.ticket_status_transitions
+  for delete to authenticated
+  using (public.is_admin());
+
+drop trigger if exists ticket_statuses_touch on public.ticket_statuses;
+create trigger ticket_statuses_touch
+  before update on public.ticket_statuses
+  for each row execute function public.touch_updated_at();
+
+-- The statuses so far, plus whatever else is already in use
+insert into public.ticket_statuses (name, category, color, position, is_initial)
+values
+  ('Open', 'open', '#EF4444', 1, true),
+  ('In Progress', 'in_progress', '#F59E0B', 2, false),
+  ('Resolved', 'resolved', '#22C55E', 3, false),
+  ('Closed', 'closed', '#6B7280', 4, false)
+on conflict (name) do nothing;
+
+insert into public.ticket_statuses (name, category, position)
+select distinct t.status, 'open', 5
+from public.tickets t
+where t.status is not null
+on conflict (name) do nothing;
+
+-- Staff could set any status before; ticket creators may withdraw a ticket,
+-- confirm a resolution or reopen it
+insert into public.ticket_status_transitions (from_status, to_status, role)
+select f.name, t.name, r.role
+from public.ticket_statuses f
+cross join public.ticket_statuses t
+cross join (values ('Admin'), ('HIS')) as r(role)
+where f.name <> t.name
+union all
+select f, t, 'User'
+from (values ('Open', 'Closed'), ('Resolved', 'Closed'), ('Resolved', 'Open')) as v(f, t)
+on conflict do nothing;
+
+-- Only one initial status: choosing another one hands the flag over
+create or replace function public.hand_over_initial_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update ticket_statuses
+  set is_initial = false
+  where is_initial and name <> new.name;
+  return new;
+end;
+$$;
+
+drop trigger if exists ticket_statuses_hand_over_initial on public.ticket_statuses;
+create trigger ticket_statuses_hand_over_initial
+  before insert or update of is_initial on public.ticket_statuses
+  for each row
+  when (new.is_initial)
+  execute function public.hand_over_initial_status();
+
+create or replace function public.ticket_status_category(p_status text)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select category from ticket_statuses where name = p_status;
+$$;
+
+create or replace function public.initial_ticket_status()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select name from ticket_statuses where is_initial;
+$$;
+
+-- Tickets may only be in a defined status. New tickets without one get the
+-- initial status (set_ticket_status_rank) instead of a fixed default.
+alter table public.tickets
+  alter column status drop default;
+
+alter table public.tickets
+  drop constraint if exists tickets_status_fkey;
+alter table public.tickets
+  add constraint tickets_status_fkey
+  foreign key (status) references public.ticket_statuses(name);
+
+-- status_rank followed the four fixed statuses; it now follows the workflow
+-- order and is kept up to date by the triggers below
+alter table public.tickets
+  alter column status_rank drop expression;
+
+create or replace function public.set_ticket_status_rank()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- A ticket without a status starts in the initial one
+  new.status := coalesce(new.status, initial_ticket_status());
+  new.status_rank := coalesce((select position from ticket_statuses where name = new.status), 0);
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_set_status_rank on public.tickets;
+create trigger tickets_set_status_rank
+  before insert or update of status on public.tickets
+  for each row execute function public.set_ticket_status_rank();
+
+-- Moving a ticket to another status needs a transition rule for the role of
+-- whoever does it, or fails with SQLSTATE PT403 (HTTP 403 from PostgREST).
+-- Changes made without a user (the service role, scheduled jobs) are not
+-- checked.
+create or replace function public.check_ticket_status_transition()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_role text;
+begin
+  if new.status is not distinct from old.status or auth.uid() is null then
+    return new;
+  end if;
+
+  select role into v_role from profiles where id = auth.uid();
+
+  if not exists (
+    select 1 from ticket_status_transitions
+    where from_status = old.status and to_status = new.status and role = v_role
+  ) then
+    raise exception 'Moving a ticket from "%" to "%" is not allowed', old.status, new.status
+      using errcode = 'PT403',
+            detail = format('role %s', coalesce(v_role, 'none'));
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_check_status_transition on public.tickets;
+create trigger tickets_check_status_transition
+  before update of status on public.tickets
+  for each row execute function public.check_ticket_status_transition();
+
+-- Reordering and recategorizing apply to the tickets already in the status
+create or replace function public.apply_ticket_status_changes()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.position is distinct from old.position then
+    update tickets set status_rank = new.position where status = new.name;
+  end if;
+
+  if new.category is distinct from old.category then
+    update tickets
+    set resolved_at = case
+      when new.category in ('resolved', 'closed') then coalesce(resolved_at, now())
+    end
+    where status = new.name;
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists ticket_statuses_apply on public.ticket_statuses;
+create trigger ticket_statuses_apply
+  after update on public.ticket_statuses
+  for each row execute function public.apply_ticket_status_changes();
+
+update public.tickets t
+set status_rank = s.position
+from public.ticket_statuses s
+where s.name = t.status;
+
+-- The status rank is bookkeeping like the SLA columns: no version bump
+insert into public.ticket_bookkeeping_columns (column_name)
+values ('status_rank')
+on conflict do nothing;
+
+-- Resolved and closed now mean the status categories
+create or replace function public.apply_ticket_sla()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_policy sla_policies;
+  v_start timestamptz := coalesce(new.created_at, now());
+begin
+  if tg_op = 'INSERT'
+    or new.priority is distinct from old.priority
+    or new.base_id is distinct from old.base_id
+    or new.project is distinct from old.project
+  then
+    v_policy := sla_policy_for(new.priority, new.base_id, new.project);
+    new.sla_policy_id := v_policy.id;
+    new.first_response_due_at := sla_due_at(new.base_id, v_start, v_policy.first_response_minutes);
+    new.resolution_due_at := sla_due_at(new.base_id, v_start, v_policy.resolution_minutes);
+
+    -- A deadline moved into the future can be breached (and notified) again
+    if tg_op = 'UPDATE' then
+      if new.first_response_due_at is null or new.first_response_due_at > now() then
+        new.first_response_breached_at := null;
+      end if;
+      if new.resolution_due_at is null or new.resolution_due_at > now() then
+        new.resolution_breached_at := null;
+      end if;
+    end if;
+  end if;
+
+  -- Resolving stops the resolution clock; reopening starts it again
+  if ticket_status_category(new.status) in ('resolved', 'closed') then
+    new.resolved_at := coalesce(new.resolved_at, now());
+  else
+    new.resolved_at := null;
+  end if;
+
+  -- Staff moving the ticket along counts as a response (comments are handled
+  -- by record_first_response)
+  if tg_op = 'UPDATE'
+    and new.first_responded_at is null
+    and new.status is distinct from old.status
+    and auth.uid() is not null
+    and auth.uid() is distinct from new.created_by
+  then
+    new.first_responded_at := now();
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Same as before, with the counts and resolution times going by status category
+create or replace function public.get_ticket_stats(
+  p_base_id integer default null,
+  p_project text default null,
+  p_assigned_to uuid default null,
+  p_from timestamptz default null,
+  p_to timestamptz default null
+)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with filtered as (
+    select t.id, t.status, s.category, t.priority, t.base_id, t.project, t.created_at
+    from public.tickets t
+    left join public.ticket_statuses s on s.name = t.status
+    where (p_base_id is null or t.base_id = p_base_id)
+      and (p_project is null or t.project = p_project)
+      and (p_assigned_to is null or t.assigned_to = p_assigned_to)
+  ),
+  in_range as (
+    select * from filtered f
+    where (p_from is null or f.created_at >= p_from)
+      and (p_to is null or f.created_at < p_to)
+  ),
+  resolutions as (
+    select r.*, public.business_minutes_between(r.base_id, r.created_at, r.resolved_at) / 60 as hours
+    from (
+      select f.id, f.base_id, f.created_at, min(e.created_at) as resolved_at
+      from filtered f
+      join public.ticket_events e on e.ticket_id = f.id
+      join public.ticket_statuses s on s.name = e.new_value
+      where e.field = 'status' and s.category in ('resolved', 'closed')
+      group by f.id, f.base_id, f.created_at
+    ) r
+  ),
+  bounds as (
+    select
+      coalesce(p_from, date_trunc('day', now()) - interval '29 days')::date as first_day,
+      coalesce(p_to - interval '1 microsecond', now())::date as last_day
+  ),
+  days as (
+    select d::date as day
+    from bounds, generate_series(bounds.first_day, bounds.last_day, interval '1 day') as d
+  ),
+  daily as (
+    select days.day, coalesce(c.n, 0) as created, coalesce(r.n, 0) as resolved
+    from days
+    left join (
+      select created_at::date as day, count(*) as n from filtered group by 1
+    ) c on c.day = days.day
+    left join (
+      select resolved_at::date as day, count(*) as n from resolutions group by 1
+    ) r on r.day = days.day
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from in_range),
+    'open', (select count(*) from in_range where category = 'open'),
+    'in_progress', (select count(*) from in_range where category = 'in_progress'),
+    'resolved', (select count(*) from in_range where category = 'resolved'),
+    'closed', (select count(*) from in_range where category = 'closed'),
+    'by_status', coalesce(
+      (select jsonb_object_agg(status, n) from (
+        select coalesce(status, 'Unknown') as status, count(*) as n from in_range group by 1
+      ) s), '{}'::jsonb),
+    'by_priority', coalesce(
+      (select jsonb_object_agg(priority, n) from (
+        select coalesce(priority, 'Unknown') as priority, count(*) as n from in_range group by 1
+      ) p), '{}'::jsonb),
+    'by_base', coalesce(
+      (select jsonb_agg(jsonb_build_object('base', base, 'count', n) order by n desc) from (
+        select coalesce(b.name, 'Unknown') as base, count(*) as n
+        from in_range r left join public.bases b on b.id = r.base_id
+        group by 1
+      ) x), '[]'::jsonb),
+    'projects', coalesce(
+      (select jsonb_agg(project order by project) from (
+        select distinct t.project from public.tickets t
+        where t.project is not null and t.project <> ''
+          and (p_base_id is null or t.base_id = p_base_id)
+      ) pr), '[]'::jsonb),
+    'resolved_this_month', (
+      select count(*) from resolutions
+      where resolved_at >= date_trunc('month', now())
+    ),
+    'avg_resolution_hours', (
+      select round(avg(hours)::numeric, 1)
+      from resolutions
+      where (p_from is null or created_at >= p_from)
+        and (p_to is null or created_at < p_to)
+    ),
+    'avg_resolution_hours_current', (
+      select round(avg(hours)::numeric, 1)
+      from resolutions
+      where resolved_at >= now() - interval '30 days'
+    ),
+    'avg_resolution_hours_prev', (
+      select round(avg(hours)::numeric, 1)
+      from resolutions
+      where resolved_at >= now() - interval '60 days'
+        and resolved_at < now() - interval '30 days'
+    ),
+    'daily', coalesce(
+      (select jsonb_agg(jsonb_build_object('day', day, 'created', created, 'resolved', resolved) order by day)
+       from daily), '[]'::jsonb)
+  );
+$$;
@@ -0,0 +1,257 @@
+-- Escalation of stale tickets. Admins define rules such as "High priority
+-- unassigned for 2 hours" or "In Progress with no activity for 3 days"; the
+-- escalate-tickets edge function runs them on a schedule through
+-- run_escalation_rules below, which raises the priority, reassigns or just
+-- flags each matching ticket, records the escalation in the ticket's history
+-- and returns what it did so the function can notify the base's HIS staff
+-- and Admins. Waiting times count working hours at the ticket's base.
+
+create table if not exists public.escalation_rules (
+  id uuid primary key default gen_random_uuid(),
+  name text not null check (btrim(name) <> ''),
+  enabled boolean not null default true,
+  -- Which tickets the rule looks at; null matches any
+  base_id integer references public.bases(id) on delete cascade,
+  priority text,
+  status text references public.ticket_statuses(name) on delete cascade,
+  -- 'unassigned': nobody assigned since the ticket was created;
+  -- 'no_activity': no update or comment since
+  condition text not null check (condition in ('unassigned', 'no_activity')),
+  after_minutes integer not null check (after_minutes > 0),
+  action text not null check (action in ('raise_priority', 'reassign', 'flag')),
+  reassign_to uuid references public.profiles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (action <> 'reassign' or reassign_to is not null)
+);
+
+alter table public.escalation_rules enable row level security;
+
+drop policy if exists "escalation_rules_select" on public.escalation_rules;
+create policy "escalation_rules_select" on public.escalation_rules
+  for select to authenticated
+  using (true);
+
+drop policy if exists "escalation_rules_admin_insert" on public.escalation_rules;
+create policy "escalation_rules_admin_insert" on public.escalation_rules
+  for insert to authenticated
+  with check (public.is_admin());
+
+drop policy if exists "escalation_rules_admin_update" on public.escalation_rules;
+create policy "escalation_rules_admin_update" on public.escalation_rules
+  for update to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+drop policy if exists "escalation_rules_admin_delete" on public.escalation_rules;
+create policy "escalation_rules_admin_delete" on public.escalation_rules
+  for delete to authenticated
+  using (public.is_admin());
+
+drop trigger if exists escalation_rules_touch on public.escalation_rules;
+create trigger escalation_rules_touch
+  before update on public.escalation_rules
+  for each row execute function public.touch_updated_at();
+
+-- When each rule last escalated each ticket, so a rule fires once per stale
+-- period instead of on every run
+create table if not exists public.ticket_escalations (
+  id bigint generated always as identity primary key,
+  ticket_id uuid not null references public.tickets(id) on delete cascade,
+  rule_id uuid references public.escalation_rules(id) on delete set null,
+  action text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ticket_escalations_ticket_rule_idx
+  on public.ticket_escalations (ticket_id, rule_id, created_at desc);
+
+-- Written by run_escalation_rules only
+alter table public.ticket_escalations enable row level security;
+
+-- Set while an escalation is waiting for someone to act on the ticket
+alter table public.tickets
+  add column if not exists escalated_at timestamptz;
+
+-- Escalations show up in the ticket's history as one 'escalated' event. Like
+-- a field change it has the field the escalation changed (priority or
+-- assigned_to, none when the ticket was only flagged) with its old and new
+-- value; details holds the rule and the action taken.
+alter table public.ticket_events
+  add column if not exists details jsonb;
+
+alter table public.ticket_events
+  drop constraint if exists ticket_events_event_type_check;
+alter table public.ticket_events
+  add constraint ticket_events_event_type_check
+  check (event_type in ('created', 'field_change', 'deleted', 'restored', 'escalated'));
+
+-- The field changes an escalation makes are not logged separately (with no
+-- actor) next to its 'escalated' event. run_escalation_rules sets
+-- ticket_events.escalating for its transaction, and the trigger skips while
+-- it is on.
+create or replace function public.ticket_events_paused()
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(current_setting('ticket_events.escalating', true) = 'on', false);
+$$;
+
+drop trigger if exists tickets_log_events on public.tickets;
+create trigger tickets_log_events
+  after insert or update on public.tickets
+  for each row
+  when (not public.ticket_events_paused())
+  execute function public.log_ticket_events();
+
+-- Someone changing the status, assignee or priority has acted on the
+-- escalation
+create or replace function public.clear_ticket_escalation()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.escalated_at is not null
+    and auth.uid() is not null
+    and (
+      new.status is distinct from old.status
+      or new.assigned_to is distinct from old.assigned_to
+      or new.priority is distinct from old.priority
+    )
+  then
+    new.escalated_at := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists tickets_clear_escalation on public.tickets;
+create trigger tickets_clear_escalation
+  before update on public.tickets
+  for each row execute function public.clear_ticket_escalation();
+
+-- The escalation flag is bookkeeping: no version bump
+insert into public.ticket_bookkeeping_columns (column_name)
+values ('escalated_at')
+on conflict do nothing;
+
+-- Runs every enabled rule against the tickets not yet resolved or closed and
+-- escalates up to p_limit matches. Priorities go up one step (Low, Medium,
+-- High, Critical); a Critical ticket, or one already assigned to the rule's
+-- user, is only flagged.
+create or replace function public.run_escalation_rules(p_limit integer default 100)
+returns table (
+  ticket_id uuid,
+  rule_name text,
+  action text,
+  base_id integer,
+  assigned_to uuid,
+  old_value text,
+  new_value text
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_match record;
+  v_ticket tickets;
+  v_action text;
+  v_old text;
+  v_new text;
+begin
+  perform set_config('ticket_events.escalating', 'on', true);
+
+  for v_match in
+    select t.id, r.id as rule_id, r.name, r.action, r.reassign_to
+    from escalation_rules r
+    join tickets t
+      on (r.base_id is null or t.base_id = r.base_id)
+      and (r.priority is null or t.priority = r.priority)
+      and (r.status is null or t.status = r.status)
+    cross join lateral (
+      select case r.condition
+        when 'unassigned' then t.created_at
+        else greatest(
+          t.updated_at,
+          (select max(c.created_at) from ticket_comments c where c.ticket_id = t.id)
+        )
+      end as since
+    ) s
+    where r.enabled
+      and t.deleted_at is null
+      and t.resolved_at is null
+      and (r.condition <> 'unassigned' or t.assigned_to is null)
+      -- Working time is never more than calendar time, so this cheap check
+      -- rules out most tickets before the calendar is consulted
+      and s.since <= now() - make_interval(mins => r.after_minutes)
+      and business_minutes_between(t.base_id, s.since, now()) >= r.after_minutes
+      and not exists (
+        select 1 from ticket_escalations e
+        where e.ticket_id = t.id and e.rule_id = r.id and e.created_at >= s.since
+      )
+    order by t.created_at
+    limit p_limit
+    for update of t skip locked
+  loop
+    select * into v_ticket from tickets where id = v_match.id;
+    v_action := 'flag';
+    v_old := null;
+    v_new := null;
+
+    if v_match.action = 'raise_priority' and v_ticket.priority in ('Low', 'Medium', 'High') then
+      v_action := 'raise_priority';
+      v_old := v_ticket.priority;
+      v_new := case v_ticket.priority when 'Low' then 'Medium' when 'Medium' then 'High' else 'Critical' end;
+      update tickets set priority = v_new, updated_at = now(), escalated_at = now()
+      where id = v_ticket.id
+      returning * into v_ticket;
+    elsif v_match.action = 'reassign' and v_match.reassign_to is distinct from v_ticket.assigned_to then
+      v_action := 'reassign';
+      v_old := v_ticket.assigned_to::text;
+      v_new := v_match.reassign_to::text;
+      update tickets set assigned_to = v_match.reassign_to, updated_at = now(), escalated_at = now()
+      where id = v_ticket.id
+      returning * into v_ticket;
+    else
+      update tickets set escalated_at = now()
+      where id = v_ticket.id
+      returning * into v_ticket;
+    end if;
+
+    insert into ticket_escalations (ticket_id, rule_id, action)
+    values (v_ticket.id, v_match.rule_id, v_action);
+
+    insert into ticket_events (ticket_id, actor_id, event_type, field, old_value, new_value, details)
+    values (
+      v_ticket.id, null, 'escalated',
+      case v_action when 'raise_priority' then 'priority' when 'reassign' then 'assigned_to' end,
+      case v_action
+        when 'raise_priority' then v_old
+        when 'reassign' then (select coalesce(full_name, email) from profiles where id = v_old::uuid)
+      end,
+      case v_action
+        when 'raise_priority' then v_new
+        when 'reassign' then (select coalesce(full_name, email) from profiles where id = v_match.reassign_to)
+      end,
+      jsonb_build_object('rule', v_match.name, 'action', v_action)
+    );
+
+    ticket_id := v_ticket.id;
+    rule_name := v_match.name;
+    action := v_action;
+    base_id := v_ticket.base_id;
+    assigned_to := v_ticket.assigned_to;
+    old_value := v_old;
+    new_value := v_new;
+    return next;
+  end loop;
+
+  perform set_config('ticket_events.escalating', 'off', true);
+end;
+$$;
+
+revoke execute on function public.run_escalation_rules(integer) from public, anon, authenticated;
+grant execute on function public.run_escalation_rules(integer) to service_role;
@@ -0,0 +1,140 @@
+-- Auto-assignment of new tickets. Admins turn it on per base and pick a
+-- strategy: 'round_robin' takes turns through the base's HIS staff,
+-- 'least_loaded' picks whoever has the fewest open tickets (turns break
+-- ties). Staff who are unavailable or out of office are skipped. A trigger
+-- assigns every new ticket however it is created; the change is an ordinary
+-- assignment, so it lands in the ticket's history, and the client sends the
+-- usual assignment notification for the assignee create_ticket_with_attachments
+-- returns.
+
+-- Set by HIS staff on their profile, or by Admins
+alter table public.profiles
+  add column if not exists available_for_assignment boolean not null default true,
+  add column if not exists out_of_office_until timestamptz;
+
+create table if not exists public.base_assignment_settings (
+  base_id integer primary key references public.bases(id) on delete cascade,
+  enabled boolean not null default false,
+  strategy text not null default 'round_robin'
+    check (strategy in ('round_robin', 'least_loaded')),
+  -- Whose turn it was last, for round robin
+  last_assigned_to uuid references public.profiles(id) on delete set null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.base_assignment_settings enable row level security;
+
+drop policy if exists "base_assignment_settings_select" on public.base_assignment_settings;
+create policy "base_assignment_settings_select" on public.base_assignment_settings
+  for select to authenticated
+  using (true);
+
+drop policy if exists "base_assignment_settings_admin_insert" on public.base_assignment_settings;
+create policy "base_assignment_settings_admin_insert" on public.base_assignment_settings
+  for insert to authenticated
+  with check (public.is_admin());
+
+drop policy if exists "base_assignment_settings_admin_update" on public.base_assignment_settings;
+create policy "base_assignment_settings_admin_update" on public.base_assignment_settings
+  for update to authenticated
+  using (public.is_admin())
+  with check (public.is_admin());
+
+drop policy if exists "base_assignment_settings_admin_delete" on public.base_assignment_settings;
+create policy "base_assignment_settings_admin_delete" on public.base_assignment_settings
+  for delete to authenticated
+  using (public.is_admin());
+
+drop trigger if exists base_assignment_settings_touch on public.base_assignment_settings;
+create trigger base_assignment_settings_touch
+  before update on public.base_assignment_settings
+  for each row execute function public.touch_updated_at();
+
+-- Assigns an unassigned ticket per its base's settings and returns the
+-- assignee, or null when auto-assignment is off at the base, the ticket is
+-- already assigned or nobody is available
+create or replace function public.auto_assign_ticket(p_ticket_id uuid)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_ticket tickets;
+  v_settings base_assignment_settings;
+  v_assignee uuid;
+begin
+  select * into v_ticket from tickets t where t.id = p_ticket_id for update;
+
+  if not found or v_ticket.assigned_to is not null or v_ticket.deleted_at is not null then
+    return null;
+  end if;
+
+  -- Locked so concurrent tickets at the base take separate turns
+  select * into v_settings
+  from base_assignment_settings s
+  where s.base_id = v_ticket.base_id and s.enabled
+  for update;
+
+  if not found then
+    return null;
+  end if;
+
+  with candidates as (
+    select
+      p.id,
+      (
+        select count(*)
+        from tickets o
+        where o.assigned_to = p.id
+          and o.deleted_at is null
+          and ticket_status_category(o.status) in ('open', 'in_progress')
+      ) as open_tickets
+    from user_bases ub
+    join profiles p on p.id = ub.user_id
+    where ub.base_id = v_ticket.base_id
+      and p.role = 'HIS'
+      and p.available_for_assignment
+      and (p.out_of_office_until is null or p.out_of_office_until <= now())
+  )
+  select c.id into v_assignee
+  from candidates c
+  order by
+    case when v_settings.strategy = 'least_loaded' then c.open_tickets else 0 end,
+    -- Next in turn after the last assignee, wrapping around
+    case when c.id > v_settings.last_assigned_to then 0 else 1 end,
+    c.id
+  limit 1;
+
+  if v_assignee is null then
+    return null;
+  end if;
+
+  update tickets t set assigned_to = v_assignee, updated_at = now() where t.id = p_ticket_id;
+
+  update base_assignment_settings s set last_assigned_to = v_assignee where s.base_id = v_ticket.base_id;
+
+  return v_assignee;
+end;
+$$;
+
+revoke execute on function public.auto_assign_ticket(uuid) from public, anon, authenticated;
+
+create or replace function public.auto_assign_new_ticket()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform auto_assign_ticket(new.id);
+  return null;
+end;
+$$;
+
+drop trigger if exists tickets_auto_assign on public.tickets;
+create trigger tickets_auto_assign
+  after insert on public.tickets
+  for each row
+  when (new.assigned_to is null)
+  execute function public.auto_assign_new_ticket();
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_WORKING_HOURS, businessMinutesBetween, businessMsBetween } from '../src/lib/businessHours.js';
+
+const HOUR = 60 * 60 * 1000;
+const at = (iso) => Date.parse(iso);
+
+const utcCalendar = { timezone: 'UTC', working_hours: DEFAULT_WORKING_HOURS, holidays: [] };
+const berlinCalendar = { ...utcCalendar, timezone: 'Europe/Berlin' };
+
+describe('businessMsBetween', () => {
+  it('counts calendar time without a calendar or without working hours', () => {
+    const from = at('2026-10-17T10:00:00Z');
+    const to = at('2026-10-18T10:00:00Z');
+
+    expect(businessMsBetween(null, from, to)).toBe(24 * HOUR);
+    expect(businessMsBetween({ ...utcCalendar, working_hours: {} }, from, to)).toBe(24 * HOUR);
+  });
+
+  it('skips the weekend', () => {
+    // Friday 16:00 to Monday 09:00
+    expect(businessMsBetween(utcCalendar, at('2026-10-16T16:00:00Z'), at('2026-10-19T09:00:00Z'))).toBe(2 * HOUR);
+  });
+
+  it('skips holidays', () => {
+    const calendar = { ...utcCalendar, holidays: [{ holiday: '2026-10-19', name: 'Founders Day' }] };
+
+    // Friday 16:00 to Tuesday 09:00, with Monday off
+    expect(businessMsBetween(calendar, at('2026-10-16T16:00:00Z'), at('2026-10-20T09:00:00Z'))).toBe(2 * HOUR);
+  });
+
+  it('follows the base timezone across a DST change', () => {
+    // Friday 16:00 CEST (UTC+2) to Monday 09:00 CET (UTC+1) in Berlin
+    expect(businessMsBetween(berlinCalendar, at('2026-10-23T14:00:00Z'), at('2026-10-26T08:00:00Z'))).toBe(2 * HOUR);
+    // A full Monday after the change: 08:00 to 17:00 local
+    expect(businessMinutesBetween(berlinCalendar, at('2026-10-26T07:00:00Z'), at('2026-10-26T16:00:00Z'))).toBe(9 * 60);
+  });
+
+  it('counts wall-clock working hours on the day of the change, like business_minutes_between', () => {
+    const calendar = { ...berlinCalendar, working_hours: { 7: ['00:00', '06:00'] } };
+
+    // 00:00 CEST to 06:00 CET is 7 real hours but 6 on the clock
+    expect(businessMsBetween(calendar, at('2026-10-24T22:00:00Z'), at('2026-10-25T05:00:00Z'))).toBe(6 * HOUR);
+  });
+
+  it('is zero for an empty or reversed range', () => {
+    const from = at('2026-10-19T10:00:00Z');
+
+    expect(businessMsBetween(utcCalendar, from, from)).toBe(0);
+    expect(businessMsBetween(utcCalendar, from, from - HOUR)).toBe(0);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { compressImage, getScaledDimensions, hasExifData } from '../src/lib/imageCompression.js';
+
+describe('getScaledDimensions', () => {
+  it('fits the longest side and keeps the aspect ratio', () => {
+    expect(getScaledDimensions(4000, 3000, 1920)).toEqual({ width: 1920, height: 1440 });
+    expect(getScaledDimensions(1000, 3000, 1920)).toEqual({ width: 640, height: 1920 });
+  });
+
+  it('never enlarges small images', () => {
+    expect(getScaledDimensions(800, 600, 1920)).toEqual({ width: 800, height: 600 });
+  });
+});
+
+describe('compressImage', () => {
+  let canvases;
+  // Type and size of the blobs the fake canvas encodes, per requested type
+  let encoded;
+
+  beforeEach(() => {
+    canvases = [];
+    encoded = {};
+    vi.stubGlobal('createImageBitmap', vi.fn(async () => ({ width: 4000, height: 3000, close: vi.fn() })));
+    vi.stubGlobal('document', {
+      createElement: () => {
+        const context = { fillRect: vi.fn(), drawImage: vi.fn() };
+        const canvas = {
+          context,
+          getContext: () => context,
+          toBlob: (callback, type) => {
+            const { size, as = type } = encoded[type];
+            callback(new Blob([new Uint8Array(size)], { type: as }));
+          },
+        };
+        canvases.push(canvas);
+        return canvas;
+      },
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const imageFile = (type, size, header = '') =>
+    new File([header, new Uint8Array(size)], 'photo.png', { type });
+
+  it('re-encodes at the scaled size', async () => {
+    encoded['image/png'] = { size: 10 };
+
+    const result = await compressImage(imageFile('image/png', 100));
+
+    expect(canvases[0]).toMatchObject({ width: 1920, height: 1440 });
+    expect(result).toMatchObject({ name: 'photo.png', type: 'image/png', size: 10 });
+  });
+
+  it('keeps the original when the re-encoded image is not smaller', async () => {
+    encoded['image/png'] = { size: 500 };
+    const file = imageFile('image/png', 100);
+
+    expect(await compressImage(file)).toBe(file);
+  });
+
+  it('still strips metadata when that makes the image larger', async () => {
+    encoded['image/png'] = { size: 500 };
+
+    const result = await compressImage(imageFile('image/png', 100, 'eXIf'));
+
+    expect(result.size).toBe(500);
+  });
+
+  it('paints a white background for the JPEG fallback', async () => {
+    // Safari cannot encode WebP and hands back a PNG instead
+    encoded['image/webp'] = { size: 10, as: 'image/png' };
+    encoded['image/jpeg'] = { size: 10 };
+
+    const result = await compressImage(imageFile('image/webp', 100));
+
+    expect(canvases[0].context.fillRect).not.toHaveBeenCalled();
+    expect(canvases[1].context.fillStyle).toBe('#fff');
+    expect(canvases[1].context.fillRect).toHaveBeenCalledWith(0, 0, 1920, 1440);
+    expect(result).toMatchObject({ name: 'photo.jpg', type: 'image/jpeg' });
+  });
+});
+
+describe('hasExifData', () => {
+  it('finds a JPEG EXIF block', async () => {
+    expect(await hasExifData(new Blob(['\xff\xd8\xff\xe1..Exif\0\0MM']))).toBe(true);
+    expect(await hasExifData(new Blob(['\xff\xd8\xff\xdb plain pixels']))).toBe(false);
+  });
+});
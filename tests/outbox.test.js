@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+
+class TicketConflictError extends Error {
+  constructor(current) {
+    super('Ticket was modified by someone else');
+    this.current = current;
+  }
+}
+
+const db = {};
+
+vi.mock('../src/lib/supabase.js', () => ({ db, TicketConflictError }));
+
+let outbox;
+let stopSync;
+let clock;
+
+const setOnline = (onLine) => vi.stubGlobal('navigator', { onLine });
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.stubGlobal('indexedDB', new IDBFactory());
+  vi.stubGlobal('BroadcastChannel', undefined);
+  vi.stubGlobal('window', { addEventListener: vi.fn(), removeEventListener: vi.fn() });
+  // Entries are replayed in createdAt order; keep them apart
+  clock = 1000;
+  vi.spyOn(Date, 'now').mockImplementation(() => (clock += 1000));
+  setOnline(false);
+
+  Object.assign(db, {
+    createTicketWithAttachments: vi.fn(async (ticket) => ticket),
+    sendTicketCreatedNotification: vi.fn().mockResolvedValue(null),
+    sendAssignmentNotification: vi.fn().mockResolvedValue(null),
+    addTicketCommentWithAttachments: vi.fn().mockResolvedValue({}),
+    sendOptimizedNotification: vi.fn().mockResolvedValue(null),
+    updateTicketWithHistory: vi.fn().mockResolvedValue({}),
+  });
+
+  outbox = await import('../src/lib/outbox.js');
+  stopSync = outbox.startOutboxSync('u1');
+});
+
+afterEach(() => {
+  stopSync();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+const sync = async () => {
+  setOnline(true);
+  await outbox.syncOutbox();
+};
+
+const statusOf = async (type) =>
+  (await outbox.getOutboxEntries()).find((entry) => entry.type === type);
+
+describe('queueStatusChange', () => {
+  it('collapses changes to one entry against the first status and version', async () => {
+    await outbox.queueStatusChange({ ticketId: 't1', status: 'In Progress', previousStatus: 'Open', expectedVersion: 3 });
+    await outbox.queueStatusChange({ ticketId: 't1', status: 'Resolved', previousStatus: 'In Progress', expectedVersion: 4 });
+
+    const entries = await outbox.getOutboxEntries();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].payload).toEqual(expect.objectContaining({ status: 'Resolved', previousStatus: 'Open', expectedVersion: 3 }));
+  });
+
+  it('drops the entry when the status is changed back', async () => {
+    await outbox.queueStatusChange({ ticketId: 't1', status: 'In Progress', previousStatus: 'Open', expectedVersion: 3 });
+    const result = await outbox.queueStatusChange({ ticketId: 't1', status: 'Open', previousStatus: 'In Progress' });
+
+    expect(result).toBeNull();
+    expect(await outbox.getOutboxEntries()).toEqual([]);
+  });
+});
+
+describe('syncOutbox', () => {
+  it('creates a ticket before replaying comments on it', async () => {
+    await outbox.queueTicketCreate({ ticket: { id: 't1', title: 'Printer' } });
+    await outbox.queueComment({ ticketId: 't1', commentId: 'c1', comment: { content: 'Still broken' } });
+
+    await sync();
+
+    const created = db.createTicketWithAttachments.mock.invocationCallOrder[0];
+    const commented = db.addTicketCommentWithAttachments.mock.invocationCallOrder[0];
+    expect(created).toBeLessThan(commented);
+    expect(db.addTicketCommentWithAttachments).toHaveBeenCalledWith('t1', { content: 'Still broken' }, [], { commentId: 'c1' });
+    expect((await outbox.getOutboxEntries()).map((entry) => entry.status)).toEqual([
+      outbox.OUTBOX_STATUS.SYNCED,
+      outbox.OUTBOX_STATUS.SYNCED,
+    ]);
+  });
+
+  it('notifies the assignee the database picked for a new ticket', async () => {
+    db.createTicketWithAttachments.mockImplementation(async (ticket) => ({
+      ...ticket,
+      assigned_to: 'u2',
+      assignee_profile: { id: 'u2', full_name: 'Maya', email: 'maya@example.com' },
+    }));
+    await outbox.queueTicketCreate({ ticket: { id: 't1', title: 'Printer' } });
+
+    await sync();
+
+    expect(db.sendAssignmentNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 't1' }), null, 'u2', 'Maya', 'u1'
+    );
+  });
+
+  it('holds back comments while their ticket is not synced', async () => {
+    db.createTicketWithAttachments.mockRejectedValue(new Error('base_id is required'));
+    await outbox.queueTicketCreate({ ticket: { id: 't1', title: 'Printer' } });
+    await outbox.queueComment({ ticketId: 't1', commentId: 'c1', comment: { content: 'Still broken' } });
+
+    await sync();
+
+    expect(db.addTicketCommentWithAttachments).not.toHaveBeenCalled();
+    expect((await statusOf('create_ticket')).status).toBe(outbox.OUTBOX_STATUS.FAILED);
+    expect((await statusOf('add_comment')).status).toBe(outbox.OUTBOX_STATUS.PENDING);
+  });
+
+  it('marks a status change as a conflict when someone else changed the status', async () => {
+    db.updateTicketWithHistory.mockRejectedValue(new TicketConflictError({ status: 'Closed', version: 5 }));
+    await outbox.queueStatusChange({ ticketId: 't1', status: 'Resolved', previousStatus: 'Open', expectedVersion: 3 });
+
+    await sync();
+
+    const entry = await statusOf('status_change');
+    expect(entry.status).toBe(outbox.OUTBOX_STATUS.CONFLICT);
+    expect(entry.conflict).toEqual({ serverStatus: 'Closed', serverVersion: 5 });
+  });
+
+  it('marks an entry as failed on an error from the server or a bug', async () => {
+    db.updateTicketWithHistory.mockRejectedValueOnce(new TypeError("Cannot read properties of undefined (reading 'id')"));
+    await outbox.queueStatusChange({ ticketId: 't1', status: 'Resolved', previousStatus: 'Open', expectedVersion: 3 });
+
+    await sync();
+
+    const entry = await statusOf('status_change');
+    expect(entry.status).toBe(outbox.OUTBOX_STATUS.FAILED);
+    expect(entry.attempts).toBe(1);
+    expect(entry.error).toMatch(/reading 'id'/);
+  });
+
+  it('keeps an entry pending when the connection drops', async () => {
+    db.updateTicketWithHistory.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await outbox.queueStatusChange({ ticketId: 't1', status: 'Resolved', previousStatus: 'Open', expectedVersion: 3 });
+
+    await sync();
+
+    const entry = await statusOf('status_change');
+    expect(entry.status).toBe(outbox.OUTBOX_STATUS.PENDING);
+    expect(entry.attempts).toBe(1);
+  });
+});
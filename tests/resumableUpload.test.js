@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ResumableUpload, UploadAbortedError } from '../src/lib/resumableUpload.js';
+
+const ENDPOINT = 'https://example.supabase.co/storage/v1/upload/resumable';
+
+let requests;
+let server;
+// Bytes the fake TUS server has stored
+let stored;
+
+// Answers like Supabase Storage: creates the upload, reports its offset and
+// appends chunks
+const tus = (xhr) => {
+  if (xhr.method === 'POST') return { status: 201, headers: { Location: '/upload/abc' } };
+  if (xhr.method === 'HEAD') return { status: 200, headers: { 'Upload-Offset': String(stored) } };
+  stored = Number(xhr.headers['Upload-Offset']) + xhr.body.size;
+  return { status: 204, headers: { 'Upload-Offset': String(stored) } };
+};
+
+// server(xhr) returns the response, 'network' for a dropped connection or
+// undefined to leave the request hanging
+class FakeXMLHttpRequest {
+  constructor() {
+    this.upload = {};
+    this.headers = {};
+    this.done = false;
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+  }
+
+  setRequestHeader(name, value) {
+    this.headers[name] = value;
+  }
+
+  getResponseHeader(name) {
+    return this.responseHeaders[name] ?? null;
+  }
+
+  abort() {
+    if (this.done) return;
+    this.done = true;
+    this.onabort();
+  }
+
+  send(body) {
+    this.body = body;
+    requests.push(this);
+
+    Promise.resolve().then(() => {
+      const reply = server(this);
+      if (reply === undefined || this.done) return;
+      this.done = true;
+      if (reply === 'network') {
+        this.onerror();
+        return;
+      }
+      this.status = reply.status;
+      this.responseText = '';
+      this.responseHeaders = reply.headers || {};
+      this.onload();
+    });
+  }
+}
+
+const patchOffsets = () =>
+  requests.filter((xhr) => xhr.method === 'PATCH').map((xhr) => xhr.headers['Upload-Offset']);
+
+const createUpload = (options = {}) =>
+  new ResumableUpload({
+    endpoint: ENDPOINT,
+    file: new Blob(['0123456789']),
+    metadata: { bucketName: 'ticket-attachments', objectName: 'uploads/u1/a.log' },
+    getHeaders: async () => ({ authorization: 'Bearer token' }),
+    chunkSize: 4,
+    retryDelays: [0, 0],
+    ...options,
+  });
+
+beforeEach(() => {
+  requests = [];
+  stored = 0;
+  server = tus;
+  vi.stubGlobal('XMLHttpRequest', FakeXMLHttpRequest);
+  vi.stubGlobal('navigator', { onLine: true });
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
+
+describe('ResumableUpload', () => {
+  it('creates the upload with its length and metadata and sends it in chunks', async () => {
+    const onProgress = vi.fn();
+
+    const result = await createUpload({ onProgress }).start();
+
+    const [create] = requests;
+    expect(create.method).toBe('POST');
+    expect(create.headers).toEqual(expect.objectContaining({
+      'Upload-Length': '10',
+      'Upload-Metadata': `bucketName ${btoa('ticket-attachments')},objectName ${btoa('uploads/u1/a.log')}`,
+      'Tus-Resumable': '1.0.0',
+      authorization: 'Bearer token',
+    }));
+    expect(patchOffsets()).toEqual(['0', '4', '8']);
+    expect(result).toEqual({ url: 'https://example.supabase.co/upload/abc', size: 10 });
+    expect(onProgress).toHaveBeenLastCalledWith(10, 10);
+  });
+
+  it('resumes from the offset the server reports after a pause', async () => {
+    // The first chunk arrives but its response never does
+    server = (xhr) => (xhr.method === 'PATCH' && patchOffsets().length === 1 ? undefined : tus(xhr));
+    const upload = createUpload();
+    const done = upload.start();
+
+    await vi.waitFor(() => expect(patchOffsets()).toHaveLength(1));
+    stored = 4;
+    upload.pause();
+    upload.resume();
+    await done;
+
+    const methods = requests.map((xhr) => xhr.method);
+    expect(methods.slice(0, 3)).toEqual(['POST', 'PATCH', 'HEAD']);
+    expect(patchOffsets()).toEqual(['0', '4', '8']);
+  });
+
+  it('retries a server error, syncing the offset first', async () => {
+    let failed = false;
+    server = (xhr) => {
+      if (xhr.method === 'PATCH' && xhr.headers['Upload-Offset'] === '4' && !failed) {
+        failed = true;
+        return { status: 503 };
+      }
+      return tus(xhr);
+    };
+
+    await createUpload().start();
+
+    expect(requests.map((xhr) => xhr.method)).toEqual(['POST', 'PATCH', 'PATCH', 'HEAD', 'PATCH', 'PATCH']);
+    expect(patchOffsets()).toEqual(['0', '4', '4', '8']);
+  });
+
+  it('fails without retrying on a client error', async () => {
+    server = (xhr) => (xhr.method === 'PATCH' ? { status: 400 } : tus(xhr));
+
+    await expect(createUpload().start()).rejects.toMatchObject({ status: 400 });
+    expect(requests.map((xhr) => xhr.method)).toEqual(['POST', 'PATCH']);
+  });
+
+  it('stops sending once aborted', async () => {
+    server = (xhr) => (xhr.method === 'PATCH' ? undefined : tus(xhr));
+    const upload = createUpload();
+    const done = upload.start();
+
+    await vi.waitFor(() => expect(patchOffsets()).toHaveLength(1));
+    upload.abort();
+
+    await expect(done).rejects.toBeInstanceOf(UploadAbortedError);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(requests).toHaveLength(2);
+  });
+});
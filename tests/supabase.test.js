@@ -67,3 +67,474 @@ describe('connectTelegram', () => {
     expect(res.username).toBe('@john');
   });
 });
+
+// Chainable stand-in for a PostgREST query builder; awaiting it yields `result`
+function createQueryMock(result) {
+  const query = {};
+  ['select', 'eq', 'neq', 'in', 'or', 'order', 'range', 'limit', 'update', 'insert', 'delete', 'single', 'maybeSingle'].forEach(method => {
+    query[method] = vi.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+}
+
+describe('getTicketsPage', () => {
+  it('requests the page range sorted by the mapped column', async () => {
+    const query = createQueryMock({ data: [{ id: 't1', bases: { name: 'Beirut' } }], error: null, count: 51 });
+    mockSupabase.from = vi.fn(() => query);
+
+    const result = await db.getTicketsPage({ status: 'Open' }, { page: 3, pageSize: 25, sortBy: 'priority', sortDir: 'asc' });
+
+    expect(query.select).toHaveBeenCalledWith(expect.any(String), { count: 'exact' });
+    expect(query.eq).toHaveBeenCalledWith('status', 'Open');
+    expect(query.order).toHaveBeenCalledWith('priority_rank', { ascending: true, nullsFirst: false });
+    expect(query.range).toHaveBeenCalledWith(50, 74);
+    expect(result).toMatchObject({ total: 51, page: 3, pageCount: 3 });
+    expect(result.tickets[0].base_name).toBe('Beirut');
+  });
+
+  it('falls back to created_at for unknown sort keys', async () => {
+    const query = createQueryMock({ data: [], error: null, count: 0 });
+    mockSupabase.from = vi.fn(() => query);
+
+    const result = await db.getTicketsPage({}, { sortBy: 'nope' });
+
+    expect(query.order).toHaveBeenCalledWith('created_at', { ascending: false, nullsFirst: false });
+    expect(result.pageCount).toBe(1);
+  });
+});
+
+describe('searchTickets', () => {
+  it('passes filters to the RPC and keeps relevance order', async () => {
+    const hits = [
+      { ticket_id: 't2', rank: 0.9, title_highlight: 'a', description_snippet: 'b', comment_snippet: null, total_count: 2 },
+      { ticket_id: 't1', rank: 0.4, title_highlight: 'c', description_snippet: 'd', comment_snippet: 'e', total_count: 2 }
+    ];
+    mockSupabase.rpc = vi.fn().mockResolvedValue({ data: hits, error: null });
+    const query = createQueryMock({ data: [{ id: 't1' }, { id: 't2' }], error: null });
+    mockSupabase.from = vi.fn(() => query);
+
+    const result = await db.searchTickets('printer', { status: 'Open' }, { page: 2, pageSize: 10 });
+
+    expect(mockSupabase.rpc).toHaveBeenCalledWith('search_tickets', expect.objectContaining({
+      p_query: 'printer', p_status: 'Open', p_limit: 10, p_offset: 10
+    }));
+    expect(query.in).toHaveBeenCalledWith('id', ['t2', 't1']);
+    expect(result.tickets.map(t => t.id)).toEqual(['t2', 't1']);
+    expect(result.tickets[1].search.commentSnippet).toBe('e');
+    expect(result.total).toBe(2);
+  });
+
+  it('falls back to the first page when the page is past the end', async () => {
+    const hits = [
+      { ticket_id: 't1', rank: 0.4, title_highlight: 'c', description_snippet: 'd', comment_snippet: null, total_count: 1 }
+    ];
+    mockSupabase.rpc = vi.fn()
+      .mockResolvedValueOnce({ data: [], error: null })
+      .mockResolvedValueOnce({ data: hits, error: null });
+    mockSupabase.from = vi.fn(() => createQueryMock({ data: [{ id: 't1' }], error: null }));
+
+    const result = await db.searchTickets('printer', {}, { page: 5, pageSize: 10 });
+
+    expect(mockSupabase.rpc).toHaveBeenLastCalledWith('search_tickets', expect.objectContaining({ p_offset: 0 }));
+    expect(result).toMatchObject({ page: 1, total: 1, pageCount: 1 });
+    expect(result.tickets.map(t => t.id)).toEqual(['t1']);
+  });
+});
+
+describe('updateTicketWithHistory', () => {
+  it('applies the update via RPC and marks claimed notifications as sent', async () => {
+    const queued = [{ id: 7, type: 'ticket_status_change', payload: { type: 'ticket_status_change', ticket_id: 't1' } }];
+    mockSupabase.rpc = vi.fn().mockResolvedValue({ data: { ticket: { id: 't1', status: 'Closed' }, notifications: queued }, error: null });
+    const query = createQueryMock({ data: null, error: null });
+    mockSupabase.from = vi.fn(() => query);
+    db.sendOptimizedNotification = vi.fn().mockResolvedValue({ success: true, recipients: 1 });
+
+    const notification = { type: 'ticket_status_change', ticket_id: 't1' };
+    const ticket = await db.updateTicketWithHistory('t1', { status: 'Closed' }, [notification]);
+
+    expect(mockSupabase.rpc).toHaveBeenCalledWith('update_ticket_with_history', {
+      p_ticket_id: 't1', p_changes: { status: 'Closed' }, p_notifications: [notification], p_expected_version: null
+    });
+    expect(db.sendOptimizedNotification).toHaveBeenCalledWith(queued[0].payload);
+    expect(mockSupabase.from).toHaveBeenCalledWith('notification_queue');
+    expect(query.update).toHaveBeenCalledWith(expect.objectContaining({ sent_at: expect.any(String) }));
+    expect(query.eq).toHaveBeenCalledWith('id', 7);
+    expect(ticket.status).toBe('Closed');
+  });
+
+  it('throws a TicketConflictError with the current ticket on a version mismatch', async () => {
+    const { TicketConflictError } = await import('../src/lib/supabase.js');
+    mockSupabase.rpc = vi.fn().mockResolvedValue({ data: null, error: { code: 'PT409', message: 'modified' } });
+    const query = createQueryMock({ data: { id: 't1', version: 4, bases: { name: 'Beirut' } }, error: null });
+    mockSupabase.from = vi.fn(() => query);
+
+    const error = await db.updateTicketWithHistory('t1', { title: 'x' }, [], { expectedVersion: 3 }).catch(e => e);
+
+    expect(mockSupabase.rpc).toHaveBeenCalledWith('update_ticket_with_history', expect.objectContaining({ p_expected_version: 3 }));
+    expect(error).toBeInstanceOf(TicketConflictError);
+    expect(error.current).toMatchObject({ id: 't1', version: 4, base_name: 'Beirut' });
+  });
+
+  it('throws a StatusTransitionError when the workflow does not allow the status change', async () => {
+    const { StatusTransitionError } = await import('../src/lib/supabase.js');
+    mockSupabase.rpc = vi.fn().mockResolvedValue({
+      data: null,
+      error: { code: 'PT403', message: 'Moving a ticket from "Closed" to "Open" is not allowed' }
+    });
+
+    const error = await db.updateTicketWithHistory('t1', { status: 'Open' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(StatusTransitionError);
+    expect(error.message).toContain('"Closed" to "Open"');
+  });
+});
+
+describe('getTicketStats', () => {
+  it('passes filters to the RPC and formats the resolution time', async () => {
+    mockSupabase.from = vi.fn(() => createQueryMock({ data: { id: 3 }, error: null }));
+    mockSupabase.rpc = vi.fn().mockResolvedValue({
+      data: { total: 4, open: 1, avg_resolution_hours: 60, daily: [{ day: '2026-10-18', created: 2, resolved: 1 }] },
+      error: null
+    });
+
+    const stats = await db.getTicketStats({ base: 'Beirut', project: 'Alpha', from: '2026-10-01T00:00:00.000Z' });
+
+    expect(mockSupabase.rpc).toHaveBeenCalledWith('get_ticket_stats', {
+      p_base_id: 3, p_project: 'Alpha', p_assigned_to: null, p_from: '2026-10-01T00:00:00.000Z', p_to: null
+    });
+    expect(stats).toMatchObject({ total: 4, open: 1, in_progress: 0, avg_resolution_time: '2.5d' });
+    expect(stats.daily).toHaveLength(1);
+  });
+});
+
+describe('deleteTicket', () => {
+  it('moves the ticket to the trash instead of deleting the row', async () => {
+    mockSupabase.rpc = vi.fn().mockResolvedValue({ data: null, error: null });
+    mockSupabase.from = vi.fn();
+
+    await db.deleteTicket('t1');
+
+    expect(mockSupabase.rpc).toHaveBeenCalledWith('trash_ticket', { p_ticket_id: 't1' });
+    expect(mockSupabase.from).not.toHaveBeenCalled();
+  });
+});
+
+describe('getTicketAttachmentUrls', () => {
+  it('signs the paths and skips files that could not be signed', async () => {
+    const createSignedUrls = vi.fn().mockResolvedValue({
+      data: [
+        { path: 't1/a.png', signedUrl: 'https://signed/a', error: null },
+        { path: 't1/b.png', signedUrl: null, error: 'Not found' }
+      ],
+      error: null
+    });
+    mockSupabase.storage = { from: vi.fn(() => ({ createSignedUrls })) };
+
+    const urls = await db.getTicketAttachmentUrls(['t1/a.png', 't1/b.png']);
+
+    expect(mockSupabase.storage.from).toHaveBeenCalledWith('ticket-attachments');
+    expect(createSignedUrls).toHaveBeenCalledWith(['t1/a.png', 't1/b.png'], 600);
+    expect(Object.keys(urls)).toEqual(['t1/a.png']);
+    expect(urls['t1/a.png']).toMatchObject({ signedUrl: 'https://signed/a', expiresAt: expect.any(Number) });
+  });
+});
+
+describe('getTicketAttachments', () => {
+  it('reads attachment metadata for the ticket oldest first', async () => {
+    const query = createQueryMock({ data: [{ id: 'a1', file_name: 'app.log' }], error: null });
+    mockSupabase.from = vi.fn(() => query);
+
+    const attachments = await db.getTicketAttachments('t1');
+
+    expect(mockSupabase.from).toHaveBeenCalledWith('attachments');
+    expect(query.eq).toHaveBeenCalledWith('ticket_id', 't1');
+    expect(query.order).toHaveBeenCalledWith('created_at', { ascending: true });
+    expect(attachments).toEqual([{ id: 'a1', file_name: 'app.log' }]);
+  });
+});
+
+describe('createTicketWithAttachments', () => {
+  it('creates the ticket and binds the staged attachments in one RPC', async () => {
+    const query = createQueryMock({ data: { id: 't1', title: 'Printer down' }, error: null });
+    mockSupabase.rpc = vi.fn(() => query);
+
+    const ticket = await db.createTicketWithAttachments({ title: 'Printer down' }, ['a1', 'a2']);
+
+    expect(mockSupabase.rpc).toHaveBeenCalledWith('create_ticket_with_attachments', {
+      p_ticket: { title: 'Printer down' },
+      p_attachment_ids: ['a1', 'a2']
+    });
+    expect(query.single).toHaveBeenCalled();
+    expect(ticket.id).toBe('t1');
+  });
+
+  it('rejects when staged attachments could not be bound', async () => {
+    const query = createQueryMock({ data: null, error: { code: 'PT410', message: 'Only 1 of 2 attachments could be attached' } });
+    mockSupabase.rpc = vi.fn(() => query);
+
+    await expect(db.createTicketWithAttachments({ title: 'x' }, ['a1', 'a2'])).rejects.toMatchObject({ code: 'PT410' });
+  });
+});
+
+describe('addTicketCommentWithAttachments', () => {
+  it('passes the comment id generated by the caller so retries are idempotent', async () => {
+    mockSupabase.rpc = vi.fn(() => Promise.resolve({ data: { id: 'c1' }, error: null }));
+
+    const comment = await db.addTicketCommentWithAttachments('t1', 'On it', ['a1'], { commentId: 'c1' });
+
+    expect(mockSupabase.rpc).toHaveBeenCalledWith('add_ticket_comment_with_attachments', {
+      p_ticket_id: 't1',
+      p_comment: 'On it',
+      p_attachment_ids: ['a1'],
+      p_comment_id: 'c1'
+    });
+    expect(comment.id).toBe('c1');
+  });
+});
+
+describe('getTicket', () => {
+  it('looks a ticket up by number when the value is not a UUID', async () => {
+    const query = createQueryMock({ data: { id: 't1', ticket_number: 'TK-00042' }, error: null });
+    mockSupabase.from = vi.fn(() => query);
+
+    await db.getTicket('tk-00042');
+    expect(query.eq).toHaveBeenCalledWith('ticket_number', 'TK-00042');
+
+    await db.getTicket('3f2b8c1e-6a4d-4e2f-9b1a-7c5d8e9f0a1b');
+    expect(query.eq).toHaveBeenCalledWith('id', '3f2b8c1e-6a4d-4e2f-9b1a-7c5d8e9f0a1b');
+  });
+});
+
+describe('getTicket by an old number', () => {
+  it('follows the alias left when the ticket was renumbered', async () => {
+    const missing = createQueryMock({ data: null, error: { code: 'PGRST116' } });
+    const alias = createQueryMock({ data: { ticket_id: '3f2b8c1e-6a4d-4e2f-9b1a-7c5d8e9f0a1b' }, error: null });
+    const found = createQueryMock({ data: { id: '3f2b8c1e-6a4d-4e2f-9b1a-7c5d8e9f0a1b', ticket_number: 'BEI-2026-00001' }, error: null });
+    mockSupabase.from = vi.fn()
+      .mockReturnValueOnce(missing)
+      .mockReturnValueOnce(alias)
+      .mockReturnValueOnce(found);
+
+    const ticket = await db.getTicket('TK-00007');
+
+    expect(mockSupabase.from).toHaveBeenNthCalledWith(2, 'ticket_number_aliases');
+    expect(alias.eq).toHaveBeenCalledWith('ticket_number', 'TK-00007');
+    expect(ticket.ticket_number).toBe('BEI-2026-00001');
+  });
+});
+
+describe('saveTicketNumberScheme', () => {
+  it('updates an existing scheme and normalizes its fields', async () => {
+    const query = createQueryMock({ data: { id: 's1' }, error: null });
+    mockSupabase.from = vi.fn(() => query);
+
+    await db.saveTicketNumberScheme({ id: 's1', base_id: '', project: 'ECHO', format: ' bey-{yyyy}-{seq} ', padding: '4', reset_yearly: true });
+
+    expect(mockSupabase.from).toHaveBeenCalledWith('ticket_number_schemes');
+    expect(query.update).toHaveBeenCalledWith({ base_id: null, project: 'ECHO', format: 'BEY-{YYYY}-{SEQ}', padding: 4, reset_yearly: true });
+    expect(query.eq).toHaveBeenCalledWith('id', 's1');
+    expect(query.insert).not.toHaveBeenCalled();
+  });
+});
+
+describe('getSlaStats', () => {
+  it('turns the met and total counts into percentages', async () => {
+    mockSupabase.rpc = vi.fn().mockResolvedValue({
+      data: { response_total: 8, response_met: 6, resolution_total: 0, resolution_met: 0, breached_open: 2 },
+      error: null
+    });
+
+    const stats = await db.getSlaStats({ project: 'ECHO' });
+
+    expect(mockSupabase.rpc).toHaveBeenCalledWith('get_sla_stats', expect.objectContaining({ p_project: 'ECHO', p_base_id: null }));
+    expect(stats.response_rate).toBe(75);
+    expect(stats.resolution_rate).toBeNull();
+    expect(stats.breached_open).toBe(2);
+  });
+});
+
+describe('getBaseCalendars', () => {
+  it('returns each base with its calendar, or null for calendar time', async () => {
+    const query = createQueryMock({
+      data: [
+        {
+          id: 1,
+          name: 'Alpha',
+          base_calendars: { timezone: 'Europe/Berlin', working_hours: { 1: ['08:00', '17:00'] } },
+          base_holidays: [{ holiday: '2026-12-25', name: 'Christmas' }, { holiday: '2026-12-24', name: null }]
+        },
+        { id: 2, name: 'Bravo', base_calendars: [], base_holidays: [] }
+      ],
+      error: null
+    });
+    mockSupabase.from = vi.fn(() => query);
+
+    const [alpha, bravo] = await db.getBaseCalendars();
+
+    expect(mockSupabase.from).toHaveBeenCalledWith('bases');
+    expect(alpha.calendar.timezone).toBe('Europe/Berlin');
+    expect(alpha.calendar.holidays.map((holiday) => holiday.holiday)).toEqual(['2026-12-24', '2026-12-25']);
+    expect(bravo.calendar).toBeNull();
+  });
+});
+
+describe('getTicketStatuses', () => {
+  it('loads the statuses in workflow order together with the transitions', async () => {
+    const statusQuery = createQueryMock({ data: [{ name: 'Open', position: 1 }, { name: 'Waiting for Parts', position: 2 }], error: null });
+    const transitionQuery = createQueryMock({ data: [{ from_status: 'Open', to_status: 'Waiting for Parts', role: 'HIS' }], error: null });
+    mockSupabase.from = vi.fn((table) => (table === 'ticket_statuses' ? statusQuery : transitionQuery));
+
+    const { statuses, transitions } = await db.getTicketStatuses();
+
+    expect(statusQuery.order).toHaveBeenCalledWith('position');
+    expect(mockSupabase.from).toHaveBeenCalledWith('ticket_status_transitions');
+    expect(statuses.map((status) => status.name)).toEqual(['Open', 'Waiting for Parts']);
+    expect(transitions).toHaveLength(1);
+  });
+});
+
+describe('saveEscalationRule', () => {
+  it('stores the waiting time in minutes and only keeps the reassignee for reassign rules', async () => {
+    const query = createQueryMock({ data: { id: 'r1' }, error: null });
+    mockSupabase.from = vi.fn(() => query);
+
+    await db.saveEscalationRule({
+      name: ' Stale work ',
+      base_id: '',
+      priority: 'High',
+      status: '',
+      condition: 'no_activity',
+      after_minutes: '4320',
+      action: 'flag',
+      reassign_to: 'u1'
+    });
+
+    expect(mockSupabase.from).toHaveBeenCalledWith('escalation_rules');
+    expect(query.insert).toHaveBeenCalledWith([
+      expect.objectContaining({ name: 'Stale work', base_id: null, status: null, after_minutes: 4320, reassign_to: null, enabled: true })
+    ]);
+  });
+});
+
+describe('getTicketComment', () => {
+  it('reads one comment with its author', async () => {
+    const query = createQueryMock({ data: { id: 'c1', user: { full_name: 'Rana' } }, error: null });
+    mockSupabase.from = vi.fn(() => query);
+
+    const comment = await db.getTicketComment('c1');
+
+    expect(mockSupabase.from).toHaveBeenCalledWith('ticket_comments');
+    expect(query.eq).toHaveBeenCalledWith('id', 'c1');
+    expect(comment.user.full_name).toBe('Rana');
+  });
+});
+
+describe('subscriptions.ticketCommentsById', () => {
+  it('subscribes to the comments of the ticket without looking it up by number', async () => {
+    const channel = { on: vi.fn(), subscribe: vi.fn() };
+    channel.on.mockReturnValue(channel);
+    channel.subscribe.mockReturnValue(channel);
+    mockSupabase.channel = vi.fn(() => channel);
+    mockSupabase.from = vi.fn();
+    const { subscriptions } = await import('../src/lib/supabase.js');
+    const callback = vi.fn();
+
+    expect(subscriptions.ticketCommentsById('t1', callback)).toBe(channel);
+
+    expect(mockSupabase.from).not.toHaveBeenCalled();
+    expect(mockSupabase.channel).toHaveBeenCalledWith('ticket_comments:t1');
+    expect(channel.on).toHaveBeenCalledWith(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'ticket_comments', filter: 'ticket_id=eq.t1' },
+      callback
+    );
+  });
+});
+
+describe('subscriptions.ticketPresence', () => {
+  it('joins the private presence channel of the ticket keyed by user and reports each sync', async () => {
+    const state = { u2: [{ user_id: 'u2', ticket_id: 't1', typing: false }] };
+    const handlers = {};
+    const channel = {
+      on: vi.fn((type, filter, handler) => {
+        handlers[filter.event] = handler;
+        return channel;
+      }),
+      subscribe: vi.fn(() => channel),
+      presenceState: vi.fn(() => state)
+    };
+    mockSupabase.channel = vi.fn(() => channel);
+    const { subscriptions } = await import('../src/lib/supabase.js');
+    const onSync = vi.fn();
+    const onStatus = vi.fn();
+
+    subscriptions.ticketPresence('t1', 'u1', onSync, onStatus);
+    handlers.sync();
+
+    expect(mockSupabase.channel).toHaveBeenCalledWith('ticket_presence:t1', {
+      config: { private: true, presence: { key: 'u1' } }
+    });
+    expect(channel.subscribe).toHaveBeenCalledWith(onStatus);
+    expect(onSync).toHaveBeenCalledWith(state);
+  });
+});
+
+describe('subscriptions.ticketsForProfile', () => {
+  const createChannelMock = () => {
+    const channel = { on: vi.fn(), subscribe: vi.fn() };
+    channel.on.mockReturnValue(channel);
+    channel.subscribe.mockReturnValue(channel);
+    return channel;
+  };
+
+  it('listens to the base and assignments of non-admins only', async () => {
+    const channel = createChannelMock();
+    mockSupabase.channel = vi.fn(() => channel);
+    mockSupabase.from = vi.fn(() => createQueryMock({ data: { id: 3 }, error: null }));
+    const { subscriptions } = await import('../src/lib/supabase.js');
+    const callback = vi.fn();
+
+    await subscriptions.ticketsForProfile({ id: 'u1', role: 'HIS', base: 'Beirut' }, callback);
+
+    expect(channel.on).toHaveBeenCalledWith(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'tickets', filter: 'base_id=in.(3)' },
+      callback
+    );
+    expect(channel.on).toHaveBeenCalledWith(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'tickets', filter: 'assigned_to=eq.u1' },
+      callback
+    );
+    expect(channel.on).toHaveBeenCalledTimes(2);
+    expect(channel.subscribe).toHaveBeenCalled();
+  });
+
+  it('also listens to the tickets a user created', async () => {
+    const channel = createChannelMock();
+    mockSupabase.channel = vi.fn(() => channel);
+    mockSupabase.from = vi.fn(() => createQueryMock({ data: { id: 3 }, error: null }));
+    const { subscriptions } = await import('../src/lib/supabase.js');
+    const callback = vi.fn();
+
+    await subscriptions.ticketsForProfile({ id: 'u1', role: 'User', base: 'Beirut' }, callback);
+
+    expect(channel.on).toHaveBeenCalledWith(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'tickets', filter: 'created_by=eq.u1' },
+      callback
+    );
+  });
+
+  it('listens to every ticket for admins', async () => {
+    const channel = createChannelMock();
+    mockSupabase.channel = vi.fn(() => channel);
+    const { subscriptions } = await import('../src/lib/supabase.js');
+
+    await subscriptions.ticketsForProfile({ id: 'u1', role: 'Admin' }, vi.fn());
+
+    expect(channel.on).toHaveBeenCalledTimes(1);
+    expect(channel.on.mock.calls[0][1]).toEqual({ event: '*', schema: 'public', table: 'tickets' });
+  });
+});
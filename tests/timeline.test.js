@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { buildTimeline, isHumanComment } from '../src/lib/timeline.js';
+
+const comments = [
+  { id: 1, comment_type: 'comment', comment: 'Printer is jammed again', created_at: '2026-10-01T09:00:00Z' },
+  { id: 2, comment_type: 'comment', comment: 'Priority changed from "Low" to "High"', created_at: '2026-10-01T10:00:00Z' },
+  { id: 3, comment_type: 'status_change', comment: 'Status changed from Open to In Progress', created_at: '2026-10-01T11:00:00Z' },
+  { id: 4, comment_type: null, comment: 'Replaced the drum', created_at: '2026-10-01T13:00:00Z' },
+];
+
+const events = [
+  { id: 10, event_type: 'field_change', field: 'status', created_at: '2026-10-01T12:00:00Z' },
+  { id: 11, event_type: 'field_change', field: 'priority', created_at: '2026-10-01T14:00:00Z' },
+];
+
+const keys = (entries) => entries.map((entry) => entry.key);
+
+describe('isHumanComment', () => {
+  it('treats generated "changed from" rows as changes', () => {
+    expect(isHumanComment(comments[0])).toBe(true);
+    expect(isHumanComment(comments[1])).toBe(false);
+    expect(isHumanComment(comments[2])).toBe(false);
+    expect(isHumanComment({ comment_type: 'comment', comment: 'It changed from "bad" to "worse" overnight' })).toBe(true);
+  });
+});
+
+describe('buildTimeline', () => {
+  it('merges comments and events newest first', () => {
+    expect(keys(buildTimeline(comments, events))).toEqual([
+      'event-11', 'comment-4', 'event-10', 'comment-3', 'comment-2', 'comment-1',
+    ]);
+  });
+
+  it('lists only what people wrote under comments', () => {
+    expect(keys(buildTimeline(comments, events, { historyFilter: 'comments' }))).toEqual(['comment-4', 'comment-1']);
+  });
+
+  it('lists events and old change rows under changes, narrowed by field', () => {
+    expect(keys(buildTimeline(comments, events, { historyFilter: 'changes' }))).toEqual([
+      'event-11', 'event-10', 'comment-3', 'comment-2',
+    ]);
+    expect(keys(buildTimeline(comments, events, { historyFilter: 'changes', fieldFilter: 'status' }))).toEqual(['event-10']);
+  });
+});
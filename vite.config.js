@@ -1,11 +1,57 @@
 // vite.config.js
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
-import { resolve } from 'path';
+import { resolve, relative, sep } from 'path';
+import { createHash } from 'crypto';
+import { readdirSync, readFileSync, statSync } from 'fs';
+
+// Files copied from public/, as paths relative to the site root
+const listPublicFiles = (dir, root = dir) =>
+  readdirSync(dir).flatMap((name) => {
+    const path = resolve(dir, name);
+    return statSync(path).isDirectory()
+      ? listPublicFiles(path, root)
+      : [relative(root, path).split(sep).join('/')];
+  });
+
+// Emits sw.js from src/service-worker.js with the app shell to precache: the
+// built chunks and assets, index.html and the public files. The version
+// changes whenever any of them does, which replaces the old shell cache.
+const serviceWorker = () => {
+  let publicDir;
+
+  return {
+    name: 'ticket-hub-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256');
+      const bundled = Object.values(bundle)
+        .filter((file) => !file.fileName.endsWith('.map'))
+        .map((file) => {
+          hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source);
+          return file.fileName;
+        });
+
+      const publicFiles = listPublicFiles(publicDir);
+      publicFiles.forEach((file) => hash.update(file).update(readFileSync(resolve(publicDir, file))));
+
+      const urls = [...new Set(['index.html', ...bundled, ...publicFiles])].sort();
+      const source = readFileSync(resolve(__dirname, 'src/service-worker.js'), 'utf8')
+        .replace('__PRECACHE_URLS__', JSON.stringify(urls))
+        .replace('__CACHE_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)));
+
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    },
+  };
+};
 
 export default defineConfig({
   base: '/tciket_hub/',
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   build: {
     outDir: 'dist',
     rollupOptions: {